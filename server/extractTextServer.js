@@ -0,0 +1,354 @@
+/*
+ * Серверное извлечение текста
+ *
+ * POST /api/extract-text принимает файл (multipart, поле file) и возвращает
+ * { text, meta: { pages, extractor, ... } }. PDF читается pdf.js, страницы без
+ * текстового слоя распознаются tesseract.js; DOCX — mammoth; изображения —
+ * tesseract.js. Клиент обращается сюда, когда браузер не справился с файлом.
+ */
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import express from 'express';
+import cors from 'cors';
+import multer from 'multer';
+import mammoth from 'mammoth';
+import { createWorker } from 'tesseract.js';
+import * as pdfjs from 'pdfjs-dist/legacy/build/pdf.mjs';
+
+const MAX_FILE_MB = Number(process.env.EXTRACT_MAX_FILE_MB || 50);
+const TIMEOUT_MS = Number(process.env.EXTRACT_TIMEOUT_MS || 180000);
+const MAX_OCR_PAGES = Number(process.env.EXTRACT_MAX_OCR_PAGES || 30);
+const OCR_SCALE = Number(process.env.EXTRACT_OCR_SCALE || 2);
+const OCR_LANG_VARIANT = '4.0.0_best_int';
+// Страница с меньшим количеством символов считается сканом
+const MIN_PAGE_TEXT = 20;
+
+const app = express();
+
+const resolveAllowedOrigins = () => {
+  const raw = process.env.ALLOWED_ORIGINS || process.env.CORS_ALLOWED_ORIGINS || '';
+  if (!raw) return ['*'];
+  return raw
+    .split(',')
+    .map((origin) => origin.trim())
+    .filter(Boolean);
+};
+
+const allowedOrigins = resolveAllowedOrigins();
+const allowAll = allowedOrigins.includes('*');
+
+app.use(
+  cors({
+    origin: (origin, callback) => {
+      if (allowAll || !origin || allowedOrigins.includes(origin)) {
+        return callback(null, origin || '*');
+      }
+      return callback(new Error(`Origin ${origin} not allowed`));
+    },
+    methods: ['GET', 'POST', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization'],
+    maxAge: 86400
+  })
+);
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  // Браузеры передают имя файла в UTF-8 без указания кодировки
+  defParamCharset: 'utf8',
+  limits: { fileSize: MAX_FILE_MB * 1024 * 1024, files: 1 }
+});
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const createTimeoutError = () => httpError(504, 'Извлечение текста не уложилось в отведённое время.');
+
+const isTimeoutError = (error) => error?.status === 504;
+
+// Срок обработки одного файла: check — между шагами, within — ожидание одного долгого шага (рендер, OCR страницы)
+const createDeadline = () => {
+  const expiresAt = Date.now() + TIMEOUT_MS;
+  return {
+    check: () => {
+      if (Date.now() > expiresAt) throw createTimeoutError();
+    },
+    within: (promise) => {
+      let timer = null;
+      const expired = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(createTimeoutError()), Math.max(0, expiresAt - Date.now()));
+      });
+      return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+    }
+  };
+};
+
+const startsWith = (buffer, signature) => signature.every((byte, index) => buffer[index] === byte);
+
+const detectKind = (file) => {
+  const { buffer } = file;
+  const name = (file.originalname || '').toLowerCase();
+  const type = (file.mimetype || '').toLowerCase();
+  if (buffer.subarray(0, 1024).includes('%PDF')) return 'pdf';
+  if (startsWith(buffer, [0x50, 0x4b, 0x03, 0x04]) && (name.endsWith('.docx') || type.includes('wordprocessingml') || buffer.includes('word/document.xml'))) {
+    return 'docx';
+  }
+  const isImage =
+    startsWith(buffer, [0x89, 0x50, 0x4e, 0x47]) ||
+    startsWith(buffer, [0xff, 0xd8, 0xff]) ||
+    startsWith(buffer, [0x49, 0x49, 0x2a, 0x00]) ||
+    startsWith(buffer, [0x4d, 0x4d, 0x00, 0x2a]) ||
+    startsWith(buffer, [0x42, 0x4d]) ||
+    (startsWith(buffer, [0x52, 0x49, 0x46, 0x46]) && buffer.subarray(8, 12).toString('latin1') === 'WEBP');
+  if (isImage || type.startsWith('image/')) return 'image';
+  return null;
+};
+
+// Модели tesseract собираются в один каталог: воркер ищет их по пути langPath/<код>.traineddata.gz
+const prepareLangPath = () => {
+  if (process.env.OCR_LANG_PATH) return process.env.OCR_LANG_PATH;
+  const target = path.join(os.tmpdir(), 'negve-ocr-lang');
+  fs.mkdirSync(target, { recursive: true });
+  const sources = [];
+  const dataRoot = path.resolve('node_modules/@tesseract.js-data');
+  if (fs.existsSync(dataRoot)) {
+    fs.readdirSync(dataRoot).forEach((lang) =>
+      sources.push(path.join(dataRoot, lang, OCR_LANG_VARIANT, `${lang}.traineddata.gz`))
+    );
+  }
+  const publicDir = path.resolve('public/ocr/lang');
+  if (fs.existsSync(publicDir)) {
+    fs.readdirSync(publicDir)
+      .filter((file) => file.endsWith('.traineddata.gz'))
+      .forEach((file) => sources.push(path.join(publicDir, file)));
+  }
+  sources
+    .filter((source) => fs.existsSync(source))
+    .forEach((source) => fs.copyFileSync(source, path.join(target, path.basename(source))));
+  return target;
+};
+
+const langPath = prepareLangPath();
+
+// Без OCR_LANGUAGES берём rus+eng; чего нет в каталоге, видно в /health и в ответах с OCR
+const resolveOcrLanguages = () => {
+  const requested = (process.env.OCR_LANGUAGES || 'rus+eng')
+    .split(/[+,\s]+/)
+    .map((lang) => lang.trim())
+    .filter(Boolean);
+  const available = requested.filter((lang) => fs.existsSync(path.join(langPath, `${lang}.traineddata.gz`)));
+  const missing = requested.filter((lang) => !available.includes(lang));
+  if (missing.length) {
+    console.error(`[extract-text] нет моделей OCR: ${missing.join(', ')} (каталог ${langPath})`);
+  }
+  return { available, missing };
+};
+
+const { available: ocrLanguages, missing: ocrMissingLanguages } = resolveOcrLanguages();
+let ocrWorkerPromise = null;
+
+// Один воркер на процесс: задания tesseract выполняются по очереди
+const getOcrWorker = () => {
+  if (!ocrLanguages.length) {
+    throw httpError(503, 'OCR недоступен: на сервере нет моделей распознавания.');
+  }
+  if (!ocrWorkerPromise) {
+    ocrWorkerPromise = createWorker(ocrLanguages, 1, {
+      langPath,
+      cacheMethod: 'none'
+    }).catch((error) => {
+      ocrWorkerPromise = null;
+      throw error;
+    });
+  }
+  return ocrWorkerPromise;
+};
+
+const recognizeImage = async (image, deadline) => {
+  const worker = await deadline.within(getOcrWorker());
+  try {
+    const { data } = await deadline.within(worker.recognize(image));
+    return (data?.text || '').trim();
+  } catch (error) {
+    // Прерванное по времени распознавание продолжило бы занимать воркер — следующий запрос создаст новый
+    if (isTimeoutError(error) && ocrWorkerPromise) {
+      ocrWorkerPromise = null;
+      worker.terminate().catch(() => {});
+    }
+    throw error;
+  }
+};
+
+// Элементы textContent собираются в строки по вертикали, строки — сверху вниз
+const buildPageText = (items) => {
+  const lines = [];
+  items
+    .filter((item) => typeof item.str === 'string' && item.str.trim())
+    .forEach((item) => {
+      const x = item.transform[4];
+      const y = item.transform[5];
+      const height = Math.abs(item.transform[3]) || item.height || 10;
+      let line = lines.find((candidate) => Math.abs(candidate.y - y) <= height * 0.5);
+      if (!line) {
+        line = { y, height, items: [] };
+        lines.push(line);
+      }
+      line.items.push({ x, width: item.width || 0, str: item.str });
+    });
+  return lines
+    .sort((a, b) => b.y - a.y)
+    .map((line) =>
+      line.items
+        .sort((a, b) => a.x - b.x)
+        .reduce((acc, item, index, list) => {
+          if (!index) return item.str;
+          const prev = list[index - 1];
+          const gap = item.x - (prev.x + prev.width);
+          return acc + (gap > line.height * 0.15 ? ' ' : '') + item.str;
+        }, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+    )
+    .filter(Boolean)
+    .join('\n');
+};
+
+const renderPageImage = async (pdfDoc, page) => {
+  const viewport = page.getViewport({ scale: OCR_SCALE });
+  const { canvas, context } = pdfDoc.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+  await page.render({ canvasContext: context, viewport }).promise;
+  const image = canvas.toBuffer('image/png');
+  pdfDoc.canvasFactory.destroy({ canvas, context });
+  return image;
+};
+
+const extractPdf = async (buffer, deadline) => {
+  const loadingTask = pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    isEvalSupported: false,
+    disableFontFace: true,
+    stopAtErrors: false,
+    verbosity: 0
+  });
+  const pdfDoc = await loadingTask.promise;
+  try {
+    const pages = [];
+    const ocrPages = [];
+    for (let pageNumber = 1; pageNumber <= pdfDoc.numPages; pageNumber += 1) {
+      deadline.check();
+      const page = await pdfDoc.getPage(pageNumber);
+      let text = '';
+      try {
+        const content = await page.getTextContent();
+        text = buildPageText(content.items || []);
+      } catch (error) {
+        console.error(`[extract-text] текст страницы ${pageNumber} не прочитан`, error.message);
+      }
+      if (text.replace(/\s+/g, '').length < MIN_PAGE_TEXT && ocrLanguages.length && ocrPages.length < MAX_OCR_PAGES) {
+        try {
+          const recognized = await recognizeImage(await deadline.within(renderPageImage(pdfDoc, page)), deadline);
+          if (recognized.length > text.length) {
+            text = recognized;
+            ocrPages.push(pageNumber);
+          }
+        } catch (error) {
+          if (isTimeoutError(error)) throw error;
+          console.error(`[extract-text] OCR страницы ${pageNumber} не выполнен`, error.message);
+        }
+      }
+      page.cleanup();
+      pages.push(text);
+    }
+    return {
+      pages,
+      extractor: ocrPages.length ? 'server-pdfjs-ocr' : 'server-pdfjs',
+      extra: {
+        pageCount: pdfDoc.numPages,
+        ocrPages,
+        ...(ocrPages.length && ocrMissingLanguages.length ? { ocrMissingLanguages } : {})
+      }
+    };
+  } finally {
+    await loadingTask.destroy();
+  }
+};
+
+const extractDocx = async (buffer) => {
+  const { value } = await mammoth.extractRawText({ buffer });
+  const text = (value || '').replace(/\n{3,}/g, '\n\n').trim();
+  return { pages: [text], extractor: 'server-mammoth', extra: {} };
+};
+
+const extractImage = async (buffer, deadline) => {
+  const text = await recognizeImage(buffer, deadline);
+  return {
+    pages: [text],
+    extractor: 'server-tesseract',
+    extra: { ocrLanguages, ...(ocrMissingLanguages.length ? { ocrMissingLanguages } : {}) }
+  };
+};
+
+const EXTRACTORS = { pdf: extractPdf, docx: extractDocx, image: extractImage };
+
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    time: new Date().toISOString(),
+    ocrLanguages,
+    ocrMissingLanguages,
+    maxFileMb: MAX_FILE_MB
+  });
+});
+
+app.post('/api/extract-text', upload.single('file'), async (req, res, next) => {
+  try {
+    const file = req.file;
+    if (!file?.buffer?.length) {
+      throw httpError(400, 'Файл не передан: ожидается поле file в multipart/form-data.');
+    }
+    const kind = detectKind(file);
+    if (!kind) {
+      throw httpError(415, 'Неподдерживаемый формат: сервер извлекает текст из PDF, DOCX и изображений.');
+    }
+    const startedAt = Date.now();
+    const { pages, extractor, extra } = await EXTRACTORS[kind](file.buffer, createDeadline());
+    const text = pages.filter(Boolean).join('\n\n');
+    res.json({
+      text,
+      meta: {
+        pages,
+        extractor,
+        kind,
+        fileName: file.originalname || 'document',
+        durationMs: Date.now() - startedAt,
+        ...extra
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    const message =
+      error.code === 'LIMIT_FILE_SIZE' ? `Файл больше ${MAX_FILE_MB} МБ.` : `Ошибка загрузки файла: ${error.message}`;
+    return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: message });
+  }
+  const status = error?.status || 500;
+  if (status >= 500) {
+    console.error('[extract-text] request failed', error);
+  }
+  return res.status(status).json({
+    error: status === 500 ? `Не удалось извлечь текст: ${error?.message || 'внутренняя ошибка'}` : error.message
+  });
+});
+
+// PORT не читаем: его же читает server/qdrantProxy.js, и оба сервера заняли бы один порт
+const port = Number(process.env.EXTRACT_PORT || 8000);
+app.listen(port, () => {
+  console.log(`Text extraction server listening on http://localhost:${port}`);
+  console.log(`OCR languages: ${ocrLanguages.join('+') || 'none'}`);
+  if (!allowAll) {
+    console.log(`Allowed origins: ${allowedOrigins.join(', ')}`);
+  }
+});
@@ -32,6 +32,10 @@ const mergeSettings = (storedSettings) => {
       cloudinary: {
         ...defaults.analysis.cloudinary,
         ...(storedAnalysis.cloudinary || {})
+      },
+      ocr: {
+        ...defaults.analysis.ocr,
+        ...(storedAnalysis.ocr || {})
       }
     }
   };
@@ -0,0 +1,508 @@
+/*
+ * Проверка сумм
+ *
+ * Суммы в договорах пишут дважды — цифрами и прописью: «1 500 000 (Один
+ * миллион пятьсот тысяч) рублей 00 копеек», и расхождение между ними —
+ * реальный предмет споров. Разбираем число прописью (русский и английский)
+ * и сверяем с цифрами, пересчитываем НДС («в том числе НДС 20% — …»), итоги
+ * и строки таблиц, сравниваем итог спецификации с ценой договора. Находки
+ * того же вида, что у проверки реквизитов, и уходят модели до анализа.
+ */
+
+import { CURRENCY_SOURCE, NUMBER_SOURCE, PREFIX_CURRENCY_SOURCE, findAmounts, parseNumber, resolveCurrency } from './entities.js';
+import { clip, collapse, createFinding, lineContext, resolvePageNumber, sortFindings } from './findings.js';
+import { expandTable } from './tables.js';
+
+const MAX_ROW_FINDINGS_PER_TABLE = 5;
+const VAT_BASE_WINDOW_CHARS = 250;
+const TOTAL_WINDOW_CHARS = 160;
+// Расхождение в копейку — округление, а не ошибка
+const TOLERANCE = 0.011;
+
+const RU_NUMBER_WORDS = [
+  [/^нол/, 0],
+  [/^одиннадцат/, 11],
+  [/^двенадцат/, 12],
+  [/^тринадцат/, 13],
+  [/^четырнадцат/, 14],
+  [/^пятнадцат/, 15],
+  [/^шестнадцат/, 16],
+  [/^семнадцат/, 17],
+  [/^восемнадцат/, 18],
+  [/^девятнадцат/, 19],
+  [/^двадцат/, 20],
+  [/^тридцат/, 30],
+  [/^сорок/, 40],
+  [/^пят[ьи]десят/, 50],
+  [/^шест[ьи]десят/, 60],
+  [/^сем[ьи]десят/, 70],
+  [/^(?:восем[ьи]|восьми)десят/, 80],
+  [/^девяност/, 90],
+  [/^ст[оа]$/, 100],
+  [/^(?:двест|двухсот)/, 200],
+  [/^(?:трист|трехсот)/, 300],
+  [/^(?:четырест|четырехсот)/, 400],
+  [/^(?:пятьсот|пятисот)/, 500],
+  [/^(?:шестьсот|шестисот)/, 600],
+  [/^(?:семьсот|семисот)/, 700],
+  [/^(?:восемьсот|восьмисот)/, 800],
+  [/^(?:девятьсот|девятисот)/, 900],
+  [/^десят[ьи]$/, 10],
+  [/^од(?:ин|на|но|ного|ной|ному|ним|ну)$/, 1],
+  [/^дв(?:а|е|ух|ум)$/, 2],
+  [/^тр(?:и|ех|ем)$/, 3],
+  [/^четыр(?:е|ех|ем)$/, 4],
+  [/^пят[ьи]$/, 5],
+  [/^шест[ьи]$/, 6],
+  [/^сем[ьи]$/, 7],
+  [/^(?:восем[ьи]|восьми)$/, 8],
+  [/^девят[ьи]$/, 9]
+];
+const RU_SCALES = [
+  [/^тысяч(?!н)/, 1e3],
+  [/^миллион/, 1e6],
+  [/^миллиард/, 1e9],
+  [/^триллион/, 1e12]
+];
+// Дробные числа прописью: «ноль целых пять десятых»
+const RU_DENOMINATORS = [
+  [/^десят[аыо]/, 10],
+  [/^сот[аыо]/, 100],
+  [/^тысячн/, 1000]
+];
+const EN_NUMBER_WORDS = {
+  zero: 0,
+  one: 1,
+  two: 2,
+  three: 3,
+  four: 4,
+  five: 5,
+  six: 6,
+  seven: 7,
+  eight: 8,
+  nine: 9,
+  ten: 10,
+  eleven: 11,
+  twelve: 12,
+  thirteen: 13,
+  fourteen: 14,
+  fifteen: 15,
+  sixteen: 16,
+  seventeen: 17,
+  eighteen: 18,
+  nineteen: 19,
+  twenty: 20,
+  thirty: 30,
+  forty: 40,
+  fifty: 50,
+  sixty: 60,
+  seventy: 70,
+  eighty: 80,
+  ninety: 90
+};
+const EN_SCALES = { thousand: 1e3, million: 1e6, billion: 1e9, trillion: 1e12 };
+const MAJOR_CURRENCY_WORD = /^(?:рубл|руб$|тенге|евро|доллар|юан|гривен|гривн|сум$|сумов|rubles?$|roubles?$|dollars?$|euros?$|tenge$|yuan$|pounds?$)/;
+const MINOR_CURRENCY_WORD = /^(?:копе|тиын|цент|евроцент|cents?$|kopecks?$|kopeks?$)/;
+const FILLER_WORDS = new Set(['и', 'and', 'a', 'us', 'сша', 'российских', 'рф', 'ровно']);
+
+const lookupRu = (list, token) => list.find(([pattern]) => pattern.test(token))?.[1];
+
+const classifyWord = (token) => {
+  if (/[a-z]/.test(token)) {
+    if (token in EN_NUMBER_WORDS) return { number: EN_NUMBER_WORDS[token] };
+    if (token === 'hundred') return { hundred: true };
+    if (token in EN_SCALES) return { scale: EN_SCALES[token] };
+    if (token === 'point') return { point: true };
+    return null;
+  }
+  if (/^цел/.test(token)) return { point: true };
+  const denominator = lookupRu(RU_DENOMINATORS, token);
+  if (denominator) return { denominator };
+  const scale = lookupRu(RU_SCALES, token);
+  if (scale) return { scale };
+  const number = lookupRu(RU_NUMBER_WORDS, token);
+  return number === undefined ? null : { number };
+};
+
+/**
+ * Число прописью («Один миллион пятьсот тысяч рублей 50 копеек», «one hundred
+ * twenty thousand US dollars», «ноль целых пять десятых»).
+ * @returns {{ value: number, minor: number|null }|null} minor — копейки/центы,
+ *   если указаны; null, если фраза не начинается с числа прописью.
+ */
+export const parseNumberWords = (phrase) => {
+  const tokens = String(phrase || '').toLowerCase().replace(/ё/g, 'е').match(/[a-zа-я]+|\d+/g) || [];
+  let total = 0;
+  let current = 0;
+  let seen = false;
+  let integer = null;
+  let minor = null;
+  let numerator = null;
+  let decimal = null;
+  let state = 'major';
+  const flush = () => {
+    const value = total + current;
+    total = 0;
+    current = 0;
+    return value;
+  };
+  for (const token of tokens) {
+    if (FILLER_WORDS.has(token)) continue;
+    if (state === 'minor' && /^\d+$/.test(token)) {
+      current = Number(token);
+      continue;
+    }
+    if (state === 'major' && seen && MAJOR_CURRENCY_WORD.test(token)) {
+      integer = flush();
+      state = 'minor';
+      continue;
+    }
+    if (state === 'minor' && MINOR_CURRENCY_WORD.test(token)) {
+      minor = flush();
+      break;
+    }
+    const word = /^\d+$/.test(token) ? null : classifyWord(token);
+    if (!word) break;
+    if (word.point && state === 'major' && seen) {
+      integer = flush();
+      state = 'decimal';
+    } else if (word.denominator && state === 'decimal') {
+      numerator = flush();
+      decimal = numerator / word.denominator;
+      break;
+    } else if (word.number !== undefined) {
+      current += word.number;
+      seen = true;
+    } else if (word.hundred) {
+      current = (current || 1) * 100;
+      seen = true;
+    } else if (word.scale) {
+      total += (current || 1) * word.scale;
+      current = 0;
+      seen = true;
+    } else {
+      break;
+    }
+  }
+  if (!seen) return null;
+  if (integer === null) integer = flush();
+  if (state === 'decimal' && decimal === null) return null;
+  return { value: integer + (decimal || 0), minor };
+};
+
+// «1 500 000 (Один миллион пятьсот тысяч) рублей 00 копеек», «2,5 млн (два миллиона пятьсот тысяч) руб.»,
+// «12 500,50 руб. (Двенадцать тысяч…)», «USD 2,500 (two thousand five hundred)»
+const WORDS_PAIR_PATTERN = new RegExp(
+  `(?:(${PREFIX_CURRENCY_SOURCE})\\s?)?(?<![\\d.,])(${NUMBER_SOURCE})(?:\\s*(тыс|млн|млрд)\\.?)?(?:\\s*(${CURRENCY_SOURCE})(?![\\p{L}]))?(\\s*%)?\\s*\\(\\s*([\\p{L}][^()]{1,300})\\)`,
+  'giu'
+);
+const AFTER_PAIR_PATTERN = new RegExp(
+  `^\\s*(?:(${CURRENCY_SOURCE})(?![\\p{L}])(?:\\s*(\\d{2})\\s*(?:коп\\p{L}*|cents?)\\.?)?|(%|процент)|(дн|день|недел|месяц|год|лет|day|week|month|year))`,
+  'iu'
+);
+const MULTIPLIERS = { тыс: 1e3, млн: 1e6, млрд: 1e9 };
+const VAT_PATTERN = new RegExp(
+  `(?:НДС|VAT)\\s*(?:\\(\\s*)?(?:по\\s+ставке\\s+|at\\s+)?(\\d{1,2}(?:[.,]\\d{1,2})?)\\s*%\\s*\\)?[^\\d\\n]{0,30}?(?<![\\d.,])(${NUMBER_SOURCE})(?:\\s*\\([^()]{1,300}\\))?\\s*(${CURRENCY_SOURCE})(?![\\p{L}])(?:\\s*(\\d{2})\\s*коп\\p{L}*\\.?)?`,
+  'giu'
+);
+const VAT_INCLUDED_PATTERN = /в\s+том\s+числе|в\s+т\.\s*ч\.|включая|с\s+уч[её]том|including|incl\.?/i;
+const VAT_EXTRA_PATTERN = /сверх|плюс|кроме\s+того|без\s+уч[её]та|не\s+включа|excluding|excl\.?|plus|\+/i;
+const TOTAL_AFTER_VAT_PATTERN = new RegExp(`^[^\\n]{0,${TOTAL_WINDOW_CHARS}}?(?:итого|всего|total)[^\\d\\n]{0,60}?(${NUMBER_SOURCE})`, 'iu');
+const PRICE_PATTERN = new RegExp(
+  `(?:(?:цена|стоимость|общая\\s+сумма|сумма)\\s+(?:настоящего\\s+)?(?:договора|контракта)|contract\\s+price|total\\s+contract\\s+(?:price|value))[^\\d\\n]{0,80}?(?<![\\d.,])(${NUMBER_SOURCE})(?:\\s*(тыс|млн|млрд)\\.?)?`,
+  'giu'
+);
+
+const TOTAL_LABEL = /^(?:итого|всего|total)/i;
+const GRAND_TOTAL_LABEL = /(?:всего|итого|total).*(?:с\s+(?:уч[её]том\s+)?НДС|incl|including|with\s+VAT)/i;
+const VAT_LABEL = /НДС|VAT/i;
+const VAT_INCLUDED_LABEL = /в\s+т(?:ом)?\.?\s*ч(?:исле)?\.?|включая|including|incl/i;
+const QUANTITY_HEADER = /кол(?:-|ичест)?|qty|quantity/i;
+const PRICE_HEADER = /цена|тариф|price|rate/i;
+const AMOUNT_HEADER = /сумм|стоимост|amount|total/i;
+const NUMERIC_CELL = /^[-–]?\s*[\d\s.,]*\d[\d\s.,]*\s*(?:₽|\$|€|₸|руб\.?|тенге|тг\.?|rub|usd|eur|kzt)?$/i;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Сумма, округлённая до целых, сходится с расчётом с точностью до рубля
+const differs = (actual, expected) =>
+  Math.abs(actual - expected) > (Number.isInteger(actual) ? Math.max(TOLERANCE, 0.5) : TOLERANCE);
+
+const formatNumber = (value) =>
+  new Intl.NumberFormat('ru-RU', { minimumFractionDigits: Number.isInteger(value) ? 0 : 2, maximumFractionDigits: 4 }).format(
+    value
+  );
+
+const formatMoney = (value, currency) => `${formatNumber(value)}${currency ? ` ${currency}` : ''}`;
+
+const parseCell = (value) => {
+  const text = collapse(value);
+  if (!text || !NUMERIC_CELL.test(text)) return null;
+  return parseNumber(text.replace(/[^\d\s.,-]/g, '').replace(/–/g, '-').trim());
+};
+
+const checkWordPairs = (text, page, findings) => {
+  let checked = 0;
+  for (const match of text.matchAll(WORDS_PAIR_PATTERN)) {
+    const [, prefix, digitsText, multiplier, suffix, percent, phrase] = match;
+    const words = parseNumberWords(phrase);
+    const number = parseNumber(digitsText);
+    if (!words || number === null) continue;
+    const after = text.slice(match.index + match[0].length).match(AFTER_PAIR_PATTERN);
+    const currencyToken = prefix || suffix || after?.[1];
+    const currency = currencyToken ? resolveCurrency(currencyToken) : null;
+    const unit = currency ? ` ${currency}` : percent || after?.[3] ? '%' : '';
+    const kopecks = after?.[2] ? Number(after[2]) / 100 : 0;
+    const fraction = multiplier ? 0 : round(number - Math.trunc(number));
+    // Копейки после прописи дописывают к целому числу; у «1 500 000,50 (…) рублей 50 копеек» они уже есть в цифрах
+    const digits = round(number * (MULTIPLIERS[multiplier?.toLowerCase()] || 1) + (fraction ? 0 : kopecks));
+    const spelled = words.minor === null ? words.value : round(words.value + words.minor / 100);
+    // Копейки прописью не указаны — сверяем только целую часть
+    const compared = words.minor === null && Number.isInteger(words.value) ? Math.trunc(digits) : digits;
+    const push = (message) =>
+      findings.push(createFinding({ type: 'words', message, page, offset: match.index, text: lineContext(text, match.index) }));
+    checked += 1;
+    if (Math.abs(compared - spelled) >= 0.005) {
+      push(`Цифрами ${formatNumber(digits)}${unit}, прописью «${collapse(phrase)}» = ${formatNumber(spelled)}${unit}.`);
+    } else if (fraction && after?.[2] && Math.abs(fraction - kopecks) >= 0.005) {
+      push(`Цифрами ${formatNumber(digits)}${unit}, а после прописи указано ${after[2]} коп.`);
+    }
+  }
+  return checked;
+};
+
+const checkVat = (text, page, findings) => {
+  let checked = 0;
+  const amounts = findAmounts(text);
+  for (const match of text.matchAll(VAT_PATTERN)) {
+    const rate = parseNumber(match[1]);
+    const vat = parseNumber(match[2]);
+    if (rate === null || vat === null) continue;
+    const vatValue = round(vat + (match[4] ? Number(match[4]) / 100 : 0));
+    const base = amounts
+      .filter((amount) => amount.end <= match.index && match.index - amount.end <= VAT_BASE_WINDOW_CHARS)
+      .at(-1);
+    if (!base) continue;
+    const between = text.slice(base.end, match.index + match[0].length);
+    const mode = VAT_INCLUDED_PATTERN.test(between) ? 'included' : VAT_EXTRA_PATTERN.test(between) ? 'extra' : null;
+    if (!mode) continue;
+    const currency = resolveCurrency(match[3]) || base.currency;
+    const expected = round(mode === 'included' ? (base.value * rate) / (100 + rate) : (base.value * rate) / 100);
+    checked += 1;
+    if (differs(vatValue, expected)) {
+      findings.push(
+        createFinding({
+          type: 'vat',
+          message: `НДС ${formatNumber(rate)}% ${mode === 'included' ? 'в составе' : 'сверх'} ${formatMoney(base.value, base.currency)} — ${formatMoney(expected, currency)}, а указано ${formatMoney(vatValue, currency)}.`,
+          page,
+          offset: match.index,
+          text: lineContext(text, match.index)
+        })
+      );
+      continue;
+    }
+    if (mode !== 'extra') continue;
+    const total = text.slice(match.index + match[0].length).match(TOTAL_AFTER_VAT_PATTERN);
+    const totalValue = total ? parseNumber(total[1]) : null;
+    if (totalValue === null) continue;
+    checked += 1;
+    if (differs(totalValue, round(base.value + vatValue))) {
+      const offset = match.index + match[0].length + total.index;
+      findings.push(
+        createFinding({
+          type: 'vat',
+          message: `Итого с НДС: ${formatMoney(base.value, base.currency)} + ${formatMoney(vatValue, currency)} = ${formatMoney(round(base.value + vatValue), currency)}, а указано ${formatMoney(totalValue, currency)}.`,
+          page,
+          offset,
+          text: lineContext(text, offset)
+        })
+      );
+    }
+  }
+  return checked;
+};
+
+const rowLabel = (values) => collapse(values.find((value) => collapse(value) && parseCell(value) === null) || '');
+
+// Проверки одной таблицы: строки «кол-во × цена = сумма», сумма строк = «Итого», «Итого» + НДС = «Всего с НДС»
+const checkTable = ({ pageNumber, table }, findings) => {
+  const grid = expandTable(table);
+  if (grid.length < 3) return { checked: 0, totals: [] };
+  const headerCount = Math.max(1, grid.findIndex((row) => !row.header));
+  const headers = grid.slice(0, headerCount).reduce(
+    (result, row) => result.map((value, index) => `${value} ${row.values[index] || ''}`),
+    grid[0].values.map(() => '')
+  );
+  const rows = grid.slice(headerCount).map((row) => ({
+    label: rowLabel(row.values),
+    numbers: row.values.map(parseCell),
+    text: clip(row.values.filter((value) => collapse(value)).join(' | '))
+  }));
+  const where = `Таблица на стр. ${pageNumber}`;
+  const push = (message, row) =>
+    findings.push(createFinding({ type: 'table', message, page: pageNumber, text: row.text }));
+  let checked = 0;
+  const totals = [];
+
+  const quantityColumn = headers.findIndex((header) => QUANTITY_HEADER.test(header));
+  const priceColumn = headers.findIndex((header) => PRICE_HEADER.test(header) && !AMOUNT_HEADER.test(header));
+  const amountColumn = headers.findLastIndex(
+    (header, index) => AMOUNT_HEADER.test(header) && index !== priceColumn && index !== quantityColumn
+  );
+  if (quantityColumn >= 0 && priceColumn >= 0 && amountColumn >= 0) {
+    let rowFindings = 0;
+    rows.forEach((row) => {
+      const [quantity, price, amount] = [quantityColumn, priceColumn, amountColumn].map((index) => row.numbers[index]);
+      if (TOTAL_LABEL.test(row.label) || quantity === null || price === null || amount === null) return;
+      checked += 1;
+      if (differs(amount, round(quantity * price)) && rowFindings < MAX_ROW_FINDINGS_PER_TABLE) {
+        rowFindings += 1;
+        push(
+          `${where}: ${formatNumber(quantity)} × ${formatNumber(price)} = ${formatNumber(round(quantity * price))}, а в колонке «${collapse(headers[amountColumn])}» — ${formatNumber(amount)}.`,
+          row
+        );
+      }
+    });
+  }
+
+  const totalIndex = rows.findIndex((row) => TOTAL_LABEL.test(row.label));
+  if (totalIndex < 0) return { checked, totals };
+  const totalRow = rows[totalIndex];
+  const items = rows.slice(0, totalIndex);
+  totalRow.numbers.forEach((total, column) => {
+    if (total === null) return;
+    const values = items.map((row) => row.numbers[column]).filter((value) => value !== null);
+    if (values.length < 2) return;
+    checked += 1;
+    const sum = round(values.reduce((result, value) => result + value, 0));
+    if (differs(total, sum)) {
+      push(
+        `${where}: сумма строк в колонке «${collapse(headers[column]) || column + 1}» — ${formatNumber(sum)}, а в строке «${totalRow.label}» — ${formatNumber(total)}.`,
+        totalRow
+      );
+    }
+  });
+  const mainColumn = totalRow.numbers.findLastIndex((value) => value !== null);
+  if (mainColumn < 0) return { checked, totals };
+  totals.push({ value: totalRow.numbers[mainColumn], page: pageNumber, text: totalRow.text });
+
+  const rest = rows.slice(totalIndex + 1);
+  const vatRow = rest.find((row) => VAT_LABEL.test(row.label) && !GRAND_TOTAL_LABEL.test(row.label) && row.numbers[mainColumn] !== null);
+  const grandRow = rest.find((row) => GRAND_TOTAL_LABEL.test(row.label) && row.numbers[mainColumn] !== null);
+  if (grandRow) totals.push({ value: grandRow.numbers[mainColumn], page: pageNumber, text: grandRow.text });
+  if (!vatRow) return { checked, totals };
+  const total = totalRow.numbers[mainColumn];
+  const vat = vatRow.numbers[mainColumn];
+  const rate = parseNumber(vatRow.label.match(/(\d{1,2})\s*%/)?.[1] ?? '');
+  if (grandRow) {
+    checked += 1;
+    const grand = grandRow.numbers[mainColumn];
+    if (differs(grand, round(total + vat))) {
+      push(`${where}: ${formatNumber(total)} + НДС ${formatNumber(vat)} = ${formatNumber(round(total + vat))}, а в строке «${grandRow.label}» — ${formatNumber(grand)}.`, grandRow);
+    }
+  }
+  if (rate !== null) {
+    const included = VAT_INCLUDED_LABEL.test(vatRow.label) || /с\s+НДС|incl/i.test(totalRow.label);
+    const expected = round(included ? (total * rate) / (100 + rate) : (total * rate) / 100);
+    checked += 1;
+    if (differs(vat, expected)) {
+      push(`${where}: НДС ${rate}% от ${formatNumber(total)} — ${formatNumber(expected)}, а в строке «${vatRow.label}» — ${formatNumber(vat)}.`, vatRow);
+    }
+  }
+  return { checked, totals };
+};
+
+const collectPrices = (text, page) =>
+  Array.from(text.matchAll(PRICE_PATTERN), (match) => {
+    const number = parseNumber(match[1]);
+    return number === null
+      ? null
+      : {
+          value: round(number * (MULTIPLIERS[match[2]?.toLowerCase()] || 1)),
+          page,
+          offset: match.index,
+          text: lineContext(text, match.index)
+        };
+  }).filter(Boolean);
+
+// Цена договора должна быть одной и совпадать с итогом хотя бы одной таблицы (спецификации, сметы)
+const checkPrices = (prices, totals, findings) => {
+  if (!prices.length) return 0;
+  let checked = 0;
+  const distinct = prices.filter((price, index) => prices.findIndex((item) => !differs(item.value, price.value)) === index);
+  if (distinct.length > 1) {
+    checked += 1;
+    const [, second] = distinct;
+    findings.push(
+      createFinding({
+        type: 'price',
+        severity: 'warning',
+        message: `Цена договора указана по-разному: ${distinct.map((price) => `${formatNumber(price.value)} (стр. ${price.page})`).join(', ')}.`,
+        page: second.page,
+        offset: second.offset,
+        text: second.text,
+        locations: distinct.map((price) => ({ page: price.page, offset: price.offset }))
+      })
+    );
+  }
+  if (!totals.length) return checked;
+  checked += 1;
+  if (totals.some((total) => prices.some((price) => !differs(total.value, price.value)))) return checked;
+  const [price] = prices;
+  findings.push(
+    createFinding({
+      type: 'price',
+      severity: 'warning',
+      message: `Цена договора ${formatNumber(price.value)} (стр. ${price.page}) не совпадает с итогами таблиц: ${totals
+        .map((total) => `${formatNumber(total.value)} (стр. ${total.page})`)
+        .join(', ')}.`,
+      page: price.page,
+      offset: price.offset,
+      text: price.text,
+      locations: [price, ...totals].map((item) => ({ page: item.page, offset: item.offset || 0 }))
+    })
+  );
+  return checked;
+};
+
+/**
+ * Сверяет суммы документа: цифры и пропись, НДС, строки и итоги таблиц, цену
+ * договора. pages — тексты страниц (meta.pages), pageNumbers — их физические
+ * номера (иначе номер — индекс + 1), tables — результат collectDocumentTables.
+ * @returns {{ checked: number, findings: Array<{ type, severity, message, page, offset, text, locations }> }}
+ */
+export const checkAmounts = ({ pages, text = '', tables = [], pageNumbers = [] } = {}) => {
+  const sources = Array.isArray(pages) && pages.some(Boolean) ? pages : [text];
+  const findings = [];
+  const prices = [];
+  let checked = 0;
+  sources.forEach((source, index) => {
+    const pageText = typeof source === 'string' ? source : '';
+    if (!pageText.trim()) return;
+    const page = resolvePageNumber(pageNumbers, index);
+    checked += checkWordPairs(pageText, page, findings);
+    checked += checkVat(pageText, page, findings);
+    prices.push(...collectPrices(pageText, page));
+  });
+  const totals = [];
+  tables.forEach((entry) => {
+    const result = checkTable(entry, findings);
+    checked += result.checked;
+    totals.push(...result.totals);
+  });
+  checked += checkPrices(prices, totals, findings);
+  return {
+    checked,
+    findings: sortFindings(findings)
+  };
+};
+
+const AMOUNT_TYPE_LABELS = {
+  words: 'Цифры и пропись',
+  vat: 'НДС',
+  table: 'Итоги таблицы',
+  price: 'Цена договора'
+};
+
+export const formatAmountFindingTitle = (finding) =>
+  [AMOUNT_TYPE_LABELS[finding.type] || finding.type, finding.severity === 'error' ? 'ошибка' : 'проверить'].join(' · ');
@@ -0,0 +1,35 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { checkAmounts } from './amountChecks.js';
+
+// Intl.NumberFormat разделяет разряды неразрывным пробелом
+const messages = (text) =>
+  checkAmounts({ pages: [text], text }).findings.map((finding) => finding.message.replace(/[\u00a0\u202f]/g, ' '));
+
+test('копейки в цифрах и после прописи не складываются', () => {
+  assert.deepEqual(messages('Цена договора 1 500 000,50 (Один миллион пятьсот тысяч) рублей 50 копеек.'), []);
+  assert.deepEqual(messages('Цена договора 1 500 000 (Один миллион пятьсот тысяч) рублей 50 копеек.'), []);
+  assert.deepEqual(messages('Цена договора 1 500 000,50 (Один миллион пятьсот тысяч) рублей 30 копеек.'), [
+    'Цифрами 1 500 000,50 RUB, а после прописи указано 30 коп.'
+  ]);
+});
+
+test('валюта между числом и прописью или перед числом не мешает сверке', () => {
+  assert.deepEqual(messages('Стоимость 12 500,50 руб. (Двенадцать тысяч пятьсот рублей 50 копеек).'), []);
+  assert.deepEqual(messages('Стоимость 12 500,50 руб. (Двенадцать тысяч рублей 50 копеек).'), [
+    'Цифрами 12 500,50 RUB, прописью «Двенадцать тысяч рублей 50 копеек» = 12 000,50 RUB.'
+  ]);
+  assert.deepEqual(messages('Цена 1 500 000 рублей (Один миллион рублей).'), [
+    'Цифрами 1 500 000 RUB, прописью «Один миллион рублей» = 1 000 000 RUB.'
+  ]);
+  assert.deepEqual(messages('Price: USD 2,500 (two thousand dollars).'), [
+    'Цифрами 2 500 USD, прописью «two thousand dollars» = 2 000 USD.'
+  ]);
+});
+
+test('находки получают физический номер страницы', () => {
+  const page = 'Цена 1 500 000 рублей (Один миллион рублей).';
+  const { findings } = checkAmounts({ pages: ['', page], pageNumbers: [5, 6], text: page });
+  assert.deepEqual(findings.map((finding) => finding.page), [6]);
+});
@@ -0,0 +1,468 @@
+/*
+ * Двуязычные документы
+ *
+ * Находит две языковые версии одного текста: колонки PDF (columnTexts из
+ * renderPdfWithPdfjs), страницы на разных языках, абзацы и двухколоночные
+ * таблицы DOCX. Пункты версий сопоставляются по номерам, а без нумерации —
+ * по длине фрагментов (упрощённый Gale–Church). Для каждой пары заранее
+ * сравниваются суммы, даты, проценты и сроки; эти отметки вместе с парами
+ * получает отдельный проход модели, который ищет расхождения версий.
+ */
+
+import { detectLanguageFromText } from './documents.js';
+
+const KNOWN_LANGUAGES = new Set(['ru', 'en', 'kk', 'uk', 'de']);
+const MIN_LANGUAGE_SHARE = 0.2;
+const MIN_TABLE_PAIR_SHARE = 0.6;
+const MIN_NUMBERED_SHARE = 0.5;
+const MAX_ALIGN_UNITS = 600;
+const SKIP_COST = 2.5;
+const MERGE_COST = 0.4;
+
+const CLAUSE_START =
+  /^(?:(?:статья|раздел|пункт|стаття|бап|article|section|clause|artikel|abschnitt)\s+)?(\d{1,3}(?:\.\d{1,3})*)[.)]?\s+(?=\S)/i;
+// «10 000 рублей», «30 дней» в начале строки — это суммы и сроки, а не номера пунктов
+const MEASURE_START = /^\d{1,3}(?:\.\d{1,3})*[.)]?\s+(?:\d|%|руб|тыс|млн|млрд|коп|usd|eur|долл|евро|дн|day|мес|month|год|лет|year)/i;
+
+const MONTH_STEMS = [
+  ['январ', 'jan', 'січ'],
+  ['феврал', 'feb', 'лют'],
+  ['март', 'мар', 'mar', 'mär', 'берез'],
+  ['апрел', 'apr', 'квіт'],
+  ['мая', 'май', 'may', 'mai', 'трав'],
+  ['июн', 'jun', 'черв'],
+  ['июл', 'jul', 'лип'],
+  ['август', 'aug', 'серп'],
+  ['сентябр', 'sep', 'вер'],
+  ['октябр', 'oct', 'okt', 'жовт'],
+  ['ноябр', 'nov', 'лист'],
+  ['декабр', 'dec', 'dez', 'груд']
+];
+
+const WORD = '[A-Za-zА-Яа-яЁёІіЇїЄєҐґÄäÖöÜü]+';
+const NUMERIC_DATE = /\b(\d{1,2})[./](\d{1,2})[./](\d{4}|\d{2})\b/g;
+const ISO_DATE = /\b(\d{4})-(\d{2})-(\d{2})\b/g;
+const DAY_MONTH_DATE = new RegExp(`\\b(\\d{1,2})\\s+(${WORD})\\.?\\s+(\\d{4})`, 'g');
+const MONTH_DAY_DATE = new RegExp(`\\b(${WORD})\\.?\\s+(\\d{1,2}),?\\s+(\\d{4})`, 'g');
+const PERCENT = /(\d+(?:[.,]\d+)?)\s?(?:%|процент\p{L}*|percent|prozent|пайыз)/giu;
+// Кириллица не входит в \w, поэтому окончания слов описываем через \p{L}
+const DURATION =
+  /(?<!\d)(\d{1,4})\s*(?:\([^)]{1,40}\)\s*)?((?:рабоч|банковск|календарн|business|working|banking|calendar|робоч)\p{L}*\s+)?(дн\p{L}*|день|сут\p{L}*|days?|tage?n?|werktage?n?|недел\p{L}*|weeks?|тиж\p{L}*|wochen?|месяц\p{L}*|months?|місяц\p{L}*|monate?n?|лет|год\p{L}*|years?|рок\p{L}*|jahre?n?)(?!\p{L})/giu;
+const AMOUNT = /\d{1,3}(?:[  .,']\d{3})+(?:[.,]\d{1,2})?|\d+[.,]\d{2}\b|\d{4,}/g;
+const YEAR = /^(19|20)\d{2}$/;
+
+const isKnownLanguage = (language) => KNOWN_LANGUAGES.has(language);
+
+const resolveMonth = (word) => {
+  const lower = word.toLowerCase();
+  const index = MONTH_STEMS.findIndex((stems) => stems.some((stem) => lower.startsWith(stem)));
+  return index === -1 ? null : index + 1;
+};
+
+const formatIsoDate = (year, month, day) => {
+  const fullYear = String(year).length === 2 ? 2000 + Number(year) : Number(year);
+  if (!month || month > 12 || !day || day > 31) return null;
+  return `${fullYear}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+const normalizeAmount = (raw) => {
+  const compact = raw.replace(/[\s ']/g, '');
+  const decimal = compact.match(/[.,](\d{1,2})$/);
+  const integer = (decimal ? compact.slice(0, -decimal[0].length) : compact).replace(/[.,]/g, '');
+  const value = Number(`${integer}.${decimal ? decimal[1] : '0'}`);
+  return Number.isFinite(value) ? String(value) : null;
+};
+
+const resolveDurationUnit = (word) => {
+  const lower = word.toLowerCase();
+  if (/^(дн|день|сут|day|днів|tag|werktag)/.test(lower)) return 'd';
+  if (/^(недел|week|тиж|woche)/.test(lower)) return 'w';
+  if (/^(месяц|month|місяц|monat)/.test(lower)) return 'm';
+  return 'y';
+};
+
+/**
+ * Суммы, даты, проценты и сроки фрагмента в нормализованном виде:
+ * [{ type: 'amount' | 'date' | 'percent' | 'deadline', key, raw }].
+ * Найденные даты и сроки вырезаются, чтобы их числа не попали в суммы.
+ */
+export const extractFacts = (text) => {
+  let rest = String(text || '').replace(CLAUSE_START, ' ');
+  const facts = [];
+  const take = (pattern, build) => {
+    rest = rest.replace(pattern, (...match) => {
+      const fact = build(match);
+      if (!fact) return match[0];
+      facts.push({ ...fact, raw: match[0].trim() });
+      return ' ';
+    });
+  };
+  take(ISO_DATE, ([, year, month, day]) => {
+    const key = formatIsoDate(year, Number(month), Number(day));
+    return key ? { type: 'date', key } : null;
+  });
+  take(NUMERIC_DATE, ([, day, month, year]) => {
+    const key = formatIsoDate(year, Number(month), Number(day));
+    return key ? { type: 'date', key } : null;
+  });
+  take(DAY_MONTH_DATE, ([, day, month, year]) => {
+    const key = formatIsoDate(year, resolveMonth(month), Number(day));
+    return key ? { type: 'date', key } : null;
+  });
+  take(MONTH_DAY_DATE, ([, month, day, year]) => {
+    const key = formatIsoDate(year, resolveMonth(month), Number(day));
+    return key ? { type: 'date', key } : null;
+  });
+  take(PERCENT, ([, value]) => ({ type: 'percent', key: String(Number(value.replace(',', '.'))) }));
+  take(DURATION, ([, value, qualifier = '', unit]) => {
+    const business = /^(рабоч|банковск|business|working|banking|робоч)/i.test(qualifier.trim());
+    return { type: 'deadline', key: `${Number(value)}${resolveDurationUnit(unit)}${business ? '-b' : ''}` };
+  });
+  (rest.match(AMOUNT) || []).forEach((raw) => {
+    if (YEAR.test(raw)) return;
+    const key = normalizeAmount(raw);
+    if (key) facts.push({ type: 'amount', key, raw });
+  });
+  return facts;
+};
+
+/**
+ * Предварительная сверка пары: значения, которые есть только в одной версии.
+ * Возвращает [{ type, left: [raw], right: [raw] }].
+ */
+export const compareFacts = (leftText, rightText) => {
+  const left = extractFacts(leftText);
+  const right = extractFacts(rightText);
+  const types = Array.from(new Set([...left, ...right].map((fact) => fact.type)));
+  return types
+    .map((type) => {
+      const remaining = right.filter((fact) => fact.type === type);
+      const onlyLeft = [];
+      left
+        .filter((fact) => fact.type === type)
+        .forEach((fact) => {
+          const index = remaining.findIndex((item) => item.key === fact.key);
+          if (index === -1) {
+            onlyLeft.push(fact.raw);
+          } else {
+            remaining.splice(index, 1);
+          }
+        });
+      return { type, left: onlyLeft, right: remaining.map((fact) => fact.raw) };
+    })
+    .filter((hint) => hint.left.length || hint.right.length);
+};
+
+// Делит текст версии на пункты: новая единица начинается с номера пункта
+const splitIntoUnits = (text, page) => {
+  const units = [];
+  String(text || '')
+    .split(/\n+/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .forEach((line) => {
+      const match = MEASURE_START.test(line) ? null : line.match(CLAUSE_START);
+      const current = units[units.length - 1];
+      if (match || !current) {
+        units.push({ number: match ? match[1] : '', text: line, page });
+      } else {
+        current.text = `${current.text} ${line}`;
+      }
+    });
+  return units;
+};
+
+const unitLength = (units) => units.reduce((sum, unit) => sum + unit.text.length, 0);
+
+// Пункты без номера присоединяются к предыдущему пронумерованному
+const foldByNumber = (units) =>
+  units.reduce((clauses, unit) => {
+    const last = clauses[clauses.length - 1];
+    if (unit.number || !last) {
+      clauses.push({ ...unit });
+    } else {
+      last.text = `${last.text} ${unit.text}`;
+    }
+    return clauses;
+  }, []);
+
+const alignByNumber = (left, right) => {
+  const leftClauses = foldByNumber(left);
+  const rightClauses = foldByNumber(right);
+  const used = new Set();
+  const pairs = [];
+  let cursor = 0;
+  leftClauses.forEach((clause) => {
+    const index = rightClauses.findIndex((item, position) => !used.has(position) && item.number === clause.number);
+    if (index === -1) {
+      pairs.push({ left: clause, right: null });
+      return;
+    }
+    // Пункты правой версии, пропущенные до совпадения, выводим без пары
+    for (; cursor < index; cursor += 1) {
+      if (!used.has(cursor)) {
+        used.add(cursor);
+        pairs.push({ left: null, right: rightClauses[cursor] });
+      }
+    }
+    used.add(index);
+    cursor = Math.max(cursor, index + 1);
+    pairs.push({ left: clause, right: rightClauses[index] });
+  });
+  rightClauses.forEach((clause, position) => {
+    if (!used.has(position)) pairs.push({ left: null, right: clause });
+  });
+  return pairs;
+};
+
+const mergeUnits = (units) =>
+  units.length
+    ? { number: units[0].number, page: units[0].page, text: units.map((unit) => unit.text).join(' ') }
+    : null;
+
+// Динамическое программирование по длинам: переводы примерно пропорциональны по объёму
+const alignByLength = (left, right) => {
+  if (left.length > MAX_ALIGN_UNITS || right.length > MAX_ALIGN_UNITS) {
+    return Array.from({ length: Math.max(left.length, right.length) }, (_, index) => ({
+      left: left[index] || null,
+      right: right[index] || null
+    }));
+  }
+  const ratio = unitLength(right) / Math.max(unitLength(left), 1) || 1;
+  const moves = [
+    [1, 1, 0],
+    [1, 0, SKIP_COST],
+    [0, 1, SKIP_COST],
+    [2, 1, MERGE_COST],
+    [1, 2, MERGE_COST]
+  ];
+  const rows = left.length + 1;
+  const cols = right.length + 1;
+  const cost = new Float64Array(rows * cols).fill(Infinity);
+  const back = new Int8Array(rows * cols).fill(-1);
+  cost[0] = 0;
+  for (let i = 0; i < rows; i += 1) {
+    for (let j = 0; j < cols; j += 1) {
+      const base = cost[i * cols + j];
+      if (base === Infinity) continue;
+      moves.forEach(([di, dj, penalty], moveIndex) => {
+        const ni = i + di;
+        const nj = j + dj;
+        if (ni >= rows || nj >= cols) return;
+        let step = penalty;
+        if (di && dj) {
+          const leftLength = unitLength(left.slice(i, ni)) * ratio;
+          const rightLength = unitLength(right.slice(j, nj));
+          step += Math.abs(Math.log((rightLength + 1) / (leftLength + 1)));
+        }
+        if (base + step < cost[ni * cols + nj]) {
+          cost[ni * cols + nj] = base + step;
+          back[ni * cols + nj] = moveIndex;
+        }
+      });
+    }
+  }
+  const pairs = [];
+  let i = left.length;
+  let j = right.length;
+  while (i > 0 || j > 0) {
+    const [di, dj] = moves[back[i * cols + j]];
+    pairs.unshift({ left: mergeUnits(left.slice(i - di, i)), right: mergeUnits(right.slice(j - dj, j)) });
+    i -= di;
+    j -= dj;
+  }
+  return pairs;
+};
+
+const numberedShare = (units) => (units.length ? units.filter((unit) => unit.number).length / units.length : 0);
+
+/**
+ * Сопоставляет пункты двух версий. При сквозной нумерации — по номерам,
+ * иначе по длине фрагментов. Возвращает [{ left, right }], где отсутствующий
+ * в одной из версий пункт равен null.
+ */
+export const alignVersions = (left, right) =>
+  numberedShare(left) >= MIN_NUMBERED_SHARE && numberedShare(right) >= MIN_NUMBERED_SHARE
+    ? alignByNumber(left, right)
+    : alignByLength(left, right);
+
+// Два основных языка текста: каждый должен занимать заметную долю
+const pickLanguagePair = (items) => {
+  const totals = new Map();
+  items.forEach(({ language, text }) => {
+    if (!isKnownLanguage(language)) return;
+    totals.set(language, (totals.get(language) || 0) + text.length);
+  });
+  const sum = Array.from(totals.values()).reduce((acc, value) => acc + value, 0);
+  const top = Array.from(totals.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 2);
+  if (top.length < 2 || top.some(([, value]) => value / sum < MIN_LANGUAGE_SHARE)) return null;
+  // Порядок языков — как в документе
+  const firstSeen = (language) => items.findIndex((item) => item.language === language);
+  return top.map(([language]) => language).sort((a, b) => firstSeen(a) - firstSeen(b));
+};
+
+const fromPdfColumns = (meta) => {
+  const pages = (Array.isArray(meta.layout?.pages) ? meta.layout.pages : []).filter(
+    (page) =>
+      Array.isArray(page.columnTexts) &&
+      page.columnTexts.length === 2 &&
+      page.columnTexts.every((column) => isKnownLanguage(column.language)) &&
+      page.columnTexts[0].language !== page.columnTexts[1].language
+  );
+  if (!pages.length) return null;
+  const languages = pages[0].columnTexts.map((column) => column.language);
+  const left = [];
+  const right = [];
+  pages.forEach((page) => {
+    page.columnTexts.forEach((column) => {
+      const target = column.language === languages[0] ? left : column.language === languages[1] ? right : null;
+      target?.push(...splitIntoUnits(column.text, page.pageNumber));
+    });
+  });
+  return { source: 'columns', languages, pairs: alignVersions(left, right) };
+};
+
+const fromDocxTables = (meta, languages) => {
+  const pairs = [];
+  (Array.isArray(meta.layout?.pages) ? meta.layout.pages : []).forEach((page) => {
+    (page.tables || []).forEach((table) => {
+      const rows = table.rows.filter((row) => row.cells.length === 2 && row.cells.every((cell) => cell.text?.trim()));
+      const matched = rows.filter((row) => {
+        const [a, b] = row.cells.map((cell) => detectLanguageFromText(cell.text));
+        return a !== b && isKnownLanguage(a) && isKnownLanguage(b) && (!languages || languages.includes(a));
+      });
+      if (!rows.length || matched.length / rows.length < MIN_TABLE_PAIR_SHARE) return;
+      matched.forEach((row) => {
+        const [first, second] = row.cells;
+        const firstLanguage = detectLanguageFromText(first.text);
+        const ordered = !languages || firstLanguage === languages[0] ? [first, second] : [second, first];
+        const [leftUnit, rightUnit] = ordered.map((cell) => {
+          const match = cell.text.match(CLAUSE_START);
+          return { number: match ? match[1] : '', text: cell.text.trim(), page: page.pageNumber };
+        });
+        pairs.push({ left: leftUnit, right: rightUnit, languages: [firstLanguage, detectLanguageFromText(second.text)] });
+      });
+    });
+  });
+  return pairs;
+};
+
+const fromDocxParagraphs = (meta) => {
+  const items = (Array.isArray(meta.layout?.pages) ? meta.layout.pages : []).flatMap((page) =>
+    (page.blocks || [])
+      .filter((block) => block.text?.trim())
+      .map((block) => ({
+        number: block.number || '',
+        text: block.text.trim(),
+        page: page.pageNumber,
+        language: detectLanguageFromText(block.text)
+      }))
+  );
+  const languages = pickLanguagePair(items);
+  if (!languages) return null;
+  const side = (language) =>
+    items
+      .filter((item) => item.language === language)
+      .map(({ number, text, page }) => ({ number: number.replace(/[.)]$/, ''), text, page }));
+  return { source: 'paragraphs', languages, pairs: alignVersions(side(languages[0]), side(languages[1])) };
+};
+
+// Текст целиком на одном языке, затем на другом: сравниваем страницы
+const fromPdfPages = (meta) => {
+  const pages = Array.isArray(meta.pages) ? meta.pages : [];
+  const items = pages.map((text, index) => ({
+    text: String(text || ''),
+    page: index + 1,
+    language: meta.languages?.[index] || detectLanguageFromText(text)
+  }));
+  const languages = pickLanguagePair(items);
+  if (!languages) return null;
+  const side = (language) =>
+    items.filter((item) => item.language === language).flatMap((item) => splitIntoUnits(item.text, item.page));
+  return { source: 'pages', languages, pairs: alignVersions(side(languages[0]), side(languages[1])) };
+};
+
+const isDocx = (meta) => Boolean(meta.docx) || /wordprocessingml/.test(meta.originalType || '');
+
+const formatUnitRef = (unit) =>
+  unit ? [unit.number ? `п. ${unit.number}` : null, unit.page ? `стр. ${unit.page}` : null].filter(Boolean).join(', ') : '';
+
+/**
+ * Строит выравнивание языковых версий документа или возвращает null, если
+ * документ не двуязычный. Результат:
+ * { source, languages: [left, right], pairs: [{ id, ref, left, right, hints }], flaggedCount }.
+ */
+export const buildBilingualAlignment = (document) => {
+  const meta = document?.meta || {};
+  let result = null;
+  if (isDocx(meta)) {
+    const paragraphs = fromDocxParagraphs(meta);
+    const tablePairs = fromDocxTables(meta, paragraphs?.languages || null);
+    const languages = paragraphs?.languages || tablePairs[0]?.languages || null;
+    if (languages && (paragraphs?.pairs.length || tablePairs.length)) {
+      result = {
+        source: tablePairs.length && !paragraphs ? 'table' : 'paragraphs',
+        languages,
+        pairs: [...(paragraphs?.pairs || []), ...tablePairs.map(({ left, right }) => ({ left, right }))]
+      };
+    }
+  } else {
+    result = fromPdfColumns(meta) || fromPdfPages(meta);
+  }
+  if (!result || !result.pairs.some((pair) => pair.left && pair.right)) return null;
+  const pairs = result.pairs.map((pair, index) => ({
+    id: `P${index + 1}`,
+    ref: formatUnitRef(pair.left) || formatUnitRef(pair.right),
+    left: pair.left,
+    right: pair.right,
+    hints: pair.left && pair.right ? compareFacts(pair.left.text, pair.right.text) : []
+  }));
+  return {
+    source: result.source,
+    languages: result.languages,
+    pairs,
+    flaggedCount: pairs.filter((pair) => pair.hints.length || !pair.left || !pair.right).length
+  };
+};
+
+const clipText = (text, limit) => (text.length > limit ? `${text.slice(0, limit - 1)}…` : text);
+
+const formatHints = (hints) =>
+  hints
+    .map((hint) => `${hint.type}: ${hint.left.join(', ') || '—'} vs ${hint.right.join(', ') || '—'}`)
+    .join('; ');
+
+/**
+ * Пары для модели в пределах charLimit. Пары с отметками предварительной
+ * сверки и пункты без пары идут первыми. Возвращает { text, included, total }.
+ */
+export const formatAlignmentForModel = (alignment, { charLimit = 60_000, sideLimit = 700 } = {}) => {
+  const [leftLanguage, rightLanguage] = alignment.languages.map((language) => language.toUpperCase());
+  const rank = (pair) => (pair.hints.length ? 0 : !pair.left || !pair.right ? 1 : 2);
+  const ordered = [...alignment.pairs].sort((a, b) => rank(a) - rank(b));
+  const selected = new Set();
+  let used = 0;
+  ordered.forEach((pair) => {
+    const size = (pair.left?.text.length || 0) + (pair.right?.text.length || 0);
+    const length = Math.min(size, sideLimit * 2) + 120;
+    if (used + length > charLimit) return;
+    used += length;
+    selected.add(pair.id);
+  });
+  const text = alignment.pairs
+    .filter((pair) => selected.has(pair.id))
+    .map((pair) =>
+      [
+        `[${pair.id}]${pair.ref ? ` ${pair.ref}` : ''}`,
+        `${leftLanguage}: ${pair.left ? clipText(pair.left.text, sideLimit) : '(нет соответствующего фрагмента)'}`,
+        `${rightLanguage}: ${pair.right ? clipText(pair.right.text, sideLimit) : '(нет соответствующего фрагмента)'}`,
+        pair.hints.length ? `Pre-check: ${formatHints(pair.hints)}` : null
+      ]
+        .filter(Boolean)
+        .join('\n')
+    )
+    .join('\n\n');
+  return { text, included: selected.size, total: alignment.pairs.length };
+};
@@ -0,0 +1,449 @@
+/*
+ * Хронология дат и сроков
+ *
+ * Кроме модели даты никто не проверял. Здесь все даты и относительные сроки
+ * («в течение 10 рабочих дней с даты получения счёта») приводятся к единому
+ * виду, по окружающим словам получают роль (дата договора, начало и конец
+ * срока, поставка, оплата, счёт, доверенность, ссылка на основной договор)
+ * и проверяются на невозможный порядок: срок кончается раньше начала,
+ * поставка или оплата раньше подписания, оплата раньше счёта, допсоглашение
+ * раньше договора, доверенность истекла к дате договора. Находки того же
+ * вида, что у проверок реквизитов и сумм, с цитатой строки.
+ */
+
+import { findDates, findDurations } from './entities.js';
+import { collapse, createMentionFinding, lineContext, resolvePageNumber, sortFindings } from './findings.js';
+
+const MAX_DEADLINES = 30;
+const SENTENCE_WINDOW_CHARS = 160;
+const DOCUMENT_HEAD_CHARS = 600;
+const POA_EXPIRY_WINDOW_CHARS = 200;
+// Доверенность без указания срока действует год со дня выдачи (п. 1 ст. 186 ГК РФ)
+const DEFAULT_POA_MONTHS = 12;
+
+const SENTENCE_BOUNDARY = /[;!?]\s|\.\s+(?=[А-ЯЁA-Z])|\n/g;
+const SUPPLEMENT_SELF_PATTERN = /дополнительн\p{L}*\s+соглашени\p{L}*\s*(?:№\s*[^\s,]+\s*)?от\s*$|amendment\s*(?:No\.?\s*\S+\s*)?dated\s*$/iu;
+const SIGNING_PATTERN = /(?:дата\s+(?:подписания|заключения)|подписан\p{L}*|заключ[её]н\p{L}*|signed\s+on|dated)\s*:?\s*$/iu;
+const CONTRACT_REF_PATTERN =
+  /(?:договор|контракт|соглашени|agreement|contract)\p{L}*(?:\s+[\p{L}-]+){0,4}?\s*(?:№\s*[^\s,]+\s*)?(?:от|dated)\s*$/iu;
+const ANNEX_REF_PATTERN = /к\s+(?:настоящему\s+)?(?:договору|контракту|соглашению)|to\s+(?:the\s+)?(?:agreement|contract)/i;
+const POA_PATTERN = /доверенност|power\s+of\s+attorney/i;
+const POA_ISSUED_PATTERN =
+  /доверенност\p{L}*\s*(?:№\s*[^\s,]+\s*)?(?:от|выданн\p{L}*)\s*$|power\s+of\s+attorney\s*(?:No\.?\s*\S+\s*)?dated\s*$/iu;
+const POA_EXPIRES_PATTERN = /(?:действ\p{L}*|сроком|срок\s+действия)\s+(?:по|до)\s*$|valid\s+(?:until|through)\s*$/iu;
+const POA_TERM_PATTERN = /^[^.;\n]{0,60}?сроком\s+на\s+(\d{1,2})\s*(?:\([^)]*\)\s*)?(год|года|лет|месяц\p{L}*)/iu;
+const INVOICE_PATTERN = /(?:сч[её]т\p{L}*(?:[\s-]*фактур\p{L}*)?|УПД|invoice)\s*(?:№\s*[^\s,]+\s*)?(?:от|dated)\s*$/iu;
+const START_PATTERN = /(?:^|[\s(])(?:с|со|начиная\s+с|from|commencing(?:\s+on)?|as\s+of)\s*$/iu;
+const END_PATTERN = /(?:^|[\s(])(?:по|до|не\s+позднее|не\s+позже|until|by|through|no\s+later\s+than)\s*$/iu;
+const PERIOD_GAP_PATTERN = /^\s*(?:г\.|года)?\s*(?:по|до|[-–—]|to|until|through)\s*$/i;
+const SUBJECTS = [
+  { subject: 'payment', pattern: /оплат|оплач|плат[её]ж|перечисл|payment|pay(?![\p{L}])/giu },
+  { subject: 'delivery', pattern: /постав|отгруз|переда[чтн]|доставк|delivery|deliver/giu },
+  {
+    subject: 'term',
+    pattern: /действ|срок\p{L}*\s+(?:аренды|договора|оказания|выполнения)|вступает\s+в\s+силу|term(?![\p{L}])|expir|valid/giu
+  }
+];
+const RETROACTIVE_PATTERN =
+  /распространя\p{L}*\s+(?:сво\p{L}+\s+)?действи\p{L}*\s+на\s+(?:отношения|правоотношения)|applies\s+retroactively|with\s+retroactive\s+effect/iu;
+const SUPPLEMENT_HEAD_PATTERN = /дополнительн\p{L}*\s+соглашени|supplementary\s+agreement|amendment\s+(?:No|№)/iu;
+const APPENDIX_HEAD_PATTERN = /(?:^|\n)\s*(?:приложение|спецификация|annex|appendix|schedule)(?![\p{L}])/iu;
+const DEADLINE_LEAD_PATTERN =
+  /(?:в\s+течение|не\s+позднее|не\s+позже|в\s+срок(?:\s+не\s+более)?|через|within|no\s+later\s+than|not\s+later\s+than)\s*$/iu;
+const DEADLINE_ANCHOR_PATTERN =
+  /^\s*(?:с|со|после|от|from|after|of|following)\s+(?:(?:даты|дня|момента)\s+)?(?:the\s+(?:date\s+of\s+)?)?(\p{L}+)(?:\s+(\p{L}+))?/iu;
+const DEADLINE_ANCHORS = [
+  { anchor: 'invoice', pattern: /сч[её]т|invoice|упд/i },
+  { anchor: 'signing', pattern: /подписан|заключ|signing|execution/i },
+  { anchor: 'acceptance', pattern: /при[её]мк|акт|acceptance/i },
+  { anchor: 'delivery', pattern: /поставк|отгруз|передач|получени\p{L}*\s+товар|delivery/iu },
+  { anchor: 'order', pattern: /заявк|заказ|order/i },
+  { anchor: 'notice', pattern: /уведомл|notice/i }
+];
+const DAYS_PER_UNIT = { day: 1, week: 7, month: 30, year: 365 };
+
+// Текст предложения перед датой: роль даты определяют слова рядом с ней
+const sentenceBefore = (text, offset) => {
+  const window = text.slice(Math.max(0, offset - SENTENCE_WINDOW_CHARS), offset);
+  let start = 0;
+  for (const match of window.matchAll(SENTENCE_BOUNDARY)) start = match.index + match[0].length;
+  return window.slice(start);
+};
+
+const closestSubject = (before) => {
+  let best = null;
+  SUBJECTS.forEach(({ subject, pattern }) => {
+    for (const match of before.matchAll(pattern)) {
+      if (!best || match.index >= best.index) best = { subject, index: match.index };
+    }
+  });
+  return best?.subject || null;
+};
+
+const classifyDate = (before) => {
+  if (POA_ISSUED_PATTERN.test(before)) return 'poaIssued';
+  if (POA_PATTERN.test(before) && POA_EXPIRES_PATTERN.test(before)) return 'poaExpires';
+  if (INVOICE_PATTERN.test(before)) return 'invoice';
+  if (SUPPLEMENT_SELF_PATTERN.test(before)) return 'signing';
+  if (CONTRACT_REF_PATTERN.test(before)) return ANNEX_REF_PATTERN.test(before) ? 'annexRef' : 'contractRef';
+  if (SIGNING_PATTERN.test(before)) return 'signing';
+  const boundary = START_PATTERN.test(before) ? 'start' : END_PATTERN.test(before) ? 'end' : null;
+  switch (closestSubject(before)) {
+    case 'term':
+      return boundary === 'start' ? 'termStart' : boundary === 'end' ? 'termEnd' : null;
+    case 'delivery':
+      return 'delivery';
+    case 'payment':
+      return 'payment';
+    default:
+      return boundary;
+  }
+};
+
+const toTime = (iso) => Date.parse(`${iso}T00:00:00Z`);
+
+const formatDate = (iso) => iso.split('-').reverse().join('.');
+
+const addMonths = (iso, months) => {
+  const date = new Date(toTime(iso));
+  const day = date.getUTCDate();
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  date.setUTCDate(Math.min(day, lastDay));
+  return date.toISOString().slice(0, 10);
+};
+
+// Рабочие и банковские дни считаем без праздников — только выходные
+const addDuration = (iso, { value, unit, dayType }) => {
+  if (unit === 'month') return addMonths(iso, value);
+  if (unit === 'year') return addMonths(iso, value * 12);
+  const date = new Date(toTime(iso));
+  if (unit === 'day' && (dayType === 'working' || dayType === 'banking')) {
+    let left = value;
+    while (left > 0) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      const weekday = date.getUTCDay();
+      if (weekday !== 0 && weekday !== 6) left -= 1;
+    }
+  } else {
+    date.setUTCDate(date.getUTCDate() + value * DAYS_PER_UNIT[unit]);
+  }
+  return date.toISOString().slice(0, 10);
+};
+
+// Относительные сроки: «в течение 10 (десяти) рабочих дней с даты получения счёта»
+const collectDeadlines = (text, page) =>
+  findDurations(text)
+    .map((duration) => {
+      const before = sentenceBefore(text, duration.offset);
+      if (!DEADLINE_LEAD_PATTERN.test(before)) return null;
+      const anchorMatch = text.slice(duration.end).match(DEADLINE_ANCHOR_PATTERN);
+      const anchorText = anchorMatch ? `${anchorMatch[1]} ${anchorMatch[2] || ''}` : '';
+      const anchor = anchorMatch
+        ? DEADLINE_ANCHORS.find((item) => item.pattern.test(anchorText))?.anchor || 'event'
+        : null;
+      return {
+        obligation: closestSubject(before) || 'other',
+        anchor,
+        value: duration.value,
+        unit: duration.unit,
+        dayType: duration.dayType,
+        term: collapse(duration.text),
+        days: Math.round(duration.value * DAYS_PER_UNIT[duration.unit] * (duration.dayType === 'working' ? 7 / 5 : 1)),
+        text: collapse(text.slice(duration.offset, duration.end + (anchorMatch ? anchorMatch[0].length : 0))),
+        page,
+        offset: duration.offset,
+        context: lineContext(text, duration.offset)
+      };
+    })
+    .filter(Boolean);
+
+const resolveKind = (head) => {
+  if (SUPPLEMENT_HEAD_PATTERN.test(head.slice(0, 300))) return 'supplement';
+  if (APPENDIX_HEAD_PATTERN.test(head.slice(0, 300))) return 'appendix';
+  return 'contract';
+};
+
+// Даты чужих документов в шапке: ссылки на договор, доверенности, счета
+const REFERENCE_ROLES = ['contractRef', 'annexRef', 'poaIssued', 'poaExpires', 'invoice'];
+const ROLE_LABELS = { termStart: 'Начало срока', termEnd: 'Окончание срока действия', delivery: 'Поставка', payment: 'Оплата' };
+const KIND_LABELS = { supplement: 'Дополнительное соглашение', appendix: 'Приложение' };
+
+/**
+ * Проверяет хронологию дат документа. pages — тексты страниц (meta.pages);
+ * pageNumbers — их физические номера (иначе номер — индекс + 1); now — сегодняшняя
+ * дата: без даты договора доверенность сверяется с ней, и это не дефект хронологии,
+ * а отдельное предупреждение «истекла на сегодня».
+ * @returns {{ checked, documentDate, kind, deadlines, findings }} deadlines —
+ *   относительные сроки { obligation, anchor, value, unit, dayType, days, dueDate? },
+ *   findings — { type, severity, message, page, offset, text, locations }.
+ */
+export const checkChronology = ({ pages, text = '', pageNumbers = [], now = Date.now() } = {}) => {
+  const sources = Array.isArray(pages) && pages.some(Boolean) ? pages : [text];
+  const mentions = [];
+  const periods = [];
+  const deadlines = [];
+  let head = '';
+  let headPage = null;
+  let retroactive = false;
+  sources.forEach((source, index) => {
+    const pageText = typeof source === 'string' ? source : '';
+    if (!pageText.trim()) return;
+    const page = resolvePageNumber(pageNumbers, index);
+    if (!head) {
+      head = pageText.slice(0, DOCUMENT_HEAD_CHARS);
+      headPage = page;
+    }
+    retroactive = retroactive || RETROACTIVE_PATTERN.test(pageText);
+    const dates = findDates(pageText).filter((date) => date.value);
+    const pageMentions = dates.map((date) => {
+      const before = sentenceBefore(pageText, date.offset);
+      return {
+        ...date,
+        page,
+        role: classifyDate(before),
+        inHead: page === headPage && date.offset < DOCUMENT_HEAD_CHARS,
+        paragraph: pageText.lastIndexOf('\n', date.offset - 1) + 1,
+        context: lineContext(pageText, date.offset),
+        after: pageText.slice(date.end, date.end + POA_EXPIRY_WINDOW_CHARS)
+      };
+    });
+    pageMentions.forEach((mention, position) => {
+      const next = pageMentions[position + 1];
+      if (next && PERIOD_GAP_PATTERN.test(pageText.slice(mention.end, next.offset))) periods.push([mention, next]);
+    });
+    mentions.push(...pageMentions);
+    deadlines.push(...collectDeadlines(pageText, page));
+  });
+
+  const kind = resolveKind(head);
+  const signing =
+    mentions.find((mention) => mention.inHead && !REFERENCE_ROLES.includes(mention.role))
+    || mentions.find((mention) => mention.role === 'signing');
+  const documentDate = signing?.value || null;
+  const findings = [];
+  let checked = 0;
+
+  // Период «с … по …»: конец раньше начала
+  periods.forEach(([start, end]) => {
+    checked += 1;
+    if (toTime(end.value) < toTime(start.value)) {
+      findings.push(
+        createMentionFinding('period', 'error', `Срок заканчивается ${formatDate(end.value)} — раньше, чем начинается (${formatDate(start.value)}).`, end, [start])
+      );
+    }
+  });
+
+  // Допсоглашение или приложение раньше основного договора; приложения со ссылкой на другую дату договора
+  const references = mentions.filter((mention) => mention.role === 'annexRef' || mention.role === 'contractRef');
+  if (documentDate && kind !== 'contract') {
+    const main = references.find((mention) => mention.inHead) || references[0];
+    if (main) {
+      checked += 1;
+      if (toTime(documentDate) < toTime(main.value)) {
+        findings.push(
+          createMentionFinding(
+            'supplement',
+            'error',
+            `${KIND_LABELS[kind]} датировано ${formatDate(documentDate)} — раньше основного договора от ${formatDate(main.value)}.`,
+            signing,
+            [main]
+          )
+        );
+      }
+    }
+  } else if (documentDate) {
+    const seen = new Set();
+    references
+      .filter((mention) => mention.role === 'annexRef' && mention.value !== documentDate && !seen.has(mention.value))
+      .forEach((mention) => {
+        seen.add(mention.value);
+        checked += 1;
+        findings.push(
+          createMentionFinding(
+            'reference',
+            'warning',
+            `Ссылка на договор от ${formatDate(mention.value)}, а договор датирован ${formatDate(documentDate)}.`,
+            mention,
+            [signing]
+          )
+        );
+      });
+  }
+
+  // Сроки, поставка и оплата относительно даты договора и окончания срока действия
+  const termEnd = mentions
+    .filter((mention) => mention.role === 'termEnd')
+    .sort((a, b) => toTime(b.value) - toTime(a.value))[0];
+  mentions
+    .filter((mention) => ROLE_LABELS[mention.role])
+    .forEach((mention) => {
+      if (documentDate && mention !== signing) {
+        checked += 1;
+        const early = toTime(mention.value) < toTime(documentDate);
+        // Договор может распространять действие на прошлые отношения — тогда ранние даты не ошибка
+        if (early && (mention.role === 'termEnd' || !retroactive)) {
+          findings.push(
+            createMentionFinding(
+              'beforeSigning',
+              mention.role === 'termStart' ? 'warning' : 'error',
+              `${ROLE_LABELS[mention.role]} ${formatDate(mention.value)} — раньше даты договора ${formatDate(documentDate)}.`,
+              mention,
+              [signing]
+            )
+          );
+        }
+      }
+      if (termEnd && (mention.role === 'delivery' || mention.role === 'payment')) {
+        checked += 1;
+        if (toTime(mention.value) > toTime(termEnd.value)) {
+          findings.push(
+            createMentionFinding(
+              'afterTerm',
+              'warning',
+              `${ROLE_LABELS[mention.role]} ${formatDate(mention.value)} — после окончания срока действия договора ${formatDate(termEnd.value)}.`,
+              mention,
+              [termEnd]
+            )
+          );
+        }
+      }
+    });
+
+  // Оплата раньше счёта в одном абзаце
+  mentions
+    .filter((mention) => mention.role === 'payment')
+    .forEach((payment) => {
+      mentions
+        .filter((mention) => mention.role === 'invoice' && mention.page === payment.page && mention.paragraph === payment.paragraph)
+        .forEach((invoice) => {
+          checked += 1;
+          if (toTime(payment.value) < toTime(invoice.value)) {
+            findings.push(
+              createMentionFinding(
+                'paymentBeforeInvoice',
+                'error',
+                `Оплата ${formatDate(payment.value)} — раньше счёта от ${formatDate(invoice.value)}.`,
+                payment,
+                [invoice]
+              )
+            );
+          }
+        });
+    });
+
+  // Доверенности представителей: срок действия на дату договора. Без даты договора
+  // сверяем с сегодняшним днём — повторный анализ старого договора не должен
+  // превращать тогда действовавшую доверенность в ошибку хронологии
+  const today = new Date(now).toISOString().slice(0, 10);
+  mentions
+    .filter((mention) => mention.role === 'poaIssued')
+    .forEach((issued) => {
+      const explicit = mentions.find(
+        (mention) =>
+          mention.role === 'poaExpires'
+          && mention.page === issued.page
+          && mention.offset > issued.offset
+          && mention.offset - issued.end <= POA_EXPIRY_WINDOW_CHARS
+      );
+      const term = issued.after.match(POA_TERM_PATTERN);
+      const months = term ? Number(term[1]) * (/^меся/i.test(term[2]) ? 1 : 12) : DEFAULT_POA_MONTHS;
+      const expires = explicit?.value || addMonths(issued.value, months);
+      const stated = Boolean(explicit || term);
+      const validity = `Доверенность от ${formatDate(issued.value)} ${stated ? 'действовала' : 'без указанного срока действовала'} до ${formatDate(expires)}`;
+      checked += 1;
+      if (documentDate && toTime(expires) < toTime(documentDate)) {
+        findings.push(
+          createMentionFinding(
+            'poaExpired',
+            stated ? 'error' : 'warning',
+            `${validity} — на дату договора ${formatDate(documentDate)} она истекла.`,
+            issued,
+            explicit ? [explicit] : []
+          )
+        );
+      } else if (!documentDate && toTime(expires) < toTime(today)) {
+        findings.push(
+          createMentionFinding(
+            'poaExpiredToday',
+            'warning',
+            `${validity} и на сегодня (${formatDate(today)}) истекла. Дата договора не найдена, поэтому действие доверенности на момент подписания не проверено.`,
+            issued,
+            explicit ? [explicit] : []
+          )
+        );
+      } else if (documentDate && toTime(issued.value) > toTime(documentDate)) {
+        findings.push(
+          createMentionFinding(
+            'poaAfterSigning',
+            'warning',
+            `Доверенность выдана ${formatDate(issued.value)} — позже даты договора ${formatDate(documentDate)}.`,
+            issued
+          )
+        );
+      }
+    });
+
+  // Относительные сроки от подписания — в даты; срок позже окончания договора не исполнить
+  const normalized = deadlines.slice(0, MAX_DEADLINES).map((deadline) => {
+    if (deadline.anchor !== 'signing' || !documentDate) return deadline;
+    const dueDate = addDuration(documentDate, deadline);
+    if (termEnd) {
+      checked += 1;
+      if (toTime(dueDate) > toTime(termEnd.value)) {
+        findings.push(
+          createMentionFinding(
+            'deadlineAfterTerm',
+            'warning',
+            `Срок «${deadline.text}» истекает ${formatDate(dueDate)} — после окончания срока действия договора ${formatDate(termEnd.value)}.`,
+            deadline,
+            [termEnd]
+          )
+        );
+      }
+    }
+    return { ...deadline, dueDate };
+  });
+
+  return {
+    checked,
+    documentDate,
+    kind,
+    deadlines: normalized,
+    findings: sortFindings(findings)
+  };
+};
+
+const CHRONOLOGY_TYPE_LABELS = {
+  period: 'Период',
+  supplement: 'Дата соглашения',
+  reference: 'Ссылка на договор',
+  beforeSigning: 'Раньше даты договора',
+  afterTerm: 'После окончания срока',
+  paymentBeforeInvoice: 'Оплата раньше счёта',
+  poaExpired: 'Истёкшая доверенность',
+  poaExpiredToday: 'Доверенность истекла на сегодня',
+  poaAfterSigning: 'Доверенность позже договора',
+  deadlineAfterTerm: 'Срок за пределами договора'
+};
+
+export const formatChronologyFindingTitle = (finding) =>
+  [CHRONOLOGY_TYPE_LABELS[finding.type] || finding.type, finding.severity === 'error' ? 'ошибка' : 'проверить'].join(' · ');
+
+const DEADLINE_OBLIGATIONS = { payment: 'оплата', delivery: 'поставка', term: 'срок', other: 'срок' };
+const DEADLINE_ANCHOR_LABELS = {
+  invoice: 'счёта',
+  signing: 'подписания',
+  acceptance: 'приёмки',
+  delivery: 'поставки',
+  order: 'заявки',
+  notice: 'уведомления',
+  event: 'события'
+};
+
+// «оплата: 10 рабочих дней от счёта» — короткая запись относительного срока
+export const formatDeadline = (deadline) =>
+  `${DEADLINE_OBLIGATIONS[deadline.obligation] || 'срок'}: ${deadline.term.replace(/\s*\([^)]*\)/, '')}${
+    deadline.anchor ? ` от ${DEADLINE_ANCHOR_LABELS[deadline.anchor]}` : ''
+  }${deadline.dueDate ? ` → ${formatDate(deadline.dueDate)}` : ''}`;
@@ -0,0 +1,21 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { checkChronology } from './chronology.js';
+
+const POA = 'Представитель действует на основании доверенности от 10.01.2020 сроком на 1 год. Подписано представителем.';
+const NOW = Date.parse('2026-10-19');
+const types = (result) => result.findings.map((finding) => [finding.type, finding.severity, finding.page]);
+
+test('без даты договора истёкшая доверенность — предупреждение «на сегодня», а не ошибка хронологии', () => {
+  const result = checkChronology({ pages: [POA], text: POA, now: NOW });
+  assert.deepEqual(types(result), [['poaExpiredToday', 'warning', 1]]);
+  assert.match(result.findings[0].message, /на сегодня \(19\.10\.2026\)/);
+});
+
+test('доверенность сверяется с датой договора и получает физический номер страницы', () => {
+  const text = `Договор поставки № 5\nг. Москва 15.06.2021\n${POA}`;
+  const result = checkChronology({ pages: ['', text], pageNumbers: [3, 4], text, now: NOW });
+  assert.deepEqual(types(result), [['poaExpired', 'error', 4]]);
+  assert.match(result.findings[0].message, /на дату договора 15\.06\.2021/);
+});
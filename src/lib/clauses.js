@@ -0,0 +1,372 @@
+/*
+ * Clause segmentation
+ *
+ * Turns extracted page text and layout lines into a flat clause list with a
+ * parent/child hierarchy (appendix → section → clause → sub-clause → item).
+ * IDs are derived from clause numbers ("cl-4.2.1"), so they stay stable
+ * between runs, can be quoted by the model and resolved back to a page/bbox.
+ */
+
+const MAX_CLAUSE_TEXT_CHARS = 400;
+const MAX_CLAUSE_TITLE_CHARS = 160;
+const MAX_OUTLINE_ITEMS = 300;
+const MAX_OUTLINE_CHARS = 12_000;
+
+const NUMBERED_PATTERN = /^(\d{1,3}(?:\.\d{1,3})*)(\.|\))?\s+(\S.*)$/;
+const NUMBER_ONLY_PATTERN = /^(\d{1,3}(?:\.\d{1,3})*)[.)]?$/;
+const SECTION_PATTERN = /^(раздел|статья|глава|section|article|chapter)\s+(\d{1,3}|[ivxlc]{1,7})(?=[\s.:]|$)[.:]?\s*(.*)$/i;
+const APPENDIX_PATTERN = /^(приложение|annex|appendix|schedule)(?:\s*№)?\s*(\d{1,3}|[a-zа-я])?(?=[\s.:]|$)[.:]?\s*(.*)$/i;
+const LETTERED_PATTERN = /^([а-яa-z])\)\s+(\S.*)$/i;
+// Строки вида «2.5 млн руб.» или «10 000 рублей» — это суммы, а не пункты
+// (единица должна стоять отдельным словом: «Штраф», «Место», «Часть» — начало пункта)
+const MEASURE_PATTERN =
+  /^(?:%|(?:руб(?:л(?:ей|я|ь))?|млн|млрд|тыс|коп(?:еек|ейки|ейка)?|usd|eur|долл(?:ар(?:ов|а)?)?|евро|г|года?|лет|дн(?:я|ей)?|день|мес(?:яц(?:а|ев)?)?|час(?:а|ов)?|шт|кг|м2|м²)(?![\p{L}\d]))/iu;
+const CLAUSE_REF_PATTERN = /(?:\b(D\d{1,3}):)?((?:app-[\p{L}\d]+\/)?(?:cl|sec|app|h)-[\p{L}\d.~/-]*[\p{L}\d])/gu;
+
+const clip = (value, limit) => (value.length > limit ? `${value.slice(0, limit - 1)}…` : value);
+
+const roundCoord = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+const isMostlyUppercase = (text) => {
+  const letters = (text.match(/[A-Za-zА-Яа-яЁё]/g) || []).length;
+  if (letters < 4) return false;
+  const uppercase = (text.match(/[A-ZА-ЯЁ]/g) || []).length;
+  return uppercase / letters > 0.65;
+};
+
+const unionBbox = (blocks) => {
+  const boxes = blocks.map((block) => block.bbox).filter((bbox) => Array.isArray(bbox) && bbox.length === 4);
+  if (!boxes.length) return null;
+  return [
+    roundCoord(Math.min(...boxes.map((bbox) => bbox[0]))),
+    roundCoord(Math.min(...boxes.map((bbox) => bbox[1]))),
+    roundCoord(Math.max(...boxes.map((bbox) => bbox[2]))),
+    roundCoord(Math.max(...boxes.map((bbox) => bbox[3])))
+  ];
+};
+
+const linesFromLayoutPage = (page, pageIndex) => {
+  const groups = new Map();
+  (page.blocks || []).forEach((block) => {
+    if (!block?.text) return;
+    const key = Number.isFinite(block.line) ? block.line : block.id;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(block);
+  });
+  return Array.from(groups.entries())
+    .map(([key, blocks]) => {
+      const sorted = [...blocks].sort((a, b) => (a.bbox?.[0] || 0) - (b.bbox?.[0] || 0));
+      return {
+        text: sorted.map((block) => block.text).join(' ').replace(/\s+/g, ' ').trim(),
+        page: Number(page.pageNumber) || pageIndex + 1,
+        bbox: unionBbox(sorted),
+        heading: sorted.some((block) => block.heading),
+        styled: sorted.some((block) => block.heading && block.level > 0),
+        order: typeof key === 'number' ? key : null
+      };
+    })
+    .filter((line) => line.text)
+    // Номер строки задаёт порядок чтения (в многоколоночных PDF он не совпадает с y)
+    .sort((a, b) =>
+      a.order !== null && b.order !== null
+        ? a.order - b.order
+        : (a.bbox?.[1] || 0) - (b.bbox?.[1] || 0) || (a.bbox?.[0] || 0) - (b.bbox?.[0] || 0)
+    );
+};
+
+const linesFromText = (pageText, page) =>
+  String(pageText || '')
+    .split(/\n+/)
+    .map((text) => text.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .map((text) => ({ text, page, bbox: null, heading: false, styled: false }));
+
+// textPages — номера страниц, текст которых заменён OCR: их блоки разметки
+// остались от негодного текстового слоя, поэтому берём строки из pages
+const collectLines = ({ pages, layout, textPages = [] }) => {
+  const texts = Array.isArray(pages) ? pages : [];
+  const layoutPages = Array.isArray(layout?.pages) ? layout.pages : [];
+  if (layoutPages.some((page) => Array.isArray(page.blocks) && page.blocks.length)) {
+    return layoutPages.flatMap((page, pageIndex) => {
+      const pageNumber = Number(page.pageNumber) || pageIndex + 1;
+      const hasBlocks = Array.isArray(page.blocks) && page.blocks.length > 0;
+      return hasBlocks && !textPages.includes(pageNumber)
+        ? linesFromLayoutPage(page, pageIndex)
+        : linesFromText(texts[pageIndex], pageNumber);
+    });
+  }
+  return texts.flatMap((pageText, pageIndex) => linesFromText(pageText, pageIndex + 1));
+};
+
+// Номер без текста в PDF часто оказывается отдельной строкой — склеиваем его
+// со следующей строкой, чтобы не терять заголовок пункта
+const mergeDetachedNumbers = (lines) => {
+  const merged = [];
+  for (let index = 0; index < lines.length; index += 1) {
+    const line = lines[index];
+    const next = lines[index + 1];
+    if (NUMBER_ONLY_PATTERN.test(line.text) && next && next.page === line.page) {
+      merged.push({
+        ...next,
+        text: `${line.text} ${next.text}`,
+        bbox: line.bbox && next.bbox ? unionBbox([line, next]) : line.bbox || next.bbox,
+        heading: line.heading || next.heading
+      });
+      index += 1;
+    } else {
+      merged.push(line);
+    }
+  }
+  return merged;
+};
+
+const isPlausibleNumber = (segments, state) => {
+  const number = segments.join('.');
+  if (segments.length === 1) {
+    const last = state.lastTopNumber;
+    // Нумерация верхнего уровня идёт подряд, но может начаться заново в приложении
+    return last === null ? segments[0] <= 3 : segments[0] === 1 || (segments[0] > last && segments[0] <= last + 3);
+  }
+  const parent = segments.slice(0, -1).join('.');
+  if (state.scopeNumbers.has(parent)) return true;
+  if (segments[segments.length - 1] === 1) return true;
+  const previous = state.lastClause?.segments;
+  return Boolean(
+    previous &&
+      previous.length === segments.length &&
+      previous.slice(0, -1).join('.') === parent &&
+      segments[segments.length - 1] > previous[previous.length - 1] &&
+      !state.scopeNumbers.has(number)
+  );
+};
+
+const classifyLine = (line, state) => {
+  const { text } = line;
+  const shortLine = text.length <= 120;
+
+  const appendix = shortLine ? text.match(APPENDIX_PATTERN) : null;
+  if (appendix && (line.heading || text.length <= 80)) {
+    const key = (appendix[2] || String(state.appendixCount + 1)).toLowerCase();
+    return { kind: 'appendix', rank: 0, key, number: appendix[2] || '', title: text };
+  }
+
+  const section = shortLine ? text.match(SECTION_PATTERN) : null;
+  if (section) {
+    return {
+      kind: 'section',
+      rank: 1,
+      key: section[2].toLowerCase(),
+      number: section[2],
+      title: text
+    };
+  }
+
+  const numbered = text.match(NUMBERED_PATTERN);
+  if (numbered) {
+    const [, number, terminator, rest] = numbered;
+    const segments = number.split('.').map(Number);
+    const plausible =
+      (segments.length > 1 || Boolean(terminator)) &&
+      // Сумма пишется без точки после числа («2.5 млн»), пункт — с точкой («1.2. Срок»)
+      (Boolean(terminator) || !MEASURE_PATTERN.test(rest)) &&
+      segments.every((segment) => segment > 0 && segment < 200) &&
+      isPlausibleNumber(segments, state);
+    if (plausible) {
+      return {
+        kind: 'clause',
+        rank: 1 + segments.length,
+        key: segments.join('.'),
+        number: segments.join('.'),
+        segments,
+        title: rest
+      };
+    }
+  }
+
+  const lettered = text.match(LETTERED_PATTERN);
+  if (lettered && state.lastClause) {
+    return {
+      kind: 'item',
+      rank: state.lastClause.rank + 1,
+      key: lettered[1].toLowerCase(),
+      number: `${lettered[1].toLowerCase()})`,
+      title: lettered[2]
+    };
+  }
+
+  if (line.heading && shortLine && (line.styled || isMostlyUppercase(text))) {
+    return { kind: 'heading', rank: 1, key: '', number: '', title: text };
+  }
+  return null;
+};
+
+const buildClauseId = (candidate, parent, scopeId, headingIndex, line) => {
+  switch (candidate.kind) {
+    case 'appendix':
+      return `app-${candidate.key}`;
+    case 'section':
+      return `${scopeId ? `${scopeId}/` : ''}sec-${candidate.key}`;
+    case 'clause':
+      return `${scopeId ? `${scopeId}/` : ''}cl-${candidate.number}`;
+    case 'item':
+      return `${parent?.id || 'cl'}-${candidate.key}`;
+    default:
+      return `h-${line.page}-${headingIndex}`;
+  }
+};
+
+export const buildClauseTree = ({ pages, layout, textPages } = {}) => {
+  const lines = mergeDetachedNumbers(collectLines({ pages, layout, textPages }));
+  const clauses = [];
+  const usedIds = new Map();
+  const stack = [];
+  const state = {
+    lastTopNumber: null,
+    lastClause: null,
+    appendixCount: 0,
+    scopeNumbers: new Set()
+  };
+  let scopeId = '';
+  let headingIndex = 0;
+  let current = null;
+
+  lines.forEach((line) => {
+    const candidate = classifyLine(line, state);
+    if (!candidate) {
+      if (current && current.text.length < MAX_CLAUSE_TEXT_CHARS) {
+        current.text = clip(`${current.text} ${line.text}`.trim(), MAX_CLAUSE_TEXT_CHARS);
+      }
+      if (current) {
+        current.endPage = Math.max(current.endPage, line.page);
+      }
+      return;
+    }
+
+    if (candidate.kind === 'appendix') {
+      state.appendixCount += 1;
+      state.lastTopNumber = null;
+      state.lastClause = null;
+      state.scopeNumbers = new Set();
+    }
+    while (stack.length && stack[stack.length - 1].rank >= candidate.rank) {
+      stack.pop();
+    }
+    const parent = stack[stack.length - 1] || null;
+    if (candidate.kind === 'heading') {
+      headingIndex += 1;
+    }
+    const baseId = buildClauseId(candidate, parent, candidate.kind === 'appendix' ? '' : scopeId, headingIndex, line);
+    const seen = usedIds.get(baseId) || 0;
+    usedIds.set(baseId, seen + 1);
+    const id = seen ? `${baseId}~${seen + 1}` : baseId;
+
+    const clause = {
+      id,
+      kind: candidate.kind,
+      number: candidate.number,
+      title: clip(candidate.title, MAX_CLAUSE_TITLE_CHARS),
+      level: stack.length + 1,
+      parentId: parent?.id || null,
+      page: line.page,
+      endPage: line.page,
+      bbox: line.bbox,
+      text: clip(candidate.kind === 'clause' || candidate.kind === 'item' ? candidate.title : '', MAX_CLAUSE_TEXT_CHARS)
+    };
+    clauses.push(clause);
+    stack.push({ id, rank: candidate.rank });
+    current = clause;
+
+    if (candidate.kind === 'appendix') {
+      scopeId = id;
+    }
+    if (candidate.kind === 'clause') {
+      state.scopeNumbers.add(candidate.number);
+      state.lastClause = { rank: candidate.rank, segments: candidate.segments };
+      if (candidate.segments.length === 1) {
+        state.lastTopNumber = candidate.segments[0];
+      }
+    }
+  });
+
+  return clauses;
+};
+
+const formatClauseLabel = (clause) => {
+  if (clause.kind === 'clause') return `п. ${clause.number} ${clause.title}`;
+  if (clause.kind === 'item') return `${clause.number} ${clause.title}`;
+  // У разделов и приложений номер уже входит в заголовок
+  return clause.title;
+};
+
+// Компактное оглавление для модели: ID, номер, заголовок и страница
+export const formatClauseOutline = (clauses = [], { prefix = '', limit = MAX_OUTLINE_ITEMS } = {}) => {
+  if (!Array.isArray(clauses) || !clauses.length) return '';
+  const lines = [];
+  let length = 0;
+  for (const clause of clauses.slice(0, limit)) {
+    const pages = clause.endPage && clause.endPage !== clause.page ? `стр. ${clause.page}–${clause.endPage}` : `стр. ${clause.page}`;
+    const line = `${'  '.repeat(Math.max(clause.level - 1, 0))}- [${prefix}${clause.id}] ${clip(formatClauseLabel(clause), 120)} (${pages})`;
+    if (length + line.length > MAX_OUTLINE_CHARS) break;
+    lines.push(line);
+    length += line.length + 1;
+  }
+  if (lines.length < clauses.length) {
+    lines.push(`- … ещё ${clauses.length - lines.length} пунктов`);
+  }
+  return lines.join('\n');
+};
+
+export const buildClauseIndex = (documents = []) => {
+  const index = new Map();
+  const list = Array.isArray(documents) ? documents.filter(Boolean) : [];
+  list.forEach((document, documentIndex) => {
+    const label = `D${documentIndex + 1}`;
+    const clauses = Array.isArray(document?.meta?.clauses) ? document.meta.clauses : [];
+    clauses.forEach((clause) => {
+      const entry = {
+        documentLabel: list.length > 1 ? label : '',
+        documentName: document?.name || document?.meta?.originalName || '',
+        clause
+      };
+      index.set(`${label}:${clause.id}`, entry);
+      if (list.length === 1) {
+        index.set(clause.id, entry);
+      }
+    });
+  });
+  return index;
+};
+
+// Находит в строке ссылки вида «cl-4.2.1» или «D2:cl-4.1» и сопоставляет их
+// с пунктами из индекса; неизвестные ID возвращаются как обычный текст
+export const resolveClauseRefs = (text, index) => {
+  const value = typeof text === 'string' ? text : '';
+  if (!value || !index || !index.size) {
+    return value ? [{ text: value }] : [];
+  }
+  const parts = [];
+  let lastIndex = 0;
+  CLAUSE_REF_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = CLAUSE_REF_PATTERN.exec(value)) !== null) {
+    const [raw, label, id] = match;
+    const entry = index.get(label ? `${label}:${id}` : id) || (label ? null : index.get(`D1:${id}`));
+    if (!entry) continue;
+    if (match.index > lastIndex) {
+      parts.push({ text: value.slice(lastIndex, match.index) });
+    }
+    parts.push({ text: raw, ref: entry });
+    lastIndex = match.index + raw.length;
+  }
+  if (lastIndex < value.length) {
+    parts.push({ text: value.slice(lastIndex) });
+  }
+  return parts;
+};
+
+export const describeClauseRef = (entry) => {
+  if (!entry?.clause) return '';
+  const { clause } = entry;
+  const pages = clause.endPage && clause.endPage !== clause.page ? `стр. ${clause.page}–${clause.endPage}` : `стр. ${clause.page}`;
+  return [entry.documentLabel, formatClauseLabel(clause), pages].filter(Boolean).join(' · ');
+};
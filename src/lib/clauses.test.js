@@ -0,0 +1,41 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { buildClauseTree } from './clauses.js';
+
+const numbers = (text) => buildClauseTree({ pages: [text] }).map((clause) => clause.number);
+
+test('пункты, начинающиеся со слов, похожих на единицы измерения, не теряются', () => {
+  assert.deepEqual(
+    numbers('1. Предмет\n1.1. Место поставки: склад.\n1.2. Часть товара…\n1.3. Годовой объём.\n1.4. Дни приёмки.'),
+    ['1', '1.1', '1.2', '1.3', '1.4']
+  );
+  assert.deepEqual(numbers('2. Цена\n2.1. Штраф.'), ['2', '2.1']);
+  assert.deepEqual(numbers('1. Условия\n1.1 Место поставки\n1.2 Штраф за просрочку\n1.3 Часть оплаты'), ['1', '1.1', '1.2', '1.3']);
+});
+
+test('суммы и сроки в начале строки не становятся пунктами', () => {
+  assert.deepEqual(numbers('1. Цена\nЦена составляет\n2.5 млн руб.\n1.1 Срок поставки\n10.5 дней'), ['1', '1.1']);
+});
+
+test('страница-скан без текстового слоя сохраняет свой номер и строки', () => {
+  const layout = {
+    pages: [
+      { pageNumber: 1, blocks: [{ id: 'b1', line: 0, text: '1. Предмет', bbox: [0, 0, 10, 10] }] },
+      { pageNumber: 2, blocks: [] },
+      { pageNumber: 3, blocks: [{ id: 'b2', line: 0, text: 'мусор текстового слоя', bbox: [0, 0, 10, 10] }] }
+    ]
+  };
+  const pages = ['1. Предмет', '1.1. Поставщик поставляет товар.\n1.2. Штраф 1 %.', '2. Цена\n2.1. Цена договора.'];
+  const clauses = buildClauseTree({ pages, layout, textPages: [3] });
+  assert.deepEqual(
+    clauses.map((clause) => [clause.number, clause.page]),
+    [
+      ['1', 1],
+      ['1.1', 2],
+      ['1.2', 2],
+      ['2', 3],
+      ['2.1', 3]
+    ]
+  );
+});
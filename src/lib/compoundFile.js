@@ -0,0 +1,144 @@
+/*
+ * Контейнер OLE2 (Compound File Binary)
+ *
+ * В нём хранятся .doc, .xls и письма Outlook .msg: внутри — дерево хранилищ
+ * и потоков, как в файловой системе. Модуль читает FAT, каталог и мини-поток
+ * и отдаёт узлы дерева: child(name), children(), read().
+ */
+
+const CFB_SIGNATURE = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1];
+const CFB_END_OF_CHAIN = 0xfffffffa;
+const NO_STREAM = 0xffffffff;
+
+export const isCompoundFile = (buffer) => {
+  const view = new Uint8Array(buffer, 0, Math.min(8, buffer.byteLength));
+  return CFB_SIGNATURE.every((byte, index) => view[index] === byte);
+};
+
+export const utf16ToString = (bytes) => {
+  const codes = new Uint16Array(bytes.slice(0, bytes.length & ~1).buffer);
+  let result = '';
+  for (let index = 0; index < codes.length; index += 8192) {
+    result += String.fromCharCode.apply(null, codes.subarray(index, index + 8192));
+  }
+  return result;
+};
+
+const corrupted = () => new Error('Контейнер OLE2 повреждён: структура файла не читается.');
+
+export const readCompoundFile = (buffer) => {
+  if (!isCompoundFile(buffer)) throw corrupted();
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  const sectorSize = 1 << view.getUint16(0x1e, true);
+  const miniSectorSize = 1 << view.getUint16(0x20, true);
+  const fatSectorCount = view.getUint32(0x2c, true);
+  const firstDirSector = view.getUint32(0x30, true);
+  const miniCutoff = view.getUint32(0x38, true);
+  const firstMiniFatSector = view.getUint32(0x3c, true);
+  const sectorOffset = (id) => {
+    const offset = (id + 1) * sectorSize;
+    if (offset >= buffer.byteLength) throw corrupted();
+    return offset;
+  };
+
+  const fatSectors = [];
+  for (let index = 0; index < 109 && fatSectors.length < fatSectorCount; index += 1) {
+    const id = view.getUint32(0x4c + index * 4, true);
+    if (id >= CFB_END_OF_CHAIN) break;
+    fatSectors.push(id);
+  }
+  let difatSector = view.getUint32(0x44, true);
+  for (let guard = 0; difatSector < CFB_END_OF_CHAIN && fatSectors.length < fatSectorCount && guard < 4096; guard += 1) {
+    const base = sectorOffset(difatSector);
+    for (let index = 0; index < sectorSize / 4 - 1 && fatSectors.length < fatSectorCount; index += 1) {
+      fatSectors.push(view.getUint32(base + index * 4, true));
+    }
+    difatSector = view.getUint32(base + sectorSize - 4, true);
+  }
+  const fat = [];
+  fatSectors.forEach((id) => {
+    const base = sectorOffset(id);
+    for (let index = 0; index < sectorSize / 4; index += 1) fat.push(view.getUint32(base + index * 4, true));
+  });
+
+  const chain = (start, table) => {
+    const ids = [];
+    for (let id = start; id < CFB_END_OF_CHAIN; id = table[id]) {
+      if (id >= table.length || ids.length > table.length) throw corrupted();
+      ids.push(id);
+    }
+    return ids;
+  };
+
+  const readChain = (start, size, table, read, unit) => {
+    const ids = chain(start, table);
+    const result = new Uint8Array(size ?? ids.length * unit);
+    ids.forEach((id, index) => {
+      const offset = index * unit;
+      if (offset >= result.length) return;
+      result.set(read(id).subarray(0, Math.min(unit, result.length - offset)), offset);
+    });
+    return result;
+  };
+
+  const readSector = (id) => bytes.subarray(sectorOffset(id), sectorOffset(id) + sectorSize);
+  const directory = readChain(firstDirSector, null, fat, readSector, sectorSize);
+  const entries = [];
+  for (let offset = 0; offset + 128 <= directory.length; offset += 128) {
+    const entryView = new DataView(directory.buffer, directory.byteOffset + offset, 128);
+    const nameLength = entryView.getUint16(0x40, true);
+    entries.push({
+      name: utf16ToString(directory.subarray(offset, offset + Math.max(0, Math.min(nameLength, 64) - 2))),
+      type: entryView.getUint8(0x42),
+      left: entryView.getUint32(0x44, true),
+      right: entryView.getUint32(0x48, true),
+      child: entryView.getUint32(0x4c, true),
+      start: entryView.getUint32(0x74, true),
+      size: entryView.getUint32(0x78, true)
+    });
+  }
+  const rootEntry = entries.find((entry) => entry.type === 5);
+  if (!rootEntry) throw corrupted();
+  const miniStream = readChain(rootEntry.start, rootEntry.size, fat, readSector, sectorSize);
+  const miniFatBytes =
+    firstMiniFatSector < CFB_END_OF_CHAIN ? readChain(firstMiniFatSector, null, fat, readSector, sectorSize) : new Uint8Array(0);
+  const miniFatView = new DataView(miniFatBytes.buffer, miniFatBytes.byteOffset, miniFatBytes.byteLength);
+  const miniFat = Array.from({ length: miniFatBytes.length / 4 }, (_, index) => miniFatView.getUint32(index * 4, true));
+  const readMiniSector = (id) => miniStream.subarray(id * miniSectorSize, (id + 1) * miniSectorSize);
+
+  const readEntry = (entry) =>
+    entry.size < miniCutoff
+      ? readChain(entry.start, entry.size, miniFat, readMiniSector, miniSectorSize)
+      : readChain(entry.start, entry.size, fat, readSector, sectorSize);
+
+  // Дети хранилища лежат в дереве по ссылкам left/right, начиная с child
+  const listChildren = (entry) => {
+    const result = [];
+    const pending = [entry.child];
+    const seen = new Set();
+    while (pending.length) {
+      const id = pending.pop();
+      if (id === NO_STREAM || id >= entries.length || seen.has(id)) continue;
+      seen.add(id);
+      const item = entries[id];
+      result.push(item);
+      pending.push(item.left, item.right);
+    }
+    return result;
+  };
+
+  const toNode = (entry) => ({
+    name: entry.name,
+    isStream: entry.type === 2,
+    size: entry.size,
+    children: () => listChildren(entry).map(toNode),
+    child: (name) => {
+      const found = listChildren(entry).find((item) => item.name === name);
+      return found ? toNode(found) : null;
+    },
+    read: () => (entry.type === 2 ? readEntry(entry) : null)
+  });
+
+  return toNode(rootEntry);
+};
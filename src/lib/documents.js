@@ -1,4 +1,34 @@
 import { uploadDataUrlToCloudinary } from './cloudinary.js';
+import { checkAmounts } from './amountChecks.js';
+import { checkChronology } from './chronology.js';
+import { buildClauseTree } from './clauses.js';
+import { parseDocxArchive } from './docx.js';
+import { countEntities, extractEntities } from './entities.js';
+import { validateRequisites } from './requisites.js';
+import { isCompoundFile } from './compoundFile.js';
+import { formatEmailHeaders, parseEml, parseMsg } from './email.js';
+import { parseOdtArchive, parseRtf, parseWordBinary } from './legacyFormats.js';
+import { buildSpreadsheetDocument, parseCsv, parseXlsxArchive } from './spreadsheet.js';
+import {
+  createAbortError,
+  createPdfRenderer,
+  isAbortError,
+  resolvePoolSize,
+  runPool,
+  throwIfAborted
+} from './extractionPool.js';
+import {
+  formatMissingOcrLanguages,
+  isOcrModelError,
+  normalizeOcrSettings,
+  recognizeImage,
+  terminateOcrWorkers
+} from './ocr.js';
+import { MAX_TOTAL_FILE_SIZE_BYTES } from './config.js';
+import { canPreprocessImages, preprocessImage } from './ocrPreprocess.js';
+import { detectPageFurniture } from './pageFurniture.js';
+import { countIncrementalUpdates, inspectPdfDocument } from './pdfInspection.js';
+import { collectDocumentTables, detectPdfTables, formatTableMarkdown } from './tables.js';
 
 /*
  * Document handling utilities
@@ -11,7 +41,6 @@ import { uploadDataUrlToCloudinary } from './cloudinary.js';
 
 let pdfjsPromise;
 let jszipPromise;
-let ocrScriptPromise;
 
 const MIN_USEFUL_TEXT_LENGTH = 200;
 const IMAGE_PREVIEW_MAX_CHARS = 2800;
@@ -173,32 +202,92 @@ const canUseCanvas = () => {
   }
 };
 
-const loadTesseract = async () => {
-  if (!canUseCanvas()) return null;
-  if (typeof window === 'undefined') return null;
-  if (window.Tesseract) return window.Tesseract;
-  if (!ocrScriptPromise) {
-    ocrScriptPromise = new Promise((resolve) => {
-      const existing = document.querySelector('script[data-ocr-loader="true"]');
-      if (existing) {
-        existing.addEventListener(
-          'load',
-          () => resolve(window.Tesseract || null),
-          { once: true }
-        );
-        existing.addEventListener('error', () => resolve(null), { once: true });
-        return;
-      }
-      const script = document.createElement('script');
-      script.async = true;
-      script.src = 'https://cdn.jsdelivr.net/npm/tesseract.js@6.0.1/dist/tesseract.min.js';
-      script.dataset.ocrLoader = 'true';
-      script.onload = () => resolve(window.Tesseract || null);
-      script.onerror = () => resolve(null);
-      document.head.appendChild(script);
-    });
+// tesseract.js работает в Web Worker и рисует страницы через canvas
+const canUseOcr = () => canUseCanvas() && typeof Worker !== 'undefined';
+
+const OCR_RENDER_SCALE = 1.6;
+const PAGE_PROGRESS_LABELS = {
+  text: 'Текстовый слой',
+  'page-images': 'Изображение',
+  ocr: 'OCR'
+};
+
+// Исходный текст такого качества уже читаем, вторым проходом не тратим время
+const SKIP_PREPROCESS_QUALITY = 0.8;
+
+const describePreprocessing = ({ skew, rotation }) =>
+  [rotation ? `поворот ${rotation}°` : null, skew ? `наклон ${skew}°` : null].filter(Boolean).join(', ') || 'без поворота';
+
+// Нет моделей отмеченных языков — одна запись на документ; страница показывает её
+// рядом с файлом (findOcrModelIssue), а не только в трассировке
+const OCR_MODELS_STEP = 'ocr-models';
+
+const noteMissingOcrModels = (trace, languages) => {
+  if (!languages?.length || trace.some((entry) => entry.step === OCR_MODELS_STEP)) return;
+  pushTrace(trace, OCR_MODELS_STEP, formatMissingOcrLanguages(languages), 'error');
+};
+
+export const findOcrModelIssue = (record) =>
+  (record?.meta?.trace || []).find((entry) => entry.step === OCR_MODELS_STEP)?.detail || '';
+
+// Страница распознаётся как есть и после предобработки (ocrPreprocess.js);
+// в текст идёт вариант с лучшим computeQuality
+const recognizeWithTrace = async (image, { ocrSettings, poolSize, hintText, trace, step, label }) => {
+  const options = {
+    settings: ocrSettings,
+    poolSize,
+    hintText,
+    detectLanguage: detectLanguageFromText
+  };
+  let raw;
+  try {
+    raw = await recognizeImage(image, options);
+  } catch (error) {
+    if (isOcrModelError(error)) noteMissingOcrModels(trace, error.languages);
+    throw error;
+  }
+  noteMissingOcrModels(trace, raw.missingLanguages);
+  const rawQuality = computeQuality(raw.text);
+  if (
+    !normalizeOcrSettings(ocrSettings).preprocess
+    || !canPreprocessImages()
+    || rawQuality >= SKIP_PREPROCESS_QUALITY
+  ) {
+    pushTrace(trace, step, `${label}: языки ${raw.languages}`);
+    return raw;
+  }
+  let best = { ...raw, quality: rawQuality, preprocessing: null };
+  const attempt = async (rotation) => {
+    const prepared = await preprocessImage(image, { rotation });
+    const result = await recognizeImage(prepared.dataUrl, options);
+    const quality = computeQuality(result.text);
+    if (quality > best.quality) {
+      best = { ...result, quality, preprocessing: prepared };
+    }
+    return prepared;
+  };
+  try {
+    const prepared = await attempt(null);
+    // Сторону боковой страницы и перевёрнутую страницу по профилю не отличить — решает качество текста
+    if (prepared.sideways) {
+      await attempt(270);
+    } else if (best.quality < OCR_QUALITY_THRESHOLD) {
+      await attempt(180);
+    }
+  } catch (error) {
+    pushTrace(trace, step, `${label}: предобработка не удалась: ${error.message || error}`, 'warn');
   }
-  return ocrScriptPromise;
+  const { quality, preprocessing, ...result } = best;
+  pushTrace(
+    trace,
+    step,
+    `${label}: языки ${result.languages}, ${
+      preprocessing
+        ? `после предобработки (${describePreprocessing(preprocessing)}), качество ${rawQuality} → ${quality}`
+        : `исходное изображение, качество ${rawQuality}`
+    }`
+  );
+  return { ...result, preprocessed: Boolean(preprocessing) };
 };
 
 const MAX_PAGE_IMAGES = 40;
@@ -312,109 +401,77 @@ const blobToDataUrl = (blob) =>
     reader.readAsDataURL(blob);
   });
 
-const renderPdfPageImages = async (buffer, { scale = PAGE_IMAGE_SCALE, maxPages = MAX_PAGE_IMAGES, log } = {}) => {
-  let typedArray;
-  try {
-    typedArray = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
-  } catch (error) {
-    if (typeof log === 'function') {
-      log('Не удалось подготовить данные для генерации изображений', 'warn', {
-        scope: 'cloudinary',
-        error: error?.message || String(error)
-      });
-    }
-    return [];
-  }
-  const createCanvasBundle = async (width, height) => {
-    if (typeof document !== 'undefined' && document?.createElement) {
-      const canvas = document.createElement('canvas');
-      canvas.width = width;
-      canvas.height = height;
-      const context = canvas.getContext('2d');
-      const toDataUrl = async () => canvas.toDataURL('image/png');
-      const cleanup = () => {
-        canvas.width = 0;
-        canvas.height = 0;
-      };
-      return { canvas, context, toDataUrl, cleanup };
-    }
-    if (typeof OffscreenCanvas !== 'undefined') {
-      const canvas = new OffscreenCanvas(width, height);
-      const context = canvas.getContext('2d');
-      const toDataUrl = async () => {
-        const blob = await canvas.convertToBlob({ type: 'image/png' });
-        return blobToDataUrl(blob);
-      };
-      const cleanup = () => {
-        canvas.width = 0;
-        canvas.height = 0;
-      };
-      return { canvas, context, toDataUrl, cleanup };
-    }
-    return null;
+const renderPdfPageImages = async (
+  buffer,
+  { scale = PAGE_IMAGE_SCALE, maxPages = MAX_PAGE_IMAGES, log, signal, poolSize, onProgress, password } = {}
+) => {
+  const report = (message, level, extra) => {
+    if (typeof log === 'function') log(message, level, extra);
   };
-
-  const canvasCheck = await createCanvasBundle(1, 1);
-  if (!canvasCheck || !canvasCheck.context) {
-    if (typeof log === 'function') {
-      log('Canvas недоступен, пропускаем генерацию изображений', 'warn', { scope: 'cloudinary' });
-    }
+  if (!canUseCanvas() && typeof OffscreenCanvas === 'undefined') {
+    report('Canvas недоступен, пропускаем генерацию изображений', 'warn', { scope: 'cloudinary' });
     return [];
   }
-  canvasCheck.cleanup?.();
 
+  let renderer = null;
   try {
-    const pdfjs = await loadPdfjs();
-    const pdfDoc = await pdfjs.getDocument({ data: typedArray, disableWorker: true }).promise;
-    const images = [];
-
-    for (let pageIndex = 1; pageIndex <= pdfDoc.numPages && pageIndex <= maxPages; pageIndex += 1) {
-      const page = await pdfDoc.getPage(pageIndex);
-      const viewport = page.getViewport({ scale });
-      const bundle = await createCanvasBundle(viewport.width, viewport.height);
-
-      if (!bundle || !bundle.context) {
-        page.cleanup?.();
-        continue;
+    renderer = await createPdfRenderer({
+      buffer,
+      size: poolSize,
+      signal,
+      password,
+      loadPdfjs,
+      onFallback: (error) =>
+        report('Рендер страниц в Web Worker недоступен, используем основной поток', 'warn', {
+          scope: 'cloudinary',
+          error: error?.message || String(error)
+        })
+    });
+    const pageNumbers = Array.from({ length: Math.min(renderer.pageCount, maxPages) }, (_, index) => index + 1);
+    const rendered = await runPool(
+      pageNumbers,
+      async (pageNumber) => {
+        try {
+          const image = await renderer.render(pageNumber, { scale, format: 'image/png' });
+          return { page: pageNumber, ...image };
+        } catch (error) {
+          if (signal?.aborted) throw createAbortError();
+          report(`Страница ${pageNumber}: не удалось создать изображение`, 'warn', {
+            scope: 'cloudinary',
+            error: error?.message || String(error)
+          });
+          return null;
+        }
+      },
+      {
+        size: poolSize,
+        signal,
+        onProgress: ({ item, done, total }) => onProgress?.({ stage: 'page-images', page: item, done, total })
       }
-
-      await page.render({ canvasContext: bundle.context, viewport }).promise;
-      const dataUrl = await bundle.toDataUrl();
-      images.push({
-        page: pageIndex,
-        dataUrl,
-        width: viewport.width,
-        height: viewport.height
-      });
-      bundle.cleanup?.();
-      page.cleanup?.();
-    }
-
-    pdfDoc.cleanup?.();
-
-    if (typeof log === 'function') {
-      log(`Сгенерированы изображения страниц (${images.length})`, 'info', { scope: 'cloudinary' });
-    }
-
+    );
+    const images = rendered.filter(Boolean);
+    report(`Сгенерированы изображения страниц (${images.length})`, 'info', { scope: 'cloudinary' });
     return images;
   } catch (error) {
-    if (typeof log === 'function') {
-      log('Не удалось создать изображения страниц', 'warn', {
-        scope: 'cloudinary',
-        error: error?.message || String(error),
-        stack: error?.stack || null
-      });
-    }
+    if (isAbortError(error)) throw error;
+    report('Не удалось создать изображения страниц', 'warn', {
+      scope: 'cloudinary',
+      error: error?.message || String(error),
+      stack: error?.stack || null
+    });
     return [];
+  } finally {
+    renderer?.destroy();
   }
 };
 
-const uploadPageImages = async ({ images, baseName, config, log }) => {
+const uploadPageImages = async ({ images, baseName, config, log, signal }) => {
   if (!Array.isArray(images) || !images.length) {
     return [];
   }
   const uploaded = [];
   for (const image of images) {
+    throwIfAborted(signal);
     const upload = await uploadDataUrlToCloudinary({
       dataUrl: image.dataUrl,
       fileName: `${sanitizePublicId(baseName || 'document')}-page-${String(image.page).padStart(3, '0')}`,
@@ -529,15 +586,45 @@ const resolveApiBase = () => {
 const detectFileKind = (file, buffer) => {
   const name = (file?.name || '').toLowerCase();
   const type = (file?.type || '').toLowerCase();
-  const view = new Uint8Array(buffer.slice(0, 8));
+  const view = new Uint8Array(buffer.slice(0, 80));
+  const head = String.fromCharCode(...view);
 
   if (type.includes('pdf') || name.endsWith('.pdf') || (view[0] === 0x25 && view[1] === 0x50)) {
     return 'pdf';
   }
-  if (name.endsWith('.docx') || type.includes('wordprocessingml') || (view[0] === 0x50 && view[1] === 0x4b)) {
+  if (name.endsWith('.rtf') || type.includes('rtf') || head.startsWith('{\\rtf')) {
+    return 'rtf';
+  }
+  // В ODT первым в архиве лежит несжатый файл mimetype
+  if (name.endsWith('.odt') || type.includes('opendocument.text') || head.slice(30).startsWith('mimetypeapplication/vnd.oasis.opendocument.text')) {
+    return 'odt';
+  }
+  const isZip = view[0] === 0x50 && view[1] === 0x4b;
+  if (/\.xls[xm]$/.test(name) || type.includes('spreadsheetml') || type.includes('ms-excel.sheet.macroenabled')) {
+    return 'xlsx';
+  }
+  if (/\.(csv|tsv)$/.test(name) || type === 'text/csv' || type === 'text/tab-separated-values') {
+    return 'csv';
+  }
+  if (name.endsWith('.zip') || type.includes('zip')) {
+    return 'zip';
+  }
+  if (isCompoundFile(buffer) && (name.endsWith('.msg') || type.includes('ms-outlook'))) {
+    return 'msg';
+  }
+  const looksLikeEmail = /^(received|return-path|delivered-to|from|to|subject|date|message-id|mime-version|x-[\w-]+):/i.test(head);
+  if (name.endsWith('.eml') || type === 'message/rfc822' || (looksLikeEmail && !/\.(txt|md|csv|json|log)$/.test(name))) {
+    return 'eml';
+  }
+  // Контейнер OLE2 используют и другие форматы Office, поэтому смотрим и на расширение
+  const isOtherOleFormat = /\.(xls|ppt|msg)$/.test(name);
+  if ((isCompoundFile(buffer) && !isOtherOleFormat) || ((name.endsWith('.doc') || type === 'application/msword') && !isZip)) {
+    return 'doc';
+  }
+  if (name.endsWith('.docx') || type.includes('wordprocessingml') || isZip) {
     return 'docx';
   }
-  if (type.startsWith('text/') || name.match(/\.(txt|md|csv|json|log)$/)) {
+  if (type.startsWith('text/') || name.match(/\.(txt|md|json|log)$/)) {
     return 'text';
   }
   if (type.startsWith('image/')) {
@@ -628,16 +715,23 @@ const computeQuality = (text) => {
   return Number((lengthScore + cyrillicScore).toFixed(3));
 };
 
+// Переносы строк оставляем: они разделяют пункты DOCX и строки PDF в порядке чтения
+const collapsePageWhitespace = (value) =>
+  value
+    .replace(/[^\S\n]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+// Пустые страницы сохраняем: по индексу в meta.pages считаются номера страниц в находках
 const normalizePageSegments = (segments, fallbackText = '') => {
   if (Array.isArray(segments) && segments.length) {
-    const cleaned = segments
-      .map((segment) => (typeof segment === 'string' ? segment.replace(/\s+/g, ' ').trim() : ''))
-      .filter(Boolean);
-    if (cleaned.length) {
+    const cleaned = segments.map((segment) => (typeof segment === 'string' ? collapsePageWhitespace(segment) : ''));
+    if (cleaned.some(Boolean)) {
       return cleaned;
     }
   }
-  const fallback = (fallbackText || '').replace(/\s+/g, ' ').trim();
+  const fallback = collapsePageWhitespace(fallbackText || '');
   return fallback ? [fallback] : [];
 };
 
@@ -676,7 +770,10 @@ const buildPageMeta = (text, pagesInput, layout, languages) => {
                   bbox: block.bbox,
                   column: block.column,
                   line: block.line,
-                  heading: block.heading || false
+                  heading: block.heading || false,
+                  ...(block.furniture ? { furniture: block.furniture } : {}),
+                  ...(block.number ? { number: block.number } : {}),
+                  ...(block.level ? { level: block.level } : {})
                 }))
               : [],
             headings: page.headings || [],
@@ -691,13 +788,32 @@ const buildPageMeta = (text, pagesInput, layout, languages) => {
 
 const roundCoord = (value) => Math.round((Number(value) || 0) * 100) / 100;
 
-const detectLanguageFromText = (text = '') => {
+const KAZAKH_LETTERS = /[ӘәҒғҚқҢңӨөҰұҮүҺһ]/g;
+const UKRAINIAN_LETTERS = /[ЄєЇїҐґ]/g;
+const GERMAN_LETTERS = /[ÄäÖöÜüß]/g;
+const GERMAN_WORDS = /(?:^|[^A-Za-zÄäÖöÜüß])(?:der|die|das|und|nicht|mit|für|wird|oder|eines?)(?=$|[^A-Za-zÄäÖöÜüß])/gi;
+
+export const detectLanguageFromText = (text = '') => {
   const cleaned = text.replace(/\s+/g, '');
   if (!cleaned) return 'unknown';
-  const cyrillic = (cleaned.match(/[А-Яа-яЁё]/g) || []).length;
-  const latin = (cleaned.match(/[A-Za-z]/g) || []).length;
-  if (cyrillic > latin * 1.2) return 'ru';
-  if (latin > cyrillic * 1.2) return 'en';
+  const cyrillic = (cleaned.match(/[А-Яа-яЁёІіЇїЄєҐґӘәҒғҚқҢңӨөҰұҮүҺһ]/g) || []).length;
+  const latin = (cleaned.match(/[A-Za-zÄäÖöÜüß]/g) || []).length;
+  if (cyrillic > latin * 1.2) {
+    // Казахский и украинский отличаем от русского по специфическим буквам
+    const threshold = Math.max(2, cyrillic * 0.005);
+    if ((cleaned.match(KAZAKH_LETTERS) || []).length >= threshold) return 'kk';
+    // «і» есть и в казахском, поэтому учитываем её только здесь
+    const ukrainian = (cleaned.match(UKRAINIAN_LETTERS) || []).length + (cleaned.match(/[Іі]/g) || []).length;
+    const russian = (cleaned.match(/[ЁёЫыЭэЪъ]/g) || []).length;
+    if (ukrainian >= threshold && ukrainian > russian) return 'uk';
+    return 'ru';
+  }
+  if (latin > cyrillic * 1.2) {
+    const germanLetters = (cleaned.match(GERMAN_LETTERS) || []).length;
+    const germanWords = (text.match(GERMAN_WORDS) || []).length;
+    if (germanLetters >= Math.max(2, latin * 0.003) || germanWords >= 3) return 'de';
+    return 'en';
+  }
   return 'mixed';
 };
 
@@ -734,82 +850,145 @@ const groupBlocksIntoLines = (blocks) => {
   return lines;
 };
 
-const detectColumns = (blocks, pageWidth) => {
-  if (!Array.isArray(blocks) || blocks.length === 0) {
-    return [{ id: 'col-0', start: 0, end: pageWidth, center: pageWidth / 2 }];
-  }
+const MIN_GUTTER_WIDTH = 14;
+const MIN_COLUMN_LINES = 4;
+const MIN_COLUMN_LINE_CHARS = 18;
 
-  const centers = blocks
-    .map((block) => ({
-      center: (block.bbox[0] + block.bbox[2]) / 2,
-      block
-    }))
-    .sort((a, b) => a.center - b.center);
+const countDistinctLines = (blocks) => groupBlocksIntoLines(blocks).length;
 
-  const gapThreshold = Math.max(pageWidth * 0.08, 42);
-  const clusters = [];
-  let current = [];
+// Средняя длина строки: у колонок текста строки длинные, у таблиц — короткие ячейки
+const averageLineChars = (blocks) => {
+  const lines = groupBlocksIntoLines(blocks);
+  if (!lines.length) return 0;
+  return lines.reduce((sum, line) => sum + line.text.length, 0) / lines.length;
+};
 
-  centers.forEach((entry, index) => {
-    if (index === 0) {
-      current.push(entry);
-      return;
-    }
-    const prev = centers[index - 1];
-    if (entry.center - prev.center > gapThreshold) {
-      clusters.push(current);
-      current = [entry];
-    } else {
-      current.push(entry);
+// Ищем вертикальные «коридоры» без текста между колонками. Блоки шире
+// половины текстовой области (заголовки на всю ширину) в поиске не участвуют
+const findColumnGutters = (blocks, pageWidth) => {
+  if (blocks.length < MIN_COLUMN_LINES * 2) return [];
+  const textLeft = Math.min(...blocks.map((block) => block.bbox[0]));
+  const textRight = Math.max(...blocks.map((block) => block.bbox[2]));
+  const textWidth = textRight - textLeft;
+  if (textWidth <= 0) return [];
+  const narrow = blocks.filter((block) => block.bbox[2] - block.bbox[0] < textWidth * 0.5);
+  const width = Math.ceil(Math.max(pageWidth, textRight)) + 1;
+  const coverage = new Array(width).fill(0);
+  narrow.forEach((block) => {
+    for (let x = Math.max(0, Math.floor(block.bbox[0])); x < Math.min(width, Math.ceil(block.bbox[2])); x += 1) {
+      coverage[x] += 1;
     }
   });
-  if (current.length) {
-    clusters.push(current);
-  }
+  const from = Math.floor(textLeft + textWidth * 0.15);
+  const to = Math.ceil(textRight - textWidth * 0.15);
+  const runs = [];
+  let runStart = null;
+  for (let x = from; x <= to; x += 1) {
+    if (coverage[x] === 0 && x < to) {
+      if (runStart === null) runStart = x;
+    } else if (runStart !== null) {
+      if (x - runStart >= MIN_GUTTER_WIDTH) runs.push({ start: runStart, end: x });
+      runStart = null;
+    }
+  }
+  // Колонка должна содержать несколько полноценных строк текста с каждой стороны
+  const accepted = runs
+    .sort((a, b) => b.end - b.start - (a.end - a.start))
+    .filter((run) => {
+      const left = narrow.filter((block) => block.bbox[2] <= run.start);
+      const right = narrow.filter((block) => block.bbox[0] >= run.end);
+      return [left, right].every(
+        (side) => countDistinctLines(side) >= MIN_COLUMN_LINES && averageLineChars(side) >= MIN_COLUMN_LINE_CHARS
+      );
+    })
+    .slice(0, 2);
+  return accepted.sort((a, b) => a.start - b.start);
+};
 
-  return clusters.map((cluster, index) => {
-    const minX = Math.min(...cluster.map((item) => item.block.bbox[0]));
-    const maxX = Math.max(...cluster.map((item) => item.block.bbox[2]));
-    const center = cluster.reduce((sum, item) => sum + item.center, 0) / cluster.length;
-    return {
-      id: `col-${index}`,
-      start: roundCoord(Math.max(0, minX - 12)),
-      end: roundCoord(Math.min(pageWidth, maxX + 12)),
-      center: roundCoord(center),
-      blockCount: cluster.length
-    };
-  });
+const detectColumns = (blocks, pageWidth) => {
+  if (!Array.isArray(blocks) || blocks.length === 0) {
+    return [{ id: 'col-0', start: 0, end: pageWidth, center: pageWidth / 2, blockCount: 0 }];
+  }
+  const gutters = findColumnGutters(blocks, pageWidth);
+  const bounds = [0, ...gutters.flatMap((gutter) => [gutter.start, gutter.end]), pageWidth];
+  const columns = [];
+  for (let index = 0; index < bounds.length; index += 2) {
+    const start = bounds[index];
+    const end = bounds[index + 1];
+    const inside = blocks.filter((block) => block.bbox[0] >= start - 2 && block.bbox[2] <= end + 2);
+    columns.push({
+      id: `col-${columns.length}`,
+      start: roundCoord(start),
+      end: roundCoord(end),
+      center: roundCoord(
+        inside.length
+          ? inside.reduce((sum, block) => sum + (block.bbox[0] + block.bbox[2]) / 2, 0) / inside.length
+          : (start + end) / 2
+      ),
+      blockCount: inside.length
+    });
+  }
+  return columns;
 };
 
-const detectTableRows = (lines, minColumns = 3) => {
-  const tables = [];
-  let current = [];
-  lines.forEach((line) => {
-    const meaningfulBlocks = line.blocks.filter((block) => block.text && block.text.trim().length > 0);
-    if (meaningfulBlocks.length >= minColumns) {
-      current.push(line);
-    } else if (current.length) {
-      tables.push(current);
-      current = [];
+const findBlockColumn = (block, columns) =>
+  columns.findIndex((column) => block.bbox[0] >= column.start - 2 && block.bbox[2] <= column.end + 2);
+
+/**
+ * Порядок чтения страницы: строки, пересекающие межколоночный промежуток
+ * (заголовки, реквизиты на всю ширину), делят страницу на полосы; внутри
+ * полосы колонки выводятся целиком слева направо. Возвращает строки в
+ * порядке чтения ({ text, blocks, column }), где column = null у строк на
+ * всю ширину. anchors — готовые строки (таблицы), которые встают в порядок
+ * по своей координате y и, как строки на всю ширину, разделяют полосы.
+ */
+const buildReadingOrder = (blocks, columns, anchors = []) => {
+  if (columns.length < 2) {
+    return [...groupBlocksIntoLines(blocks), ...anchors]
+      .sort((a, b) => a.y - b.y)
+      .map((line) => ({ ...line, column: 0 }));
+  }
+  const spanning = [];
+  const columnBlocks = columns.map(() => []);
+  blocks.forEach((block) => {
+    const index = findBlockColumn(block, columns);
+    if (index === -1) {
+      spanning.push(block);
+    } else {
+      columnBlocks[index].push(block);
     }
   });
-  if (current.length) {
-    tables.push(current);
-  }
-  return tables.map((rows, index) => ({
-    id: `table-${index + 1}`,
-    rows: rows.map((row) => ({
-      y: roundCoord(row.y),
-      cells: row.blocks
-        .sort((a, b) => a.bbox[0] - b.bbox[0])
-        .map((block) => ({
-          text: block.text,
-          bbox: block.bbox
-        }))
-    }))
-  }));
+  const ordered = [];
+  const emitBand = (fromY, toY) => {
+    columnBlocks.forEach((list, column) => {
+      groupBlocksIntoLines(list.filter((block) => block.bbox[1] >= fromY && block.bbox[1] < toY)).forEach((line) =>
+        ordered.push({ ...line, column })
+      );
+    });
+  };
+  let cursor = -Infinity;
+  [...groupBlocksIntoLines(spanning), ...anchors].sort((a, b) => a.y - b.y).forEach((line) => {
+    emitBand(cursor, line.y);
+    ordered.push({ ...line, column: null });
+    cursor = line.y;
+  });
+  emitBand(cursor, Infinity);
+  return ordered;
 };
 
+// Текст каждой колонки отдельно — для параллельных двуязычных договоров
+const buildColumnTexts = (orderedLines, columns) =>
+  columns.length < 2
+    ? []
+    : columns.map((column, index) => {
+        const text = orderedLines
+          .filter((line) => line.column === index)
+          .map((line) => line.text)
+          .join('\n')
+          .trim();
+        return { column: index, text, language: detectLanguageFromText(text) };
+      });
+
 const markHeadings = (lines) =>
   lines
     .filter((line) => {
@@ -865,15 +1044,48 @@ const buildPlainLayout = (pages) => {
   };
 };
 
-const renderPdfWithPdfjs = async (buffer, trace) => {
+// Зашифрованный PDF: pdf.js бросает PasswordException с кодом 1 (нужен пароль) или 2 (пароль неверный)
+const PDFJS_INCORRECT_PASSWORD = 2;
+
+export const createPdfPasswordError = (fileName = '', incorrect = false) => {
+  const error = new Error(
+    incorrect
+      ? `Неверный пароль для файла «${fileName || 'PDF'}».`
+      : `Файл «${fileName || 'PDF'}» защищён паролем.`
+  );
+  error.name = 'PdfPasswordError';
+  error.fileName = fileName;
+  error.incorrect = incorrect;
+  return error;
+};
+
+export const isPdfPasswordError = (error) => error?.name === 'PdfPasswordError';
+
+const renderPdfWithPdfjs = async (buffer, trace, { signal, onProgress, password } = {}) => {
+  let pdfDoc = null;
+  let inspection = null;
   try {
     const pdfjs = await loadPdfjs();
-    const loadingTask = pdfjs.getDocument({ data: buffer, disableWorker: true });
-    const pdfDoc = await loadingTask.promise;
-    const pages = [];
+    // Редакции считаем до передачи буфера воркеру: после неё он отсоединён
+    const incrementalUpdates = countIncrementalUpdates(buffer);
+    // Разбор PDF выполняет воркер pdf.js, в основном потоке только раскладка
+    const loadingTask = pdfjs.getDocument({ data: buffer, ...(password ? { password } : {}) });
+    pdfDoc = await loadingTask.promise;
+    try {
+      inspection = await inspectPdfDocument(pdfDoc, { incrementalUpdates, signal });
+      pushTrace(
+        trace,
+        'pdf-meta',
+        `Поля формы: ${inspection.fields.length} (пустых ${inspection.signals.emptyFields.length}), аннотаций: ${inspection.annotations.length}`
+      );
+    } catch (error) {
+      pushTrace(trace, 'pdf-meta', `Свойства документа не прочитаны: ${error.message || error}`, 'warn');
+    }
+    const pageLines = [];
     const layoutPages = [];
-    const languages = [];
+    let tableCount = 0;
     for (let pageIndex = 1; pageIndex <= pdfDoc.numPages; pageIndex += 1) {
+      throwIfAborted(signal);
       const page = await pdfDoc.getPage(pageIndex);
       const content = await page.getTextContent({ normalizeWhitespace: true, includeMarkedContent: true });
       const viewport = page.getViewport({ scale: 1 });
@@ -908,30 +1120,41 @@ const renderPdfWithPdfjs = async (buffer, trace) => {
       });
 
       const lines = groupBlocksIntoLines(blocks);
-      const columns = detectColumns(blocks, viewport.width);
-      const headings = markHeadings(lines);
-      const tables = detectTableRows(lines);
+      // Таблицы выделяем до поиска колонок: их ячейки не должны считаться колонками текста
+      const detectedTables = detectPdfTables(lines, { startIndex: tableCount });
+      const tables = detectedTables.map((item) => item.table);
+      tableCount += tables.length;
+      const tableBlocks = new Set(detectedTables.flatMap((item) => item.blocks));
+      const flowBlocks = blocks.filter((block) => !tableBlocks.has(block));
+      const columns = detectColumns(flowBlocks, viewport.width);
+      const headings = markHeadings(lines.filter((line) => !line.blocks.some((block) => tableBlocks.has(block))));
       blocks.forEach((block) => {
-        const column = columns.find((col) => block.bbox[0] >= col.start - 2 && block.bbox[2] <= col.end + 2) || columns[0];
-        block.column = column ? Number(column.id.replace('col-', '')) : 0;
         const line = lines.find((ln) => ln.blocks.includes(block));
-        block.line = line ? Number(line.id.replace('line-', '')) : 0;
         block.heading = headings.some((heading) => heading.id === (line && line.id));
       });
-
-      const pageText = blocks
-        .sort((a, b) => a.bbox[1] - b.bbox[1] || a.bbox[0] - b.bbox[0])
-        .map((block) => block.text)
-        .join(' ')
-        .replace(/\s+/g, ' ')
-        .trim();
-      if (pageText) {
-        pages.push(pageText);
-      }
-
-      const language = detectLanguageFromText(pageText);
-      languages.push(language);
-
+      const tableAnchors = detectedTables.map(({ table, blocks: cells }) => ({
+        id: table.id,
+        y: table.bbox[1],
+        maxY: table.bbox[3],
+        x1: table.bbox[0],
+        x2: table.bbox[2],
+        blocks: cells,
+        text: formatTableMarkdown(table),
+        table: table.id
+      }));
+      // Номер строки — позиция в порядке чтения, колонка — индекс из detectColumns
+      const orderedLines = buildReadingOrder(flowBlocks, columns, tableAnchors);
+      orderedLines.forEach((line, index) => {
+        line.blocks.forEach((block) => {
+          block.line = index + 1;
+          block.column = line.column ?? 0;
+        });
+      });
+      pageLines.push({
+        page: pageIndex,
+        height: viewport.height,
+        lines: orderedLines.map((line) => ({ text: line.text, top: line.y, bottom: line.maxY, skip: Boolean(line.table) }))
+      });
       layoutPages.push({
         pageNumber: pageIndex,
         width: roundCoord(viewport.width),
@@ -940,15 +1163,57 @@ const renderPdfWithPdfjs = async (buffer, trace) => {
         headings,
         blocks,
         tables,
-        language
+        orderedLines
       });
 
       page.cleanup?.();
+      onProgress?.({ stage: 'text', page: pageIndex, done: pageIndex, total: pdfDoc.numPages });
     }
     pdfDoc.cleanup?.();
+
+    // Колонтитулы ищем по всем страницам сразу и убираем из текста до сборки страниц
+    const { removed, furniture } = detectPageFurniture(pageLines);
+    const pages = [];
+    const languages = [];
+    layoutPages.forEach((layoutPage, index) => {
+      const { orderedLines } = layoutPage;
+      const zones = removed[index];
+      const kept = orderedLines.filter((line, lineIndex) => !zones.has(lineIndex));
+      if (zones.size) {
+        const furnitureTexts = [];
+        zones.forEach((zone, lineIndex) => {
+          furnitureTexts.push(orderedLines[lineIndex].text);
+          orderedLines[lineIndex].blocks.forEach((block) => {
+            block.furniture = zone;
+            block.heading = false;
+          });
+        });
+        layoutPage.headings = layoutPage.headings.filter((heading) => !furnitureTexts.includes(heading.text));
+      }
+      const columnTexts = buildColumnTexts(kept, layoutPage.columns);
+      const pageText = kept
+        .map((line) => (line.table ? line.text : line.text.replace(/\s+/g, ' ').trim()))
+        .filter(Boolean)
+        .join('\n');
+      // Страница без текстового слоя остаётся пустой строкой: pages[i] — это страница i + 1
+      pages.push(pageText);
+      layoutPage.language = detectLanguageFromText(pageText);
+      languages.push(layoutPage.language);
+      if (columnTexts.length) layoutPage.columnTexts = columnTexts;
+      delete layoutPage.orderedLines;
+    });
+    if (furniture) {
+      pushTrace(
+        trace,
+        'furniture',
+        `Колонтитулы: верхних ${furniture.headers.length}, нижних ${furniture.footers.length}, убрано символов: ${furniture.removedChars}`
+      );
+    }
     const combined = pages.join('\n').trim();
-    const tableCount = layoutPages.reduce((sum, page) => sum + page.tables.length, 0);
     pushTrace(trace, 'pdfjs', combined ? `Извлечено символов: ${combined.length}` : 'Пустой результат');
+    if (tableCount) {
+      pushTrace(trace, 'tables', `Восстановлено таблиц: ${tableCount}`);
+    }
     return {
       text: combined,
       pages: [...pages],
@@ -960,161 +1225,541 @@ const renderPdfWithPdfjs = async (buffer, trace) => {
           tableCount
         }
       },
-      languages
+      languages,
+      inspection,
+      furniture
     };
   } catch (error) {
+    if (isAbortError(error)) throw error;
+    if (error?.name === 'PasswordException') {
+      const incorrect = error.code === PDFJS_INCORRECT_PASSWORD;
+      pushTrace(trace, 'pdfjs', incorrect ? 'Пароль PDF не подошёл' : 'PDF защищён паролем', 'warn');
+      throw createPdfPasswordError('', incorrect);
+    }
     pushTrace(trace, 'pdfjs', `Ошибка pdf.js: ${error.message || error}`, 'error');
-    return { text: '', pages: [], layout: null, languages: [] };
+    return { text: '', pages: [], layout: null, languages: [], inspection };
+  } finally {
+    pdfDoc?.destroy?.();
+  }
+};
+
+const DOCX_LINE_HEIGHT = 20;
+const DOCX_PAGE_WIDTH = 600;
+
+const formatDocxParagraph = (block) => {
+  const label = block.number || (block.bullet ? '•' : '');
+  return label ? `${label} ${block.text}` : block.text;
+};
+
+const formatDocxTableRow = (row, field = 'text') =>
+  `| ${row.cells.map((cell) => (cell.merged ? '' : cell[field].replace(/\s*\n\s*/g, ' '))).join(' | ')} |`;
+
+// Исходная редакция документа до правок в режиме рецензирования
+const buildDocxOriginalText = (parsed) =>
+  parsed.blocks
+    .flatMap((block) => {
+      if (block.type === 'table') {
+        return block.rows.filter((row) => !row.inserted).map((row) => formatDocxTableRow(row, 'originalText'));
+      }
+      if (!block.originalText) return [];
+      const label = block.originalNumber || (block.bullet ? '•' : '');
+      return [label ? `${label} ${block.originalText}` : block.originalText];
+    })
+    .join('\n')
+    .trim();
+
+const buildDocxNotesSection = (parsed) => {
+  const sections = [];
+  if (parsed.footnotes.length) {
+    sections.push(['Сноски:', ...parsed.footnotes.map((note) => `[^${note.id}]: ${note.text}`)].join('\n'));
+  }
+  if (parsed.endnotes.length) {
+    sections.push(['Концевые сноски:', ...parsed.endnotes.map((note) => `[^e${note.id}]: ${note.text}`)].join('\n'));
+  }
+  if (parsed.headers.length) {
+    sections.push(['Верхние колонтитулы:', ...parsed.headers].join('\n'));
+  }
+  if (parsed.footers.length) {
+    sections.push(['Нижние колонтитулы:', ...parsed.footers].join('\n'));
+  }
+  return sections.join('\n\n');
+};
+
+// Раскладываем блоки DOCX по страницам: текст страницы сохраняет нумерацию
+// пунктов и таблицы в markdown, а layout получает настоящие таблицы и заголовки
+const buildDocxLayout = (parsed) => {
+  const pageCount = Math.max(parsed.pageCount, 1);
+  const pageLines = Array.from({ length: pageCount }, () => []);
+  const layoutPages = Array.from({ length: pageCount }, (_, index) => ({
+    pageNumber: index + 1,
+    width: DOCX_PAGE_WIDTH,
+    height: 0,
+    columns: [],
+    headings: [],
+    blocks: [],
+    tables: [],
+    language: 'unknown'
+  }));
+  let tableIndex = 0;
+
+  parsed.blocks.forEach((block) => {
+    const pageIndex = Math.min(block.page || 0, pageCount - 1);
+    const layoutPage = layoutPages[pageIndex];
+    const lines = pageLines[pageIndex];
+    if (block.type === 'table') {
+      const rows = block.rows.filter((row) => !row.deleted);
+      if (!rows.length) return;
+      tableIndex += 1;
+      const columnCount = Math.max(
+        1,
+        ...rows.map((row) => row.cells.reduce((sum, cell) => sum + cell.colSpan, 0))
+      );
+      const cellWidth = DOCX_PAGE_WIDTH / columnCount;
+      const table = {
+        id: `table-${tableIndex}`,
+        columnCount,
+        rows: rows.map((row, rowIndex) => {
+          const y = (lines.length + rowIndex) * DOCX_LINE_HEIGHT;
+          return {
+            y,
+            header: row.header,
+            cells: row.cells.map((cell) => ({
+              text: cell.merged ? '' : cell.text,
+              bbox: [
+                roundCoord(cell.gridIndex * cellWidth),
+                y,
+                roundCoord((cell.gridIndex + cell.colSpan) * cellWidth),
+                y + DOCX_LINE_HEIGHT - 2
+              ],
+              colSpan: cell.colSpan,
+              rowSpan: cell.rowSpan,
+              ...(cell.merged ? { merged: true } : {})
+            }))
+          };
+        })
+      };
+      layoutPage.tables.push(table);
+      lines.push(...formatTableMarkdown(table).split('\n'));
+      return;
+    }
+    if (!block.text) return;
+
+    const text = formatDocxParagraph(block);
+    const y = lines.length * DOCX_LINE_HEIGHT;
+    const layoutBlock = {
+      id: `docx-${pageIndex + 1}-${layoutPage.blocks.length + 1}`,
+      text,
+      bbox: [0, y, DOCX_PAGE_WIDTH, y + DOCX_LINE_HEIGHT - 2],
+      column: 0,
+      line: lines.length,
+      heading: block.headingLevel > 0,
+      number: block.number,
+      level: block.headingLevel || (Number.isFinite(block.listLevel) ? block.listLevel + 1 : 0)
+    };
+    layoutPage.blocks.push(layoutBlock);
+    if (layoutBlock.heading) {
+      layoutPage.headings.push({ id: layoutBlock.id, text, bbox: layoutBlock.bbox, level: block.headingLevel });
+    }
+    lines.push(text);
+  });
+
+  const notes = buildDocxNotesSection(parsed);
+  if (notes) {
+    pageLines[pageCount - 1].push('', notes);
   }
+
+  const pages = pageLines.map((lines) => lines.join('\n').trim());
+  layoutPages.forEach((page, index) => {
+    page.height = pageLines[index].length * DOCX_LINE_HEIGHT;
+    page.columns = [
+      { id: 'col-0', start: 0, end: DOCX_PAGE_WIDTH, center: DOCX_PAGE_WIDTH / 2, blockCount: page.blocks.length }
+    ];
+    page.language = detectLanguageFromText(pages[index]);
+  });
+
+  return {
+    pages,
+    layout: {
+      pages: layoutPages,
+      summary: {
+        pageCount: layoutPages.length,
+        headingCount: layoutPages.reduce((sum, page) => sum + page.headings.length, 0),
+        tableCount: tableIndex
+      }
+    }
+  };
+};
+
+const MAX_DOCX_IMAGES = 20;
+const MIN_DOCX_IMAGE_BYTES = 2 * 1024;
+const MAX_DOCX_IMAGE_BYTES = 5 * 1024 * 1024;
+const DOCX_IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  bmp: 'image/bmp',
+  webp: 'image/webp',
+  tif: 'image/tiff',
+  tiff: 'image/tiff'
+};
+// Модель принимает не все форматы, которые читает tesseract
+const VISION_IMAGE_TYPES = new Set(['image/png', 'image/jpeg', 'image/gif', 'image/webp']);
+
+const replaceInBlocks = (blocks, label, replacement) => {
+  const swap = (text) => text.split(label).join(replacement);
+  blocks.forEach((block) => {
+    if (block.type === 'paragraph') {
+      block.text = swap(block.text);
+      block.originalText = swap(block.originalText);
+      return;
+    }
+    block.rows.forEach((row) =>
+      row.cells.forEach((cell) => {
+        cell.text = swap(cell.text);
+        cell.originalText = swap(cell.originalText);
+      })
+    );
+  });
 };
 
-const extractDocx = async (buffer, trace) => {
+// Сканы подписных страниц и приложений, вставленные в Word картинками: распознаём
+// тем же OCR, что и страницы PDF, и ставим текст на место метки рисунка
+const recognizeDocxImages = async (zip, parsed, trace, ocrOptions = {}) => {
+  const { ocrSettings, poolSize, signal } = ocrOptions;
+  const candidates = [];
+  for (const image of parsed.images || []) {
+    if (candidates.length >= MAX_DOCX_IMAGES) break;
+    const type = DOCX_IMAGE_TYPES[image.path.split('.').pop().toLowerCase()];
+    const entry = zip.file(image.path);
+    if (!type || !entry) continue;
+    const bytes = await entry.async('uint8array');
+    if (bytes.length < MIN_DOCX_IMAGE_BYTES || bytes.length > MAX_DOCX_IMAGE_BYTES) continue;
+    candidates.push({ ...image, type, dataUrl: base64ToDataUrl(arrayBufferToBase64(bytes), type) });
+  }
+  if (!candidates.length) return [];
+  const ocrReady = canUseOcr();
+  if (!ocrReady) {
+    pushTrace(trace, 'docx-images', 'Tesseract недоступен, рисунки передаются без распознавания', 'warn');
+  }
+  const texts = ocrReady
+    ? await runPool(
+        candidates,
+        async (image) => {
+          try {
+            const data = await recognizeWithTrace(image.dataUrl, {
+              ocrSettings,
+              poolSize,
+              trace,
+              step: 'docx-images',
+              label: image.label
+            });
+            return data?.text ? data.text.replace(/\s+/g, ' ').trim() : '';
+          } catch (error) {
+            if (signal?.aborted) throw createAbortError();
+            pushTrace(trace, 'docx-images', `${image.label}: ${error.message || error}`, 'warn');
+            return '';
+          }
+        },
+        { size: poolSize, signal }
+      )
+    : [];
+  const recognized = candidates.map((image, index) => ({ ...image, text: texts[index] || '' }));
+  recognized.forEach((image) => {
+    if (image.text) {
+      replaceInBlocks(parsed.blocks, image.label, `${image.label.slice(0, -1)}: ${image.text}]`);
+    }
+  });
+  pushTrace(
+    trace,
+    'docx-images',
+    `Рисунков: ${parsed.images.length}, распознано: ${recognized.filter((image) => image.text).length}`
+  );
+  return recognized;
+};
+
+const extractDocx = async (buffer, trace, ocrOptions) => {
   try {
     const JSZip = await loadJSZip();
     const zip = await JSZip.loadAsync(buffer);
-    const docFile = zip.file('word/document.xml');
-    if (!docFile) {
+    const parsed = await parseDocxArchive(zip);
+    if (!parsed) {
       pushTrace(trace, 'docx', 'Файл word/document.xml не найден', 'warn');
       return { text: '', pages: [], layout: null, languages: [] };
     }
-    const xmlText = await docFile.async('text');
-    const parser = new DOMParser();
-    const xml = parser.parseFromString(xmlText, 'application/xml');
-    const paragraphs = Array.from(xml.getElementsByTagName('w:p'));
-    const lines = paragraphs
-      .map((paragraph) =>
-        Array.from(paragraph.getElementsByTagName('w:t'))
-          .map((node) => node.textContent || '')
-          .join('')
-          .trim()
-      )
-      .filter(Boolean);
-    const combined = lines.join('\n');
-    pushTrace(trace, 'docx', `Получено строк: ${lines.length}`);
-    const pages = [combined];
-    const layout = buildPlainLayout(pages);
-    return { text: combined, pages, layout, languages: layout.pages.map((page) => page.language) };
+    const images = await recognizeDocxImages(zip, parsed, trace, ocrOptions);
+    const { pages, layout } = buildDocxLayout(parsed);
+    const combined = pages.filter(Boolean).join('\n\n');
+    const numbered = parsed.blocks.filter((block) => block.number).length;
+    pushTrace(
+      trace,
+      'docx',
+      `Блоков: ${parsed.blocks.length}, нумерованных пунктов: ${numbered}, таблиц: ${layout.summary.tableCount}, ` +
+        `страниц: ${pages.length}, сносок: ${parsed.footnotes.length + parsed.endnotes.length}`
+    );
+    if (parsed.revisions.length || parsed.comments.length) {
+      pushTrace(
+        trace,
+        'docx-review',
+        `Правок в режиме рецензирования: ${parsed.revisions.length}, комментариев: ${parsed.comments.length}`
+      );
+    }
+    return {
+      text: combined,
+      pages,
+      layout,
+      languages: layout.pages.map((page) => page.language),
+      docx: {
+        headers: parsed.headers,
+        footers: parsed.footers,
+        footnotes: parsed.footnotes,
+        endnotes: parsed.endnotes
+      },
+      revisions: parsed.revisions,
+      comments: parsed.comments,
+      originalText: parsed.revisions.length ? buildDocxOriginalText(parsed) : '',
+      images
+    };
   } catch (error) {
+    if (isAbortError(error)) throw error;
     pushTrace(trace, 'docx', `Ошибка чтения DOCX: ${error.message || error}`, 'error');
     return { text: '', pages: [], layout: null, languages: [] };
   }
 };
 
-const ocrPdf = async (buffer, trace, pageLimit = 10) => {
+const LEGACY_FORMAT_LABELS = { rtf: 'RTF', odt: 'ODT', doc: 'DOC' };
+
+// RTF, ODT и .doc разбираются в блоки того же вида, что и DOCX, и проходят через ту же раскладку
+const extractLegacyDocument = async (kind, buffer, trace) => {
+  const label = LEGACY_FORMAT_LABELS[kind];
   try {
-    const pdfjs = await loadPdfjs();
-    const tesseract = await loadTesseract();
-    if (!tesseract) {
-      pushTrace(trace, 'ocr', 'Tesseract недоступен', 'warn');
-      return { text: '', preview: '', pages: [] };
+    let parsed = null;
+    if (kind === 'odt') {
+      const JSZip = await loadJSZip();
+      parsed = await parseOdtArchive(await JSZip.loadAsync(buffer));
+    } else if (kind === 'rtf') {
+      parsed = parseRtf(buffer);
+    } else {
+      parsed = parseWordBinary(buffer);
     }
-    const pdfDoc = await pdfjs.getDocument({ data: buffer, disableWorker: true }).promise;
-    const texts = [];
-    let preview = '';
-    for (let pageIndex = 1; pageIndex <= Math.min(pageLimit, pdfDoc.numPages); pageIndex += 1) {
-      const page = await pdfDoc.getPage(pageIndex);
-      const viewport = page.getViewport({ scale: 1.6 });
-      const canvas = document.createElement('canvas');
-      canvas.width = viewport.width;
-      canvas.height = viewport.height;
-      const context = canvas.getContext('2d');
-      if (!context) continue;
-      await page.render({ canvasContext: context, viewport }).promise;
-      const dataUrl = canvas.toDataURL('image/png');
-      if (!preview) preview = dataUrl;
-      try {
-        const { data } = await tesseract.recognize(dataUrl, 'rus+eng', { logger: () => {} });
-        if (data?.text) {
-          texts.push(data.text.replace(/\s+/g, ' ').trim());
-        } else {
-          texts.push('');
+    if (!parsed?.blocks.length) {
+      pushTrace(trace, kind, `В файле ${label} не найден текст`, 'warn');
+      return { text: '', pages: [], layout: null, languages: [] };
+    }
+    const { pages, layout } = buildDocxLayout(parsed);
+    pushTrace(
+      trace,
+      kind,
+      `Блоков: ${parsed.blocks.length}, нумерованных пунктов: ${parsed.blocks.filter((block) => block.number).length}, ` +
+        `таблиц: ${layout.summary.tableCount}, страниц: ${pages.length}, сносок: ${parsed.footnotes.length + parsed.endnotes.length}`
+    );
+    return {
+      text: pages.filter(Boolean).join('\n\n'),
+      pages,
+      layout,
+      languages: layout.pages.map((page) => page.language),
+      docx: {
+        headers: parsed.headers,
+        footers: parsed.footers,
+        footnotes: parsed.footnotes,
+        endnotes: parsed.endnotes
+      }
+    };
+  } catch (error) {
+    pushTrace(trace, kind, `Ошибка чтения ${label}: ${error.message || error}`, 'error');
+    return { text: '', pages: [], layout: null, languages: [] };
+  }
+};
+
+// Лист книги — страница с заголовком и таблицей; раскладку строит тот же buildDocxLayout
+const extractSpreadsheet = async (kind, buffer, fileName, trace) => {
+  try {
+    let workbook = null;
+    if (kind === 'xlsx') {
+      const JSZip = await loadJSZip();
+      workbook = await parseXlsxArchive(await JSZip.loadAsync(buffer));
+    } else {
+      workbook = parseCsv(decodeTextBuffer(buffer), { name: fileName || 'CSV' });
+      pushTrace(trace, kind, `Разделитель CSV: «${workbook.delimiter === '\t' ? 'табуляция' : workbook.delimiter}»`);
+    }
+    if (!workbook?.sheets.some((sheet) => sheet.rows.length)) {
+      pushTrace(trace, kind, 'В таблице не найдено заполненных ячеек', 'warn');
+      return { text: '', pages: [], layout: null, languages: [] };
+    }
+    const { pages, layout } = buildDocxLayout(buildSpreadsheetDocument(workbook));
+    layout.pages.forEach((page, index) => {
+      page.sheetName = workbook.sheets[index]?.name || '';
+    });
+    workbook.sheets
+      .filter((sheet) => sheet.truncatedRows || sheet.truncatedColumns)
+      .forEach((sheet) =>
+        pushTrace(
+          trace,
+          kind,
+          `Лист «${sheet.name}» обрезан: строк не вошло ${sheet.truncatedRows}, колонок ${sheet.truncatedColumns}`,
+          'warn'
+        )
+      );
+    pushTrace(
+      trace,
+      kind,
+      `Листов: ${workbook.sheets.length}, строк: ${workbook.sheets.reduce((sum, sheet) => sum + sheet.rows.length, 0)}, ` +
+        `именованных диапазонов: ${workbook.definedNames.length}`
+    );
+    return {
+      text: pages.filter(Boolean).join('\n\n'),
+      pages,
+      layout,
+      languages: layout.pages.map((page) => page.language),
+      spreadsheet: {
+        sheets: workbook.sheets.map((sheet) => ({ name: sheet.name, hidden: sheet.hidden, range: sheet.range })),
+        definedNames: workbook.definedNames
+      }
+    };
+  } catch (error) {
+    pushTrace(trace, kind, `Ошибка чтения таблицы: ${error.message || error}`, 'error');
+    return { text: '', pages: [], layout: null, languages: [] };
+  }
+};
+
+// Рендер и распознавание страниц идут через пул: pdf.js рисует страницы
+// в воркерах, tesseract распознаёт их параллельно. Колонтитулы ищутся по строкам
+// OCR между распознанными страницами и среди уже найденных в текстовом слое (known)
+const ocrRenderedPages = async (buffer, pageNumbers, trace, step, ocrOptions, hintTexts = [], known = null) => {
+  const { ocrSettings, poolSize, signal, onProgress, password } = ocrOptions;
+  const renderer = await createPdfRenderer({
+    buffer,
+    size: poolSize,
+    signal,
+    password,
+    loadPdfjs,
+    onFallback: (error) =>
+      pushTrace(trace, step, `Рендер в Web Worker недоступен: ${error.message || error}`, 'warn')
+  });
+  try {
+    const targets = pageNumbers(renderer.pageCount);
+    const previews = new Map();
+    const results = await runPool(
+      targets,
+      async (pageNumber) => {
+        try {
+          const { dataUrl } = await renderer.render(pageNumber, { scale: OCR_RENDER_SCALE });
+          previews.set(pageNumber, dataUrl);
+          const data = await recognizeWithTrace(dataUrl, {
+            ocrSettings,
+            poolSize,
+            hintText: hintTexts[pageNumber - 1] || '',
+            trace,
+            step,
+            label: `Страница ${pageNumber}`
+          });
+          return { text: data?.text ? collapsePageWhitespace(data.text) : '', lines: data?.lines || [] };
+        } catch (error) {
+          if (signal?.aborted) throw createAbortError();
+          pushTrace(trace, step, `Страница ${pageNumber}: ${error.message || error}`, 'warn');
+          return { text: '', lines: [] };
         }
-      } catch (ocrError) {
-        pushTrace(trace, 'ocr', `Страница ${pageIndex}: ${ocrError.message || ocrError}`, 'warn');
-        texts.push('');
+      },
+      {
+        size: poolSize,
+        signal,
+        onProgress: ({ item, done, total }) => onProgress?.({ stage: 'ocr', page: item, done, total })
       }
-      canvas.width = 0;
-      canvas.height = 0;
-      page.cleanup?.();
+    );
+    const { removed, furniture } = detectPageFurniture(
+      targets.map((page, index) => ({ page, lines: results[index].lines })),
+      { known, pageCount: renderer.pageCount }
+    );
+    const texts = results.map(({ text, lines }, index) =>
+      removed[index].size
+        ? lines
+            .filter((_, lineIndex) => !removed[index].has(lineIndex))
+            .map((line) => line.text)
+            .join('\n')
+        : text
+    );
+    const strippedPages = targets.filter((_, index) => removed[index].size);
+    if (strippedPages.length) {
+      pushTrace(trace, step, `Колонтитулы убраны со страниц: ${strippedPages.join(', ')}`);
     }
-    pdfDoc.cleanup?.();
+    return { targets, texts, furniture, preview: previews.get(targets[0]) || '' };
+  } finally {
+    renderer.destroy();
+  }
+};
+
+const ocrPdf = async (buffer, trace, ocrOptions = {}, pageLimit = 10) => {
+  try {
+    if (!canUseOcr()) {
+      pushTrace(trace, 'ocr', 'Tesseract недоступен', 'warn');
+      return { text: '', preview: '', pages: [] };
+    }
+    const { texts, preview, furniture } = await ocrRenderedPages(
+      buffer,
+      (pageCount) => Array.from({ length: Math.min(pageLimit, pageCount) }, (_, index) => index + 1),
+      trace,
+      'ocr',
+      ocrOptions
+    );
     const combined = texts.join('\n').trim();
     pushTrace(trace, 'ocr', combined ? `OCR символов: ${combined.length}` : 'OCR дал пустой ответ');
     const pages = normalizePageSegments(texts, combined);
-    return { text: combined, preview, pages };
+    return { text: combined, preview, pages, furniture };
   } catch (error) {
+    if (isAbortError(error)) throw error;
     pushTrace(trace, 'ocr', `Ошибка OCR: ${error.message || error}`, 'error');
     return { text: '', preview: '', pages: [] };
   }
 };
 
-const ocrPdfPages = async (buffer, pagesToProcess, trace) => {
+// hintTexts — текстовый слой pdf.js по страницам, по нему выбираем язык OCR;
+// furniture — колонтитулы текстового слоя, их убираем и с распознанных страниц
+const ocrPdfPages = async (buffer, pagesToProcess, trace, ocrOptions = {}, hintTexts = [], furniture = null) => {
   if (!Array.isArray(pagesToProcess) || !pagesToProcess.length) {
-    return new Map();
+    return { results: new Map(), furniture };
   }
-  if (!canUseCanvas()) {
-    pushTrace(trace, 'ocr-adaptive', 'Canvas недоступен', 'warn');
-    return new Map();
+  if (!canUseOcr()) {
+    pushTrace(trace, 'ocr-adaptive', 'Canvas или Web Worker недоступны', 'warn');
+    return { results: new Map(), furniture };
   }
-  const targets = Array.from(
+  const requested = Array.from(
     new Set(
       pagesToProcess
         .map((page) => Number(page))
         .filter((page) => Number.isFinite(page) && page >= 1)
     )
   ).sort((a, b) => a - b);
-  if (!targets.length) {
-    return new Map();
+  if (!requested.length) {
+    return { results: new Map(), furniture };
   }
   try {
-    const pdfjs = await loadPdfjs();
-    const tesseract = await loadTesseract();
-    if (!tesseract) {
-      pushTrace(trace, 'ocr-adaptive', 'Tesseract недоступен', 'warn');
-      return new Map();
-    }
-    const pdfDoc = await pdfjs.getDocument({ data: buffer, disableWorker: true }).promise;
+    const { targets, texts, furniture: updatedFurniture } = await ocrRenderedPages(
+      buffer,
+      (pageCount) => requested.filter((page) => page <= pageCount),
+      trace,
+      'ocr-adaptive',
+      ocrOptions,
+      hintTexts,
+      furniture
+    );
     const results = new Map();
-    for (const pageNumber of targets) {
-      if (pageNumber > pdfDoc.numPages) {
-        continue;
+    targets.forEach((pageNumber, index) => {
+      if (texts[index]) {
+        results.set(pageNumber, texts[index]);
       }
-      try {
-        const page = await pdfDoc.getPage(pageNumber);
-        const viewport = page.getViewport({ scale: 1.6 });
-        const canvas = document.createElement('canvas');
-        canvas.width = viewport.width;
-        canvas.height = viewport.height;
-        const context = canvas.getContext('2d');
-        if (!context) {
-          continue;
-        }
-        await page.render({ canvasContext: context, viewport }).promise;
-        const dataUrl = canvas.toDataURL('image/png');
-        const { data } = await tesseract.recognize(dataUrl, 'rus+eng', { logger: () => {} });
-        const text = data?.text ? data.text.replace(/\s+/g, ' ').trim() : '';
-        if (text) {
-          results.set(pageNumber, text);
-        }
-        canvas.width = 0;
-        canvas.height = 0;
-        page.cleanup?.();
-      } catch (error) {
-        pushTrace(trace, 'ocr-adaptive', `Страница ${pageNumber}: ${error.message || error}`, 'warn');
-      }
-    }
-    pdfDoc.cleanup?.();
+    });
     if (results.size) {
       pushTrace(trace, 'ocr-adaptive', `Дополнительный OCR: ${Array.from(results.keys()).join(', ')}`);
     }
-    return results;
+    return { results, furniture: updatedFurniture };
   } catch (error) {
+    if (isAbortError(error)) throw error;
     pushTrace(trace, 'ocr-adaptive', `Ошибка OCR страниц: ${error.message || error}`, 'error');
-    return new Map();
+    return { results: new Map(), furniture };
   }
 };
 
-const serverExtractText = async (file, trace) => {
+const serverExtractText = async (file, trace, signal) => {
   if (typeof fetch === 'undefined' || typeof FormData === 'undefined') {
     pushTrace(trace, 'server', 'fetch/FormData недоступны', 'warn');
     return null;
@@ -1131,16 +1776,24 @@ const serverExtractText = async (file, trace) => {
     form.append('file', file, file.name || 'document');
     const response = await fetch(target, {
       method: 'POST',
-      body: form
+      body: form,
+      signal
     });
     if (!response.ok) {
-      pushTrace(trace, 'server', `Ответ ${response.status}`, response.status === 404 ? 'error' : 'warn');
+      const details = await response.json().catch(() => null);
+      pushTrace(
+        trace,
+        'server',
+        `Ответ ${response.status}${details?.error ? `: ${details.error}` : ''}`,
+        response.status === 404 ? 'error' : 'warn'
+      );
       return null;
     }
     const payload = await response.json();
     pushTrace(trace, 'server', payload?.text ? 'Сервер вернул текст' : 'Сервер ответил без текста');
     return payload;
   } catch (error) {
+    if (signal?.aborted) throw createAbortError();
     pushTrace(trace, 'server', `Ошибка запроса: ${error.message || error}`, 'error');
     return null;
   }
@@ -1170,6 +1823,12 @@ export const evaluateSoftPdfAcceptance = (assessment, text) => {
   };
 };
 
+// Физические номера страниц для якорей в находках: из разметки, иначе по порядку в meta.pages
+const resolvePageNumbers = (extraMeta) =>
+  (Array.isArray(extraMeta.pages) ? extraMeta.pages : []).map(
+    (_, index) => Number(extraMeta.layout?.pages?.[index]?.pageNumber) || index + 1
+  );
+
 const buildResponse = ({
   trace,
   strategy = 'auto',
@@ -1179,24 +1838,212 @@ const buildResponse = ({
   preview = '',
   usedOcr = false,
   extraMeta = {}
-}) => ({
-  text,
-  preview,
-  kind,
-  meta: {
-    extractor,
-    strategy,
-    usedOcr,
-    quality: computeQuality(text),
-    trace: [...trace],
-    ...extraMeta
+}) => {
+  const hasPages = Array.isArray(extraMeta.pages) && extraMeta.pages.length > 0;
+  const clauses = Array.isArray(extraMeta.clauses)
+    ? extraMeta.clauses
+    : hasPages
+      ? buildClauseTree({ pages: extraMeta.pages, layout: extraMeta.layout, textPages: extraMeta.ocrPatchedPages })
+      : [];
+  if (clauses.length && !Array.isArray(extraMeta.clauses)) {
+    pushTrace(trace, 'clauses', `Выделено пунктов: ${clauses.length}`);
+  }
+  const pageNumbers = resolvePageNumbers(extraMeta);
+  const entities = extraMeta.entities || (text ? extractEntities({ pages: extraMeta.pages, text, pageNumbers }) : null);
+  if (countEntities(entities) && !extraMeta.entities) {
+    pushTrace(
+      trace,
+      'entities',
+      `Сторон: ${entities.parties.length}, дат: ${entities.dates.length}, сумм: ${entities.amounts.length}, реквизитов: ${entities.bankDetails.length}`
+    );
+  }
+  const requisiteChecks =
+    extraMeta.requisiteChecks
+    || (entities?.bankDetails?.length
+      ? validateRequisites({ pages: extraMeta.pages, text, parties: entities.parties, pageNumbers })
+      : null);
+  if (requisiteChecks?.checked && !extraMeta.requisiteChecks) {
+    pushTrace(
+      trace,
+      'requisites',
+      `Проверено реквизитов: ${requisiteChecks.checked}, замечаний: ${requisiteChecks.findings.length}`,
+      requisiteChecks.findings.some((finding) => finding.severity === 'error') ? 'warn' : 'info'
+    );
+  }
+  const amountChecks =
+    extraMeta.amountChecks
+    || (text ? checkAmounts({ pages: extraMeta.pages, text, tables: collectDocumentTables(extraMeta), pageNumbers }) : null);
+  if (amountChecks?.checked && !extraMeta.amountChecks) {
+    pushTrace(
+      trace,
+      'amounts',
+      `Сверено сумм и итогов: ${amountChecks.checked}, расхождений: ${amountChecks.findings.length}`,
+      amountChecks.findings.some((finding) => finding.severity === 'error') ? 'warn' : 'info'
+    );
   }
-});
+  const dateChecks = extraMeta.dateChecks || (text ? checkChronology({ pages: extraMeta.pages, text, pageNumbers }) : null);
+  if (dateChecks?.checked && !extraMeta.dateChecks) {
+    pushTrace(
+      trace,
+      'dates',
+      `Проверено дат и сроков: ${dateChecks.checked}, замечаний: ${dateChecks.findings.length}`,
+      dateChecks.findings.some((finding) => finding.severity === 'error') ? 'warn' : 'info'
+    );
+  }
+  return {
+    text,
+    preview,
+    kind,
+    meta: {
+      extractor,
+      strategy,
+      usedOcr,
+      quality: computeQuality(text),
+      trace: [...trace],
+      ...extraMeta,
+      ...(clauses.length ? { clauses } : {}),
+      ...(countEntities(entities) ? { entities } : {}),
+      ...(requisiteChecks?.checked ? { requisiteChecks } : {}),
+      ...(amountChecks?.checked ? { amountChecks } : {}),
+      ...(dateChecks?.checked ? { dateChecks } : {})
+    }
+  };
+};
+
+// ---------------------------------------------------------------------------
+// ZIP-пакеты документов
+
+const MAX_BUNDLE_ENTRIES = 200;
+const MAX_BUNDLE_UNPACKED_BYTES = 200 * 1024 * 1024;
+const BUNDLE_JUNK_PATTERN = /(^|\/)(__MACOSX|\.DS_Store|Thumbs\.db|desktop\.ini)(\/|$)|(^|\/)~\$/i;
+const EXTENSION_MIME_TYPES = {
+  pdf: 'application/pdf',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  tif: 'image/tiff',
+  tiff: 'image/tiff',
+  bmp: 'image/bmp',
+  webp: 'image/webp',
+  txt: 'text/plain',
+  csv: 'text/csv',
+  tsv: 'text/tab-separated-values',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  md: 'text/markdown',
+  json: 'application/json',
+  rtf: 'application/rtf',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  odt: 'application/vnd.oasis.opendocument.text',
+  eml: 'message/rfc822',
+  msg: 'application/vnd.ms-outlook',
+  zip: 'application/zip'
+};
+
+const guessMimeType = (name = '') => EXTENSION_MIME_TYPES[name.toLowerCase().split('.').pop()] || '';
+
+// Архивы из Проводника Windows хранят имена в CP866 без флага UTF-8
+const decodeZipEntryName = (bytes) => {
+  const view = bytes instanceof Uint8Array ? bytes : Uint8Array.from(bytes);
+  return decodeUsing(view, 'utf-8', { fatal: true }) || decodeUsing(view, 'ibm866');
+};
+
+// Для списка файлов пакета достаточно начала файла: сигнатуры лежат в первых байтах
+export const detectDocumentKind = async (file) =>
+  detectFileKind(file, await toArrayBuffer(await readAsArrayBuffer(file.slice(0, 4096))));
+
+// Файлы пакета и вложения письма, которые не читаем: вложенные архивы и неизвестные форматы
+export const UNSUPPORTED_BUNDLE_KINDS = ['zip', 'binary'];
+
+export const isZipBundle = (file) => {
+  const name = (file?.name || '').toLowerCase();
+  const type = (file?.type || '').toLowerCase();
+  return name.endsWith('.zip') || type.includes('zip');
+};
+
+/**
+ * Лимит распакованных байт, общий для нескольких архивов: архивы одного пакета
+ * и ZIP-вложения одного письма расходуют один и тот же остаток.
+ */
+export const createUnpackBudget = (bytes = MAX_BUNDLE_UNPACKED_BYTES) => ({ remaining: bytes });
+
+const createUnpackSizeError = (file) => new Error(`Архив «${file.name}» слишком большой после распаковки.`);
+
+// Размеру из заголовка архива верить нельзя — распаковываем потоком и останавливаемся на остатке лимита
+const inflateZipEntry = (entry, limit) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const stream = entry.internalStream('uint8array');
+    stream
+      .on('data', (chunk) => {
+        if (size > limit) return;
+        size += chunk.length;
+        if (size > limit) {
+          stream.pause();
+          resolve(null);
+          return;
+        }
+        chunks.push(chunk);
+      })
+      .on('error', reject)
+      .on('end', () => {
+        const data = new Uint8Array(size);
+        chunks.reduce((offset, chunk) => {
+          data.set(chunk, offset);
+          return offset + chunk.length;
+        }, 0);
+        resolve(data.buffer);
+      })
+      .resume();
+  });
+
+export const unpackZipBundle = async (file, { onLog, budget = createUnpackBudget() } = {}) => {
+  const log = (message, level = 'info') => {
+    if (typeof onLog === 'function') {
+      onLog({ message, level, scope: 'bundle', at: nowIso() });
+    }
+  };
+  const JSZip = await loadJSZip();
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(await readAsArrayBuffer(file), { decodeFileName: decodeZipEntryName });
+  } catch (error) {
+    throw new Error(`Не удалось открыть архив «${file?.name || 'archive.zip'}»: ${error.message || error}`);
+  }
+  const files = Object.values(zip.files).filter((entry) => !entry.dir && !BUNDLE_JUNK_PATTERN.test(entry.name));
+  if (files.length > MAX_BUNDLE_ENTRIES) {
+    throw new Error(`В архиве «${file.name}» больше ${MAX_BUNDLE_ENTRIES} файлов.`);
+  }
+  const declared = files.reduce((sum, entry) => sum + (entry._data?.uncompressedSize || 0), 0);
+  if (declared > budget.remaining) throw createUnpackSizeError(file);
+  const entries = [];
+  for (const entry of files) {
+    const data = await inflateZipEntry(entry, budget.remaining);
+    if (!data) throw createUnpackSizeError(file);
+    budget.remaining -= data.byteLength;
+    const name = entry.name.split('/').pop();
+    const unpacked = new File([data], name, { type: guessMimeType(name) });
+    entries.push({
+      path: entry.name,
+      name,
+      size: data.byteLength,
+      kind: detectFileKind(unpacked, data),
+      file: unpacked
+    });
+  }
+  log(`Архив ${file.name}: файлов ${entries.length}`);
+  return entries;
+};
 
 export const readFileContent = async (file, options = {}) => {
   const strategy = 'auto';
   const trace = [];
-  const { onLog, cloudinary: cloudinaryConfig } = options || {};
+  // Пароль PDF живёт только в замыкании чтения: в trace, журнал и meta он не попадает
+  // requestPassword(fileName, incorrect) — запрос пароля для защищённых PDF во вложениях писем
+  const { onLog, onProgress, signal, cloudinary: cloudinaryConfig, ocr: ocrSettings, password, requestPassword } =
+    options || {};
+  const poolSize = resolvePoolSize(options?.poolSize);
   const log = (message, level = 'info', extra = {}) => {
     if (typeof onLog === 'function') {
       const entry = typeof message === 'string' ? { message } : { ...message };
@@ -1209,6 +2056,20 @@ export const readFileContent = async (file, options = {}) => {
       onLog(entry);
     }
   };
+  // Постраничный прогресс: в журнал и вызывающему коду для индикатора
+  const reportPageProgress = (event) => {
+    log(`${PAGE_PROGRESS_LABELS[event.stage] || event.stage}: страница ${event.page} (${event.done}/${event.total})`, 'info', {
+      scope: 'pages',
+      ...event
+    });
+    if (typeof onProgress === 'function') {
+      onProgress({ ...event, fileName: file?.name || '' });
+    }
+  };
+  const ocrOptions = { ocrSettings, poolSize, signal, password, onProgress: reportPageProgress };
+  throwIfAborted(signal);
+  // Задания tesseract нельзя отменить по одному, поэтому при отмене останавливаем воркеры
+  signal?.addEventListener('abort', () => void terminateOcrWorkers(), { once: true });
   if (!file) {
     pushTrace(trace, 'input', 'Файл не передан', 'error');
     log('Файл не передан', 'error');
@@ -1305,13 +2166,184 @@ export const readFileContent = async (file, options = {}) => {
       extraMeta: { ...baseMeta, ...extra }
     });
 
+  // Запасной путь — сервер /api/extract-text, когда браузер не получил текст
+  const extractOnServer = async ({ minLength = 1, preview = '' } = {}) => {
+    const serverResult = await serverExtractText(file, trace, signal);
+    const serverText = typeof serverResult?.text === 'string' ? serverResult.text : '';
+    if (serverText.trim().length < minLength) {
+      return null;
+    }
+    const serverPages = Array.isArray(serverResult?.meta?.pages) ? serverResult.meta.pages : [serverText];
+    const serverLayout = buildPlainLayout(serverPages);
+    const extractor = serverResult?.meta?.extractor || 'server';
+    noteMissingOcrModels(trace, serverResult?.meta?.ocrMissingLanguages);
+    log(`Текст извлечён на сервере (${extractor})`, 'info', { scope: 'server' });
+    return buildResponse({
+      trace,
+      strategy,
+      kind: detectedKind,
+      extractor,
+      text: serverText,
+      preview,
+      usedOcr: /ocr|tesseract/.test(extractor),
+      extraMeta: {
+        ...baseMeta,
+        ...buildPageMeta(serverText, serverPages, serverLayout, serverLayout.pages.map((page) => page.language))
+      }
+    });
+  };
+
   if (detectedKind === 'docx') {
-    const docx = await extractDocx(arrayBuffer, trace);
-    return chooseText(
-      docx.text,
-      'docx',
-      buildPageMeta(docx.text, docx.pages, docx.layout, docx.languages)
+    const docx = await extractDocx(arrayBuffer, trace, ocrOptions);
+    // Рисунки уходят модели как изображения: с Cloudinary — ссылкой, без него — data URL
+    const embeddedImages = [];
+    for (const image of docx.images || []) {
+      throwIfAborted(signal);
+      let url = VISION_IMAGE_TYPES.has(image.type) ? image.dataUrl : '';
+      if (url && cloudinaryReady) {
+        const upload = await uploadDataUrlToCloudinary({
+          dataUrl: image.dataUrl,
+          fileName: `${sanitizePublicId(baseMeta.originalName)}-image-${String(image.index).padStart(3, '0')}`,
+          config: cloudinaryConfig,
+          log,
+          resourceType: 'image',
+          tags: ['document-embedded-image']
+        });
+        url = upload?.url || url;
+      }
+      const { dataUrl, ...rest } = image;
+      embeddedImages.push({ ...rest, url });
+    }
+    if (!docx.text.trim()) {
+      const serverResponse = await extractOnServer();
+      if (serverResponse) {
+        return serverResponse;
+      }
+    }
+    return chooseText(docx.text, 'docx', {
+      ...buildPageMeta(docx.text, docx.pages, docx.layout, docx.languages),
+      ...(docx.docx ? { docx: docx.docx } : {}),
+      ...(docx.revisions?.length ? { revisions: docx.revisions, originalText: docx.originalText } : {}),
+      ...(docx.comments?.length ? { comments: docx.comments } : {}),
+      ...(embeddedImages.length ? { embeddedImages } : {})
+    });
+  }
+
+  if (LEGACY_FORMAT_LABELS[detectedKind]) {
+    const legacy = await extractLegacyDocument(detectedKind, arrayBuffer, trace);
+    return chooseText(legacy.text, detectedKind, {
+      ...buildPageMeta(legacy.text, legacy.pages, legacy.layout, legacy.languages),
+      ...(legacy.docx ? { docx: legacy.docx } : {})
+    });
+  }
+
+  if (detectedKind === 'xlsx' || detectedKind === 'csv') {
+    const sheet = await extractSpreadsheet(detectedKind, arrayBuffer, file?.name, trace);
+    return chooseText(sheet.text, detectedKind, {
+      ...buildPageMeta(sheet.text, sheet.pages, sheet.layout, sheet.languages),
+      ...(sheet.spreadsheet ? { spreadsheet: sheet.spreadsheet } : {})
+    });
+  }
+
+  if (detectedKind === 'zip') {
+    pushTrace(trace, 'zip', 'ZIP-архив нужно распаковать перед извлечением: загрузите его как пакет документов', 'error');
+    return chooseText('', 'zip');
+  }
+
+  // Письмо: вложения проходят через тот же readFileContent, тело уходит в анализ как контекст
+  if (detectedKind === 'eml' || detectedKind === 'msg') {
+    const label = detectedKind.toUpperCase();
+    let email = null;
+    try {
+      email = detectedKind === 'eml' ? parseEml(arrayBuffer) : parseMsg(arrayBuffer);
+    } catch (error) {
+      pushTrace(trace, detectedKind, `Ошибка чтения ${label}: ${error.message || error}`, 'error');
+      return chooseText('', detectedKind);
+    }
+    pushTrace(
+      trace,
+      detectedKind,
+      `Тема: «${email.headers.subject || 'без темы'}», вложений: ${email.attachments.length}, ` +
+        `встроенных изображений пропущено: ${email.inlineCount}`
     );
+    // Пароль письма к вложениям не относится: у каждого защищённого PDF спрашиваем свой
+    const readAttachment = async (attachmentFile) => {
+      let attachmentPassword = '';
+      for (;;) {
+        try {
+          return await readFileContent(attachmentFile, { ...options, password: attachmentPassword });
+        } catch (error) {
+          if (!isPdfPasswordError(error) || typeof requestPassword !== 'function') throw error;
+          attachmentPassword = await requestPassword(attachmentFile.name, error.incorrect);
+          throwIfAborted(signal);
+          if (!attachmentPassword) throw error;
+        }
+      }
+    };
+    // ZIP во вложении раскрываем как пакет: каждый файл архива — отдельное вложение
+    const sources = [];
+    const skipped = [];
+    const budget = createUnpackBudget(MAX_TOTAL_FILE_SIZE_BYTES);
+    for (const attachment of email.attachments) {
+      const attachmentFile = new File([attachment.data], attachment.name, { type: attachment.type });
+      if (!isZipBundle(attachmentFile)) {
+        sources.push({ name: attachment.name, file: attachmentFile });
+        continue;
+      }
+      try {
+        const entries = await unpackZipBundle(attachmentFile, { onLog, budget });
+        pushTrace(trace, detectedKind, `Вложение «${attachment.name}»: архив, файлов ${entries.length}`);
+        entries.forEach((entry) => {
+          const name = `${attachment.name}/${entry.path}`;
+          if (UNSUPPORTED_BUNDLE_KINDS.includes(entry.kind)) {
+            skipped.push({ name, error: 'Формат не поддерживается' });
+            pushTrace(trace, detectedKind, `Вложение «${name}» пропущено: формат не поддерживается`, 'warn');
+          } else {
+            sources.push({ name, file: entry.file });
+          }
+        });
+      } catch (error) {
+        skipped.push({ name: attachment.name, error: error.message || String(error) });
+        pushTrace(trace, detectedKind, `Вложение «${attachment.name}» не распаковано: ${error.message || error}`, 'error');
+      }
+    }
+    const attachments = [];
+    for (const source of sources) {
+      throwIfAborted(signal);
+      log(`Извлекаем вложение «${source.name}»`, 'info', { scope: 'email' });
+      try {
+        const record = await readAttachment(source.file);
+        record.meta.emailSource = { fileName: baseMeta.originalName, subject: email.headers.subject };
+        attachments.push(record);
+        pushTrace(
+          trace,
+          detectedKind,
+          `Вложение «${source.name}»: ${record.kind}, символов: ${record.text.length}`,
+          record.text.trim() ? 'info' : 'warn'
+        );
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        const needsPassword = isPdfPasswordError(error);
+        skipped.push({
+          name: source.name,
+          error: needsPassword ? 'Защищён паролем, пароль не введён' : error.message || String(error),
+          ...(needsPassword ? { needsPassword } : {})
+        });
+        pushTrace(
+          trace,
+          detectedKind,
+          `Вложение «${source.name}» не прочитано: ${needsPassword ? 'нужен пароль' : error.message || error}`,
+          needsPassword ? 'warn' : 'error'
+        );
+      }
+    }
+    const text = [formatEmailHeaders(email.headers), email.body].filter(Boolean).join('\n\n');
+    const pages = [text];
+    const layout = buildPlainLayout(pages);
+    return chooseText(text, detectedKind, {
+      ...buildPageMeta(text, pages, layout, layout.pages.map((page) => page.language)),
+      email: { format: email.format, headers: email.headers, body: email.body, attachments, skipped }
+    });
   }
 
   if (detectedKind === 'text') {
@@ -1339,7 +2371,24 @@ export const readFileContent = async (file, options = {}) => {
     }
 
     // Автоматический конвейер для PDF: pdf.js → сервер → OCR
-    const pdfResult = await renderPdfWithPdfjs(pdfBufferForText, trace);
+    let pdfResult;
+    try {
+      pdfResult = await renderPdfWithPdfjs(pdfBufferForText, trace, { signal, password, onProgress: reportPageProgress });
+    } catch (error) {
+      if (!isPdfPasswordError(error)) throw error;
+      log(error.incorrect ? 'Пароль PDF не подошёл' : 'PDF защищён паролем', 'warn');
+      throw createPdfPasswordError(file.name, error.incorrect);
+    }
+    if (password) {
+      baseMeta.passwordProtected = true;
+    }
+    // Свойства файла не зависят от того, чем потом извлечён текст
+    if (pdfResult.inspection) {
+      baseMeta.pdf = pdfResult.inspection;
+    }
+    if (pdfResult.furniture) {
+      baseMeta.pageFurniture = pdfResult.furniture;
+    }
     const pdfMeta = buildPageMeta(
       pdfResult.text,
       pdfResult.pages,
@@ -1352,7 +2401,11 @@ export const readFileContent = async (file, options = {}) => {
         ? await renderPdfPageImages(pdfBufferForImages, {
             scale: cloudinaryConfig.pageImageScale || PAGE_IMAGE_SCALE,
             maxPages: cloudinaryConfig.maxPageImages || MAX_PAGE_IMAGES,
-            log
+            log,
+            signal,
+            poolSize,
+            password,
+            onProgress: reportPageProgress
           })
         : [];
       if (pageImages.length) {
@@ -1360,7 +2413,8 @@ export const readFileContent = async (file, options = {}) => {
           images: pageImages,
           baseName: baseMeta.originalName,
           config: cloudinaryConfig,
-          log
+          log,
+          signal
         });
         if (uploadedPages.length) {
           pdfMeta.pageImages = uploadedPages.map(({ page, url, width, height }) => ({
@@ -1490,10 +2544,20 @@ export const readFileContent = async (file, options = {}) => {
       .map((entry) => entry.page);
 
     if (lowQualityPages.length) {
-      const patches = await ocrPdfPages(pdfBufferForOcr, lowQualityPages, trace);
+      const { results: patches, furniture } = await ocrPdfPages(
+        pdfBufferForOcr,
+        lowQualityPages,
+        trace,
+        ocrOptions,
+        pdfMeta.pages,
+        baseMeta.pageFurniture || null
+      );
+      if (furniture) {
+        baseMeta.pageFurniture = furniture;
+      }
       const patchedPages = [];
       patches.forEach((text, pageNumber) => {
-        const normalized = typeof text === 'string' ? text.replace(/\s+/g, ' ').trim() : '';
+        const normalized = typeof text === 'string' ? collapsePageWhitespace(text) : '';
         if (!normalized) return;
         const index = pageNumber - 1;
         while (pdfMeta.pages.length < pageNumber) {
@@ -1545,22 +2609,12 @@ export const readFileContent = async (file, options = {}) => {
       return chooseText(trimmedPdfText, pdfAssessment.readable ? 'pdfjs' : 'pdfjs-soft', pdfMeta);
     }
 
-    const serverResult = await serverExtractText(file, trace);
-    if (serverResult?.text && serverResult.text.trim().length >= 40) {
-      const serverPages = Array.isArray(serverResult?.meta?.pages)
-        ? serverResult.meta.pages
-        : [serverResult.text];
-      const serverLayout = buildPlainLayout(serverPages);
-      const meta = buildPageMeta(
-        serverResult.text,
-        serverPages,
-        serverLayout,
-        serverLayout.pages.map((page) => page.language)
-      );
-      return chooseText(serverResult.text, serverResult?.meta?.extractor || 'server-pymupdf', meta);
+    const serverResponse = await extractOnServer({ minLength: 40 });
+    if (serverResponse) {
+      return serverResponse;
     }
 
-    const { text: ocrText, preview, pages } = await ocrPdf(pdfBufferForOcr, trace);
+    const { text: ocrText, preview, pages, furniture } = await ocrPdf(pdfBufferForOcr, trace, ocrOptions);
     if (ocrText && ocrText.trim().length >= 40) {
       const ocrPages = pages && pages.length ? pages : [ocrText];
       const ocrLayout = buildPlainLayout(ocrPages);
@@ -1578,7 +2632,7 @@ export const readFileContent = async (file, options = {}) => {
         text: ocrText,
         preview,
         usedOcr: true,
-        extraMeta: { ...baseMeta, ...meta }
+        extraMeta: { ...baseMeta, ...meta, ...(furniture ? { pageFurniture: furniture } : {}) }
       });
     }
 
@@ -1589,8 +2643,11 @@ export const readFileContent = async (file, options = {}) => {
   if (detectedKind === 'image') {
     pushTrace(trace, 'image', 'Запуск OCR для изображения');
     const dataUrl = await readAsDataURL(file);
-    const tesseract = await loadTesseract();
-    if (!tesseract) {
+    if (!canUseOcr()) {
+      const serverResponse = await extractOnServer({ preview: dataUrl });
+      if (serverResponse) {
+        return serverResponse;
+      }
       return buildResponse({
         trace,
         strategy,
@@ -1602,8 +2659,14 @@ export const readFileContent = async (file, options = {}) => {
       });
     }
     try {
-      const { data } = await tesseract.recognize(dataUrl, 'rus+eng', { logger: () => {} });
+      const data = await recognizeWithTrace(dataUrl, { ocrSettings, poolSize: 1, trace, step: 'image', label: 'Изображение' });
       const recognizedText = data?.text || '';
+      if (!recognizedText.trim()) {
+        const serverResponse = await extractOnServer({ preview: dataUrl });
+        if (serverResponse) {
+          return serverResponse;
+        }
+      }
       const pages = [recognizedText];
       const layout = buildPlainLayout(pages);
       return buildResponse({
@@ -1620,7 +2683,12 @@ export const readFileContent = async (file, options = {}) => {
         }
       });
     } catch (error) {
+      if (signal?.aborted) throw createAbortError();
       pushTrace(trace, 'image', `Ошибка OCR: ${error.message || error}`, 'error');
+      const serverResponse = await extractOnServer({ preview: dataUrl });
+      if (serverResponse) {
+        return serverResponse;
+      }
       return buildResponse({
         trace,
         strategy,
@@ -1712,82 +2780,3 @@ export const convertFileToImage = async (file, content) => {
     return '';
   }
 };
-
-export const buildDocumentInsights = (files = []) => {
-  const insights = {
-    parties: new Set(),
-    deadlines: [],
-    monetary: [],
-    risks: new Set(),
-    signatures: 0,
-    totalLength: 0
-  };
-
-  files.forEach((file) => {
-    const text = file.fullText || file.text || '';
-    if (!text) return;
-    insights.totalLength += text.length;
-    const matches = text.match(/[Пп]окупател[ья]|[Пп]родавц[ае]|[Аа]рендатор|[Аа]рендодатель|[Ии]сполнитель|[Зз]аказчик/g);
-    matches?.forEach((item) => insights.parties.add(item.toLowerCase()));
-    const deadlineMatches = text.match(/\d{1,3}\s*(?:календарн|рабочих)\s*дн/gi);
-    if (deadlineMatches) {
-      insights.deadlines.push(...deadlineMatches);
-    }
-    const moneyMatches = text.match(/\d[\d\s.,]{2,}\s*(?:руб|eur|usd|евро|доллар)/gi);
-    if (moneyMatches) {
-      insights.monetary.push(...moneyMatches);
-    }
-    if (/штраф|неусто/.test(text)) insights.risks.add('penalty');
-    if (/односторонн/.test(text)) insights.risks.add('unilateral');
-    if (/подпись|signature/i.test(text)) insights.signatures += 1;
-  });
-
-  return {
-    parties: Array.from(insights.parties).slice(0, 6),
-    deadlines: insights.deadlines.slice(0, 6),
-    monetary: insights.monetary.slice(0, 6),
-    risks: Array.from(insights.risks),
-    signatures: insights.signatures,
-    totalLength: insights.totalLength
-  };
-};
-
-export const mapInsightsToFields = (fields = [], insights = {}) => {
-  const result = {};
-  fields.forEach((field) => {
-    if (/роль|сторона/i.test(field.label || '') && insights.parties?.length) {
-      result[field.id] = insights.parties[0];
-    }
-    if (/срок/i.test(field.label || '') && insights.deadlines?.length) {
-      result[field.id] = insights.deadlines[0];
-    }
-    if (/сумм|стоим/i.test(field.label || '') && insights.monetary?.length) {
-      result[field.id] = insights.monetary[0];
-    }
-  });
-  return result;
-};
-
-export const formatDocumentInsights = (insights = {}) => {
-  const entries = [];
-  if (insights.parties?.length) {
-    entries.push({ id: 'parties', label: `Упомянутые стороны: ${insights.parties.join(', ')}` });
-  }
-  if (insights.monetary?.length) {
-    entries.push({ id: 'money', label: `Финансовые условия: ${insights.monetary.slice(0, 3).join(', ')}` });
-  }
-  if (insights.deadlines?.length) {
-    entries.push({ id: 'deadlines', label: `Сроки исполнения: ${insights.deadlines.slice(0, 3).join(', ')}` });
-  }
-  if (insights.risks?.length) {
-    const humanReadable = insights.risks
-      .map((risk) => (risk === 'penalty' ? 'штрафные санкции' : risk === 'unilateral' ? 'односторонние права' : risk))
-      .join(', ');
-    entries.push({ id: 'risks', label: `Обнаружены риски: ${humanReadable}` });
-  }
-  if (insights.signatures) {
-    entries.push({ id: 'signatures', label: `Полей для подписи: ${insights.signatures}` });
-  }
-  return entries;
-};
-
@@ -0,0 +1,772 @@
+/*
+ * DOCX parsing
+ *
+ * Reads WordprocessingML parts from an already opened JSZip archive and turns
+ * them into an ordered list of paragraph and table blocks.  Auto-numbering from
+ * numbering.xml is resolved into the text ("4.2.1 …"), headings are taken from
+ * paragraph styles, explicit and last-rendered page breaks split the flow into
+ * pages, and headers/footers, footnotes and endnotes are collected separately.
+ * Tracked changes yield both the accepted and the original reading, and every
+ * revision and reviewer comment is tied to the clause it touches.  Embedded
+ * pictures are replaced in the text flow by "[Изображение N]" labels and listed
+ * in `images`, so the caller can OCR word/media files and put the text back.
+ */
+
+const HEADING_STYLE_PATTERN = /^(?:heading|заголовок)\s*(\d)$/i;
+const TITLE_STYLE_PATTERN = /^(?:title|название|заглавие)$/i;
+const RUSSIAN_LETTERS = 'абвгдежзиклмнопрстуфхцчшщэюя';
+const MAX_LEVELS = 9;
+
+const readXml = async (zip, path) => {
+  const file = zip.file(path);
+  if (!file) return null;
+  const xmlText = await file.async('text');
+  const parser = new DOMParser();
+  return parser.parseFromString(xmlText, 'application/xml');
+};
+
+const childElements = (node, name) =>
+  Array.from(node?.childNodes || []).filter(
+    (child) => child.nodeType === 1 && (!name || child.nodeName === name)
+  );
+
+const firstChild = (node, name) => childElements(node, name)[0] || null;
+
+const attr = (node, name) => (node && typeof node.getAttribute === 'function' ? node.getAttribute(name) : null);
+
+const toInt = (value, fallback = null) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const resolvePartPath = (target) => {
+  if (!target) return '';
+  const cleaned = target.replace(/^\/+/, '');
+  return cleaned.startsWith('word/') ? cleaned : `word/${cleaned.replace(/^\.\//, '')}`;
+};
+
+const readRelationships = async (zip) => {
+  const xml = await readXml(zip, 'word/_rels/document.xml.rels');
+  const rels = new Map();
+  if (!xml) return rels;
+  Array.from(xml.getElementsByTagName('Relationship')).forEach((node) => {
+    const id = attr(node, 'Id');
+    if (!id) return;
+    rels.set(id, {
+      type: (attr(node, 'Type') || '').split('/').pop(),
+      target: attr(node, 'Target') || '',
+      external: attr(node, 'TargetMode') === 'External'
+    });
+  });
+  return rels;
+};
+
+const readNumPr = (pPr) => {
+  const numPr = firstChild(pPr, 'w:numPr');
+  if (!numPr) return null;
+  const numId = attr(firstChild(numPr, 'w:numId'), 'w:val');
+  const ilvl = toInt(attr(firstChild(numPr, 'w:ilvl'), 'w:val'), 0);
+  if (numId === null) return { numId: null, ilvl };
+  return { numId, ilvl };
+};
+
+const readStyles = async (zip) => {
+  const xml = await readXml(zip, 'word/styles.xml');
+  const styles = new Map();
+  if (!xml) return styles;
+  Array.from(xml.getElementsByTagName('w:style')).forEach((node) => {
+    const id = attr(node, 'w:styleId');
+    if (!id) return;
+    const pPr = firstChild(node, 'w:pPr');
+    styles.set(id, {
+      id,
+      type: attr(node, 'w:type') || 'paragraph',
+      name: attr(firstChild(node, 'w:name'), 'w:val') || id,
+      basedOn: attr(firstChild(node, 'w:basedOn'), 'w:val'),
+      outlineLevel: toInt(attr(firstChild(pPr, 'w:outlineLvl'), 'w:val')),
+      numPr: pPr ? readNumPr(pPr) : null
+    });
+  });
+  return styles;
+};
+
+const resolveStyleChain = (styles, styleId) => {
+  const chain = [];
+  const seen = new Set();
+  let current = styleId ? styles.get(styleId) : null;
+  while (current && !seen.has(current.id)) {
+    chain.push(current);
+    seen.add(current.id);
+    current = current.basedOn ? styles.get(current.basedOn) : null;
+  }
+  return chain;
+};
+
+const resolveHeadingLevel = (styles, styleId, directOutlineLevel) => {
+  if (Number.isFinite(directOutlineLevel) && directOutlineLevel < MAX_LEVELS) {
+    return directOutlineLevel + 1;
+  }
+  for (const style of resolveStyleChain(styles, styleId)) {
+    if (Number.isFinite(style.outlineLevel) && style.outlineLevel < MAX_LEVELS) {
+      return style.outlineLevel + 1;
+    }
+    const byName = style.name.match(HEADING_STYLE_PATTERN) || style.id.match(/^Heading(\d)$/i);
+    if (byName) {
+      return Number(byName[1]);
+    }
+    if (TITLE_STYLE_PATTERN.test(style.name)) {
+      return 1;
+    }
+  }
+  return 0;
+};
+
+const readNumbering = async (zip) => {
+  const xml = await readXml(zip, 'word/numbering.xml');
+  const abstracts = new Map();
+  const nums = new Map();
+  if (!xml) return { abstracts, nums };
+  Array.from(xml.getElementsByTagName('w:abstractNum')).forEach((node) => {
+    const id = attr(node, 'w:abstractNumId');
+    const levels = [];
+    childElements(node, 'w:lvl').forEach((lvl) => {
+      const ilvl = toInt(attr(lvl, 'w:ilvl'), 0);
+      levels[ilvl] = {
+        start: toInt(attr(firstChild(lvl, 'w:start'), 'w:val'), 1),
+        numFmt: attr(firstChild(lvl, 'w:numFmt'), 'w:val') || 'decimal',
+        lvlText: attr(firstChild(lvl, 'w:lvlText'), 'w:val') ?? '',
+        isLgl: Boolean(firstChild(lvl, 'w:isLgl'))
+      };
+    });
+    abstracts.set(id, { id, levels });
+  });
+  Array.from(xml.getElementsByTagName('w:num')).forEach((node) => {
+    const id = attr(node, 'w:numId');
+    const overrides = new Map();
+    childElements(node, 'w:lvlOverride').forEach((override) => {
+      const ilvl = toInt(attr(override, 'w:ilvl'), 0);
+      const start = toInt(attr(firstChild(override, 'w:startOverride'), 'w:val'));
+      if (Number.isFinite(start)) {
+        overrides.set(ilvl, start);
+      }
+    });
+    nums.set(id, {
+      abstractNumId: attr(firstChild(node, 'w:abstractNumId'), 'w:val'),
+      overrides
+    });
+  });
+  return { abstracts, nums };
+};
+
+const toRoman = (value) => {
+  if (!Number.isFinite(value) || value <= 0) return String(value);
+  const table = [
+    [1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'],
+    [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']
+  ];
+  let rest = value;
+  let result = '';
+  table.forEach(([amount, symbol]) => {
+    while (rest >= amount) {
+      result += symbol;
+      rest -= amount;
+    }
+  });
+  return result;
+};
+
+const toLetters = (value, alphabet) => {
+  if (!Number.isFinite(value) || value <= 0) return String(value);
+  const index = (value - 1) % alphabet.length;
+  const repeat = Math.floor((value - 1) / alphabet.length) + 1;
+  return alphabet[index].repeat(repeat);
+};
+
+const formatNumber = (value, numFmt) => {
+  switch (numFmt) {
+    case 'lowerLetter':
+      return toLetters(value, 'abcdefghijklmnopqrstuvwxyz');
+    case 'upperLetter':
+      return toLetters(value, 'abcdefghijklmnopqrstuvwxyz').toUpperCase();
+    case 'lowerRoman':
+      return toRoman(value);
+    case 'upperRoman':
+      return toRoman(value).toUpperCase();
+    case 'russianLower':
+      return toLetters(value, RUSSIAN_LETTERS);
+    case 'russianUpper':
+      return toLetters(value, RUSSIAN_LETTERS).toUpperCase();
+    case 'decimalZero':
+      return String(value).padStart(2, '0');
+    case 'none':
+      return '';
+    default:
+      return String(value);
+  }
+};
+
+// Счётчики ведём по abstractNum: разные w:num с общим шаблоном продолжают
+// нумерацию, пока для уровня не задан startOverride.
+const createNumberingResolver = ({ abstracts, nums }) => {
+  const counters = new Map();
+  const appliedOverrides = new Set();
+
+  return (numPr) => {
+    if (!numPr || !numPr.numId || numPr.numId === '0') return null;
+    const num = nums.get(numPr.numId);
+    const abstract = num ? abstracts.get(num.abstractNumId) : null;
+    if (!abstract) return null;
+    const ilvl = Math.min(Math.max(numPr.ilvl || 0, 0), MAX_LEVELS - 1);
+    const level = abstract.levels[ilvl];
+    if (!level) return null;
+
+    const values = counters.get(abstract.id) || [];
+    const overrideKey = `${numPr.numId}:${ilvl}`;
+    if (num.overrides.has(ilvl) && !appliedOverrides.has(overrideKey)) {
+      appliedOverrides.add(overrideKey);
+      values[ilvl] = num.overrides.get(ilvl);
+    } else {
+      values[ilvl] = Number.isFinite(values[ilvl]) ? values[ilvl] + 1 : level.start;
+    }
+    for (let deeper = ilvl + 1; deeper < MAX_LEVELS; deeper += 1) {
+      values[deeper] = undefined;
+    }
+    counters.set(abstract.id, values);
+
+    if (level.numFmt === 'bullet') {
+      return { label: '•', level: ilvl, bullet: true };
+    }
+    const label = level.lvlText.replace(/%(\d)/g, (_, digit) => {
+      const index = Number(digit) - 1;
+      const source = abstract.levels[index];
+      const value = Number.isFinite(values[index]) ? values[index] : source?.start ?? 1;
+      const format = level.isLgl ? 'decimal' : source?.numFmt || 'decimal';
+      return formatNumber(value, format);
+    });
+    return { label: label.trim(), level: ilvl, bullet: false };
+  };
+};
+
+const SKIPPED_NODES = new Set([
+  'w:pPr',
+  'w:rPr',
+  'w:instrText',
+  'w:delInstrText',
+  'w:annotationRef'
+]);
+
+const REVISION_TYPES = {
+  'w:ins': 'insert',
+  'w:del': 'delete',
+  'w:moveTo': 'move-to',
+  'w:moveFrom': 'move-from'
+};
+
+const readSymbol = (node) => {
+  const code = Number.parseInt(attr(node, 'w:char') || '', 16);
+  if (!Number.isFinite(code)) return '';
+  // Символьные шрифты кодируют знаки в области F000–F0FF
+  return String.fromCharCode(code >= 0xf000 ? code - 0xf000 : code);
+};
+
+export const formatDocxImageLabel = (index) => `[Изображение ${index}]`;
+
+// Рисунок DrawingML ссылается на файл через a:blip, VML и OLE-объекты — через v:imagedata
+const readImageRefs = (node) =>
+  [
+    ...Array.from(node.getElementsByTagName('a:blip')).map((blip) => attr(blip, 'r:embed')),
+    ...Array.from(node.getElementsByTagName('v:imagedata')).map((data) => attr(data, 'r:id'))
+  ].filter(Boolean);
+
+// Один проход собирает обе редакции: принятую (без удалений) и исходную
+// (без вставок), а заодно текст каждой правки и якоря комментариев
+const emitText = (state, scope, text) => {
+  if (!scope.deleted) state.parts.push(text);
+  if (!scope.inserted) state.originalParts.push(text);
+  scope.revision?.parts.push(text);
+  state.context.openComments.forEach((anchor) => anchor.push(text));
+};
+
+const emitImages = (node, state, scope) => {
+  const { images, rels } = state.context;
+  if (!images) return;
+  const docPr = node.getElementsByTagName('wp:docPr')[0];
+  readImageRefs(node).forEach((id) => {
+    const rel = rels.get(id);
+    if (!rel || rel.external || rel.type !== 'image') return;
+    const index = images.length + 1;
+    const label = formatDocxImageLabel(index);
+    images.push({
+      index,
+      label,
+      path: resolvePartPath(rel.target),
+      name: attr(docPr, 'name') || '',
+      description: attr(docPr, 'descr') || attr(docPr, 'title') || ''
+    });
+    emitText(state, scope, ` ${label} `);
+  });
+};
+
+const collectInline = (node, state, scope = {}) => {
+  childElements(node).forEach((child) => {
+    const name = child.nodeName;
+    if (SKIPPED_NODES.has(name)) return;
+    if (REVISION_TYPES[name]) {
+      const type = REVISION_TYPES[name];
+      const revision = {
+        type,
+        author: attr(child, 'w:author') || '',
+        date: attr(child, 'w:date') || '',
+        parts: []
+      };
+      state.revisions.push(revision);
+      const removed = type === 'delete' || type === 'move-from';
+      collectInline(child, state, {
+        inserted: scope.inserted || !removed,
+        deleted: scope.deleted || removed,
+        revision
+      });
+      return;
+    }
+    switch (name) {
+      case 'w:t':
+        emitText(state, scope, child.textContent || '');
+        return;
+      case 'w:delText':
+        if (scope.deleted) emitText(state, scope, child.textContent || '');
+        return;
+      case 'w:tab':
+        emitText(state, scope, '\t');
+        return;
+      case 'w:noBreakHyphen':
+        emitText(state, scope, '-');
+        return;
+      case 'w:sym':
+        emitText(state, scope, readSymbol(child));
+        return;
+      case 'w:cr':
+        emitText(state, scope, '\n');
+        return;
+      case 'w:br':
+        if (attr(child, 'w:type') === 'page') {
+          state.markPageBreak();
+        } else {
+          emitText(state, scope, '\n');
+        }
+        return;
+      case 'w:lastRenderedPageBreak':
+        state.markPageBreak();
+        return;
+      case 'w:footnoteReference':
+        emitText(state, scope, `[^${attr(child, 'w:id')}]`);
+        state.footnoteRefs.push(attr(child, 'w:id'));
+        return;
+      case 'w:endnoteReference':
+        emitText(state, scope, `[^e${attr(child, 'w:id')}]`);
+        state.endnoteRefs.push(attr(child, 'w:id'));
+        return;
+      case 'w:commentRangeStart': {
+        const id = attr(child, 'w:id');
+        state.commentIds.push(id);
+        if (!state.context.commentAnchors.has(id)) {
+          const anchor = [];
+          state.context.commentAnchors.set(id, anchor);
+          state.context.openComments.set(id, anchor);
+        }
+        return;
+      }
+      case 'w:commentRangeEnd':
+        state.context.openComments.delete(attr(child, 'w:id'));
+        return;
+      case 'w:commentReference':
+        state.commentIds.push(attr(child, 'w:id'));
+        return;
+      case 'w:drawing':
+      case 'w:pict':
+      case 'w:object':
+        emitImages(child, state, scope);
+        // Внутри рисунка может быть надпись с собственными абзацами
+        collectInline(child, state, scope);
+        return;
+      case 'mc:AlternateContent': {
+        const choice = firstChild(child, 'mc:Choice') || firstChild(child, 'mc:Fallback');
+        if (choice) collectInline(choice, state, scope);
+        return;
+      }
+      case 'w:p':
+        // Абзацы внутри надписей (text box) добавляем в строку родителя
+        emitText(state, scope, ' ');
+        collectInline(child, state, scope);
+        emitText(state, scope, ' ');
+        return;
+      default:
+        collectInline(child, state, scope);
+    }
+  });
+};
+
+const normalizeInlineText = (parts) =>
+  parts
+    .join('')
+    .replace(/[ \t ]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .trim();
+
+const readParagraph = (node, context) => {
+  const pPr = firstChild(node, 'w:pPr');
+  const styleId = attr(firstChild(pPr, 'w:pStyle'), 'w:val');
+  const directNumPr = pPr ? readNumPr(pPr) : null;
+  const styleNumPr = resolveStyleChain(context.styles, styleId).find((style) => style.numPr)?.numPr || null;
+  const numPr = directNumPr || styleNumPr;
+  const directOutline = toInt(attr(firstChild(pPr, 'w:outlineLvl'), 'w:val'));
+
+  let pageBreakBefore = Boolean(firstChild(pPr, 'w:pageBreakBefore'));
+  let pageBreakAfter = false;
+  const state = {
+    context,
+    parts: [],
+    originalParts: [],
+    revisions: [],
+    commentIds: [],
+    footnoteRefs: [],
+    endnoteRefs: [],
+    markPageBreak: () => {
+      if (normalizeInlineText(state.parts) || normalizeInlineText(state.originalParts)) {
+        pageBreakAfter = true;
+      } else {
+        pageBreakBefore = true;
+      }
+    }
+  };
+  collectInline(node, state);
+
+  const sectPr = firstChild(pPr, 'w:sectPr');
+  if (sectPr) {
+    const sectionType = attr(firstChild(sectPr, 'w:type'), 'w:val') || 'nextPage';
+    if (sectionType !== 'continuous') {
+      pageBreakAfter = true;
+    }
+  }
+
+  const text = normalizeInlineText(state.parts);
+  const originalText = normalizeInlineText(state.originalParts);
+  const numbering = text ? context.resolveNumbering(numPr) : null;
+  const originalNumbering = originalText ? context.resolveOriginalNumbering(numPr) : null;
+  const style = styleId ? context.styles.get(styleId) : null;
+  return {
+    type: 'paragraph',
+    text,
+    originalText,
+    number: numbering && !numbering.bullet ? numbering.label : '',
+    originalNumber: originalNumbering && !originalNumbering.bullet ? originalNumbering.label : '',
+    bullet: Boolean(numbering?.bullet || originalNumbering?.bullet),
+    listLevel: numbering ? numbering.level : originalNumbering ? originalNumbering.level : null,
+    style: style?.name || styleId || '',
+    headingLevel: resolveHeadingLevel(context.styles, styleId, directOutline),
+    revisions: state.revisions
+      .map(({ parts, ...revision }) => ({ ...revision, text: normalizeInlineText(parts) }))
+      .filter((revision) => revision.text),
+    commentIds: [...new Set(state.commentIds.filter(Boolean))],
+    footnoteRefs: state.footnoteRefs.filter(Boolean),
+    endnoteRefs: state.endnoteRefs.filter(Boolean),
+    pageBreakBefore,
+    pageBreakAfter
+  };
+};
+
+const formatCellParagraph = (text, number, bullet) => {
+  const label = number || (bullet ? '•' : '');
+  return label ? `${label} ${text}` : text;
+};
+
+const readTable = (node, context) => {
+  const rows = [];
+  const verticalMerges = [];
+  const revisions = [];
+  const commentIds = [];
+  let pageBreakBefore = false;
+  let pageBreakAfter = false;
+  childElements(node, 'w:tr').forEach((rowNode) => {
+    const cells = [];
+    let gridIndex = 0;
+    childElements(rowNode, 'w:tc').forEach((cellNode) => {
+      const tcPr = firstChild(cellNode, 'w:tcPr');
+      const colSpan = Math.max(1, toInt(attr(firstChild(tcPr, 'w:gridSpan'), 'w:val'), 1));
+      const vMergeNode = firstChild(tcPr, 'w:vMerge');
+      const vMerge = vMergeNode ? attr(vMergeNode, 'w:val') || 'continue' : null;
+      const paragraphs = [];
+      const originalParagraphs = [];
+      childElements(cellNode).forEach((child) => {
+        if (child.nodeName === 'w:p') {
+          const paragraph = readParagraph(child, context);
+          pageBreakBefore = pageBreakBefore || (paragraph.pageBreakBefore && !rows.length);
+          pageBreakAfter = pageBreakAfter || paragraph.pageBreakAfter;
+          revisions.push(...paragraph.revisions);
+          commentIds.push(...paragraph.commentIds);
+          if (paragraph.text) {
+            paragraphs.push(formatCellParagraph(paragraph.text, paragraph.number, paragraph.bullet));
+          }
+          if (paragraph.originalText) {
+            originalParagraphs.push(
+              formatCellParagraph(paragraph.originalText, paragraph.originalNumber, paragraph.bullet)
+            );
+          }
+        } else if (child.nodeName === 'w:tbl') {
+          const nested = readTable(child, context);
+          revisions.push(...nested.revisions);
+          commentIds.push(...nested.commentIds);
+          nested.rows.forEach((row) => {
+            const rowText = row.cells.map((cell) => cell.text).filter(Boolean).join(' | ');
+            const originalRowText = row.cells.map((cell) => cell.originalText).filter(Boolean).join(' | ');
+            if (rowText && !row.deleted) paragraphs.push(rowText);
+            if (originalRowText && !row.inserted) originalParagraphs.push(originalRowText);
+          });
+        }
+      });
+      const cell = {
+        text: paragraphs.join('\n'),
+        originalText: originalParagraphs.join('\n'),
+        colSpan,
+        rowSpan: 1,
+        gridIndex
+      };
+      if (vMerge === 'continue') {
+        const origin = verticalMerges[gridIndex];
+        if (origin) {
+          origin.rowSpan += 1;
+        }
+        cell.merged = true;
+      } else if (vMerge === 'restart') {
+        verticalMerges[gridIndex] = cell;
+      } else {
+        verticalMerges[gridIndex] = null;
+      }
+      cells.push(cell);
+      gridIndex += colSpan;
+    });
+    const trPr = firstChild(rowNode, 'w:trPr');
+    rows.push({
+      cells,
+      header: Boolean(firstChild(trPr, 'w:tblHeader')),
+      inserted: Boolean(firstChild(trPr, 'w:ins')),
+      deleted: Boolean(firstChild(trPr, 'w:del'))
+    });
+  });
+  return { type: 'table', rows, revisions, commentIds, pageBreakBefore, pageBreakAfter };
+};
+
+const readBodyBlocks = (container, context, blocks = []) => {
+  childElements(container).forEach((child) => {
+    switch (child.nodeName) {
+      case 'w:p':
+        blocks.push(readParagraph(child, context));
+        break;
+      case 'w:tbl':
+        blocks.push(readTable(child, context));
+        break;
+      case 'w:sdt': {
+        const content = firstChild(child, 'w:sdtContent');
+        if (content) readBodyBlocks(content, context, blocks);
+        break;
+      }
+      case 'w:customXml':
+      case 'w:ins':
+      case 'w:moveTo':
+        readBodyBlocks(child, context, blocks);
+        break;
+      default:
+        break;
+    }
+  });
+  return blocks;
+};
+
+const joinParagraphTexts = (blocks, separator) =>
+  blocks
+    .map((block) => (block.type === 'paragraph' ? block.text : ''))
+    .filter(Boolean)
+    .join(separator)
+    .trim();
+
+const readNotes = async (zip, path, tagName, context) => {
+  const xml = await readXml(zip, path);
+  if (!xml) return [];
+  return Array.from(xml.getElementsByTagName(tagName))
+    .filter((node) => {
+      const type = attr(node, 'w:type');
+      return !type || type === 'normal';
+    })
+    .map((node) => ({ id: attr(node, 'w:id'), text: joinParagraphTexts(readBodyBlocks(node, context), ' ') }))
+    .filter((note) => note.text);
+};
+
+const readCommentParts = async (zip, context) => {
+  const xml = await readXml(zip, 'word/comments.xml');
+  if (!xml) return [];
+  return Array.from(xml.getElementsByTagName('w:comment')).map((node) => ({
+    id: attr(node, 'w:id'),
+    author: attr(node, 'w:author') || '',
+    initials: attr(node, 'w:initials') || '',
+    date: attr(node, 'w:date') || '',
+    text: joinParagraphTexts(readBodyBlocks(node, context), '\n')
+  }));
+};
+
+const readHeaderFooterParts = async (zip, rels, context) => {
+  const headers = [];
+  const footers = [];
+  for (const rel of rels.values()) {
+    if (rel.external || (rel.type !== 'header' && rel.type !== 'footer')) continue;
+    const xml = await readXml(zip, resolvePartPath(rel.target));
+    const root = xml?.documentElement;
+    if (!root) continue;
+    const text = readBodyBlocks(root, context)
+      .map((block) =>
+        block.type === 'paragraph'
+          ? block.text
+          : block.rows.map((row) => row.cells.map((cell) => cell.text).filter(Boolean).join(' | ')).join('\n')
+      )
+      .filter(Boolean)
+      .join('\n')
+      .trim();
+    if (!text) continue;
+    const target = rel.type === 'header' ? headers : footers;
+    if (!target.includes(text)) {
+      target.push(text);
+    }
+  }
+  return { headers, footers };
+};
+
+// Word после явного разрыва обычно ставит ещё и lastRenderedPageBreak в начале
+// следующего абзаца, поэтому подряд идущие разрывы считаем одним
+const assignPages = (blocks) => {
+  let page = 0;
+  let breakPending = false;
+  blocks.forEach((block, index) => {
+    if ((block.pageBreakBefore || breakPending) && index > 0) {
+      page += 1;
+    }
+    block.page = page;
+    breakPending = block.pageBreakAfter;
+  });
+  const last = blocks[blocks.length - 1];
+  return last ? last.page + 1 : 0;
+};
+
+const blockContains = (block, label) =>
+  block.type === 'paragraph'
+    ? block.text.includes(label) || block.originalText.includes(label)
+    : block.rows.some((row) => row.cells.some((cell) => cell.text.includes(label) || cell.originalText.includes(label)));
+
+const MAX_CONTEXT_CHARS = 240;
+
+const clipContext = (value) =>
+  value.length > MAX_CONTEXT_CHARS ? `${value.slice(0, MAX_CONTEXT_CHARS - 1)}…` : value;
+
+// Привязываем правки и комментарии к ближайшему предшествующему номеру пункта
+const collectReviewMarks = (blocks, comments, commentAnchors) => {
+  const revisions = [];
+  const commentPlacement = new Map();
+  let clause = '';
+  blocks.forEach((block) => {
+    const number = block.type === 'paragraph' ? block.number || block.originalNumber : '';
+    if (number) {
+      clause = number.replace(/[.)]+$/, '');
+    }
+    const context = block.type === 'paragraph'
+      ? block.text || block.originalText
+      : block.rows.map((row) => row.cells.map((cell) => cell.text).filter(Boolean).join(' | ')).join(' / ');
+    block.revisions.forEach((revision) => {
+      revisions.push({
+        id: `rev-${revisions.length + 1}`,
+        ...revision,
+        clause,
+        page: block.page + 1,
+        context: clipContext(context)
+      });
+    });
+    block.commentIds.forEach((id) => {
+      if (!commentPlacement.has(id)) {
+        commentPlacement.set(id, { clause, page: block.page + 1, context: clipContext(context) });
+      }
+    });
+  });
+
+  const resolvedComments = comments
+    .filter((comment) => comment.text)
+    .map((comment) => {
+      const placement = commentPlacement.get(comment.id) || {};
+      const anchor = normalizeInlineText(commentAnchors.get(comment.id) || []);
+      return {
+        ...comment,
+        anchor: clipContext(anchor || placement.context || ''),
+        clause: placement.clause || '',
+        page: placement.page || null
+      };
+    });
+
+  return { revisions, comments: resolvedComments };
+};
+
+export const parseDocxArchive = async (zip) => {
+  const documentXml = await readXml(zip, 'word/document.xml');
+  const body = documentXml?.getElementsByTagName('w:body')?.[0];
+  if (!body) {
+    return null;
+  }
+  const [rels, styles, numbering] = await Promise.all([
+    readRelationships(zip),
+    readStyles(zip),
+    readNumbering(zip)
+  ]);
+  const context = {
+    rels,
+    styles,
+    resolveNumbering: createNumberingResolver(numbering),
+    resolveOriginalNumbering: createNumberingResolver(numbering),
+    commentAnchors: new Map(),
+    openComments: new Map(),
+    images: []
+  };
+
+  const blocks = readBodyBlocks(body, context).filter((block) =>
+    block.type === 'paragraph' ? Boolean(block.text || block.originalText) : block.rows.length > 0
+  );
+  const pageCount = assignPages(blocks);
+  const images = context.images.map((image) => {
+    const block = blocks.find((item) => blockContains(item, image.label));
+    return { ...image, page: block ? block.page + 1 : null };
+  });
+
+  // Колонтитулы, сноски и комментарии читаем без нумерации и без якорей,
+  // чтобы они не сдвигали счётчики и не попадали в текст комментариев тела
+  const partContext = {
+    ...context,
+    resolveNumbering: () => null,
+    resolveOriginalNumbering: () => null,
+    commentAnchors: new Map(),
+    openComments: new Map(),
+    // Логотипы в колонтитулах не распознаём
+    images: null
+  };
+  const [footnotes, endnotes, headerFooter, commentParts] = await Promise.all([
+    readNotes(zip, 'word/footnotes.xml', 'w:footnote', partContext),
+    readNotes(zip, 'word/endnotes.xml', 'w:endnote', partContext),
+    readHeaderFooterParts(zip, rels, partContext),
+    readCommentParts(zip, partContext)
+  ]);
+  const { revisions, comments } = collectReviewMarks(blocks, commentParts, context.commentAnchors);
+
+  return {
+    blocks,
+    pageCount: Math.max(pageCount, blocks.length ? 1 : 0),
+    headers: headerFooter.headers,
+    footers: headerFooter.footers,
+    footnotes,
+    endnotes,
+    revisions,
+    comments,
+    images
+  };
+};
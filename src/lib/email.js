@@ -0,0 +1,482 @@
+/*
+ * Письма .eml и .msg
+ *
+ * parseEml разбирает MIME (RFC 5322/2045–2047/2231), parseMsg — письмо Outlook
+ * в контейнере OLE2. Оба возвращают { format, headers, body, attachments,
+ * inlineCount }; вложения — исходные байты, которые documents.js прогоняет
+ * через обычный конвейер извлечения. Тело письма идёт в анализ как контекст
+ * оператора. Сжатое RTF-тело .msg (PR_RTF_COMPRESSED) не декодируется:
+ * используются текстовое и HTML-тело.
+ */
+import { readCompoundFile, utf16ToString } from './compoundFile.js';
+
+const MAX_MIME_DEPTH = 12;
+const EMAIL_CONTEXT_CHAR_LIMIT = 6000;
+
+const decoders = new Map();
+
+const getDecoder = (label, fatal = false) => {
+  const key = `${label}:${fatal}`;
+  if (!decoders.has(key)) {
+    try {
+      decoders.set(key, new TextDecoder(label, { fatal }));
+    } catch (error) {
+      decoders.set(key, null);
+    }
+  }
+  return decoders.get(key);
+};
+
+// Без указанной кодировки пробуем UTF-8, затем windows-1251 — типичную для русской почты
+const decodeCharset = (bytes, charset = '') => {
+  const decoder = charset ? getDecoder(charset.trim().toLowerCase()) : null;
+  if (decoder) return decoder.decode(bytes);
+  try {
+    return getDecoder('utf-8', true).decode(bytes);
+  } catch (error) {
+    return getDecoder('windows-1251').decode(bytes);
+  }
+};
+
+const bytesToBinary = (bytes) => {
+  let result = '';
+  for (let index = 0; index < bytes.length; index += 8192) {
+    result += String.fromCharCode.apply(null, bytes.subarray(index, index + 8192));
+  }
+  return result;
+};
+
+const binaryToBytes = (value) => {
+  const bytes = new Uint8Array(value.length);
+  for (let index = 0; index < value.length; index += 1) bytes[index] = value.charCodeAt(index) & 0xff;
+  return bytes;
+};
+
+const decodeBinary = (value, charset) =>
+  /[\u0080-\u00ff]/.test(value) ? decodeCharset(binaryToBytes(value), charset) : value;
+
+const decodeBase64 = (value) => {
+  const clean = value.replace(/[^A-Za-z0-9+/]/g, '');
+  try {
+    return atob(clean.length % 4 === 1 ? clean.slice(0, -1) : clean);
+  } catch (error) {
+    return '';
+  }
+};
+
+const decodeQuotedPrintable = (value) =>
+  value.replace(/=\r?\n/g, '').replace(/=([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+// Закодированные слова =?charset?B|Q?...?=; пробелы между соседними словами не значимы
+const decodeMimeWords = (value) =>
+  decodeBinary(value, '').replace(
+    /=\?([^?\s]+)\?([BbQq])\?([^?\s]*)\?=(?:\s+(?==\?[^?\s]+\?[BbQq]\?))?/g,
+    (_, charset, encoding, text) => {
+      const binary =
+        encoding.toUpperCase() === 'B' ? decodeBase64(text) : decodeQuotedPrintable(text.replace(/_/g, ' '));
+      return decodeCharset(binaryToBytes(binary), charset.split('*')[0]);
+    }
+  );
+
+const splitHeaderBody = (raw) => {
+  const match = /\r?\n\r?\n/.exec(raw);
+  if (!match) return { head: raw, body: '' };
+  return { head: raw.slice(0, match.index), body: raw.slice(match.index + match[0].length) };
+};
+
+const parseHeaderBlock = (head) => {
+  const headers = {};
+  head
+    .replace(/\r?\n[ \t]+/g, ' ')
+    .split(/\r?\n/)
+    .forEach((line) => {
+      const separator = line.indexOf(':');
+      if (separator <= 0) return;
+      const name = line.slice(0, separator).trim().toLowerCase();
+      (headers[name] = headers[name] || []).push(line.slice(separator + 1).trim());
+    });
+  return headers;
+};
+
+const splitParams = (value) => {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+  for (let index = 0; index < value.length; index += 1) {
+    const char = value[index];
+    if (char === '\\' && quoted) {
+      current += value[index + 1] || '';
+      index += 1;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ';' && !quoted) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current.trim());
+  return parts;
+};
+
+// Значение заголовка с параметрами; filename*0*=utf-8''%D0%94… склеивается по RFC 2231
+const parseParamHeader = (value = '') => {
+  const [main, ...rest] = splitParams(value);
+  const segments = {};
+  rest.forEach((part) => {
+    const separator = part.indexOf('=');
+    if (separator <= 0) return;
+    const match = /^([^*]+)(?:\*(\d+))?(\*)?$/.exec(part.slice(0, separator).trim().toLowerCase());
+    if (!match) return;
+    const [, name, index = '0', extended] = match;
+    (segments[name] = segments[name] || []).push({
+      index: Number(index),
+      extended: Boolean(extended),
+      value: part.slice(separator + 1).trim()
+    });
+  });
+  const params = {};
+  Object.entries(segments).forEach(([name, list]) => {
+    list.sort((a, b) => a.index - b.index);
+    let charset = '';
+    const binary = list
+      .map((segment, position) => {
+        if (!segment.extended) return segment.value;
+        let text = segment.value;
+        if (position === 0) {
+          const quote = text.indexOf("'");
+          const secondQuote = quote >= 0 ? text.indexOf("'", quote + 1) : -1;
+          if (secondQuote >= 0) {
+            charset = text.slice(0, quote);
+            text = text.slice(secondQuote + 1);
+          }
+        }
+        return text.replace(/%([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+      })
+      .join('');
+    params[name] = list[0].extended ? decodeCharset(binaryToBytes(binary), charset) : decodeMimeWords(binary);
+  });
+  return { value: (main || '').toLowerCase(), params };
+};
+
+const decodeTransfer = (body, encoding = '') => {
+  const normalized = encoding.trim().toLowerCase();
+  if (normalized === 'base64') return decodeBase64(body);
+  if (normalized === 'quoted-printable') return decodeQuotedPrintable(body);
+  return body;
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const splitMultipart = (body, boundary) => {
+  const delimiter = new RegExp(`(?:^|\\r?\\n)--${escapeRegExp(boundary)}(--)?[ \\t]*(?=\\r?\\n|$)`, 'g');
+  const parts = [];
+  let start = -1;
+  let match = delimiter.exec(body);
+  while (match) {
+    if (start >= 0) parts.push(body.slice(start, match.index).replace(/^\r?\n/, ''));
+    if (match[1]) break;
+    start = match.index + match[0].length;
+    match = delimiter.exec(body);
+  }
+  return parts;
+};
+
+const HTML_ENTITIES = { nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", laquo: '«', raquo: '»', mdash: '—', ndash: '–' };
+
+export const htmlToText = (html = '') =>
+  html
+    .replace(/<(head|style|script)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|tr|li|h[1-6]|table|blockquote)>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, '\t')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : Number(code.slice(1));
+        return Number.isFinite(point) ? String.fromCodePoint(point) : entity;
+      }
+      return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+    })
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+const normalizeBody = (text = '') =>
+  text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+const toIsoDate = (value) => {
+  const time = Date.parse(value || '');
+  return Number.isFinite(time) ? new Date(time).toISOString() : value || '';
+};
+
+const readHeaders = (headers) => {
+  const first = (name) => decodeMimeWords(headers[name]?.[0] || '');
+  return {
+    subject: first('subject'),
+    from: first('from'),
+    to: (headers.to || []).map(decodeMimeWords).join(', '),
+    cc: (headers.cc || []).map(decodeMimeWords).join(', '),
+    date: toIsoDate(headers.date?.[0])
+  };
+};
+
+const walkMimePart = (raw, state, depth) => {
+  if (depth > MAX_MIME_DEPTH) return;
+  const { head, body } = splitHeaderBody(raw);
+  const headers = parseHeaderBlock(head);
+  const contentType = parseParamHeader(headers['content-type']?.[0] || 'text/plain');
+  const disposition = parseParamHeader(headers['content-disposition']?.[0] || '');
+  const type = contentType.value || 'text/plain';
+
+  if (type.startsWith('multipart/') && contentType.params.boundary) {
+    splitMultipart(body, contentType.params.boundary).forEach((part) => walkMimePart(part, state, depth + 1));
+    return;
+  }
+
+  const name = disposition.params.filename || contentType.params.name || '';
+  const data = decodeTransfer(body, headers['content-transfer-encoding']?.[0]);
+  const contentId = (headers['content-id']?.[0] || '').replace(/[<>]/g, '');
+
+  if (type === 'message/rfc822') {
+    const nested = readHeaders(parseHeaderBlock(splitHeaderBody(data).head));
+    state.attachments.push({
+      name: name || `${nested.subject || 'message'}.eml`,
+      type,
+      data: binaryToBytes(data),
+      contentId
+    });
+    return;
+  }
+
+  const isAttachment = disposition.value === 'attachment' || Boolean(name);
+  if (!isAttachment && (type === 'text/plain' || type === 'text/html')) {
+    const text = decodeBinary(data, contentType.params.charset);
+    state[type === 'text/plain' ? 'plain' : 'html'].push(text);
+    return;
+  }
+  // Картинки из подписи и оформления HTML, а не вложения
+  if (contentId && disposition.value !== 'attachment' && type.startsWith('image/')) {
+    state.inlineCount += 1;
+    return;
+  }
+  if (!data) return;
+  state.attachments.push({
+    name: name || `attachment-${state.attachments.length + 1}`,
+    type,
+    data: binaryToBytes(data),
+    contentId
+  });
+};
+
+export const parseEml = (buffer) => {
+  const raw = bytesToBinary(new Uint8Array(buffer));
+  const { head } = splitHeaderBody(raw);
+  const state = { plain: [], html: [], attachments: [], inlineCount: 0 };
+  walkMimePart(raw, state, 0);
+  const plain = normalizeBody(state.plain.join('\n\n'));
+  return {
+    format: 'eml',
+    headers: readHeaders(parseHeaderBlock(head)),
+    body: plain || htmlToText(state.html.join('\n')),
+    attachments: state.attachments.map((attachment) => ({ ...attachment, size: attachment.data.length })),
+    inlineCount: state.inlineCount
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Outlook .msg
+
+const MSG_CODEPAGE_LABELS = { 65001: 'utf-8', 20866: 'koi8-r', 28591: 'iso-8859-1', 28595: 'iso-8859-5', 866: 'ibm866' };
+const ATTACH_EMBEDDED_MESSAGE = 5;
+const FILETIME_EPOCH_OFFSET_MS = 11644473600000;
+
+const propId = (id) => id.toString(16).toUpperCase().padStart(4, '0');
+
+// Фиксированные свойства лежат в __properties_version1.0 записями по 16 байт после заголовка
+const readMsgProperties = (storage, headerSize) => {
+  const bytes = storage.child('__properties_version1.0')?.read();
+  const properties = new Map();
+  if (!bytes) return properties;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  for (let offset = headerSize; offset + 16 <= bytes.length; offset += 16) {
+    const tag = view.getUint32(offset, true);
+    properties.set(tag >>> 16, { type: tag & 0xffff, view, offset: offset + 8 });
+  }
+  return properties;
+};
+
+const readMsgInt = (properties, id) => {
+  const property = properties.get(id);
+  return property ? property.view.getInt32(property.offset, true) : null;
+};
+
+const readMsgDate = (properties, id) => {
+  const property = properties.get(id);
+  if (!property || property.type !== 0x0040) return '';
+  const low = property.view.getUint32(property.offset, true);
+  const high = property.view.getUint32(property.offset + 4, true);
+  const time = (high * 2 ** 32 + low) / 10000 - FILETIME_EPOCH_OFFSET_MS;
+  return time > 0 ? new Date(time).toISOString() : '';
+};
+
+const createMsgReader = (storage, codepage) => {
+  const label = MSG_CODEPAGE_LABELS[codepage] || (codepage ? `windows-${codepage}` : '');
+  const stream = (id, type) => storage.child(`__substg1.0_${propId(id)}${type}`)?.read() || null;
+  const string = (id) => {
+    const unicode = stream(id, '001F');
+    if (unicode) return utf16ToString(unicode).replace(/\u0000+$/, '');
+    const ansi = stream(id, '001E');
+    return ansi ? decodeCharset(ansi, label).replace(/\u0000+$/, '') : '';
+  };
+  const binary = (id) => stream(id, '0102');
+  return { string, binary, label, codepage };
+};
+
+const formatSender = (name, address) => {
+  if (name && address && name !== address) return `${name} <${address}>`;
+  return name || address || '';
+};
+
+const readMsgMessage = (storage, headerSize, depth) => {
+  const properties = readMsgProperties(storage, headerSize);
+  const reader = createMsgReader(storage, readMsgInt(properties, 0x3ffd) || readMsgInt(properties, 0x3fde));
+  const htmlBytes = reader.binary(0x1013);
+  const html = htmlBytes
+    ? decodeCharset(htmlBytes, MSG_CODEPAGE_LABELS[readMsgInt(properties, 0x3fde)] || reader.label)
+    : reader.string(0x1013);
+  const message = {
+    headers: {
+      subject: reader.string(0x0037),
+      from: formatSender(reader.string(0x0c1a), reader.string(0x5d01) || reader.string(0x0c1f)),
+      to: reader.string(0x0e04),
+      cc: reader.string(0x0e03),
+      date: readMsgDate(properties, 0x0039) || readMsgDate(properties, 0x0e06)
+    },
+    body: normalizeBody(reader.string(0x1000)) || htmlToText(html),
+    attachments: [],
+    inlineCount: 0
+  };
+
+  storage
+    .children()
+    .filter((child) => !child.isStream && child.name.startsWith('__attach_version1.0_#'))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach((child) => {
+      const attachmentProperties = readMsgProperties(child, 8);
+      const attachmentReader = createMsgReader(child, readMsgInt(attachmentProperties, 0x3ffd) || reader.codepage);
+      if (readMsgInt(attachmentProperties, 0x3705) === ATTACH_EMBEDDED_MESSAGE) {
+        const embedded = child.child('__substg1.0_3701000D');
+        if (!embedded || depth >= MAX_MIME_DEPTH) return;
+        // Вложенное письмо разворачиваем: его текст дописываем к телу, вложения — в общий список
+        const nested = readMsgMessage(embedded, 24, depth + 1);
+        message.body = [message.body, `${formatEmailHeaders(nested.headers)}\n\n${nested.body}`].filter(Boolean).join('\n\n');
+        message.attachments.push(...nested.attachments);
+        message.inlineCount += nested.inlineCount;
+        return;
+      }
+      const data = attachmentReader.binary(0x3701);
+      const contentId = attachmentReader.string(0x3712);
+      const hidden = readMsgInt(attachmentProperties, 0x7ffe) & 0xffff;
+      if (!data || hidden) {
+        message.inlineCount += 1;
+        return;
+      }
+      message.attachments.push({
+        name:
+          attachmentReader.string(0x3707) ||
+          attachmentReader.string(0x3704) ||
+          attachmentReader.string(0x3001) ||
+          `attachment-${message.attachments.length + 1}`,
+        type: attachmentReader.string(0x370e) || 'application/octet-stream',
+        data,
+        size: data.length,
+        contentId
+      });
+    });
+  return message;
+};
+
+export const parseMsg = (buffer) => {
+  const root = readCompoundFile(buffer);
+  if (!root.child('__properties_version1.0')) {
+    throw new Error('Файл не похож на письмо Outlook: нет свойств сообщения.');
+  }
+  return { format: 'msg', ...readMsgMessage(root, 32, 0) };
+};
+
+// ---------------------------------------------------------------------------
+// Контекст письма для анализа
+
+const EMAIL_HEADER_LABELS = [
+  ['subject', 'Subject'],
+  ['from', 'From'],
+  ['to', 'To'],
+  ['cc', 'Cc'],
+  ['date', 'Date']
+];
+
+export const formatEmailHeaders = (headers = {}) =>
+  EMAIL_HEADER_LABELS.filter(([key]) => headers[key])
+    .map(([key, label]) => `${label}: ${headers[key]}`)
+    .join('\n');
+
+export const formatEmailContext = (email, { charLimit = EMAIL_CONTEXT_CHAR_LIMIT } = {}) => {
+  if (!email) return '';
+  const attachmentNames = (email.attachments || [])
+    .map((attachment) => attachment?.name || attachment?.meta?.originalName)
+    .filter(Boolean);
+  const body = (email.body || '').trim();
+  const clipped = body.length > charLimit ? `${body.slice(0, charLimit)}\n[…email body truncated…]` : body;
+  const head = [formatEmailHeaders(email.headers), attachmentNames.length ? `Attachments: ${attachmentNames.join(', ')}` : null]
+    .filter(Boolean)
+    .join('\n');
+  return [head, clipped || '[empty body]'].filter(Boolean).join('\n\n');
+};
+
+// Письма раскрываются во вложения; письмо без читаемых вложений анализируется само
+// и в контекст не попадает — его текст уже есть среди документов
+export const expandEmailRecords = (records = []) => {
+  const documents = [];
+  const emails = [];
+  const visit = (record) => {
+    const email = record?.meta?.email;
+    if (!email) {
+      documents.push(record);
+      return;
+    }
+    const usable = (email.attachments || []).filter((attachment) => attachment?.text?.trim() || attachment?.meta?.email);
+    // Вложения без текста не анализируются, но и не теряются молча
+    const empty = (email.attachments || [])
+      .filter((attachment) => !usable.includes(attachment))
+      .map((attachment) => ({ name: attachment?.meta?.originalName || 'attachment', error: 'Текст не извлечён' }));
+    emails.push({
+      fileName: record.meta.originalName,
+      expanded: usable.length > 0,
+      ...email,
+      usedCount: usable.length,
+      skipped: [...(email.skipped || []), ...empty]
+    });
+    if (!usable.length) {
+      documents.push(record);
+      return;
+    }
+    usable.forEach(visit);
+  };
+  records.forEach(visit);
+  return {
+    documents,
+    emails,
+    context: emails
+      .filter((email) => email.expanded)
+      .map((email) => formatEmailContext(email))
+      .join('\n\n---\n\n')
+  };
+};
@@ -0,0 +1,535 @@
+/*
+ * Entity extraction
+ *
+ * Deterministic extraction of the facts lawyers check first: parties with
+ * legal forms and roles, dates, amounts with currency and VAT notes,
+ * percentages, durations, addresses and bank details. Every entity keeps an
+ * anchor — page number and character offset in that page's text (meta.pages) —
+ * so the UI and the model can point back to the source.
+ */
+
+const MAX_ENTITIES_PER_TYPE = 60;
+const CONTEXT_CHARS = 48;
+const ROLE_WINDOW_CHARS = 160;
+const VAT_WINDOW_CHARS = 120;
+
+export const ENTITY_TYPES = ['parties', 'dates', 'amounts', 'percentages', 'durations', 'addresses', 'bankDetails'];
+
+const RU_MONTHS = ['январ', 'феврал', 'март', 'апрел', 'ма', 'июн', 'июл', 'август', 'сентябр', 'октябр', 'ноябр', 'декабр'];
+const EN_MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const RU_MONTH_PATTERN = '(января|февраля|марта|апреля|мая|июня|июля|августа|сентября|октября|ноября|декабря)';
+const EN_MONTH_PATTERN = '(January|February|March|April|May|June|July|August|September|October|November|December)';
+
+const DATE_PATTERNS = [
+  { pattern: /(?<![\d./-])(\d{4})-(\d{2})-(\d{2})(?![\d])/g, parts: (match) => [match[1], match[2], match[3]] },
+  {
+    // Двузначный год допускаем только в полной форме ДД.ММ.ГГ, иначе путается с номерами пунктов
+    pattern: /(?<![\d./-])(\d{1,2})([./-])(\d{1,2})\2(\d{4}|(?<=\d{2}\.\d{2}\.)\d{2})(?![\d.]\d)(?!\d)/g,
+    parts: (match) => [match[4].length === 2 ? `20${match[4]}` : match[4], match[3], match[1]]
+  },
+  {
+    pattern: new RegExp(`[«"]?(\\d{1,2})[»"]?\\s+${RU_MONTH_PATTERN}\\s+(\\d{4})(?:\\s*(?:г\\.|года?))?`, 'giu'),
+    parts: (match) => [match[3], RU_MONTHS.findIndex((stem) => match[2].toLowerCase().startsWith(stem)) + 1, match[1]]
+  },
+  {
+    pattern: new RegExp(`${EN_MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})`, 'gi'),
+    parts: (match) => [match[3], EN_MONTHS.indexOf(match[1].toLowerCase()) + 1, match[2]]
+  },
+  {
+    pattern: new RegExp(`(?<!\\d)(\\d{1,2})(?:st|nd|rd|th)?\\s+${EN_MONTH_PATTERN},?\\s+(\\d{4})`, 'gi'),
+    parts: (match) => [match[3], EN_MONTHS.indexOf(match[2].toLowerCase()) + 1, match[1]]
+  }
+];
+// Незаполненная дата в шаблоне: «__» ________ 2024 г.
+const BLANK_DATE_PATTERN = /«\s*_+\s*»\s*_{2,}\s*(?:(\d{4}|20_+)\s*(?:г\.|года?)?)?/g;
+
+export const NUMBER_SOURCE =
+  '\\d{1,3}(?:[ \\u00a0\\u202f]\\d{3})+(?:[.,]\\d{1,2})?|\\d{1,3}(?:,\\d{3})+(?:\\.\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?';
+const CURRENCIES = [
+  { code: 'RUB', pattern: 'руб(?:л(?:ей|я|ь))?\\.?|₽|р\\.|RUB|RUR' },
+  { code: 'KZT', pattern: 'тенге|₸|KZT' },
+  { code: 'EUR', pattern: 'евро|€|EUR' },
+  { code: 'USD', pattern: 'долл(?:ар(?:ов|а|ы)?)?\\.?(?:\\s*США)?|USD|\\$' },
+  { code: 'CNY', pattern: 'юан(?:ей|я|ь)|CNY' },
+  { code: 'UAH', pattern: 'грив(?:ен|ны|на)|UAH' },
+  { code: 'UZS', pattern: 'сум(?:ов)?|UZS' }
+];
+export const CURRENCY_SOURCE = CURRENCIES.map((currency) => `(?:${currency.pattern})`).join('|');
+const MULTIPLIERS = { тыс: 1e3, млн: 1e6, млрд: 1e9 };
+// 100 000 (Сто тысяч) рублей 00 копеек — сумма прописью между числом и валютой
+const AMOUNT_PATTERN = new RegExp(
+  `(?<![\\d.,])(${NUMBER_SOURCE})(?:\\s*(тыс|млн|млрд)\\.?)?(?:\\s*\\([^()\\d]{2,200}\\))?\\s*(${CURRENCY_SOURCE})(?![\\p{L}])(?:\\s*(\\d{2})\\s*коп(?:еек|ейки|ейка)?\\.?)?`,
+  'giu'
+);
+// Валюта перед числом: «$ 2,500», «USD 2,500»
+export const PREFIX_CURRENCY_SOURCE = '\\$|€|₽|USD|EUR|RUB';
+const PREFIX_AMOUNT_PATTERN = new RegExp(`(${PREFIX_CURRENCY_SOURCE})\\s?(${NUMBER_SOURCE})(?![\\d])`, 'gu');
+
+const PERCENT_PATTERN = /(?<![\d.,])(\d{1,3}(?:[.,]\d{1,4})?)\s*(?:\([^()\d]{2,60}\)\s*)?(%|процент(?:а|ов)?(?![\p{L}]))/giu;
+const DURATION_PATTERN =
+  /(?<![\d.,])(\d{1,4})\s*(?:\([^()\d]{2,60}\)\s*)?(?:(календарн|рабоч|банковск)[а-яё]*\s+)?(дн(?:я|ей)|день|недел(?:и|ь|ю|я)|месяц(?:а|ев)?|год(?:а)?|лет)(?![\p{L}])/giu;
+const DURATION_UNITS = [
+  { unit: 'day', pattern: /^д/ },
+  { unit: 'week', pattern: /^н/ },
+  { unit: 'month', pattern: /^м/ },
+  { unit: 'year', pattern: /^(г|л)/ }
+];
+const DAY_TYPES = { календарн: 'calendar', рабоч: 'working', банковск: 'banking' };
+
+const LEGAL_FORMS = [
+  { form: 'ООО', source: 'ООО|Общество с ограниченной ответственностью' },
+  { form: 'ПАО', source: 'ПАО|Публичное акционерное общество' },
+  { form: 'НАО', source: 'НАО|Непубличное акционерное общество' },
+  { form: 'ЗАО', source: 'ЗАО|Закрытое акционерное общество' },
+  { form: 'ОАО', source: 'ОАО|Открытое акционерное общество' },
+  { form: 'АО', source: 'АО|Акционерное общество' },
+  { form: 'ТОО', source: 'ТОО|Товарищество с ограниченной ответственностью' },
+  { form: 'ФГУП', source: 'ФГУП' },
+  { form: 'ГУП', source: 'ГУП' },
+  { form: 'МУП', source: 'МУП' },
+  { form: 'АНО', source: 'АНО|Автономная некоммерческая организация' }
+];
+const ORGANIZATION_PATTERN = new RegExp(
+  `(?<![\\p{L}])(${LEGAL_FORMS.map((item) => item.source).join('|')})\\s*[«"“„]([^»"”“\\n]{1,100})[»"”“]`,
+  'gu'
+);
+const ENTREPRENEUR_PATTERN =
+  /(?<![\p{L}])(ИП|Индивидуальный предприниматель)\s+([А-ЯЁ][а-яё]+(?:-[А-ЯЁ][а-яё]+)?\s+(?:[А-ЯЁ][а-яё]+\s+[А-ЯЁ][а-яё]+|[А-ЯЁ]\.\s?[А-ЯЁ]\.))/gu;
+const FOREIGN_COMPANY_PATTERN = /(?<![\p{L}])((?:[A-Z][\w&'-]*\s+){1,4})(LLC|Ltd|Limited|GmbH|Inc|LLP|AG)(?![\p{L}])/gu;
+const ROLE_PATTERNS = [
+  /именуем(?:ое|ый|ая|ые)\s+(?:в\s+дальнейшем\s+)?[«"“]?([А-ЯЁ][а-яё-]+(?:\s+[а-яё]+)?)[»"”]?/u,
+  /hereinafter(?:\s+referred\s+to\s+as)?\s+(?:the\s+)?[“"]([^”"]{2,40})[”"]/i
+];
+const NEXT_ORGANIZATION_PATTERN = new RegExp(ORGANIZATION_PATTERN.source, 'u');
+const BANK_NAME_PATTERN = /банк|bank/i;
+
+const ADDRESS_PATTERNS = [
+  /(?:(?:юридический|почтовый|фактический)\s+адрес|адрес(?:\s+места\s+нахождения)?|место\s+нахождения|местонахождение|address)\s*:\s*([^\n;]{8,200})/giu,
+  /(?<!\d)(\d{6}(?!\d),\s*[^\n;]{5,200})/gu,
+  /(?<![\p{L}])((?:г\.|город)\s*[А-ЯЁ][^,\n]{1,40},\s*(?:ул\.|улица|пр-т|проспект|пр\.|пер\.|переулок|ш\.|шоссе|наб\.|набережная|бульвар|б-р|пл\.|площадь|мкр\.?|микрорайон)[^\n;]{1,150})/gu
+];
+// Адрес в реквизитах обычно продолжается ИНН, счетами и телефонами
+const ADDRESS_END_PATTERN = /\s*(?:,|\.)?\s*(?:ИНН|КПП|ОГРН|БИК|р\/с|Р\/с|к\/с|тел\.|Тел\.|Телефон|e-mail|E-mail|Email)(?![\p{L}]).*$/u;
+
+const BANK_DETAIL_PATTERNS = [
+  { kind: 'inn', pattern: /ИНН(?:\s*\/\s*КПП)?\s*:?\s*(\d{12}|\d{10})(?!\d)/g },
+  { kind: 'kpp', pattern: /(?:КПП\s*:?\s*|ИНН\s*\/\s*КПП\s*:?\s*\d{10}\s*\/\s*)(\d{9})(?!\d)/g },
+  { kind: 'ogrnip', pattern: /ОГРНИП\s*:?\s*(\d{15})(?!\d)/g },
+  { kind: 'ogrn', pattern: /ОГРН(?!ИП)\s*:?\s*(\d{13})(?!\d)/g },
+  { kind: 'bik', pattern: /БИК\s*:?\s*(\d{9})(?!\d)/g },
+  { kind: 'bin', pattern: /БИН\s*:?\s*(\d{12})(?!\d)/g },
+  {
+    kind: 'account',
+    pattern: /(?:р\/с|р\/сч\.?|расч[её]тный\s+сч[её]т)\s*(?:№\s*)?:?\s*(\d[\d ]{18,28}\d)/giu
+  },
+  {
+    kind: 'corrAccount',
+    pattern: /(?:к\/с|кор\.?\s*сч[её]т|корреспондентский\s+сч[её]т)\s*(?:№\s*)?:?\s*(\d[\d ]{18,28}\d)/giu
+  },
+  { kind: 'iban', pattern: /(?<![A-Z0-9])([A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?)(?![A-Z0-9])/g },
+  { kind: 'swift', pattern: /(?:SWIFT|BIC)(?:\s*code)?\s*:?\s*([A-Z]{6}[A-Z0-9]{2}(?:[A-Z0-9]{3})?)(?![A-Z0-9])/g }
+];
+const BANK_DETAIL_LENGTHS = { account: 20, corrAccount: 20 };
+
+const collapse = (value) => String(value || '').replace(/\s+/g, ' ').trim();
+
+const normalizeName = (value) =>
+  collapse(value)
+    .toLowerCase()
+    .replace(/ё/g, 'е')
+    .replace(/[«»"“”„]/g, '');
+
+const buildContext = (text, start, end) => {
+  const before = text.slice(Math.max(0, start - CONTEXT_CHARS), start);
+  const after = text.slice(end, end + CONTEXT_CHARS);
+  return collapse(`${start > CONTEXT_CHARS ? '…' : ''}${before}${text.slice(start, end)}${after}${end + CONTEXT_CHARS < text.length ? '…' : ''}`);
+};
+
+export const parseNumber = (raw) => {
+  let value = String(raw).replace(/[\s\u00a0\u202f]/g, '');
+  const lastComma = value.lastIndexOf(',');
+  const lastDot = value.lastIndexOf('.');
+  if (lastComma >= 0 && lastDot >= 0) {
+    // Разделитель дробной части — последний из двух
+    value = lastComma > lastDot ? value.replace(/\./g, '').replace(',', '.') : value.replace(/,/g, '');
+  } else if (lastComma >= 0) {
+    value = /,\d{3}(?:,|$)/.test(value) && !/,\d{1,2}$/.test(value) ? value.replace(/,/g, '') : value.replace(',', '.');
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const toIsoDate = (year, month, day) => {
+  const y = Number(year);
+  const m = Number(month);
+  const d = Number(day);
+  if (!y || m < 1 || m > 12 || d < 1 || y < 1900 || y > 2199) return null;
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+  return date.toISOString().slice(0, 10);
+};
+
+export const resolveCurrency = (token) => {
+  const match = CURRENCIES.find((currency) => new RegExp(`^(?:${currency.pattern})$`, 'iu').test(token.trim()));
+  return match?.code || null;
+};
+
+const detectVat = (text, end) => {
+  const window = text.slice(end, end + VAT_WINDOW_CHARS).split('\n')[0];
+  if (!/НДС|VAT/i.test(window)) return {};
+  const rate = window.match(/(?:НДС|VAT)\s*(?:\(|по\s+ставке\s+|at\s+)?(\d{1,2})\s*%/i);
+  let vat = null;
+  if (/(?:НДС|VAT)\s+не\s+облага|не\s+облагается\s+НДС|освобожд/i.test(window)) vat = 'exempt';
+  else if (/без\s+(?:учета\s+|учёта\s+)?НДС|excluding\s+VAT|excl\.?\s+VAT|net\s+of\s+VAT/i.test(window)) vat = 'excluded';
+  else if (/(?:в\s+том\s+числе|в\s+т\.\s*ч\.|включая|с\s+уч[её]том)\s+(?:НДС|VAT)|including\s+VAT|incl\.?\s+VAT/i.test(window)) vat = 'included';
+  else if (/(?:плюс|\+|кроме\s+того|сверх\s+того)\s+(?:НДС|VAT)|plus\s+VAT/i.test(window)) vat = 'extra';
+  return vat || rate ? { ...(vat ? { vat } : {}), ...(rate ? { vatRate: Number(rate[1]) } : {}) } : {};
+};
+
+// Занятые участки страницы: суммы и даты не должны повторно считаться сроками и процентами
+const createSpanTracker = () => {
+  const spans = [];
+  return {
+    overlaps: (start, end) => spans.some(([from, to]) => start < to && end > from),
+    add: (start, end) => spans.push([start, end])
+  };
+};
+
+const matchAll = (pattern, text, callback) => {
+  pattern.lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    callback(match);
+    if (match[0].length === 0) pattern.lastIndex += 1;
+  }
+};
+
+/**
+ * Все даты страницы: { value, text, offset, end } с value в ISO (YYYY-MM-DD);
+ * у незаполненной даты шаблона value = null и blank = true.
+ */
+export const findDates = (text) => {
+  const dates = [];
+  const spans = createSpanTracker();
+  DATE_PATTERNS.forEach(({ pattern, parts }) =>
+    matchAll(pattern, text, (match) => {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (spans.overlaps(start, end)) return;
+      const value = toIsoDate(...parts(match));
+      if (!value) return;
+      spans.add(start, end);
+      dates.push({ value, text: collapse(match[0]), offset: start, end });
+    })
+  );
+  matchAll(BLANK_DATE_PATTERN, text, (match) => {
+    const end = match.index + match[0].length;
+    if (spans.overlaps(match.index, end)) return;
+    spans.add(match.index, end);
+    dates.push({ value: null, blank: true, text: collapse(match[0]), offset: match.index, end });
+  });
+  return dates.sort((a, b) => a.offset - b.offset);
+};
+
+const extractDates = (text, page, spans, push) =>
+  findDates(text).forEach(({ end, ...date }) => {
+    if (spans.overlaps(date.offset, end)) return;
+    spans.add(date.offset, end);
+    push('dates', { ...date, page, context: buildContext(text, date.offset, end) });
+  });
+
+/**
+ * Все суммы с валютой на странице: { value, currency, text, offset, end }.
+ * Сумма с валютой перед числом («$12,500.50»), пересекающаяся с уже найденной, пропускается.
+ */
+export const findAmounts = (text) => {
+  const amounts = [];
+  matchAll(AMOUNT_PATTERN, text, (match) => {
+    const number = parseNumber(match[1]);
+    const currency = resolveCurrency(match[3]);
+    if (number === null || !currency) return;
+    const cents = match[4] ? Number(match[4]) / 100 : 0;
+    amounts.push({
+      value: Math.round((number * (MULTIPLIERS[match[2]?.toLowerCase()] || 1) + cents) * 100) / 100,
+      currency,
+      text: collapse(match[0]),
+      offset: match.index,
+      end: match.index + match[0].length
+    });
+  });
+  matchAll(PREFIX_AMOUNT_PATTERN, text, (match) => {
+    const start = match.index;
+    const end = start + match[0].length;
+    const number = parseNumber(match[2]);
+    if (number === null || amounts.some((amount) => start < amount.end && end > amount.offset)) return;
+    amounts.push({ value: number, currency: resolveCurrency(match[1]), text: collapse(match[0]), offset: start, end });
+  });
+  return amounts;
+};
+
+const extractAmounts = (text, page, spans, push) =>
+  findAmounts(text).forEach(({ end, ...amount }) => {
+    if (spans.overlaps(amount.offset, end)) return;
+    spans.add(amount.offset, end);
+    push('amounts', {
+      value: amount.value,
+      currency: amount.currency,
+      ...detectVat(text, end),
+      text: amount.text,
+      page,
+      offset: amount.offset,
+      context: buildContext(text, amount.offset, end)
+    });
+  });
+
+const extractPercentages = (text, page, spans, push) =>
+  matchAll(PERCENT_PATTERN, text, (match) => {
+    const start = match.index;
+    const end = start + match[0].length;
+    const value = parseNumber(match[1]);
+    if (value === null || spans.overlaps(start, end)) return;
+    spans.add(start, end);
+    push('percentages', { value, text: collapse(match[0]), page, offset: start, context: buildContext(text, start, end) });
+  });
+
+// Все сроки страницы: { value, unit: day|week|month|year, dayType, text, offset, end }
+export const findDurations = (text) => {
+  const durations = [];
+  matchAll(DURATION_PATTERN, text, (match) => {
+    const amount = Number(match[1]);
+    const unit = DURATION_UNITS.find((item) => item.pattern.test(match[3].toLowerCase()))?.unit;
+    // «2024 года» — год даты, а не срок
+    if (!unit || (unit === 'year' && amount >= 100)) return;
+    durations.push({
+      value: amount,
+      unit,
+      dayType: match[2] ? DAY_TYPES[match[2].toLowerCase()] : null,
+      text: collapse(match[0]),
+      offset: match.index,
+      end: match.index + match[0].length
+    });
+  });
+  return durations;
+};
+
+const extractDurations = (text, page, spans, push) =>
+  findDurations(text).forEach(({ end, ...duration }) => {
+    if (spans.overlaps(duration.offset, end)) return;
+    spans.add(duration.offset, end);
+    push('durations', { ...duration, page, context: buildContext(text, duration.offset, end) });
+  });
+
+const findRole = (text, end) => {
+  let window = text.slice(end, end + ROLE_WINDOW_CHARS);
+  // Роль ищем только до следующего упоминания организации
+  const next = window.match(NEXT_ORGANIZATION_PATTERN);
+  if (next) window = window.slice(0, next.index);
+  for (const pattern of ROLE_PATTERNS) {
+    const match = window.match(pattern);
+    if (match) return collapse(match[1]);
+  }
+  return null;
+};
+
+/**
+ * Все упоминания организаций и ИП на странице, без схлопывания повторов.
+ * bank — банк из реквизитов без роли в договоре, а не сторона.
+ */
+export const findPartyMentions = (text) => {
+  const mentions = [];
+  const add = (form, name, start, end, raw) => {
+    const role = findRole(text, end);
+    mentions.push({
+      form,
+      name: collapse(name),
+      value: form === 'ИП' ? `ИП ${collapse(name)}` : `${form} «${collapse(name)}»`,
+      role,
+      text: collapse(raw),
+      offset: start,
+      bank: !role && BANK_NAME_PATTERN.test(name)
+    });
+  };
+  matchAll(ORGANIZATION_PATTERN, text, (match) => {
+    const form = LEGAL_FORMS.find((item) => new RegExp(`^(?:${item.source})$`, 'u').test(match[1]))?.form || match[1];
+    add(form, match[2], match.index, match.index + match[0].length, match[0]);
+  });
+  matchAll(ENTREPRENEUR_PATTERN, text, (match) =>
+    add('ИП', match[2], match.index, match.index + match[0].length, match[0])
+  );
+  matchAll(FOREIGN_COMPANY_PATTERN, text, (match) => {
+    const name = collapse(match[1]);
+    mentions.push({
+      form: match[2],
+      name,
+      value: `${name} ${match[2]}`,
+      role: findRole(text, match.index + match[0].length),
+      text: collapse(match[0]),
+      offset: match.index,
+      bank: false
+    });
+  });
+  return mentions;
+};
+
+export const partyKey = (party) => `${party.form}:${normalizeName(party.name)}`;
+
+const extractParties = (text, page, push) =>
+  findPartyMentions(text).forEach(({ bank, ...mention }) => {
+    // Банк в реквизитах — не сторона договора
+    if (bank) {
+      push('bankDetails', { kind: 'bank', value: mention.text, text: mention.text, page, offset: mention.offset });
+      return;
+    }
+    push('parties', { ...mention, page });
+  });
+
+const extractAddresses = (text, page, spans, push) =>
+  ADDRESS_PATTERNS.forEach((pattern) =>
+    matchAll(pattern, text, (match) => {
+      const raw = match[1].replace(ADDRESS_END_PATTERN, '');
+      const value = collapse(raw).replace(/[,.;\s]+$/, '');
+      const start = match.index + match[0].indexOf(match[1]);
+      const end = start + raw.length;
+      if (value.length < 8 || spans.overlaps(start, end)) return;
+      spans.add(start, end);
+      push('addresses', { value, text: value, page, offset: start });
+    })
+  );
+
+// Все реквизиты страницы: { kind, value, text, offset, end } в порядке шаблонов
+export const findBankDetails = (text) => {
+  const details = [];
+  BANK_DETAIL_PATTERNS.forEach(({ kind, pattern }) =>
+    matchAll(pattern, text, (match) => {
+      const value = match[1].replace(/\s+/g, '');
+      const requiredLength = BANK_DETAIL_LENGTHS[kind];
+      if (requiredLength && value.length !== requiredLength) return;
+      if (kind === 'iban' && (value.length < 15 || value.length > 34)) return;
+      details.push({ kind, value, text: collapse(match[0]), offset: match.index, end: match.index + match[0].length });
+    })
+  );
+  return details;
+};
+
+const extractBankDetails = (text, page, spans, push) =>
+  findBankDetails(text).forEach(({ end, ...detail }) => {
+    spans.add(detail.offset, end);
+    push('bankDetails', { ...detail, page });
+  });
+
+// Одинаковые сущности схлопываем: первое упоминание остаётся якорем, остальные — счётчиком
+const entityKey = (type, entity) => {
+  switch (type) {
+    case 'parties':
+      return partyKey(entity);
+    case 'dates':
+      return entity.blank ? `blank:${entity.page}:${entity.offset}` : entity.value;
+    case 'amounts':
+      return `${entity.value}:${entity.currency}`;
+    case 'durations':
+      return `${entity.value}:${entity.unit}:${entity.dayType || ''}`;
+    case 'bankDetails':
+      return `${entity.kind}:${normalizeName(entity.value)}`;
+    default:
+      return normalizeName(entity.value);
+  }
+};
+
+/**
+ * Извлекает сущности из страниц документа (meta.pages) или из цельного текста.
+ * pageNumbers — физические номера страниц для meta.pages (по разметке), иначе номер — индекс + 1.
+ * @returns {{ parties, dates, amounts, percentages, durations, addresses, bankDetails }}
+ *   — массивы сущностей с якорями { page, offset } и счётчиком упоминаний mentions.
+ */
+export const extractEntities = ({ pages, text = '', pageNumbers = [] } = {}) => {
+  const sources = Array.isArray(pages) && pages.some(Boolean) ? pages : [text];
+  const result = Object.fromEntries(ENTITY_TYPES.map((type) => [type, []]));
+  const seen = new Map();
+  const push = (type, entity) => {
+    const key = `${type}|${entityKey(type, entity)}`;
+    const existing = seen.get(key);
+    if (existing) {
+      existing.mentions += 1;
+      if (!existing.role && entity.role) existing.role = entity.role;
+      return;
+    }
+    if (result[type].length >= MAX_ENTITIES_PER_TYPE) return;
+    const stored = { ...entity, mentions: 1 };
+    seen.set(key, stored);
+    result[type].push(stored);
+  };
+  sources.forEach((source, index) => {
+    const pageText = typeof source === 'string' ? source : '';
+    if (!pageText.trim()) return;
+    const page = pageNumbers[index] || index + 1;
+    const spans = createSpanTracker();
+    extractParties(pageText, page, push);
+    extractBankDetails(pageText, page, spans, push);
+    extractDates(pageText, page, spans, push);
+    extractAmounts(pageText, page, spans, push);
+    extractPercentages(pageText, page, spans, push);
+    extractDurations(pageText, page, spans, push);
+    extractAddresses(pageText, page, spans, push);
+  });
+  ENTITY_TYPES.forEach((type) => result[type].sort((a, b) => a.page - b.page || a.offset - b.offset));
+  return result;
+};
+
+export const countEntities = (entities) =>
+  entities ? ENTITY_TYPES.reduce((sum, type) => sum + (entities[type]?.length || 0), 0) : 0;
+
+export const ENTITY_LABELS = {
+  parties: 'Стороны',
+  dates: 'Даты',
+  amounts: 'Суммы',
+  percentages: 'Проценты',
+  durations: 'Сроки',
+  addresses: 'Адреса',
+  bankDetails: 'Реквизиты'
+};
+
+export const BANK_DETAIL_LABELS = {
+  inn: 'ИНН',
+  kpp: 'КПП',
+  ogrn: 'ОГРН',
+  ogrnip: 'ОГРНИП',
+  bik: 'БИК',
+  bin: 'БИН',
+  account: 'Р/с',
+  corrAccount: 'К/с',
+  iban: 'IBAN',
+  swift: 'SWIFT',
+  bank: 'Банк'
+};
+const VAT_LABELS = { included: 'в т.ч. НДС', excluded: 'без НДС', exempt: 'НДС не облагается', extra: 'плюс НДС' };
+
+const formatDate = (iso) => iso.split('-').reverse().join('.');
+
+const formatAmount = (value) =>
+  new Intl.NumberFormat('ru-RU', { minimumFractionDigits: Number.isInteger(value) ? 0 : 2, maximumFractionDigits: 2 }).format(
+    value
+  );
+
+// Короткая подпись сущности для панели и контекста модели
+export const formatEntity = (type, entity) => {
+  switch (type) {
+    case 'parties':
+      return entity.role ? `${entity.value} — «${entity.role}»` : entity.value;
+    case 'dates':
+      return entity.blank ? `не заполнена: ${entity.text}` : formatDate(entity.value);
+    case 'amounts': {
+      const vat = [entity.vat ? VAT_LABELS[entity.vat] : entity.vatRate ? 'НДС' : '', entity.vatRate ? `${entity.vatRate}%` : '']
+        .filter(Boolean)
+        .join(' ');
+      return `${formatAmount(entity.value)} ${entity.currency || ''}${vat ? `, ${vat}` : ''}`.trim();
+    }
+    case 'percentages':
+      return `${String(entity.value).replace('.', ',')}%`;
+    case 'durations':
+      return entity.text.replace(/\s*\([^)]*\)/, '');
+    case 'bankDetails':
+      return `${BANK_DETAIL_LABELS[entity.kind] || entity.kind} ${entity.value}`;
+    default:
+      return entity.value;
+  }
+};
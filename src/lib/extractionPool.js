@@ -0,0 +1,214 @@
+/*
+ * Пул обработки страниц
+ *
+ * Страницы PDF рендерятся в отдельных Web Worker'ах (pdf.js + OffscreenCanvas),
+ * чтобы интерфейс не замирал на многостраничных сканах. Если браузер не
+ * поддерживает OffscreenCanvas или воркер не смог открыть документ, рендер
+ * выполняется в основном потоке. Все операции принимают AbortSignal.
+ */
+
+export const DEFAULT_POOL_SIZE = 2;
+const MAX_POOL_SIZE = 6;
+
+export const resolvePoolSize = (value) => {
+  const size = Number(value);
+  if (!Number.isFinite(size) || size < 1) return DEFAULT_POOL_SIZE;
+  return Math.min(Math.round(size), MAX_POOL_SIZE);
+};
+
+export const createAbortError = () => {
+  const error = new Error('Обработка файла отменена.');
+  error.name = 'AbortError';
+  return error;
+};
+
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+export const throwIfAborted = (signal) => {
+  if (signal?.aborted) throw createAbortError();
+};
+
+/**
+ * Обрабатывает элементы не более чем в size потоков. Результаты возвращаются
+ * в исходном порядке. Отмена или ошибка задачи останавливает все потоки: новые
+ * задачи не берутся, а после отмены вызов сразу завершается AbortError, не
+ * дожидаясь задач, которые уже выполняются.
+ */
+export const runPool = async (items, task, { size = DEFAULT_POOL_SIZE, signal, onProgress } = {}) => {
+  throwIfAborted(signal);
+  const results = new Array(items.length);
+  let cursor = 0;
+  let done = 0;
+  let stopped = false;
+  let onAbort = null;
+  const aborted = new Promise((_, reject) => {
+    onAbort = () => {
+      stopped = true;
+      reject(createAbortError());
+    };
+  });
+  aborted.catch(() => {});
+  signal?.addEventListener('abort', onAbort, { once: true });
+  const runners = Array.from({ length: Math.min(resolvePoolSize(size), items.length) }, async () => {
+    while (!stopped && cursor < items.length) {
+      const index = cursor;
+      cursor += 1;
+      try {
+        results[index] = await task(items[index], index);
+      } catch (error) {
+        stopped = true;
+        throw error;
+      }
+      if (stopped) return;
+      done += 1;
+      onProgress?.({ item: items[index], index, done, total: items.length });
+    }
+  });
+  try {
+    await Promise.race([Promise.all(runners), aborted]);
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+  }
+  throwIfAborted(signal);
+  return results;
+};
+
+const canRenderInWorker = () => typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined';
+
+// Клиент одного воркера рендера: запросы сопоставляются с ответами по id
+const spawnRenderWorker = () => {
+  const worker = new Worker(new URL('./pdfRender.worker.js', import.meta.url), { type: 'module' });
+  const pending = new Map();
+  let nextId = 1;
+  const failAll = (error) => {
+    pending.forEach(({ reject }) => reject(error));
+    pending.clear();
+  };
+  worker.onmessage = ({ data }) => {
+    const entry = pending.get(data?.id);
+    if (!entry) return;
+    pending.delete(data.id);
+    if (data.error) {
+      entry.reject(new Error(data.error));
+    } else {
+      entry.resolve(data);
+    }
+  };
+  worker.onerror = (event) => {
+    event.preventDefault?.();
+    failAll(new Error(event.message || 'Ошибка воркера рендера'));
+  };
+  const request = (message, transfer = []) =>
+    new Promise((resolve, reject) => {
+      const id = nextId;
+      nextId += 1;
+      pending.set(id, { resolve, reject });
+      worker.postMessage({ ...message, id }, transfer);
+    });
+  return {
+    request,
+    load: () => pending.size,
+    terminate: () => {
+      failAll(createAbortError());
+      worker.terminate();
+    }
+  };
+};
+
+const createWorkerRenderer = async (buffer, size, password) => {
+  const workers = Array.from({ length: size }, spawnRenderWorker);
+  try {
+    // Каждый воркер получает свою копию документа
+    const opened = await Promise.all(
+      workers.map((worker) => {
+        const copy = buffer.slice(0);
+        return worker.request({ type: 'open', buffer: copy, password }, [copy]);
+      })
+    );
+    return {
+      mode: 'worker',
+      pageCount: opened[0]?.pageCount || 0,
+      render: (pageNumber, options) => {
+        // Страницу отдаём наименее загруженному воркеру
+        const worker = workers.reduce((best, item) => (item.load() < best.load() ? item : best));
+        return worker.request({ type: 'render', page: pageNumber, ...options });
+      },
+      destroy: () => workers.forEach((worker) => worker.terminate())
+    };
+  } catch (error) {
+    workers.forEach((worker) => worker.terminate());
+    throw error;
+  }
+};
+
+const createMainThreadRenderer = async (buffer, loadPdfjs, password) => {
+  const pdfjs = await loadPdfjs();
+  const pdfDoc = await pdfjs.getDocument({
+    data: new Uint8Array(buffer.slice(0)),
+    ...(password ? { password } : {})
+  }).promise;
+  return {
+    mode: 'main',
+    pageCount: pdfDoc.numPages,
+    render: async (pageNumber, { scale = 1.6, format = 'image/png' } = {}) => {
+      const page = await pdfDoc.getPage(pageNumber);
+      const viewport = page.getViewport({ scale });
+      const canvas = document.createElement('canvas');
+      canvas.width = viewport.width;
+      canvas.height = viewport.height;
+      const context = canvas.getContext('2d');
+      if (!context) {
+        page.cleanup?.();
+        throw new Error('Canvas недоступен');
+      }
+      await page.render({ canvasContext: context, viewport }).promise;
+      const dataUrl = canvas.toDataURL(format);
+      canvas.width = 0;
+      canvas.height = 0;
+      page.cleanup?.();
+      return { dataUrl, width: viewport.width, height: viewport.height };
+    },
+    destroy: () => {
+      pdfDoc.destroy?.();
+    }
+  };
+};
+
+/**
+ * Открывает PDF для постраничного рендера. Возвращает
+ * { mode, pageCount, render(pageNumber, { scale, format }), destroy }.
+ * При отмене через signal воркеры останавливаются сразу. password — пароль
+ * зашифрованного PDF, его получают только pdf.js и воркеры.
+ */
+export const createPdfRenderer = async ({ buffer, size = DEFAULT_POOL_SIZE, signal, loadPdfjs, onFallback, password } = {}) => {
+  throwIfAborted(signal);
+  const source = ArrayBuffer.isView(buffer)
+    ? buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength)
+    : buffer;
+  let renderer = null;
+  if (canRenderInWorker()) {
+    try {
+      renderer = await createWorkerRenderer(source, resolvePoolSize(size), password);
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      onFallback?.(error);
+    }
+  }
+  if (!renderer) {
+    renderer = await createMainThreadRenderer(source, loadPdfjs, password);
+  }
+  if (signal) {
+    const stop = () => renderer.destroy();
+    signal.addEventListener('abort', stop, { once: true });
+    const destroy = renderer.destroy;
+    renderer.destroy = () => {
+      signal.removeEventListener('abort', stop);
+      destroy();
+    };
+  }
+  if (signal?.aborted) {
+    renderer.destroy();
+    throw createAbortError();
+  }
+  return renderer;
+};
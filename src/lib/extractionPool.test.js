@@ -0,0 +1,49 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { isAbortError, runPool } from './extractionPool.js';
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('после отмены потоки не берут новые задачи', async () => {
+  const controller = new AbortController();
+  const started = [];
+  const pool = runPool(
+    Array.from({ length: 20 }, (_, index) => index),
+    async (item) => {
+      started.push(item);
+      if (item === 1) controller.abort();
+      await delay(5);
+      return item;
+    },
+    { size: 2, signal: controller.signal }
+  );
+  await assert.rejects(pool, isAbortError);
+  await delay(30);
+  assert.deepEqual(started, [0, 1]);
+});
+
+test('ошибка задачи останавливает остальные потоки', async () => {
+  const started = [];
+  const pool = runPool(
+    Array.from({ length: 20 }, (_, index) => index),
+    async (item) => {
+      started.push(item);
+      await delay(item === 0 ? 1 : 5);
+      if (item === 0) throw new Error('сбой');
+      return item;
+    },
+    { size: 2 }
+  );
+  await assert.rejects(pool, /сбой/);
+  await delay(30);
+  assert.deepEqual(started, [0, 1]);
+});
+
+test('результаты идут в исходном порядке', async () => {
+  const results = await runPool([30, 10, 20], async (ms) => {
+    await delay(ms);
+    return ms;
+  });
+  assert.deepEqual(results, [30, 10, 20]);
+});
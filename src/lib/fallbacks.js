@@ -1,9 +1,12 @@
 import {
   LEGAL_ANALYSIS_PROMPT,
+  LEGAL_BILINGUAL_PROMPT,
+  LEGAL_CONSOLIDATION_PROMPT,
   LEGAL_LAYOUT_PROMPT,
   LEGAL_PRE_ANALYSIS_PROMPT,
   LEGAL_PRE_SUMMARY_PROMPT
 } from './prompts.js';
+import { DEFAULT_OCR_SETTINGS } from './ocr.js';
 
 export const getDefaultGptSettings = () => {
   return {
@@ -17,6 +20,17 @@ export const getDefaultGptSettings = () => {
       analysisModel: 'gpt-5-mini',
       analysisWebSearchEnabled: true,
       analysisReasoningEffort: 'medium',
+      consolidationModel: 'gpt-5-mini',
+      consolidationWebSearchEnabled: false,
+      consolidationReasoningEffort: 'medium',
+      chunkedAnalysisMode: 'auto',
+      chunkMaxChars: 60000,
+      chunkConcurrency: 3,
+      extractionPoolSize: 2,
+      bilingualCheckMode: 'auto',
+      bilingualModel: 'gpt-5-mini',
+      bilingualWebSearchEnabled: false,
+      bilingualReasoningEffort: 'low',
       layoutModel: 'gpt-5-mini',
       layoutWebSearchEnabled: false,
       layoutReasoningEffort: 'low',
@@ -26,6 +40,8 @@ export const getDefaultGptSettings = () => {
         preAnalysis: LEGAL_PRE_ANALYSIS_PROMPT,
         summary: LEGAL_PRE_SUMMARY_PROMPT,
         analysis: LEGAL_ANALYSIS_PROMPT,
+        consolidation: LEGAL_CONSOLIDATION_PROMPT,
+        bilingual: LEGAL_BILINGUAL_PROMPT,
         layout: LEGAL_LAYOUT_PROMPT
       },
       cloudinary: {
@@ -43,6 +59,12 @@ export const getDefaultGptSettings = () => {
         pageImageTransformation: '',
         deliveryType: 'upload',
         uploadOriginalFile: false
+      },
+      ocr: {
+        languages: [...DEFAULT_OCR_SETTINGS.languages],
+        autoDetectLanguage: true,
+        preprocess: true,
+        assetsPath: ''
       }
     }
   };
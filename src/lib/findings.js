@@ -0,0 +1,58 @@
+/*
+ * Находки проверок документа
+ *
+ * Проверки реквизитов, сумм и хронологии отдают находки одного вида:
+ * { type, severity, message, page, offset, text, locations }. page — физический
+ * номер страницы, text — цитата строки, locations — все места в документе,
+ * к которым относится находка. Здесь их общая форма, цитата и порядок.
+ */
+
+export const MAX_CONTEXT_CHARS = 160;
+export const MAX_FINDINGS = 40;
+
+export const collapse = (value) => String(value || '').replace(/\s+/g, ' ').trim();
+
+export const clip = (value) => {
+  const text = collapse(value);
+  return text.length > MAX_CONTEXT_CHARS ? `${text.slice(0, MAX_CONTEXT_CHARS - 1)}…` : text;
+};
+
+// Строка текста страницы вокруг смещения — цитата для находки
+export const lineContext = (text, offset) => {
+  const start = text.lastIndexOf('\n', offset - 1) + 1;
+  const end = text.indexOf('\n', offset);
+  return clip(text.slice(start, end < 0 ? text.length : end));
+};
+
+// Физический номер страницы: meta.pages хранит пустые и пропущенные страницы, но номер может не совпасть с индексом
+export const resolvePageNumber = (pageNumbers, index) => pageNumbers?.[index] ?? index + 1;
+
+export const createFinding = ({ type, severity = 'error', message, page, offset = 0, text = '', locations = null, ...details }) => ({
+  type,
+  severity,
+  ...details,
+  message,
+  page,
+  offset,
+  text,
+  locations: (locations || [{ page, offset }]).map((item) => ({ page: item.page, offset: item.offset || 0 }))
+});
+
+// Находка по упоминанию { page, offset, context }; related — другие упоминания, с которыми оно расходится
+export const createMentionFinding = (type, severity, message, mention, related = [], details = {}) =>
+  createFinding({
+    type,
+    severity,
+    message,
+    page: mention.page,
+    offset: mention.offset,
+    text: mention.context,
+    locations: [mention, ...related.filter((item) => item !== mention)],
+    ...details
+  });
+
+// Сначала ошибки, затем по порядку в документе; не больше MAX_FINDINGS
+export const sortFindings = (findings) =>
+  findings
+    .sort((a, b) => Number(b.severity === 'error') - Number(a.severity === 'error') || a.page - b.page || a.offset - b.offset)
+    .slice(0, MAX_FINDINGS);
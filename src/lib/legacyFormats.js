@@ -0,0 +1,1159 @@
+/*
+ * Legacy document formats: RTF, ODT and binary Word 97–2003 (.doc)
+ *
+ * Each parser returns the same structure as parseDocxArchive (paragraph and
+ * table blocks with page numbers, headers/footers, footnotes and endnotes), so
+ * the DOCX layout builder turns them into pages, headings and tables.  RTF list
+ * labels come from \listtext, ODT numbering is recomputed from list and outline
+ * styles.  In .doc the text is read through the piece table and tables come
+ * from paragraph properties; automatic numbering is not stored in the text and
+ * tracked deletions are not separated.
+ */
+import { readCompoundFile, utf16ToString } from './compoundFile.js';
+
+const normalizeText = (value) =>
+  String(value || '')
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .trim();
+
+// Похоже ли содержимое \listtext / text:number на номер пункта, а не на маркер
+const NUMBER_LABEL = /^[(\[]?(?:\d+|[IVXLCivxlc]+|[A-Za-zА-Яа-я])(?:[.)]\d*)*[.)\]]?$/;
+
+const splitLabel = (label) => {
+  const cleaned = normalizeText(label);
+  if (!cleaned) return {};
+  return NUMBER_LABEL.test(cleaned) ? { number: cleaned } : { bullet: true };
+};
+
+/**
+ * Накопитель блоков в формате parseDocxArchive. Строки таблицы копятся до
+ * первого абзаца вне таблицы; объединённые по вертикали ячейки увеличивают
+ * rowSpan ячейки над ними.
+ */
+const createBlockCollector = () => {
+  const blocks = [];
+  let page = 0;
+  let table = null;
+
+  const flushTable = () => {
+    if (table?.rows.length) {
+      blocks.push({ type: 'table', rows: table.rows, revisions: [], commentIds: [], page: table.page });
+    }
+    table = null;
+  };
+
+  return {
+    addParagraph: (text, { number = '', bullet = false, listLevel = null, headingLevel = 0, style = '' } = {}) => {
+      flushTable();
+      const normalized = normalizeText(text);
+      if (!normalized) return;
+      blocks.push({
+        type: 'paragraph',
+        text: normalized,
+        originalText: '',
+        number,
+        originalNumber: '',
+        bullet,
+        listLevel,
+        style,
+        headingLevel,
+        revisions: [],
+        commentIds: [],
+        page
+      });
+    },
+    addRow: (cellsInput, { header = false } = {}) => {
+      if (!table) table = { rows: [], origins: [], page };
+      let gridIndex = 0;
+      const cells = cellsInput.map((input) => {
+        const colSpan = Math.max(1, input.colSpan || 1);
+        const cell = { text: input.merged ? '' : normalizeText(input.text), originalText: '', colSpan, rowSpan: 1, gridIndex };
+        if (input.merged) {
+          cell.merged = true;
+          if (table.origins[gridIndex]) table.origins[gridIndex].rowSpan += 1;
+        } else {
+          table.origins[gridIndex] = cell;
+        }
+        gridIndex += colSpan;
+        return cell;
+      });
+      if (!cells.some((cell) => cell.text || cell.merged)) return;
+      table.rows.push({ cells, header, inserted: false, deleted: false });
+    },
+    endTable: flushTable,
+    pageBreak: () => {
+      flushTable();
+      if (blocks.some((block) => block.page === page)) page += 1;
+    },
+    finish: () => {
+      flushTable();
+      return blocks;
+    }
+  };
+};
+
+const buildParsed = (blocks, { headers = [], footers = [], footnotes = [], endnotes = [] } = {}) => ({
+  blocks,
+  pageCount: blocks.length ? blocks[blocks.length - 1].page + 1 : 0,
+  headers: [...new Set(headers.map(normalizeText).filter(Boolean))],
+  footers: [...new Set(footers.map(normalizeText).filter(Boolean))],
+  footnotes: footnotes.filter((note) => note.text),
+  endnotes: endnotes.filter((note) => note.text),
+  revisions: [],
+  comments: []
+});
+
+const decoders = new Map();
+
+const CODEPAGE_LABELS = {
+  874: 'windows-874',
+  932: 'shift_jis',
+  936: 'gbk',
+  949: 'euc-kr',
+  950: 'big5',
+  10000: 'macintosh'
+};
+
+const decodeBytes = (bytes, codepage = 1252) => {
+  const label = CODEPAGE_LABELS[codepage] || `windows-${codepage}`;
+  if (!decoders.has(label)) {
+    try {
+      decoders.set(label, new TextDecoder(label));
+    } catch (error) {
+      decoders.set(label, new TextDecoder('windows-1252'));
+    }
+  }
+  return decoders.get(label).decode(bytes);
+};
+
+// ---------------------------------------------------------------------------
+// RTF
+
+const RTF_CHARSET_CODEPAGES = {
+  0: 1252,
+  2: 1252,
+  77: 10000,
+  128: 932,
+  129: 949,
+  134: 936,
+  136: 950,
+  161: 1253,
+  162: 1254,
+  163: 1258,
+  177: 1255,
+  178: 1256,
+  186: 1257,
+  204: 1251,
+  222: 874,
+  238: 1250
+};
+
+const RTF_SYMBOLS = {
+  line: '\n',
+  tab: '\t',
+  emdash: '—',
+  endash: '–',
+  bullet: '•',
+  lquote: '‘',
+  rquote: '’',
+  ldblquote: '“',
+  rdblquote: '”',
+  emspace: ' ',
+  enspace: ' ',
+  qmspace: ' '
+};
+
+// Служебные группы, текст которых в документ не попадает
+const RTF_SKIPPED_DESTINATIONS = new Set([
+  'colortbl',
+  'stylesheet',
+  'info',
+  'pict',
+  'object',
+  'objdata',
+  'themedata',
+  'colorschememapping',
+  'latentstyles',
+  'datastore',
+  'xmlnstbl',
+  'listtable',
+  'listoverridetable',
+  'rsidtbl',
+  'generator',
+  'filetbl',
+  'revtbl',
+  'fldinst',
+  'shpinst',
+  'nonshppict',
+  'userprops',
+  'annotation',
+  'atnid',
+  'atnauthor',
+  'atndate',
+  'atnref',
+  'bkmkstart',
+  'bkmkend',
+  'pgdsctbl',
+  'protusertbl',
+  'passwordhash',
+  'mmathPr',
+  'wgrffmtfilter'
+]);
+
+const RTF_HEADER_DESTINATIONS = new Set(['header', 'headerl', 'headerr', 'headerf']);
+const RTF_FOOTER_DESTINATIONS = new Set(['footer', 'footerl', 'footerr', 'footerf']);
+
+const bytesToBinaryString = (bytes) => {
+  let result = '';
+  for (let index = 0; index < bytes.length; index += 8192) {
+    result += String.fromCharCode.apply(null, bytes.subarray(index, index + 8192));
+  }
+  return result;
+};
+
+export const parseRtf = (buffer) => {
+  const source = bytesToBinaryString(new Uint8Array(buffer));
+  if (!source.startsWith('{\\rtf')) return null;
+
+  const collector = createBlockCollector();
+  const fonts = new Map();
+  const headers = [];
+  const footers = [];
+  const footnotes = [];
+  const endnotes = [];
+  let defaultCodepage = 1252;
+  let defaultFont = null;
+  let fontTableId = null;
+  let noteCount = 0;
+  let skipChars = 0;
+  let pendingBytes = [];
+
+  let state = { dest: 'body', uc: 1, font: null, intbl: false, outline: null, sink: null, ignorable: false };
+  const stack = [];
+  // Текущий абзац тела и собираемая строка таблицы
+  let paragraph = '';
+  let label = '';
+  let pageBreakBefore = false;
+  let cellParts = [];
+  let rowCells = [];
+  let cellDefs = [];
+  let currentCellDef = {};
+  let rowHeader = false;
+
+  const write = (text) => {
+    if (!text) return;
+    if (state.dest === 'body') {
+      paragraph += text;
+    } else if (state.dest === 'listtext') {
+      label += text;
+    } else if (state.sink) {
+      state.sink.parts.push(text);
+    }
+  };
+
+  const flushBytes = () => {
+    if (!pendingBytes.length) return;
+    const codepage = fonts.get(state.font ?? defaultFont) || defaultCodepage;
+    const text = decodeBytes(Uint8Array.from(pendingBytes), codepage);
+    pendingBytes = [];
+    write(text);
+  };
+
+  const endParagraph = () => {
+    if (state.intbl) {
+      cellParts.push(paragraph);
+    } else {
+      if (pageBreakBefore && normalizeText(paragraph)) {
+        collector.pageBreak();
+        pageBreakBefore = false;
+      }
+      collector.addParagraph(paragraph, {
+        ...splitLabel(label),
+        headingLevel: Number.isFinite(state.outline) && state.outline < 9 ? state.outline + 1 : 0
+      });
+    }
+    paragraph = '';
+    label = '';
+  };
+
+  const endCell = () => {
+    cellParts.push(paragraph);
+    paragraph = '';
+    label = '';
+    rowCells.push(cellParts.map(normalizeText).filter(Boolean).join('\n'));
+    cellParts = [];
+  };
+
+  const endRow = () => {
+    if (normalizeText(paragraph)) endCell();
+    collector.addRow(
+      rowCells.map((text, index) => ({ text, merged: cellDefs[index]?.vmerge === 'continue' })),
+      { header: rowHeader }
+    );
+    rowCells = [];
+    cellParts = [];
+  };
+
+  const openSink = (dest, target, extra = {}) => {
+    state.dest = dest;
+    state.sink = { parts: [], target, ...extra };
+  };
+
+  const handleControlWord = (word, param, hasParam) => {
+    if (state.ignorable) {
+      state.ignorable = false;
+      if (!['footnote', 'listtext', 'pntext'].includes(word) && !RTF_HEADER_DESTINATIONS.has(word) && !RTF_FOOTER_DESTINATIONS.has(word)) {
+        state.dest = 'skip';
+        return;
+      }
+    }
+    if (state.dest === 'skip') return;
+    if (state.dest === 'fonttbl') {
+      if (word === 'f') fontTableId = param;
+      if (word === 'fcharset' && fontTableId !== null && RTF_CHARSET_CODEPAGES[param]) {
+        fonts.set(fontTableId, RTF_CHARSET_CODEPAGES[param]);
+      }
+      if (word === 'cpg' && fontTableId !== null && param) fonts.set(fontTableId, param);
+      return;
+    }
+    if (RTF_SKIPPED_DESTINATIONS.has(word)) {
+      state.dest = 'skip';
+      return;
+    }
+    if (RTF_HEADER_DESTINATIONS.has(word)) return openSink('header', headers);
+    if (RTF_FOOTER_DESTINATIONS.has(word)) return openSink('footer', footers);
+    if (word === 'footnote') {
+      noteCount += 1;
+      openSink('footnote', footnotes, { id: String(noteCount) });
+      paragraph += `[^${noteCount}]`;
+      return;
+    }
+    if (word === 'ftnalt' && state.dest === 'footnote') {
+      state.sink.target = endnotes;
+      paragraph = paragraph.replace(new RegExp(`\\[\\^${state.sink.id}\\]$`), `[^e${state.sink.id}]`);
+      return;
+    }
+    if (word === 'listtext' || word === 'pntext') {
+      state.dest = 'listtext';
+      return;
+    }
+    if (RTF_SYMBOLS[word]) return write(RTF_SYMBOLS[word]);
+    switch (word) {
+      case 'fonttbl':
+        state.dest = 'fonttbl';
+        return;
+      case 'ansicpg':
+        if (param) defaultCodepage = param;
+        return;
+      case 'deff':
+        defaultFont = param;
+        return;
+      case 'f':
+        if (hasParam) state.font = param;
+        return;
+      case 'uc':
+        state.uc = Math.max(0, param);
+        return;
+      case 'u':
+        write(String.fromCharCode(param < 0 ? param + 65536 : param));
+        skipChars = state.uc;
+        return;
+      case 'par':
+        if (state.dest === 'body') endParagraph();
+        else write('\n');
+        return;
+      case 'page':
+        if (state.dest !== 'body') return;
+        if (normalizeText(paragraph)) endParagraph();
+        collector.pageBreak();
+        return;
+      case 'pagebb':
+        pageBreakBefore = true;
+        return;
+      case 'pard':
+        state.intbl = false;
+        state.outline = null;
+        return;
+      case 'intbl':
+        state.intbl = true;
+        return;
+      case 'outlinelevel':
+        state.outline = param;
+        return;
+      case 'trowd':
+        cellDefs = [];
+        currentCellDef = {};
+        rowHeader = false;
+        return;
+      case 'trhdr':
+        rowHeader = true;
+        return;
+      case 'clvmgf':
+        currentCellDef.vmerge = 'restart';
+        return;
+      case 'clvmrg':
+        currentCellDef.vmerge = 'continue';
+        return;
+      case 'cellx':
+        cellDefs.push(currentCellDef);
+        currentCellDef = {};
+        return;
+      case 'cell':
+        if (state.dest === 'body') endCell();
+        else write(' | ');
+        return;
+      case 'row':
+        if (state.dest === 'body') endRow();
+        else write('\n');
+        return;
+      case 'nestcell':
+        write(' ');
+        return;
+      case 'nestrow':
+        write('\n');
+        return;
+      default:
+    }
+  };
+
+  let index = 0;
+  while (index < source.length) {
+    const char = source[index];
+    if (char === '{' || char === '}') {
+      flushBytes();
+      skipChars = 0;
+      if (char === '{') {
+        stack.push(state);
+        state = { ...state, ignorable: false };
+      } else {
+        const closed = state;
+        state = stack.pop() || state;
+        if (closed.sink && closed.sink !== state.sink) {
+          const text = closed.sink.parts.join('');
+          if (closed.dest === 'footnote') {
+            closed.sink.target.push({ id: closed.sink.id, text: normalizeText(text.replace(/\n+/g, ' ')) });
+          } else {
+            closed.sink.target.push(text);
+          }
+        }
+      }
+      index += 1;
+      continue;
+    }
+    if (char === '\\') {
+      const next = source[index + 1];
+      if (next === "'") {
+        const byte = Number.parseInt(source.slice(index + 2, index + 4), 16);
+        index += 4;
+        if (skipChars > 0) {
+          skipChars -= 1;
+        } else if (Number.isFinite(byte) && state.dest !== 'skip' && state.dest !== 'fonttbl') {
+          pendingBytes.push(byte);
+        }
+        continue;
+      }
+      flushBytes();
+      const match = /^([a-zA-Z]{1,32})(-?\d{1,10})? ?/.exec(source.slice(index + 1, index + 48));
+      if (match) {
+        index += 1 + match[0].length;
+        const word = match[1];
+        if (word !== 'u') skipChars = 0;
+        handleControlWord(word, match[2] !== undefined ? Number(match[2]) : 1, match[2] !== undefined);
+        continue;
+      }
+      index += 2;
+      skipChars = 0;
+      if (state.dest === 'skip' || state.dest === 'fonttbl') continue;
+      if (next === '*') state.ignorable = true;
+      else if (next === '~') write(' ');
+      else if (next === '_') write('-');
+      else if (next === '\\' || next === '{' || next === '}') write(next);
+      else if (next === '\n' || next === '\r') {
+        if (state.dest === 'body') endParagraph();
+      }
+      continue;
+    }
+    index += 1;
+    if (char === '\r' || char === '\n') continue;
+    flushBytes();
+    if (skipChars > 0) {
+      skipChars -= 1;
+      continue;
+    }
+    if (state.dest !== 'skip' && state.dest !== 'fonttbl') write(char);
+  }
+  flushBytes();
+  if (normalizeText(paragraph)) endParagraph();
+
+  return buildParsed(collector.finish(), { headers, footers, footnotes, endnotes });
+};
+
+// ---------------------------------------------------------------------------
+// ODT
+
+const readOdtXml = async (zip, path) => {
+  const file = zip.file(path);
+  if (!file) return null;
+  const xmlText = await file.async('text');
+  return new DOMParser().parseFromString(xmlText, 'application/xml');
+};
+
+const odtChildren = (node, name) =>
+  Array.from(node?.childNodes || []).filter((child) => child.nodeType === 1 && (!name || child.nodeName === name));
+
+const odtAttr = (node, name) => (node && typeof node.getAttribute === 'function' ? node.getAttribute(name) : null);
+
+const toNumber = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const ROMAN_NUMERALS = [
+  [1000, 'm'],
+  [900, 'cm'],
+  [500, 'd'],
+  [400, 'cd'],
+  [100, 'c'],
+  [90, 'xc'],
+  [50, 'l'],
+  [40, 'xl'],
+  [10, 'x'],
+  [9, 'ix'],
+  [5, 'v'],
+  [4, 'iv'],
+  [1, 'i']
+];
+
+const formatOdtNumber = (value, format) => {
+  if (format === 'i' || format === 'I') {
+    let rest = value;
+    const roman = ROMAN_NUMERALS.reduce((acc, [step, digits]) => {
+      let result = acc;
+      while (rest >= step) {
+        result += digits;
+        rest -= step;
+      }
+      return result;
+    }, '');
+    return format === 'I' ? roman.toUpperCase() : roman;
+  }
+  const alphabets = { a: 'abcdefghijklmnopqrstuvwxyz', а: 'абвгдежзиклмнопрстуфхцчшщэюя' };
+  const alphabet = alphabets[format] || alphabets[format?.toLowerCase()];
+  if (alphabet) {
+    const letter = alphabet[(value - 1) % alphabet.length].repeat(Math.floor((value - 1) / alphabet.length) + 1);
+    return format === format.toUpperCase() ? letter.toUpperCase() : letter;
+  }
+  return String(value);
+};
+
+const readListLevels = (styleNode) => {
+  const levels = new Map();
+  odtChildren(styleNode).forEach((levelNode) => {
+    const level = toNumber(odtAttr(levelNode, 'text:level'), 1);
+    if (levelNode.nodeName === 'text:list-level-style-bullet') {
+      levels.set(level, { bullet: true });
+    } else if (levelNode.nodeName === 'text:list-level-style-number' || levelNode.nodeName === 'text:outline-level-style') {
+      levels.set(level, {
+        format: odtAttr(levelNode, 'style:num-format') || '',
+        prefix: odtAttr(levelNode, 'style:num-prefix') || '',
+        suffix: odtAttr(levelNode, 'style:num-suffix') || '',
+        displayLevels: toNumber(odtAttr(levelNode, 'text:display-levels'), 1),
+        start: toNumber(odtAttr(levelNode, 'text:start-value'), 1)
+      });
+    }
+  });
+  return levels;
+};
+
+const readOdtStyles = (documents) => {
+  const paragraphStyles = new Map();
+  const listStyles = new Map();
+  let outline = new Map();
+  documents.filter(Boolean).forEach((xml) => {
+    Array.from(xml.getElementsByTagName('style:style')).forEach((node) => {
+      if (odtAttr(node, 'style:family') !== 'paragraph') return;
+      const props = odtChildren(node, 'style:paragraph-properties')[0];
+      paragraphStyles.set(odtAttr(node, 'style:name'), {
+        parent: odtAttr(node, 'style:parent-style-name'),
+        outline: toNumber(odtAttr(node, 'style:default-outline-level'), null),
+        listStyle: odtAttr(node, 'style:list-style-name'),
+        breakBefore: odtAttr(props, 'fo:break-before') === 'page',
+        breakAfter: odtAttr(props, 'fo:break-after') === 'page'
+      });
+    });
+    Array.from(xml.getElementsByTagName('text:list-style')).forEach((node) => {
+      listStyles.set(odtAttr(node, 'style:name'), readListLevels(node));
+    });
+    const outlineNode = xml.getElementsByTagName('text:outline-style')[0];
+    if (outlineNode) outline = readListLevels(outlineNode);
+  });
+  // Свойства стиля с учётом родительских стилей
+  const resolve = (name, key) => {
+    let current = name;
+    for (let depth = 0; current && depth < 10; depth += 1) {
+      const style = paragraphStyles.get(current);
+      if (!style) return null;
+      if (style[key]) return style[key];
+      current = style.parent;
+    }
+    return null;
+  };
+  return { resolve, listStyles, outline };
+};
+
+// Счётчики нумерации: отдельный набор на каждый стиль списка и на структуру заголовков
+const createOdtCounters = () => {
+  const counters = new Map();
+  const get = (key) => {
+    if (!counters.has(key)) counters.set(key, []);
+    return counters.get(key);
+  };
+  return {
+    reset: (key) => counters.set(key, []),
+    next: (key, levels, level, startOverride) => {
+      const values = get(key);
+      const levelStyle = levels.get(level) || {};
+      values[level - 1] = Number.isFinite(startOverride)
+        ? startOverride
+        : values[level - 1] !== undefined
+          ? values[level - 1] + 1
+          : levelStyle.start || 1;
+      values.length = level;
+      if (levelStyle.bullet) return { bullet: true };
+      if (!levelStyle.format) return {};
+      const parts = [];
+      for (let current = Math.max(1, level - levelStyle.displayLevels + 1); current <= level; current += 1) {
+        const style = levels.get(current) || {};
+        const value = values[current - 1] ?? style.start ?? 1;
+        parts.push(formatOdtNumber(value, style.format || '1'));
+      }
+      return { number: `${levelStyle.prefix}${parts.join('.')}${levelStyle.suffix}`.trim() };
+    }
+  };
+};
+
+export const parseOdtArchive = async (zip) => {
+  const [content, stylesXml] = await Promise.all([readOdtXml(zip, 'content.xml'), readOdtXml(zip, 'styles.xml')]);
+  const body = content?.getElementsByTagName('office:text')?.[0];
+  if (!body) return null;
+
+  const styles = readOdtStyles([stylesXml, content]);
+  const counters = createOdtCounters();
+  const collector = createBlockCollector();
+  const footnotes = [];
+  const endnotes = [];
+
+  // Текст абзаца; сноски выносятся в отдельный список, в тексте остаётся ссылка
+  const collectInline = (node, state) => {
+    Array.from(node.childNodes || []).forEach((child) => {
+      if (child.nodeType === 3) {
+        state.parts.push(child.nodeValue.replace(/\s+/g, ' '));
+        return;
+      }
+      if (child.nodeType !== 1) return;
+      switch (child.nodeName) {
+        case 'text:s':
+          state.parts.push(' '.repeat(toNumber(odtAttr(child, 'text:c'), 1)));
+          return;
+        case 'text:tab':
+          state.parts.push('\t');
+          return;
+        case 'text:line-break':
+          state.parts.push('\n');
+          return;
+        case 'text:soft-page-break':
+          state.pageBreak = true;
+          return;
+        case 'text:number':
+          state.label = child.textContent || '';
+          return;
+        case 'text:note': {
+          const isEndnote = odtAttr(child, 'text:note-class') === 'endnote';
+          const target = isEndnote ? endnotes : footnotes;
+          const id = String(target.length + 1);
+          const noteBody = odtChildren(child, 'text:note-body')[0];
+          const text = noteBody
+            ? odtChildren(noteBody)
+                .map((paragraph) => {
+                  const noteState = { parts: [] };
+                  collectInline(paragraph, noteState);
+                  return normalizeText(noteState.parts.join(''));
+                })
+                .filter(Boolean)
+                .join(' ')
+            : '';
+          target.push({ id, text });
+          state.parts.push(isEndnote ? `[^e${id}]` : `[^${id}]`);
+          return;
+        }
+        case 'office:annotation':
+        case 'office:annotation-end':
+        case 'text:tracked-changes':
+          return;
+        default:
+          collectInline(child, state);
+      }
+    });
+  };
+
+  const readParagraph = (node) => {
+    const state = { parts: [], label: null, pageBreak: false };
+    collectInline(node, state);
+    return state;
+  };
+
+  const addTextBlock = (node, list) => {
+    const styleName = odtAttr(node, 'text:style-name');
+    const state = readParagraph(node);
+    const text = state.parts.join('');
+    if (styles.resolve(styleName, 'breakBefore')) collector.pageBreak();
+    let headingLevel = 0;
+    let label = {};
+    if (node.nodeName === 'text:h') {
+      headingLevel = toNumber(odtAttr(node, 'text:outline-level'), 1);
+      if (state.label !== null) {
+        label = splitLabel(state.label);
+      } else if (!list && normalizeText(text)) {
+        label = counters.next('outline', styles.outline, headingLevel);
+      }
+    } else {
+      headingLevel = styles.resolve(styleName, 'outline') || 0;
+    }
+    if (list?.pendingLabel) {
+      label = state.label !== null ? splitLabel(state.label) : list.pendingLabel;
+      list.pendingLabel = null;
+    }
+    collector.addParagraph(text, { ...label, headingLevel, listLevel: list ? list.level - 1 : null });
+    if (state.pageBreak || styles.resolve(styleName, 'breakAfter')) collector.pageBreak();
+  };
+
+  const readCellText = (cell) => {
+    const lines = [];
+    const walk = (node) => {
+      odtChildren(node).forEach((child) => {
+        if (child.nodeName === 'text:p' || child.nodeName === 'text:h') {
+          const text = normalizeText(readParagraph(child).parts.join(''));
+          if (text) lines.push(text);
+        } else {
+          walk(child);
+        }
+      });
+    };
+    walk(cell);
+    return lines.join('\n');
+  };
+
+  // Повторы пустых ячеек и строк (number-*-repeated) раскрываем с ограничением
+  const MAX_REPEAT = 64;
+
+  const readTable = (tableNode) => {
+    const readRows = (container, header) => {
+      odtChildren(container).forEach((child) => {
+        if (child.nodeName === 'table:table-header-rows') return readRows(child, true);
+        if (child.nodeName === 'table:table-rows' || child.nodeName === 'table:table-row-group') {
+          return readRows(child, header);
+        }
+        if (child.nodeName !== 'table:table-row') return;
+        const cells = [];
+        let spanRemainder = 0;
+        odtChildren(child).forEach((cellNode) => {
+          const repeat = Math.min(toNumber(odtAttr(cellNode, 'table:number-columns-repeated'), 1), MAX_REPEAT);
+          for (let copy = 0; copy < repeat; copy += 1) {
+            if (cellNode.nodeName === 'table:covered-table-cell') {
+              // Покрытая ячейка либо продолжает объединение по горизонтали, либо лежит под объединением по вертикали
+              if (spanRemainder > 0) {
+                spanRemainder -= 1;
+              } else {
+                cells.push({ merged: true });
+              }
+            } else if (cellNode.nodeName === 'table:table-cell') {
+              const colSpan = toNumber(odtAttr(cellNode, 'table:number-columns-spanned'), 1);
+              spanRemainder = colSpan - 1;
+              cells.push({ text: readCellText(cellNode), colSpan });
+            }
+          }
+        });
+        const rowRepeat = Math.min(toNumber(odtAttr(child, 'table:number-rows-repeated'), 1), MAX_REPEAT);
+        for (let copy = 0; copy < rowRepeat; copy += 1) {
+          collector.addRow(cells, { header });
+        }
+      });
+    };
+    readRows(tableNode, false);
+    collector.endTable();
+  };
+
+  const readList = (listNode, parent) => {
+    const styleName = odtAttr(listNode, 'text:style-name') || parent?.styleName || '';
+    const level = (parent?.level || 0) + 1;
+    const levels = styles.listStyles.get(styleName) || new Map();
+    const continues =
+      odtAttr(listNode, 'text:continue-numbering') === 'true' || Boolean(odtAttr(listNode, 'text:continue-list'));
+    if (level === 1 && !continues) counters.reset(styleName);
+    odtChildren(listNode).forEach((item) => {
+      if (item.nodeName !== 'text:list-item' && item.nodeName !== 'text:list-header') return;
+      const list = { styleName, level, pendingLabel: null };
+      if (item.nodeName === 'text:list-item') {
+        list.pendingLabel = counters.next(styleName, levels, level, toNumber(odtAttr(item, 'text:start-value'), undefined));
+      }
+      readBlocks(item, list);
+    });
+  };
+
+  const readBlocks = (container, list = null) => {
+    odtChildren(container).forEach((child) => {
+      switch (child.nodeName) {
+        case 'text:p':
+        case 'text:h':
+          addTextBlock(child, list);
+          break;
+        case 'text:list':
+          readList(child, list);
+          break;
+        case 'table:table':
+          readTable(child);
+          break;
+        case 'text:soft-page-break':
+          collector.pageBreak();
+          break;
+        case 'text:section':
+        case 'text:index-body':
+        case 'text:table-of-content':
+        case 'text:alphabetical-index':
+        case 'text:illustration-index':
+          readBlocks(child, list);
+          break;
+        default:
+          break;
+      }
+    });
+  };
+
+  readBlocks(body);
+
+  const headers = [];
+  const footers = [];
+  Array.from(stylesXml?.getElementsByTagName('style:master-page') || []).forEach((page) => {
+    odtChildren(page).forEach((part) => {
+      const target = part.nodeName.startsWith('style:header') ? headers : part.nodeName.startsWith('style:footer') ? footers : null;
+      if (target) target.push(readCellText(part));
+    });
+  });
+
+  return buildParsed(collector.finish(), { headers, footers, footnotes, endnotes });
+};
+
+// ---------------------------------------------------------------------------
+// Word 97–2003 (.doc)
+
+const corrupted = () => new Error('Файл .doc повреждён: структура документа не читается.');
+
+// Размер операнда sprm по полю spra (MS-DOC 2.2.5.1)
+const readSprms = (bytes, start, end) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const sprms = new Map();
+  let position = start;
+  while (position + 2 <= end) {
+    const sprm = view.getUint16(position, true);
+    position += 2;
+    const spra = sprm >> 13;
+    let size = [1, 1, 2, 4, 2, 2, 0, 3][spra];
+    if (spra === 6) {
+      if (sprm === 0xd608 || sprm === 0xd606) {
+        size = view.getUint16(position, true) + 1;
+      } else {
+        size = bytes[position] + 1;
+      }
+    }
+    if (position + size > end) break;
+    sprms.set(sprm, size === 1 ? bytes[position] : size === 2 ? view.getUint16(position, true) : size === 4 ? view.getUint32(position, true) : null);
+    position += size;
+  }
+  return sprms;
+};
+
+// Свойства абзацев из FKP-страниц PAPX: признак таблицы, конец строки, стиль и уровень структуры
+const readParagraphRuns = (word, table, fc, lcb) => {
+  if (!lcb) return [];
+  const view = new DataView(table.buffer, table.byteOffset + fc, lcb);
+  const count = (lcb - 4) / 8;
+  const wordView = new DataView(word.buffer, word.byteOffset, word.byteLength);
+  const runs = [];
+  for (let index = 0; index < count; index += 1) {
+    const pageNumber = view.getUint32((count + 1) * 4 + index * 4, true) & 0x3fffff;
+    const base = pageNumber * 512;
+    if (base + 512 > word.length) continue;
+    const crun = word[base + 511];
+    for (let run = 0; run < crun; run += 1) {
+      const fcStart = wordView.getUint32(base + run * 4, true);
+      const fcEnd = wordView.getUint32(base + (run + 1) * 4, true);
+      const offset = word[base + (crun + 1) * 4 + run * 13] * 2;
+      let props = { istd: 0, sprms: new Map() };
+      if (offset) {
+        let cb = word[base + offset];
+        let start = base + offset + 1;
+        let length = cb * 2 - 1;
+        if (cb === 0) {
+          cb = word[base + offset + 1];
+          start += 1;
+          length = cb * 2;
+        }
+        props = {
+          istd: wordView.getUint16(start, true),
+          sprms: readSprms(word, start + 2, Math.min(start + length, base + 511))
+        };
+      }
+      runs.push({ fcStart, fcEnd, ...props });
+    }
+  }
+  return runs.sort((a, b) => a.fcStart - b.fcStart);
+};
+
+const findRun = (runs, fc) => {
+  let low = 0;
+  let high = runs.length - 1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (fc < runs[middle].fcStart) high = middle - 1;
+    else if (fc >= runs[middle].fcEnd) low = middle + 1;
+    else return runs[middle];
+  }
+  return null;
+};
+
+const readPlcCps = (table, fc, lcb, dataSize) => {
+  if (!lcb) return [];
+  const count = (lcb - 4) / (4 + dataSize);
+  const view = new DataView(table.buffer, table.byteOffset + fc, lcb);
+  return Array.from({ length: count + 1 }, (_, index) => view.getUint32(index * 4, true));
+};
+
+// Коды полей (0x13 код 0x14 результат 0x15) отбрасываются, остаётся результат
+const stripFieldCodes = (text) => {
+  const depth = [];
+  let result = '';
+  for (const char of text) {
+    const code = char.charCodeAt(0);
+    if (code === 0x13) depth.push('code');
+    else if (code === 0x14) depth[depth.length - 1] = 'result';
+    else if (code === 0x15) depth.pop();
+    else if (!depth.includes('code')) result += char;
+  }
+  return result;
+};
+
+const cleanStoryText = (text) =>
+  normalizeText(
+    stripFieldCodes(text)
+      .replace(/[\r\u0007\u000b]/g, '\n')
+      .replace(/[\u0000-\u0008\u000c\u000e-\u001f]/g, '')
+      .replace(/\n+/g, '\n')
+  );
+
+export const parseWordBinary = (buffer) => {
+  const container = readCompoundFile(buffer);
+  const word = container.child('WordDocument')?.read();
+  if (!word || word.length < 0x200) throw corrupted();
+  const view = new DataView(word.buffer, word.byteOffset, word.byteLength);
+  if (view.getUint16(0, true) !== 0xa5ec) throw corrupted();
+  const nFib = view.getUint16(2, true);
+  const flags = view.getUint16(0x0a, true);
+  if (flags & 0x0100) throw new Error('Документ .doc зашифрован паролем.');
+  if (nFib < 0x00c1) throw new Error('Формат Word 6.0/95 не поддерживается: сохраните документ в DOCX.');
+  const table = container.child(flags & 0x0200 ? '1Table' : '0Table')?.read();
+  if (!table) throw corrupted();
+
+  let position = 32;
+  position += 2 + view.getUint16(position, true) * 2;
+  const cslw = view.getUint16(position, true);
+  const longs = position + 2;
+  position = longs + cslw * 4 + 2;
+  const fcLcb = (index) => ({ fc: view.getUint32(position + index * 8, true), lcb: view.getUint32(position + index * 8 + 4, true) });
+  const ccp = {
+    text: view.getInt32(longs + 12, true),
+    footnotes: view.getInt32(longs + 16, true),
+    headers: view.getInt32(longs + 20, true),
+    macros: view.getInt32(longs + 24, true),
+    annotations: view.getInt32(longs + 28, true),
+    endnotes: view.getInt32(longs + 32, true)
+  };
+
+  // Таблица кусков (piece table) из Clx
+  const clx = fcLcb(33);
+  const pieces = [];
+  let clxPosition = clx.fc;
+  const clxEnd = clx.fc + clx.lcb;
+  const tableView = new DataView(table.buffer, table.byteOffset, table.byteLength);
+  while (clxPosition < clxEnd) {
+    const type = table[clxPosition];
+    if (type === 0x01) {
+      clxPosition += 3 + tableView.getInt16(clxPosition + 1, true);
+      continue;
+    }
+    if (type !== 0x02) break;
+    const length = tableView.getUint32(clxPosition + 1, true);
+    const count = (length - 4) / 12;
+    const base = clxPosition + 5;
+    for (let index = 0; index < count; index += 1) {
+      const rawFc = tableView.getUint32(base + (count + 1) * 4 + index * 8 + 2, true);
+      const compressed = Boolean(rawFc & 0x40000000);
+      pieces.push({
+        cpStart: tableView.getUint32(base + index * 4, true),
+        cpEnd: tableView.getUint32(base + (index + 1) * 4, true),
+        fc: compressed ? (rawFc & 0x3fffffff) / 2 : rawFc,
+        compressed
+      });
+    }
+    break;
+  }
+  if (!pieces.length) throw corrupted();
+
+  const readRange = (cpStart, cpEnd) =>
+    pieces
+      .filter((piece) => piece.cpEnd > cpStart && piece.cpStart < cpEnd)
+      .map((piece) => {
+        const from = Math.max(cpStart, piece.cpStart) - piece.cpStart;
+        const to = Math.min(cpEnd, piece.cpEnd) - piece.cpStart;
+        if (piece.compressed) return decodeBytes(word.subarray(piece.fc + from, piece.fc + to), 1252);
+        return utf16ToString(word.subarray(piece.fc + from * 2, piece.fc + to * 2));
+      })
+      .join('');
+
+  const fcOf = (cp) => {
+    const piece = pieces.find((item) => cp >= item.cpStart && cp < item.cpEnd);
+    if (!piece) return -1;
+    return piece.fc + (cp - piece.cpStart) * (piece.compressed ? 1 : 2);
+  };
+
+  const papx = fcLcb(13);
+  const runs = readParagraphRuns(word, table, papx.fc, papx.lcb);
+  const paragraphProps = (cp) => {
+    const run = findRun(runs, fcOf(cp));
+    if (!run) return { inTable: false, rowEnd: false, headingLevel: 0 };
+    const outline = run.sprms.get(0x2640);
+    return {
+      inTable: Boolean(run.sprms.get(0x2416)) || run.sprms.get(0x6649) > 0,
+      rowEnd: Boolean(run.sprms.get(0x2417)),
+      // Стили 1–9 в Word зарезервированы за «Заголовок 1–9»
+      headingLevel: run.istd >= 1 && run.istd <= 9 ? run.istd : Number.isFinite(outline) && outline < 9 ? outline + 1 : 0
+    };
+  };
+
+  const collector = createBlockCollector();
+  // Ссылки на сноски (PlcffndRef) и концевые сноски (PlcfendRef)
+  const footnoteRefCps = readPlcCps(table, fcLcb(2).fc, fcLcb(2).lcb, 2).slice(0, -1);
+  const endnoteRefCps = readPlcCps(table, fcLcb(46).fc, fcLcb(46).lcb, 2).slice(0, -1);
+  const footnoteRefs = new Set(footnoteRefCps);
+  const endnoteRefs = new Set(endnoteRefCps);
+  let footnoteCount = 0;
+  let endnoteCount = 0;
+  let paragraph = '';
+  let cellParts = [];
+  let rowCells = [];
+  const fieldDepth = [];
+  const text = readRange(0, ccp.text);
+
+  const closeCell = () => {
+    cellParts.push(paragraph);
+    rowCells.push(cellParts.map(normalizeText).filter(Boolean).join('\n'));
+    cellParts = [];
+    paragraph = '';
+  };
+
+  for (let cp = 0; cp < text.length; cp += 1) {
+    const code = text.charCodeAt(cp);
+    if (code === 0x13) {
+      fieldDepth.push('code');
+      continue;
+    }
+    if (code === 0x14) {
+      fieldDepth[fieldDepth.length - 1] = 'result';
+      continue;
+    }
+    if (code === 0x15) {
+      fieldDepth.pop();
+      continue;
+    }
+    if (fieldDepth.includes('code')) continue;
+    switch (code) {
+      case 0x0d: {
+        const props = paragraphProps(cp);
+        if (props.inTable) {
+          cellParts.push(paragraph);
+          paragraph = '';
+        } else {
+          collector.addParagraph(paragraph, { headingLevel: props.headingLevel });
+          paragraph = '';
+        }
+        break;
+      }
+      case 0x07: {
+        const props = runs.length ? paragraphProps(cp) : { rowEnd: !normalizeText(paragraph) && !cellParts.length };
+        if (props.rowEnd) {
+          collector.addRow(rowCells.map((cell) => ({ text: cell })));
+          rowCells = [];
+          cellParts = [];
+          paragraph = '';
+        } else {
+          closeCell();
+        }
+        break;
+      }
+      case 0x0c:
+        if (normalizeText(paragraph)) collector.addParagraph(paragraph, paragraphProps(cp));
+        paragraph = '';
+        collector.pageBreak();
+        break;
+      case 0x0b:
+        paragraph += '\n';
+        break;
+      case 0x1e:
+        paragraph += '-';
+        break;
+      case 0x02:
+        if (footnoteRefs.has(cp)) {
+          footnoteCount += 1;
+          paragraph += `[^${footnoteCount}]`;
+        } else if (endnoteRefs.has(cp)) {
+          endnoteCount += 1;
+          paragraph += `[^e${endnoteCount}]`;
+        }
+        break;
+      default:
+        if (code >= 0x20 || code === 0x09) paragraph += text[cp];
+    }
+  }
+  if (normalizeText(paragraph)) collector.addParagraph(paragraph);
+
+  const readNotes = (plcIndex, storyStart, count) => {
+    const { fc, lcb } = fcLcb(plcIndex);
+    const cps = readPlcCps(table, fc, lcb, 0);
+    return cps.slice(0, Math.min(count, cps.length - 1)).map((cp, index) => ({
+      id: String(index + 1),
+      text: cleanStoryText(readRange(storyStart + cp, storyStart + cps[index + 1])).replace(/\n/g, ' ')
+    }));
+  };
+  const footnoteStart = ccp.text;
+  const headerStart = footnoteStart + ccp.footnotes;
+  const endnoteStart = headerStart + ccp.headers + ccp.macros + ccp.annotations;
+  const footnotes = ccp.footnotes > 0 ? readNotes(3, footnoteStart, footnoteRefCps.length) : [];
+  const endnotes = ccp.endnotes > 0 ? readNotes(47, endnoteStart, endnoteRefCps.length) : [];
+
+  // Истории колонтитулов: шесть разделителей, затем по шесть на раздел
+  // (чётный/нечётный верхний, чётный/нечётный нижний, первый верхний, первый нижний)
+  const headers = [];
+  const footers = [];
+  if (ccp.headers > 0) {
+    const { fc, lcb } = fcLcb(11);
+    const cps = readPlcCps(table, fc, lcb, 0);
+    for (let index = 6; index < cps.length - 2; index += 1) {
+      const story = cleanStoryText(readRange(headerStart + cps[index], headerStart + cps[index + 1]));
+      if (!story) continue;
+      const kind = (index - 6) % 6;
+      (kind === 2 || kind === 3 || kind === 5 ? footers : headers).push(story);
+    }
+  }
+
+  return buildParsed(collector.finish(), { headers, footers, footnotes, endnotes });
+};
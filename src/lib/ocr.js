@@ -0,0 +1,232 @@
+/*
+ * OCR через tesseract.js без внешних CDN
+ *
+ * Воркер, ядро (wasm) и языковые модели раздаются самим приложением из
+ * каталога /ocr (см. ocrAssetsPlugin в vite.config.js). Набор языков задаётся
+ * в настройках; для каждой страницы язык подбирается по текстовому слою
+ * pdf.js либо по результату первого быстрого прохода OCR. Для каждого набора
+ * языков держим планировщик tesseract с несколькими воркерами, чтобы
+ * страницы распознавались параллельно.
+ */
+
+export const OCR_LANGUAGE_OPTIONS = [
+  { code: 'rus', label: 'Русский', language: 'ru' },
+  { code: 'eng', label: 'Английский', language: 'en' },
+  { code: 'kaz', label: 'Казахский', language: 'kk' },
+  { code: 'ukr', label: 'Украинский', language: 'uk' },
+  { code: 'deu', label: 'Немецкий', language: 'de' }
+];
+
+// Модели, которые сборка положила в /ocr/lang (define в vite.config.js); null — набор неизвестен
+export const BUNDLED_OCR_LANGUAGES = typeof __OCR_LANGUAGES__ !== 'undefined' ? __OCR_LANGUAGES__ : null;
+const PREFERRED_LANGUAGES = ['rus', 'eng'];
+
+// По умолчанию — русский и английский из тех моделей, что есть в сборке
+const resolveDefaultLanguages = () => {
+  if (!BUNDLED_OCR_LANGUAGES) return PREFERRED_LANGUAGES;
+  const preferred = PREFERRED_LANGUAGES.filter((code) => BUNDLED_OCR_LANGUAGES.includes(code));
+  if (preferred.length) return preferred;
+  const bundled = OCR_LANGUAGE_OPTIONS.map((option) => option.code).filter((code) => BUNDLED_OCR_LANGUAGES.includes(code));
+  return bundled.length ? bundled.slice(0, 1) : PREFERRED_LANGUAGES;
+};
+
+export const DEFAULT_OCR_SETTINGS = {
+  languages: resolveDefaultLanguages(),
+  autoDetectLanguage: true,
+  preprocess: true,
+  assetsPath: ''
+};
+
+const KNOWN_CODES = new Set(OCR_LANGUAGE_OPTIONS.map((option) => option.code));
+// Казахские и украинские сканы почти всегда содержат русские вставки
+const COMPANION_CODES = { kaz: ['rus'], ukr: ['rus'] };
+const MAX_CACHED_SCHEDULERS = 2;
+const MIN_DETECTION_CHARS = 40;
+
+let tesseractPromise;
+const schedulerCache = new Map();
+
+const resolveAssetsBase = (assetsPath) => {
+  const base = (assetsPath || '').trim() || `${import.meta.env?.BASE_URL || '/'}ocr`;
+  if (typeof window === 'undefined' || /^[a-z]+:\/\//i.test(base)) {
+    return base.replace(/\/+$/, '');
+  }
+  // Воркер создаётся из blob-URL, поэтому относительные пути ему не подходят
+  return new URL(base.replace(/\/+$/, ''), window.location.href).href;
+};
+
+export const normalizeOcrSettings = (settings = {}) => {
+  const languages = (Array.isArray(settings?.languages) ? settings.languages : [])
+    .map((code) => String(code || '').trim().toLowerCase())
+    .filter((code, index, list) => KNOWN_CODES.has(code) && list.indexOf(code) === index);
+  return {
+    languages: languages.length ? languages : [...DEFAULT_OCR_SETTINGS.languages],
+    autoDetectLanguage: settings?.autoDetectLanguage !== false,
+    preprocess: settings?.preprocess !== false,
+    assetsPath: typeof settings?.assetsPath === 'string' ? settings.assetsPath : ''
+  };
+};
+
+// Отмеченные в настройках языки, моделей которых нет в сборке. Для своего
+// каталога ресурсов (assetsPath) набор моделей неизвестен — не проверяем
+export const findMissingOcrLanguages = (settings) => {
+  const { languages, assetsPath } = normalizeOcrSettings(settings);
+  if (!BUNDLED_OCR_LANGUAGES || assetsPath.trim()) return [];
+  return languages.filter((code) => !BUNDLED_OCR_LANGUAGES.includes(code));
+};
+
+export const formatMissingOcrLanguages = (codes) =>
+  `Нет моделей OCR: ${codes.join(', ')}. Сканы на ${codes.length > 1 ? 'этих языках' : 'этом языке'} распознаются хуже или не распознаются: добавьте файлы *.traineddata.gz в public/ocr/lang и пересоберите приложение либо снимите отметку в настройках OCR.`;
+
+export const createOcrModelError = (codes) => {
+  const error = new Error(formatMissingOcrLanguages(codes));
+  error.name = 'OcrModelError';
+  error.languages = codes;
+  return error;
+};
+
+export const isOcrModelError = (error) => error?.name === 'OcrModelError';
+
+const loadTesseractModule = async () => {
+  if (!tesseractPromise) {
+    tesseractPromise = import('tesseract.js')
+      .then((mod) => mod.default || mod)
+      .catch((error) => {
+        tesseractPromise = null;
+        throw error;
+      });
+  }
+  return tesseractPromise;
+};
+
+const createScheduler = async (languageKey, base, poolSize) => {
+  const tesseract = await loadTesseractModule();
+  const scheduler = tesseract.createScheduler();
+  const workers = await Promise.all(
+    Array.from({ length: poolSize }, () =>
+      tesseract.createWorker(languageKey, 1, {
+        workerPath: `${base}/worker.min.js`,
+        corePath: `${base}/core`,
+        langPath: `${base}/lang`,
+        gzip: true,
+        logger: () => {}
+      })
+    )
+  );
+  workers.forEach((worker) => scheduler.addWorker(worker));
+  return scheduler;
+};
+
+const terminateEntry = (entry) => entry.promise.then((scheduler) => scheduler.terminate()).catch(() => {});
+
+const getSchedulerEntry = (languageKey, settings, poolSize) => {
+  const base = resolveAssetsBase(settings.assetsPath);
+  const cacheKey = `${base}|${languageKey}|${poolSize}`;
+  if (schedulerCache.has(cacheKey)) {
+    const cached = schedulerCache.get(cacheKey);
+    schedulerCache.delete(cacheKey);
+    schedulerCache.set(cacheKey, cached);
+    return cached;
+  }
+  const entry = { promise: createScheduler(languageKey, base, poolSize), active: 0, evicted: false };
+  schedulerCache.set(cacheKey, entry);
+  entry.promise.catch(() => schedulerCache.delete(cacheKey));
+  while (schedulerCache.size > MAX_CACHED_SCHEDULERS) {
+    const [oldestKey, oldest] = schedulerCache.entries().next().value;
+    schedulerCache.delete(oldestKey);
+    // Планировщик с незавершёнными заданиями останавливаем после них
+    oldest.evicted = true;
+    if (!oldest.active) terminateEntry(oldest);
+  }
+  return entry;
+};
+
+const runRecognizeJob = async (languageKey, settings, poolSize, image) => {
+  const entry = getSchedulerEntry(languageKey, settings, poolSize);
+  entry.active += 1;
+  try {
+    const scheduler = await entry.promise;
+    // Блоки нужны ради координат строк: по ним ищутся колонтитулы
+    const { data } = await scheduler.addJob('recognize', image, {}, { text: true, blocks: true });
+    return data;
+  } finally {
+    entry.active -= 1;
+    if (entry.evicted && !entry.active) terminateEntry(entry);
+  }
+};
+
+// Останавливает все воркеры OCR; незавершённые задания отклоняются
+export const terminateOcrWorkers = async () => {
+  const entries = Array.from(schedulerCache.values());
+  schedulerCache.clear();
+  await Promise.all(entries.map(terminateEntry));
+};
+
+// Код языка страницы (detectLanguageFromText) → набор моделей tesseract
+export const resolveOcrLanguages = (pageLanguage, settings) => {
+  const configured = settings.languages;
+  const option = OCR_LANGUAGE_OPTIONS.find((item) => item.language === pageLanguage);
+  if (!option || !configured.includes(option.code)) {
+    return configured.join('+');
+  }
+  const companions = (COMPANION_CODES[option.code] || []).filter((code) => configured.includes(code));
+  return [option.code, ...companions].join('+');
+};
+
+// Строки страницы с координатами: { text, top, bottom } в пикселях изображения
+const collectOcrLines = (data) =>
+  (data?.blocks || []).flatMap((block) =>
+    (block.paragraphs || []).flatMap((paragraph) =>
+      (paragraph.lines || [])
+        .map((line) => ({ text: (line.text || '').replace(/\s+/g, ' ').trim(), top: line.bbox.y0, bottom: line.bbox.y1 }))
+        .filter((line) => line.text)
+    )
+  );
+
+/**
+ * Распознаёт изображение страницы. hintText — текстовый слой pdf.js, если он
+ * есть; detectLanguage — функция определения языка по тексту; poolSize —
+ * число воркеров tesseract на набор языков.
+ * Возвращает { text, lines, languages, language, missingLanguages }.
+ */
+export const recognizeImage = async (image, { settings, hintText = '', detectLanguage, poolSize = 1 } = {}) => {
+  let ocrSettings = normalizeOcrSettings(settings);
+  // Распознаём теми моделями, что есть; без единой модели tesseract упадёт на загрузке
+  const missingLanguages = findMissingOcrLanguages(ocrSettings);
+  if (missingLanguages.length) {
+    const available = ocrSettings.languages.filter((code) => !missingLanguages.includes(code));
+    if (!available.length) throw createOcrModelError(missingLanguages);
+    ocrSettings = { ...ocrSettings, languages: available };
+  }
+  const canDetect = ocrSettings.autoDetectLanguage && typeof detectLanguage === 'function';
+  const hint = (hintText || '').replace(/\s+/g, '');
+  let languages = ocrSettings.languages.join('+');
+  if (canDetect && hint.length >= MIN_DETECTION_CHARS) {
+    languages = resolveOcrLanguages(detectLanguage(hintText), ocrSettings);
+  }
+
+  let data = await runRecognizeJob(languages, ocrSettings, poolSize, image);
+  let text = data?.text || '';
+
+  // Без текстового слоя язык определяем по первому проходу и при
+  // необходимости распознаём страницу ещё раз более узким набором моделей
+  if (canDetect && hint.length < MIN_DETECTION_CHARS && text.replace(/\s+/g, '').length >= MIN_DETECTION_CHARS) {
+    const refined = resolveOcrLanguages(detectLanguage(text), ocrSettings);
+    if (refined !== languages) {
+      const refinedData = await runRecognizeJob(refined, ocrSettings, poolSize, image);
+      if (refinedData?.text?.trim()) {
+        data = refinedData;
+        text = refinedData.text;
+        languages = refined;
+      }
+    }
+  }
+
+  return {
+    text,
+    lines: collectOcrLines(data),
+    languages,
+    language: detectLanguage ? detectLanguage(text) : 'unknown',
+    missingLanguages
+  };
+};
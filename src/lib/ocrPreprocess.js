@@ -0,0 +1,263 @@
+/*
+ * Предобработка изображений перед OCR
+ *
+ * Фото с телефона и факсовые сканы tesseract читает плохо: неровный фон,
+ * шум и наклон строк ломают его бинаризацию. Перед распознаванием переводим
+ * страницу в оттенки серого, убираем шум медианным фильтром, бинаризуем
+ * адаптивным порогом (Брэдли) с учётом локальной яркости, удаляем одиночные
+ * точки, а наклон и поворот на 90° находим по проекционному профилю строк.
+ * Пиксельные функции работают с плоскими массивами и не зависят от DOM.
+ */
+
+const MAX_SIDE = 2500;
+const BRADLEY_WINDOW_RATIO = 1 / 16;
+const BRADLEY_THRESHOLD = 0.15;
+const MAX_SKEW_SAMPLES = 60000;
+const COARSE_SKEW_RANGE = 15;
+const SIDEWAYS_RATIO = 1.6;
+// Наклон меньше этого не исправляем: поворот размывает буквы сильнее, чем мешает наклон
+const MIN_SKEW_DEGREES = 0.3;
+
+export const toGrayscale = ({ data, width, height }) => {
+  const gray = new Uint8Array(width * height);
+  for (let index = 0, offset = 0; index < gray.length; index += 1, offset += 4) {
+    // Прозрачные пиксели считаем белым фоном
+    const alpha = data[offset + 3] / 255;
+    const luma = 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+    gray[index] = Math.round(luma * alpha + 255 * (1 - alpha));
+  }
+  return gray;
+};
+
+// Сеть сравнений для медианы девяти значений (Paeth): 19 обменов вместо сортировки
+const MEDIAN_NETWORK = [
+  [1, 2], [4, 5], [7, 8], [0, 1], [3, 4], [6, 7], [1, 2], [4, 5], [7, 8], [0, 3],
+  [5, 8], [4, 7], [3, 6], [1, 4], [2, 5], [4, 7], [4, 2], [6, 4], [4, 2]
+];
+
+export const medianFilter = (gray, width, height) => {
+  const result = new Uint8Array(gray.length);
+  const window = new Uint8Array(9);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      let count = 0;
+      for (let dy = -1; dy <= 1; dy += 1) {
+        const row = Math.min(height - 1, Math.max(0, y + dy)) * width;
+        for (let dx = -1; dx <= 1; dx += 1) {
+          window[count] = gray[row + Math.min(width - 1, Math.max(0, x + dx))];
+          count += 1;
+        }
+      }
+      MEDIAN_NETWORK.forEach(([a, b]) => {
+        if (window[a] > window[b]) {
+          const swap = window[a];
+          window[a] = window[b];
+          window[b] = swap;
+        }
+      });
+      result[y * width + x] = window[4];
+    }
+  }
+  return result;
+};
+
+/**
+ * Адаптивная бинаризация Брэдли: пиксель — чернила, если он темнее среднего
+ * по окну вокруг него на BRADLEY_THRESHOLD. Возвращает 1 для чернил, 0 для фона.
+ */
+export const binarize = (gray, width, height) => {
+  const integral = new Float64Array((width + 1) * (height + 1));
+  for (let y = 0; y < height; y += 1) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x += 1) {
+      rowSum += gray[y * width + x];
+      integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+    }
+  }
+  const half = Math.max(4, Math.round((Math.max(width, height) * BRADLEY_WINDOW_RATIO) / 2));
+  const ink = new Uint8Array(gray.length);
+  for (let y = 0; y < height; y += 1) {
+    const y1 = Math.max(0, y - half);
+    const y2 = Math.min(height, y + half + 1);
+    for (let x = 0; x < width; x += 1) {
+      const x1 = Math.max(0, x - half);
+      const x2 = Math.min(width, x + half + 1);
+      const sum =
+        integral[y2 * (width + 1) + x2] -
+        integral[y1 * (width + 1) + x2] -
+        integral[y2 * (width + 1) + x1] +
+        integral[y1 * (width + 1) + x1];
+      const mean = sum / ((x2 - x1) * (y2 - y1));
+      ink[y * width + x] = gray[y * width + x] < mean * (1 - BRADLEY_THRESHOLD) ? 1 : 0;
+    }
+  }
+  return ink;
+};
+
+// Чернильная точка без соседей-чернил в окне 3×3 — шум, а не часть буквы
+export const removeSpeckles = (ink, width, height) => {
+  const result = new Uint8Array(ink);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      if (!ink[y * width + x]) continue;
+      let neighbours = 0;
+      for (let dy = -1; dy <= 1 && neighbours < 2; dy += 1) {
+        const row = y + dy;
+        if (row < 0 || row >= height) continue;
+        for (let dx = -1; dx <= 1; dx += 1) {
+          const column = x + dx;
+          if ((dx || dy) && column >= 0 && column < width && ink[row * width + column]) neighbours += 1;
+        }
+      }
+      if (neighbours < 2) result[y * width + x] = 0;
+    }
+  }
+  return result;
+};
+
+const sampleInk = (ink, width, height) => {
+  let total = 0;
+  for (let index = 0; index < ink.length; index += 1) total += ink[index];
+  const step = Math.max(1, Math.ceil(total / MAX_SKEW_SAMPLES));
+  const xs = [];
+  const ys = [];
+  let seen = 0;
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      if (!ink[y * width + x]) continue;
+      if (seen % step === 0) {
+        xs.push(x);
+        ys.push(y);
+      }
+      seen += 1;
+    }
+  }
+  return { xs, ys };
+};
+
+// Резкость профиля: строки текста дают чередование пиков и пустых промежутков
+const profileSharpness = (positions, size) => {
+  const bins = new Float64Array(size);
+  positions.forEach((position) => {
+    const bin = Math.round(position);
+    if (bin >= 0 && bin < size) bins[bin] += 1;
+  });
+  let score = 0;
+  for (let index = 1; index < size; index += 1) score += (bins[index] - bins[index - 1]) ** 2;
+  return score;
+};
+
+const skewScore = ({ xs, ys }, width, height, degrees) => {
+  const radians = (degrees * Math.PI) / 180;
+  const sin = Math.sin(radians);
+  const cos = Math.cos(radians);
+  const offset = width * Math.abs(sin);
+  return profileSharpness(
+    xs.map((x, index) => ys[index] * cos - x * sin + offset),
+    Math.ceil(height + 2 * offset) + 1
+  );
+};
+
+const findBestSkew = (samples, width, height) => {
+  let best = { degrees: 0, score: skewScore(samples, width, height, 0) };
+  for (let degrees = -COARSE_SKEW_RANGE; degrees <= COARSE_SKEW_RANGE; degrees += 1) {
+    const score = skewScore(samples, width, height, degrees);
+    if (score > best.score) best = { degrees, score };
+  }
+  const coarse = best.degrees;
+  for (let degrees = coarse - 1; degrees <= coarse + 1; degrees += 0.1) {
+    const rounded = Math.round(degrees * 10) / 10;
+    const score = skewScore(samples, width, height, rounded);
+    if (score > best.score) best = { degrees: rounded, score };
+  }
+  return best;
+};
+
+/**
+ * Наклон строк в градусах (положительный — строки уходят вниз вправо) и
+ * признак страницы, повёрнутой на 90°: у неё лучший профиль по колонкам резче,
+ * чем лучший профиль по строкам.
+ */
+export const estimateOrientation = (ink, width, height) => {
+  const samples = sampleInk(ink, width, height);
+  if (samples.xs.length < 200) return { skew: 0, sideways: false };
+  const rows = findBestSkew(samples, width, height);
+  const columns = findBestSkew({ xs: samples.ys, ys: samples.xs }, height, width);
+  if (columns.score > rows.score * SIDEWAYS_RATIO) {
+    // Наклон боковой страницы после поворота на 90° по часовой стрелке
+    return { skew: Math.abs(columns.degrees) < MIN_SKEW_DEGREES ? 0 : -columns.degrees, sideways: true };
+  }
+  return { skew: Math.abs(rows.degrees) < MIN_SKEW_DEGREES ? 0 : rows.degrees, sideways: false };
+};
+
+const createCanvas = (width, height) => {
+  if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+const canvasToDataUrl = async (canvas) => {
+  if (typeof canvas.toDataURL === 'function') return canvas.toDataURL('image/png');
+  const blob = await canvas.convertToBlob({ type: 'image/png' });
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+};
+
+export const canPreprocessImages = () =>
+  typeof createImageBitmap === 'function' &&
+  (typeof OffscreenCanvas !== 'undefined' || typeof document !== 'undefined');
+
+/**
+ * Готовит изображение (data URL) к OCR. rotation — дополнительный поворот
+ * в градусах, кратный 90 (для второй попытки на перевёрнутой странице).
+ * Возвращает { dataUrl, skew, sideways, rotation }; для боковой страницы
+ * поворот на 90° по часовой стрелке, 270° пробует вызывающий код.
+ */
+export const preprocessImage = async (image, { rotation = null } = {}) => {
+  const blob = await (await fetch(image)).blob();
+  const bitmap = await createImageBitmap(blob);
+  const scale = Math.min(1, MAX_SIDE / Math.max(bitmap.width, bitmap.height));
+  const width = Math.max(1, Math.round(bitmap.width * scale));
+  const height = Math.max(1, Math.round(bitmap.height * scale));
+  const source = createCanvas(width, height);
+  const sourceContext = source.getContext('2d', { willReadFrequently: true });
+  sourceContext.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close?.();
+
+  const pixels = sourceContext.getImageData(0, 0, width, height);
+  const ink = removeSpeckles(binarize(medianFilter(toGrayscale(pixels), width, height), width, height), width, height);
+  const orientation = estimateOrientation(ink, width, height);
+  const turn = rotation ?? (orientation.sideways ? 90 : 0);
+  for (let index = 0, offset = 0; index < ink.length; index += 1, offset += 4) {
+    const value = ink[index] ? 0 : 255;
+    pixels.data[offset] = value;
+    pixels.data[offset + 1] = value;
+    pixels.data[offset + 2] = value;
+    pixels.data[offset + 3] = 255;
+  }
+  sourceContext.putImageData(pixels, 0, 0);
+
+  // Наклон исправляем поворотом в обратную сторону, поля заливаем белым
+  const radians = ((turn - orientation.skew) * Math.PI) / 180;
+  const sin = Math.abs(Math.sin(radians));
+  const cos = Math.abs(Math.cos(radians));
+  const targetWidth = Math.ceil(width * cos + height * sin);
+  const targetHeight = Math.ceil(width * sin + height * cos);
+  const target = createCanvas(targetWidth, targetHeight);
+  const context = target.getContext('2d');
+  context.fillStyle = '#fff';
+  context.fillRect(0, 0, targetWidth, targetHeight);
+  context.translate(targetWidth / 2, targetHeight / 2);
+  context.rotate(radians);
+  context.drawImage(source, -width / 2, -height / 2);
+  const dataUrl = await canvasToDataUrl(target);
+  source.width = 0;
+  target.width = 0;
+  return { dataUrl, skew: orientation.skew, sideways: orientation.sideways, rotation: turn };
+};
@@ -1,9 +1,16 @@
 import {
   LEGAL_ANALYSIS_PROMPT,
+  LEGAL_BILINGUAL_PROMPT,
+  LEGAL_CONSOLIDATION_PROMPT,
   LEGAL_PRE_ANALYSIS_PROMPT,
   LEGAL_LAYOUT_PROMPT,
   LEGAL_PRE_SUMMARY_PROMPT
 } from './prompts.js';
+import { buildBilingualAlignment, formatAlignmentForModel } from './bilingual.js';
+import { formatDeadline } from './chronology.js';
+import { formatClauseOutline } from './clauses.js';
+import { ENTITY_TYPES, countEntities, formatEntity } from './entities.js';
+import { runPool } from './extractionPool.js';
 
 const OPENAI_ENDPOINT = 'https://api.openai.com/v1/responses';
 const OPENAI_FILES_ENDPOINT = 'https://api.openai.com/v1/files';
@@ -12,6 +19,8 @@ const DEFAULT_PROMPT_SETTINGS = Object.freeze({
   preAnalysis: LEGAL_PRE_ANALYSIS_PROMPT,
   summary: LEGAL_PRE_SUMMARY_PROMPT,
   analysis: LEGAL_ANALYSIS_PROMPT,
+  consolidation: LEGAL_CONSOLIDATION_PROMPT,
+  bilingual: LEGAL_BILINGUAL_PROMPT,
   layout: LEGAL_LAYOUT_PROMPT
 });
 
@@ -38,6 +47,16 @@ const DEFAULT_ANALYSIS_SETTINGS = {
   summaryReasoningEffort: 'low',
   analysisWebSearchEnabled: true,
   analysisReasoningEffort: 'medium',
+  consolidationModel: 'gpt-5-mini',
+  consolidationWebSearchEnabled: false,
+  consolidationReasoningEffort: 'medium',
+  chunkedAnalysisMode: 'auto',
+  chunkMaxChars: 60_000,
+  chunkConcurrency: 3,
+  bilingualCheckMode: 'auto',
+  bilingualModel: 'gpt-5-mini',
+  bilingualWebSearchEnabled: false,
+  bilingualReasoningEffort: 'low',
   layoutWebSearchEnabled: false,
   layoutReasoningEffort: 'low',
   developerPromptFromTriage: true,
@@ -48,6 +67,8 @@ const DEFAULT_ANALYSIS_SETTINGS = {
 const MAX_TEXT_CHARS = 120_000;
 const MAX_METADATA_VALUE_LENGTH = 500;
 const DEFAULT_LAYOUT_MODEL = 'gpt-5-mini';
+// Нижняя граница входа модели макета; для длинных документов лимит поднимается
+// до размера части анализа — сводный отчёт по частям не должен терять хвост
 const MAX_LAYOUT_INPUT_CHARS = 20_000;
 const MAX_LAYOUT_SECTION_ITEMS = Object.freeze({
   card: 8,
@@ -174,6 +195,12 @@ const mergePromptSettings = (overrides) => {
     if (hasPromptText(overrides.analysis)) {
       base.analysis = overrides.analysis;
     }
+    if (hasPromptText(overrides.consolidation)) {
+      base.consolidation = overrides.consolidation;
+    }
+    if (hasPromptText(overrides.bilingual)) {
+      base.bilingual = overrides.bilingual;
+    }
     if (hasPromptText(overrides.layout)) {
       base.layout = overrides.layout;
     }
@@ -353,18 +380,91 @@ const extractFirstJsonObject = (text) => {
   return tryParseJsonObject(candidate);
 };
 
-const prepareDocumentText = (text) => {
+const prepareDocumentText = (text, limit = MAX_TEXT_CHARS) => {
   const cleaned = sanitizeText(text);
   if (!cleaned) {
     return { text: '', truncated: false, originalLength: 0 };
   }
-  if (cleaned.length <= MAX_TEXT_CHARS) {
+  if (cleaned.length <= limit) {
     return { text: cleaned, truncated: false, originalLength: cleaned.length };
   }
-  const truncatedText = `${cleaned.slice(0, MAX_TEXT_CHARS)}\n\n[... truncated ${cleaned.length - MAX_TEXT_CHARS} characters]`;
+  const truncatedText = `${cleaned.slice(0, limit)}\n\n[... truncated ${cleaned.length - limit} characters]`;
   return { text: truncatedText, truncated: true, originalLength: cleaned.length };
 };
 
+const resolveDocumentText = (document) => {
+  const meta = document?.meta || {};
+  // Разметка <<<PAGE N>>> нужна модели для ссылок на страницы; одностраничные
+  // документы (DOCX, текст) передаём как есть, чтобы не терять переносы строк.
+  const multiPage = Array.isArray(meta.pages) && meta.pages.length > 1;
+  if (multiPage && typeof meta.pageTaggedText === 'string' && meta.pageTaggedText.trim()) {
+    return meta.pageTaggedText;
+  }
+  return document?.text || document?.plainText || '';
+};
+
+const collectDocuments = ({ document, documents } = {}) => {
+  const list = Array.isArray(documents) ? documents.filter(Boolean) : [];
+  if (list.length) {
+    return list;
+  }
+  return document ? [document] : [];
+};
+
+const resolveDocumentLabel = (index) => `D${index + 1}`;
+
+const resolveDocumentName = (document) => document?.name || document?.label || document?.meta?.originalName || 'Документ';
+
+// Делим общий лимит символов между документами пакета: короткие документы
+// передаются целиком, а освободившийся объём достаётся длинным.
+const allocateTextBudget = (lengths, total = MAX_TEXT_CHARS) => {
+  const budgets = lengths.map(() => 0);
+  let remaining = total;
+  let pending = lengths.map((length, index) => ({ length, index })).filter((item) => item.length > 0);
+  while (pending.length && remaining > 0) {
+    const share = Math.floor(remaining / pending.length);
+    if (share <= 0) break;
+    const fitting = pending.filter((item) => item.length - budgets[item.index] <= share);
+    if (!fitting.length) {
+      pending.forEach((item) => {
+        budgets[item.index] += share;
+      });
+      remaining -= share * pending.length;
+      break;
+    }
+    fitting.forEach((item) => {
+      const need = item.length - budgets[item.index];
+      budgets[item.index] += need;
+      remaining -= need;
+    });
+    pending = pending.filter((item) => !fitting.includes(item));
+  }
+  return budgets;
+};
+
+const resolvePageCount = (document) => {
+  const meta = document?.meta || {};
+  return Number.isFinite(Number(meta.pageCount))
+    ? Number(meta.pageCount)
+    : Number.isFinite(Number(meta.layoutPageCount))
+    ? Number(meta.layoutPageCount)
+    : Number.isFinite(Number(meta.layout?.summary?.pageCount))
+    ? Number(meta.layout.summary.pageCount)
+    : Array.isArray(meta.layout?.pages)
+    ? meta.layout.pages.length
+    : Array.isArray(meta.pages)
+    ? meta.pages.length
+    : 0;
+};
+
+const resolveImagePageNumbers = (document) => {
+  const pageImages = Array.isArray(document?.meta?.pageImages) ? document.meta.pageImages : [];
+  return pageImages
+    .map((img) => (Number.isFinite(Number(img?.page)) ? Number(img.page) : null))
+    .filter((page) => Number.isFinite(page))
+    .sort((a, b) => a - b);
+};
+
 const resolveAnalysisPrompt = (settings = {}) => {
   const prompts = settings.prompts || {};
   const candidate = hasPromptText(prompts.analysis) ? prompts.analysis : DEFAULT_PROMPT_SETTINGS.analysis;
@@ -403,9 +503,30 @@ const sanitizeImageUrl = (value) => {
   }
 };
 
+const MAX_EMBEDDED_IMAGE_PARTS = 10;
+
+const formatEmbeddedImageLabel = (image) =>
+  `${image.label}${image.page ? ` (стр. ${image.page})` : ''}${image.description ? ` «${sanitizeText(image.description)}»` : ''}`;
+
+// Рисунки из DOCX (сканы подписных страниц, печати) идут в полном разрешении
+const buildEmbeddedImageParts = (document) => {
+  const images = (Array.isArray(document?.meta?.embeddedImages) ? document.meta.embeddedImages : [])
+    .map((image) => ({ image, url: sanitizeImageUrl(image?.url || '') }))
+    .filter((entry) => entry.url)
+    .slice(0, MAX_EMBEDDED_IMAGE_PARTS);
+  if (!images.length) return [];
+  return [
+    {
+      type: 'input_text',
+      text: `Images embedded in the document, in order: ${images.map(({ image }) => formatEmbeddedImageLabel(image)).join('; ')}. Inspect stamps, signatures and handwritten notes.`
+    },
+    ...images.map(({ url }) => ({ type: 'input_image', image_url: url, detail: 'high' }))
+  ];
+};
+
 const buildImageParts = (document) => {
   const images = Array.isArray(document?.meta?.pageImages) ? document.meta.pageImages : [];
-  return images
+  const pageParts = images
     .map((img) => {
       const imageUrl = sanitizeImageUrl(img?.url || img?.secureUrl || '');
       if (!imageUrl) {
@@ -419,6 +540,7 @@ const buildImageParts = (document) => {
       };
     })
     .filter(Boolean);
+  return [...pageParts, ...buildEmbeddedImageParts(document)];
 };
 
 const uploadOriginalDocument = async ({ apiKey, document, log }) => {
@@ -549,27 +671,421 @@ const uploadOriginalDocument = async ({ apiKey, document, log }) => {
   return uploaded;
 };
 
-const buildDocumentBlock = (document) => {
-  const name = document?.name || document?.label || 'Документ';
+const MAX_REVIEW_ITEMS = 120;
+const MAX_REVIEW_TEXT_CHARS = 400;
+
+const REVISION_TYPE_LABELS = {
+  insert: 'inserted',
+  delete: 'deleted',
+  'move-to': 'moved here',
+  'move-from': 'moved away'
+};
+
+const clipReviewText = (value) => {
+  const text = sanitizeText(value || '').replace(/\s+/g, ' ');
+  return text.length > MAX_REVIEW_TEXT_CHARS ? `${text.slice(0, MAX_REVIEW_TEXT_CHARS - 1)}…` : text;
+};
+
+const formatReviewPlace = (item) =>
+  [item.clause ? `п. ${item.clause}` : null, item.page ? `стр. ${item.page}` : null].filter(Boolean).join(', ');
+
+const formatReviewAuthor = (item) =>
+  [item.author, item.date ? item.date.slice(0, 10) : null].filter(Boolean).join(', ');
+
+const countReviewMarks = (documents) =>
+  documents.reduce(
+    (totals, document) => ({
+      revisions: totals.revisions + (Array.isArray(document?.meta?.revisions) ? document.meta.revisions.length : 0),
+      comments: totals.comments + (Array.isArray(document?.meta?.comments) ? document.meta.comments.length : 0)
+    }),
+    { revisions: 0, comments: 0 }
+  );
+
+// Правки и комментарии рецензентов из DOCX: основной текст уже в принятой
+// редакции, поэтому удалённые фрагменты видны модели только здесь
+const buildReviewSection = (meta = {}) => {
+  const revisions = Array.isArray(meta.revisions) ? meta.revisions : [];
+  const comments = Array.isArray(meta.comments) ? meta.comments : [];
+  const sections = [];
+  if (revisions.length) {
+    const lines = revisions.slice(0, MAX_REVIEW_ITEMS).map((revision) => {
+      const place = formatReviewPlace(revision);
+      const author = formatReviewAuthor(revision);
+      return `- [${REVISION_TYPE_LABELS[revision.type] || revision.type}]${place ? ` ${place}` : ''}${author ? ` (${author})` : ''}: «${clipReviewText(revision.text)}»`;
+    });
+    if (revisions.length > MAX_REVIEW_ITEMS) {
+      lines.push(`- … and ${revisions.length - MAX_REVIEW_ITEMS} more revisions`);
+    }
+    sections.push(`Tracked changes (${revisions.length}). The extracted text above is the accepted reading:\n${lines.join('\n')}`);
+  }
+  if (comments.length) {
+    const lines = comments.slice(0, MAX_REVIEW_ITEMS).map((comment) => {
+      const place = formatReviewPlace(comment);
+      const author = formatReviewAuthor(comment);
+      const anchor = comment.anchor ? ` on «${clipReviewText(comment.anchor)}»` : '';
+      return `- ${place || 'без привязки'}${author ? ` (${author})` : ''}${anchor}: ${clipReviewText(comment.text)}`;
+    });
+    if (comments.length > MAX_REVIEW_ITEMS) {
+      lines.push(`- … and ${comments.length - MAX_REVIEW_ITEMS} more comments`);
+    }
+    sections.push(`Reviewer comments (${comments.length}):\n${lines.join('\n')}`);
+  }
+  return sections.join('\n\n');
+};
+
+const MAX_PDF_SUMMARY_ITEMS = 30;
+
+// Свойства, поля формы и аннотации PDF (meta.pdf из pdfInspection.js)
+const describePdfInspection = (meta = {}) => {
+  const pdf = meta.pdf;
+  if (!pdf) return '';
+  const { info = {}, xmp, fields = [], annotations = [], signals = {} } = pdf;
+  const lines = [];
+  const properties = [
+    info.author || xmp?.creator ? `author «${info.author || xmp.creator}»` : null,
+    info.creator || xmp?.creatorTool ? `created with ${info.creator || xmp.creatorTool}` : null,
+    info.producer || xmp?.producer ? `producer ${info.producer || xmp.producer}` : null,
+    info.createdAt || xmp?.createdAt ? `created ${info.createdAt || xmp.createdAt}` : null,
+    info.modifiedAt || xmp?.modifiedAt ? `modified ${info.modifiedAt || xmp.modifiedAt}` : null
+  ].filter(Boolean);
+  if (properties.length) lines.push(`Properties: ${properties.join('; ')}.`);
+  if (signals.modifiedAfterCreation) {
+    lines.push(
+      `Warning: the file was modified ${signals.modificationGapDays ? `${signals.modificationGapDays} days ` : ''}after it was created.`
+    );
+  }
+  if (signals.signed || signals.incrementalUpdates) {
+    lines.push(
+      `Digital signature: ${signals.signed ? 'present' : 'absent'}; incremental updates appended to the file: ${signals.incrementalUpdates || 0}.${signals.updatedAfterSigning ? ' Warning: there are more updates than signatures, the content may have changed after signing.' : ''}`
+    );
+  }
+  if (fields.length) {
+    const items = fields.slice(0, MAX_PDF_SUMMARY_ITEMS).map((field) => {
+      const state = field.filled === null ? 'not verifiable' : field.filled ? `filled: «${clipReviewText(field.value)}»` : 'EMPTY';
+      return `- ${field.name} (${field.type}${field.pages?.length ? `, p. ${field.pages.join(', ')}` : ''}): ${state}`;
+    });
+    if (fields.length > MAX_PDF_SUMMARY_ITEMS) items.push(`- … and ${fields.length - MAX_PDF_SUMMARY_ITEMS} more fields`);
+    lines.push(`Form fields (${fields.length}, empty editable: ${signals.emptyFields?.length || 0}):\n${items.join('\n')}`);
+  }
+  if (annotations.length) {
+    const items = annotations.slice(0, MAX_PDF_SUMMARY_ITEMS).map((annotation) => {
+      const author = formatReviewAuthor({ author: annotation.author, date: annotation.modifiedAt || annotation.createdAt });
+      return `- стр. ${annotation.page} [${annotation.type}]${author ? ` (${author})` : ''}${annotation.text ? `: ${clipReviewText(annotation.text)}` : ''}`;
+    });
+    if (annotations.length > MAX_PDF_SUMMARY_ITEMS) items.push(`- … and ${annotations.length - MAX_PDF_SUMMARY_ITEMS} more annotations`);
+    lines.push(`Annotations and comments in the PDF (${annotations.length}):\n${items.join('\n')}`);
+  }
+  return lines.length ? `PDF file data:\n${lines.join('\n')}` : '';
+};
+
+const hasPdfSignals = (documents) =>
+  documents.some((document) => {
+    const pdf = document?.meta?.pdf;
+    return Boolean(
+      pdf
+        && (pdf.signals?.emptyFields?.length
+          || pdf.signals?.modifiedAfterCreation
+          || pdf.signals?.updatedAfterSigning
+          || pdf.annotations?.length)
+    );
+  });
+
+// Страницы в несколько колонок: текст каждой колонки идёт целиком, слева направо
+const describeColumnLayout = (meta) => {
+  const groups = new Map();
+  (Array.isArray(meta.layout?.pages) ? meta.layout.pages : []).forEach((page, index) => {
+    if (!Array.isArray(page.columnTexts) || page.columnTexts.length < 2) return;
+    const signature = page.columnTexts.map((column) => column.language || 'unknown').join(' | ');
+    if (!groups.has(signature)) groups.set(signature, []);
+    groups.get(signature).push(Number(page.pageNumber) || index + 1);
+  });
+  if (!groups.size) return '';
+  const parts = Array.from(groups.entries()).map(
+    ([signature, pages]) => `pages ${pages.join(', ')} — ${signature.split(' | ').length} columns (${signature})`
+  );
+  return `Column layout: ${parts.join('; ')}. On these pages each column is given in full, left column first; columns in different languages are parallel versions of the same text.`;
+};
+
+const describeTables = (meta) => {
+  const pages = (Array.isArray(meta.layout?.pages) ? meta.layout.pages : [])
+    .map((page, index) => ({ pageNumber: Number(page.pageNumber) || index + 1, count: page.tables?.length || 0 }))
+    .filter((page) => page.count);
+  if (!pages.length) return '';
+  const total = pages.reduce((sum, page) => sum + page.count, 0);
+  return `Tables: ${total} (pages ${pages.map((page) => page.pageNumber).join(', ')}), reconstructed as markdown tables in the text. Check amounts, dates and totals in payment schedules, specifications and price annexes row by row.`;
+};
+
+const describeEmbeddedImages = (meta) => {
+  const images = Array.isArray(meta.embeddedImages) ? meta.embeddedImages : [];
+  if (!images.length) return '';
+  const recognized = images.filter((image) => image.text).length;
+  return `Embedded images: ${images.length} (${images.map(formatEmbeddedImageLabel).join('; ')}). Text recognised on ${recognized} of them is inline as «[Изображение N: …]»; OCR of scans may contain errors, the images themselves are attached where available.`;
+};
+
+const describePageFurniture = (meta) => {
+  const furniture = meta.pageFurniture;
+  if (!furniture) return '';
+  const formatEntries = (entries) =>
+    entries.map((entry) => `«${clipReviewText(entry.text)}» (p. ${entry.pages.join(', ')})`).join('; ');
+  const parts = [
+    furniture.headers?.length ? `headers ${formatEntries(furniture.headers)}` : null,
+    furniture.footers?.length ? `footers ${formatEntries(furniture.footers)}` : null
+  ].filter(Boolean);
+  if (!parts.length) return '';
+  const counterNotes = [
+    furniture.counterMismatches?.length
+      ? `page counters break the sequence on p. ${furniture.counterMismatches.join(', ')}`
+      : null,
+    furniture.totalMismatch ? `declared page total ${furniture.declaredTotals.join('/')} differs from the actual page count` : null
+  ].filter(Boolean);
+  return `Running headers/footers removed from the page text: ${parts.join('; ')}.${
+    counterNotes.length ? ` Warning: ${counterNotes.join('; ')} — a page may be missing or replaced.` : ''
+  }`;
+};
+
+// Находки детерминированных проверок (реквизиты, суммы, даты) — модель должна вынести их в риски
+const DETERMINISTIC_CHECKS = [
+  {
+    key: 'requisiteChecks',
+    heading:
+      'Requisite check failures (checksums of ИНН/ОГРН/ОГРНИП, КПП/БИК format, account–BIC control key, consistency per party)'
+  },
+  {
+    key: 'amountChecks',
+    heading: 'Amount check failures (digits vs words, VAT arithmetic, table rows and totals, contract price vs table totals)'
+  },
+  {
+    key: 'dateChecks',
+    heading:
+      'Date chronology failures (period ending before it starts, dates before signing or after the term, payment before invoice, supplement dated before the contract, expired powers of attorney)'
+  }
+];
+
+const collectCheckFindings = (meta, key, pages = null) =>
+  (meta?.[key]?.findings || []).filter(
+    (finding) => !pages || finding.locations.some((location) => pages.includes(location.page))
+  );
+
+const describeDeterministicChecks = (meta, { pages = null } = {}) =>
+  DETERMINISTIC_CHECKS.map(({ key, heading }) => {
+    const findings = collectCheckFindings(meta, key, pages);
+    if (!findings.length) return '';
+    const items = findings.map(
+      (finding) =>
+        `- [${finding.severity}] ${finding.message} p. ${Array.from(new Set(finding.locations.map((location) => location.page))).join(', ')}: «${clipReviewText(finding.text)}»`
+    );
+    return `${heading}:\n${items.join('\n')}`;
+  })
+    .filter(Boolean)
+    .join('\n\n');
+
+const buildDocumentBlock = (document, { label = '', charLimit = MAX_TEXT_CHARS } = {}) => {
+  const name = resolveDocumentName(document);
   const meta = document?.meta || {};
-  const { text, truncated, originalLength } = prepareDocumentText(document?.text || document?.plainText || '');
+  const { text, truncated, originalLength } = prepareDocumentText(resolveDocumentText(document), charLimit);
+  const pageCount = resolvePageCount(document);
   const headerLines = [
+    label ? `Document ID: ${label}` : null,
     `Document name: ${name}`,
     meta.originalType ? `Content-Type: ${meta.originalType}` : null,
     meta.originalSize ? `File size: ${meta.originalSize} bytes` : null,
-    truncated ? `Note: text truncated to ${MAX_TEXT_CHARS} of ${originalLength} characters` : null
+    label && pageCount ? `Pages: ${pageCount}` : null,
+    describeColumnLayout(meta) || null,
+    describeTables(meta) || null,
+    describeEmbeddedImages(meta) || null,
+    describePageFurniture(meta) || null,
+    truncated ? `Note: text truncated to ${charLimit} of ${originalLength} characters` : null
   ].filter(Boolean);
   const header = headerLines.join('\n');
+  const pdfSection = describePdfInspection(meta);
   if (!text) {
-    return { block: `${header}\n\nExtracted text is missing. If analysis requires the original file, request OCR or manual upload.`, truncated, originalLength };
+    return {
+      block: [
+        `${header}\n\nExtracted text is missing. If analysis requires the original file, request OCR or manual upload.`,
+        pdfSection
+      ].filter(Boolean).join('\n\n'),
+      truncated,
+      originalLength
+    };
   }
+  const reviewSection = buildReviewSection(meta);
+  const clauseOutline = formatClauseOutline(meta.clauses, { prefix: label ? `${label}:` : '' });
+  const outlineSection = clauseOutline ? `Clause outline (ID, number, title, pages):\n${clauseOutline}` : '';
+  const checksSection = describeDeterministicChecks(meta);
   return {
-    block: `${header}\n\nExtracted text:\n${text}`,
+    block: [`${header}\n\nExtracted text:\n${text}`, outlineSection, reviewSection, checksSection, pdfSection]
+      .filter(Boolean)
+      .join('\n\n'),
     truncated,
     originalLength
   };
 };
 
+const MAX_PROMPT_ENTITIES = 12;
+const MAX_ENTITY_CONTEXT_CHARS = 90;
+const ENTITY_PROMPT_LABELS = {
+  parties: 'Parties',
+  dates: 'Dates',
+  amounts: 'Amounts',
+  percentages: 'Percentages',
+  durations: 'Durations',
+  addresses: 'Addresses',
+  bankDetails: 'Registration and bank details'
+};
+
+// Проценты и сроки без окружающих слов не понять — для них добавляем контекст
+const formatEntityForPrompt = (type, entity) => {
+  const context =
+    (type === 'percentages' || type === 'durations') && entity.context
+      ? ` «${entity.context.length > MAX_ENTITY_CONTEXT_CHARS ? `${entity.context.slice(0, MAX_ENTITY_CONTEXT_CHARS)}…` : entity.context}»`
+      : '';
+  return `${formatEntity(type, entity)}${context} (p. ${entity.page})`;
+};
+
+const formatEntityContext = (documents) => {
+  const sections = documents
+    .map((document, index) => {
+      const entities = document?.meta?.entities;
+      if (!countEntities(entities)) return '';
+      const lines = ENTITY_TYPES.filter((type) => entities[type]?.length).map((type) => {
+        const list = entities[type];
+        const items = list.slice(0, MAX_PROMPT_ENTITIES).map((entity) => formatEntityForPrompt(type, entity));
+        if (list.length > MAX_PROMPT_ENTITIES) items.push(`… and ${list.length - MAX_PROMPT_ENTITIES} more`);
+        return `- ${ENTITY_PROMPT_LABELS[type]}: ${items.join('; ')}`;
+      });
+      const deadlines = document.meta.dateChecks?.deadlines || [];
+      if (deadlines.length) lines.push(`- Relative deadlines (counted from): ${deadlines.map(formatDeadline).join('; ')}`);
+      return documents.length > 1 ? `${resolveDocumentLabel(index)}:\n${lines.join('\n')}` : lines.join('\n');
+    })
+    .filter(Boolean);
+  return sections.length
+    ? `Extracted data (deterministic pattern matching, verify against the text; p. = page):\n${sections.join('\n')}`
+    : '';
+};
+
+const formatPackageManifest = (documents) => {
+  const lines = documents.map((document, index) => {
+    const pageCount = resolvePageCount(document);
+    return `- ${resolveDocumentLabel(index)}: ${resolveDocumentName(document)}${pageCount ? ` (${pageCount} стр.)` : ''}`;
+  });
+  return `Document package (${documents.length} files):\n${lines.join('\n')}`;
+};
+
+const buildDocumentsBlock = (documents) => {
+  if (documents.length <= 1) {
+    const single = buildDocumentBlock(documents[0]);
+    return { ...single, documents: [] };
+  }
+  const lengths = documents.map((document) => sanitizeText(resolveDocumentText(document)).length);
+  const budgets = allocateTextBudget(lengths);
+  const entries = documents.map((document, index) => {
+    const label = resolveDocumentLabel(index);
+    const { block, truncated, originalLength } = buildDocumentBlock(document, {
+      label,
+      charLimit: Math.max(budgets[index], 1)
+    });
+    return {
+      label,
+      name: resolveDocumentName(document),
+      pageCount: resolvePageCount(document),
+      block: `<<<DOCUMENT ${label}>>>\n${block}\n<<<END DOCUMENT ${label}>>>`,
+      truncated,
+      originalLength
+    };
+  });
+  return {
+    block: [formatPackageManifest(documents), ...entries.map((entry) => entry.block)].join('\n\n'),
+    truncated: entries.some((entry) => entry.truncated),
+    originalLength: entries.reduce((sum, entry) => sum + entry.originalLength, 0),
+    documents: entries.map(({ label, name, pageCount, truncated, originalLength }) => ({
+      label,
+      name,
+      pageCount,
+      truncated,
+      originalLength
+    }))
+  };
+};
+
+const buildPackageImageParts = (documents) => {
+  if (documents.length <= 1) {
+    return buildImageParts(documents[0]);
+  }
+  return documents.flatMap((document, index) => {
+    const parts = buildImageParts(document);
+    if (!parts.length) return [];
+    return [
+      {
+        type: 'input_text',
+        text: `Page images of ${resolveDocumentLabel(index)} (${resolveDocumentName(document)}):`
+      },
+      ...parts
+    ];
+  });
+};
+
+const describePackageImages = (documents) => {
+  const multiple = documents.length > 1;
+  const imagePages = [];
+  const missingPages = [];
+  let pageCount = 0;
+  documents.forEach((document, index) => {
+    const label = resolveDocumentLabel(index);
+    const pageNumbers = resolveImagePageNumbers(document);
+    const documentPages = resolvePageCount(document);
+    pageCount += documentPages;
+    const format = (page) => (multiple ? `${label}:${page}` : page);
+    pageNumbers.forEach((page) => imagePages.push(format(page)));
+    for (let page = 1; page <= documentPages; page += 1) {
+      if (!pageNumbers.includes(page)) {
+        missingPages.push(format(page));
+      }
+    }
+  });
+  return { imagePages, missingPages, pageCount };
+};
+
+const uploadPackageOriginals = async ({ apiKey, documents, log, onError }) => {
+  const uploads = [];
+  for (let index = 0; index < documents.length; index += 1) {
+    try {
+      const upload = await uploadOriginalDocument({ apiKey, document: documents[index], log });
+      if (upload?.fileId) {
+        uploads.push({ ...upload, label: documents.length > 1 ? resolveDocumentLabel(index) : '' });
+      }
+    } catch (error) {
+      if (typeof onError === 'function') {
+        onError(error, documents[index]);
+      }
+    }
+  }
+  return uploads;
+};
+
+const buildPackageAttachmentsInfo = (documents) => {
+  const multiple = documents.length > 1;
+  const info = [];
+  documents.forEach((document, index) => {
+    const meta = document?.meta || {};
+    const prefix = multiple ? `${resolveDocumentLabel(index)} (${resolveDocumentName(document)}): ` : '';
+    if (Array.isArray(meta.pageImages) && meta.pageImages.length) {
+      const pageNumbers = resolveImagePageNumbers(document);
+      if (pageNumbers.length) {
+        info.push(`${prefix}Cloudinary page previews (${pageNumbers.length}): страницы ${pageNumbers.join(', ')}`);
+      } else {
+        info.push(`${prefix}Cloudinary page previews: ${meta.pageImages.length} шт.`);
+      }
+    }
+    if (meta?.cloudinary?.fileUrl) {
+      info.push(`${prefix}Original file (Cloudinary): ${meta.cloudinary.fileUrl}`);
+    }
+    if (meta?.cloudinary?.archiveUrl) {
+      info.push(`${prefix}Archive with page images: ${meta.cloudinary.archiveUrl}`);
+    }
+  });
+  return info;
+};
+
 const formatAdaptiveSummary = (summary) => {
   if (!summary || typeof summary !== 'object') return '';
   const lines = [];
@@ -595,8 +1111,36 @@ const formatAdaptiveSummary = (summary) => {
   return `Результаты предварительного анализа:\n${lines.map((line) => `- ${line}`).join('\n')}`;
 };
 
+const MULTI_DOCUMENT_INSTRUCTION =
+  'The input is a package of several documents (main contract, annexes, specifications, supplementary agreements, etc.), each marked with an ID (D1, D2, …). Analyze them as one deal package. For every quote, state the document ID, file name and page/clause, e.g. "[D2 «Приложение 1», стр. 3, п. 4.1]". Explicitly flag contradictions and inconsistencies between documents (amounts, dates, terms, parties, definitions, precedence clauses) and cite both conflicting places.';
+
+const CLAUSE_REFERENCE_INSTRUCTION =
+  'A clause outline with stable clause IDs is provided. In every quote, risk, action and redline reference, add the clause ID from the outline in square brackets next to the clause/page reference, e.g. "п. 4.2.1, стр. 3 [cl-4.2.1]" (for packages: "[D2:cl-3.1]"). Use only IDs that exist in the outline.';
+
+const hasClauseOutline = (documents) =>
+  documents.some((document) => Array.isArray(document?.meta?.clauses) && document.meta.clauses.length > 0);
+
+const REQUISITE_CHECK_INSTRUCTION =
+  'The "Requisite check failures" section lists registration and bank details that failed deterministic checks (checksums, account–BIC control key, different details for the same party). Report every failure as a risk with its page and the quoted line, explain the consequence (payment to a wrong recipient, returned payment, disputes over the party identity) and ask the counterparty to confirm the correct details. Do not re-derive the checksums yourself.';
+
+const AMOUNT_CHECK_INSTRUCTION =
+  'The "Amount check failures" section lists deterministic mismatches: amounts in digits vs words, VAT arithmetic, table rows and totals, contract price vs table totals. Report every mismatch as a risk with its page and the quoted line, state which figure prevails under the contract (if it says so) and propose a redline that makes the figures consistent.';
+
+const DATE_CHECK_INSTRUCTION =
+  'The "Date chronology failures" section lists dates and deadlines that cannot be performed in the stated order (a term ending before it starts, delivery or payment before signing, payment due before the invoice, a supplement dated before the main contract, a power of attorney expired on the contract date). Report every failure as a risk with its page and the quoted line, explain the practical consequence (unenforceable deadline, automatic delay and penalties, signatory without authority) and propose a redline with a consistent date or a deadline counted from a defined event.';
+
+const hasCheckFindings = (documents, key) =>
+  documents.some((document) => collectCheckFindings(document?.meta, key).length > 0);
+
+const REVIEW_MARKS_INSTRUCTION =
+  'The document contains tracked changes and/or reviewer comments, most likely from the counterparty (see "Tracked changes" and "Reviewer comments"). Focus the report on the negotiated deltas: for every changed clause compare the original and the accepted wording, explain how the change shifts rights, obligations and risks for the client, and say whether to accept, reject or counter it. Address every reviewer comment. Cite changed clauses by number.';
+
+// Сопроводительное письмо: коммерческие договорённости, которые не попали в текст документов
+const formatOperatorContext = (context) =>
+  `Covering correspondence (commercial context from the email the documents arrived with; not part of the documents — use it to check whether the documents reflect what was agreed, and flag any mismatch):\n${context}`;
+
 const buildInputMessages = ({
-  document,
+  documents,
   userPrompt,
   localeHint,
   developerPromptText,
@@ -607,34 +1151,19 @@ const buildInputMessages = ({
   attachmentsInfo = [],
   adaptivePromptDisplay = '',
   adaptiveAnswerText = '',
-  adaptiveSummary = null
+  adaptiveSummary = null,
+  operatorContext = ''
 }) => {
-  const { block, truncated, originalLength } = buildDocumentBlock(document);
-  const pageImages = Array.isArray(document?.meta?.pageImages) ? document.meta.pageImages : [];
-  const pageNumbers = pageImages
-    .map((img) => (Number.isFinite(Number(img?.page)) ? Number(img.page) : null))
-    .filter((page) => Number.isFinite(page))
-    .sort((a, b) => a - b);
-  const pageCount = Number.isFinite(Number(document?.meta?.pageCount))
-    ? Number(document.meta.pageCount)
-    : Number.isFinite(Number(document?.meta?.layoutPageCount))
-    ? Number(document.meta.layoutPageCount)
-    : Number.isFinite(Number(document?.meta?.layout?.summary?.pageCount))
-    ? Number(document.meta.layout.summary.pageCount)
-    : Array.isArray(document?.meta?.layout?.pages)
-    ? document.meta.layout.pages.length
-    : Array.isArray(document?.meta?.pages)
-    ? document.meta.pages.length
-    : 0;
-  const expectedPages = pageCount
-    ? Array.from({ length: pageCount }, (_, index) => index + 1)
-    : [];
-  const missingPages = expectedPages.filter((page) => !pageNumbers.includes(page));
+  const { block, truncated, originalLength, documents: packageEntries } = buildDocumentsBlock(documents);
+  const isPackage = documents.length > 1;
+  const reviewMarks = countReviewMarks(documents);
+  const { imagePages, missingPages, pageCount } = describePackageImages(documents);
   const attachmentLines = attachmentsInfo.filter(Boolean);
   const adaptiveSummaryBlock = formatAdaptiveSummary(adaptiveSummary);
   const supplementary = [
     userPrompt?.trim() ? `Additional instructions from operator:\n${userPrompt.trim()}` : null,
     adaptiveAnswerText ? `Operator responses to adaptive questions:\n${adaptiveAnswerText}` : null,
+    operatorContext ? formatOperatorContext(operatorContext) : null,
     localeHint ? `Locale hint: ${localeHint}` : null,
     attachmentLines.length ? `Attachments:\n${attachmentLines.join('\n')}` : null,
     ragContext ? `External legal references prepared via RAG:\n${ragContext}` : null,
@@ -660,6 +1189,18 @@ const buildInputMessages = ({
     ...imageParts
   ];
 
+  const analysisInstruction = [
+    'Analyze the attached document strictly per the OUTPUT FORMAT. Cite short quotes (≤3 lines) with clause/page references from the document itself. When you need to confirm referenced laws, regulations, or time-sensitive facts, call the web_search tool and list every external source you rely on. If bilingual, use the main legal language. If anything is missing, write: "missing, must be added".',
+    isPackage ? MULTI_DOCUMENT_INSTRUCTION : null,
+    hasClauseOutline(documents) ? CLAUSE_REFERENCE_INSTRUCTION : null,
+    reviewMarks.revisions || reviewMarks.comments ? REVIEW_MARKS_INSTRUCTION : null,
+    hasCheckFindings(documents, 'requisiteChecks') ? REQUISITE_CHECK_INSTRUCTION : null,
+    hasCheckFindings(documents, 'amountChecks') ? AMOUNT_CHECK_INSTRUCTION : null,
+    hasCheckFindings(documents, 'dateChecks') ? DATE_CHECK_INSTRUCTION : null
+  ]
+    .filter(Boolean)
+    .join('\n\n');
+
   const messages = [
     {
       role: 'developer',
@@ -670,8 +1211,7 @@ const buildInputMessages = ({
       content: [
         {
           type: 'input_text',
-            text:
-            'Analyze the attached document strictly per the OUTPUT FORMAT. Cite short quotes (≤3 lines) with clause/page references from the document itself. When you need to confirm referenced laws, regulations, or time-sensitive facts, call the web_search tool and list every external source you rely on. If bilingual, use the main legal language. If anything is missing, write: "missing, must be added".'
+          text: analysisInstruction
         }
       ]
     },
@@ -687,13 +1227,19 @@ const buildInputMessages = ({
       textIncluded: Boolean(block && block.trim()),
       textTruncated: Boolean(truncated),
       textLength: Number.isFinite(originalLength) ? originalLength : 0,
+      documentCount: documents.length,
+      documents: packageEntries,
+      revisionCount: reviewMarks.revisions,
+      commentCount: reviewMarks.comments,
+      clauseOutlineIncluded: hasClauseOutline(documents),
       attachments: attachmentLines,
-      imageCount: pageNumbers.length,
-      imagePages: pageNumbers,
+      imageCount: imagePages.length,
+      imagePages,
       pageCount,
       missingImagePages: missingPages,
       ragContextIncluded: Boolean(ragContext && ragContext.trim()),
       userPromptIncluded: Boolean(userPrompt && userPrompt.trim()),
+      operatorContextIncluded: Boolean(operatorContext),
       localeHintIncluded: Boolean(localeHint && localeHint.trim()),
       adaptiveSummaryIncluded: Boolean(adaptiveSummaryBlock),
       adaptiveAnswersIncluded: Boolean(adaptiveAnswerText),
@@ -1061,24 +1607,25 @@ const normalizeLayoutPayload = (payload) => {
   };
 };
 
-const truncateForLayoutModel = (text) => {
+const truncateForLayoutModel = (text, limit = MAX_LAYOUT_INPUT_CHARS) => {
   const cleaned = sanitizeText(text);
   if (!cleaned) {
     return { text: '', truncated: false, originalLength: 0 };
   }
-  if (cleaned.length <= MAX_LAYOUT_INPUT_CHARS) {
+  if (cleaned.length <= limit) {
     return { text: cleaned, truncated: false, originalLength: cleaned.length };
   }
-  const truncatedTail = cleaned.length - MAX_LAYOUT_INPUT_CHARS;
-  const truncatedText = `${cleaned.slice(0, MAX_LAYOUT_INPUT_CHARS)}\n\n[... truncated ${truncatedTail} characters]`;
+  const truncatedTail = cleaned.length - limit;
+  const truncatedText = `${cleaned.slice(0, limit)}\n\n[... truncated ${truncatedTail} characters]`;
   return { text: truncatedText, truncated: true, originalLength: cleaned.length };
 };
 
-export async function prepareAdaptivePrompt({ apiKey, document, settings = {}, onLog }) {
+export async function prepareAdaptivePrompt({ apiKey, document, documents, settings = {}, onLog }) {
   if (!apiKey) {
     throw new Error('Укажите API-ключ OpenAI.');
   }
-  if (!document) {
+  const packageDocuments = collectDocuments({ document, documents });
+  if (!packageDocuments.length) {
     throw new Error('Добавьте документ для адаптивного анализа.');
   }
 
@@ -1107,39 +1654,38 @@ export async function prepareAdaptivePrompt({ apiKey, document, settings = {}, o
 
   const preAnalysisWebSearchEnabled = Boolean(config.preAnalysisWebSearchEnabled);
   const preAnalysisReasoningEffort = config.preAnalysisReasoningEffort || '';
+  const isPackage = packageDocuments.length > 1;
 
-  const imageParts = buildImageParts(document);
+  const imageParts = buildPackageImageParts(packageDocuments);
   const attachmentsInfo = [];
-  const meta = document?.meta || {};
-  if (Array.isArray(meta.pageImages) && meta.pageImages.length) {
-    const pageNumbers = meta.pageImages
-      .map((img) => (Number.isFinite(Number(img?.page)) ? Number(img.page) : null))
-      .filter((page) => Number.isFinite(page))
-      .sort((a, b) => a - b);
+  packageDocuments.forEach((item, index) => {
+    const pageNumbers = resolveImagePageNumbers(item);
     if (pageNumbers.length) {
+      const prefix = isPackage ? `${resolveDocumentLabel(index)}: ` : '';
       attachmentsInfo.push(
-        `Cloudinary page previews (${pageNumbers.length}): страницы ${pageNumbers.join(', ')}`
+        `${prefix}Cloudinary page previews (${pageNumbers.length}): страницы ${pageNumbers.join(', ')}`
       );
     }
-  }
+  });
 
-  let originalFileUpload = null;
-  try {
-    originalFileUpload = await uploadOriginalDocument({ apiKey, document, log });
-    if (originalFileUpload?.fileId) {
-      attachmentsInfo.push(
-        `Исходный файл загружен в OpenAI (file_id: ${originalFileUpload.fileId}, ${formatBytes(
-          originalFileUpload.bytes
-        )})`
-      );
+  const originalFileUploads = await uploadPackageOriginals({
+    apiKey,
+    documents: packageDocuments,
+    log,
+    onError: (error) => {
+      log({
+        level: 'warn',
+        message: error?.message || 'Не удалось загрузить оригинальный файл для адаптивного анализа',
+        scope: 'adaptive'
+      });
     }
-  } catch (error) {
-    log({
-      level: 'warn',
-      message: error?.message || 'Не удалось загрузить оригинальный файл для адаптивного анализа',
-      scope: 'adaptive'
-    });
-  }
+  });
+  originalFileUploads.forEach((upload) => {
+    const prefix = upload.label ? `${upload.label}: ` : '';
+    attachmentsInfo.push(
+      `${prefix}Исходный файл загружен в OpenAI (file_id: ${upload.fileId}, ${formatBytes(upload.bytes)})`
+    );
+  });
 
   if (attachmentsInfo.length) {
     const attachmentLines = attachmentsInfo.map((entry) => `• ${entry}`).join('\n');
@@ -1151,40 +1697,23 @@ export async function prepareAdaptivePrompt({ apiKey, document, settings = {}, o
     });
   }
 
-  const fileParts = originalFileUpload?.fileId
-    ? [
-        {
-          type: 'input_file',
-          file_id: originalFileUpload.fileId
-        }
-      ]
-    : [];
+  const fileParts = originalFileUploads.map((upload) => ({
+    type: 'input_file',
+    file_id: upload.fileId
+  }));
 
-  const { block, truncated, originalLength } = buildDocumentBlock(document);
-  const pageImages = Array.isArray(document?.meta?.pageImages) ? document.meta.pageImages : [];
-  const pageNumbers = pageImages
-    .map((img) => (Number.isFinite(Number(img?.page)) ? Number(img.page) : null))
-    .filter((page) => Number.isFinite(page))
-    .sort((a, b) => a - b);
-  const pageCount = Number.isFinite(Number(document?.meta?.pageCount))
-    ? Number(document.meta.pageCount)
-    : Number.isFinite(Number(document?.meta?.layoutPageCount))
-    ? Number(document.meta.layoutPageCount)
-    : Number.isFinite(Number(document?.meta?.layout?.summary?.pageCount))
-    ? Number(document.meta.layout.summary.pageCount)
-    : Array.isArray(document?.meta?.layout?.pages)
-    ? document.meta.layout.pages.length
-    : Array.isArray(document?.meta?.pages)
-    ? document.meta.pages.length
-    : 0;
-  const expectedPages = pageCount ? Array.from({ length: pageCount }, (_, index) => index + 1) : [];
-  const missingPages = expectedPages.filter((page) => !pageNumbers.includes(page));
+  const { block, truncated, originalLength } = buildDocumentsBlock(packageDocuments);
+  const { imagePages: pageNumbers, missingPages, pageCount } = describePackageImages(packageDocuments);
+  const reviewMarks = countReviewMarks(packageDocuments);
 
   log({
     level: 'info',
     message: 'Подготовлены данные для предварительного анализа',
     scope: 'adaptive',
     attachments: attachmentsInfo,
+    documentCount: packageDocuments.length,
+    revisionCount: reviewMarks.revisions,
+    commentCount: reviewMarks.comments,
     textIncluded: Boolean(block && block.trim()),
     textLength: Number.isFinite(originalLength) ? originalLength : 0,
     textTruncated: Boolean(truncated),
@@ -1198,6 +1727,27 @@ export async function prepareAdaptivePrompt({ apiKey, document, settings = {}, o
     'Определи тип документа, юрисдикцию, применимое право и ключевые темы.',
     'Подготовь подсказки для уточнения роли клиента и фокуса анализа.'
   ];
+  if (isPackage) {
+    introLines.push(
+      `Передан пакет из ${packageDocuments.length} документов (D1…D${packageDocuments.length}): определи основной документ и роль остальных (приложения, спецификации, допсоглашения).`
+    );
+  }
+  if (reviewMarks.revisions || reviewMarks.comments) {
+    introLines.push(
+      `В документе есть правки в режиме рецензирования (${reviewMarks.revisions}) и комментарии (${reviewMarks.comments}): определи, какие пункты изменил контрагент, и предложи сфокусировать анализ на согласуемых изменениях.`
+    );
+  }
+  const entityContext = formatEntityContext(packageDocuments);
+  if (entityContext) {
+    introLines.push(
+      'К тексту приложены автоматически извлечённые стороны, даты, суммы, сроки и реквизиты: используй их для определения сторон, ролей и ключевых условий, сверяя с текстом.'
+    );
+  }
+  if (hasPdfSignals(packageDocuments)) {
+    introLines.push(
+      'В данных PDF есть пустые поля формы, аннотации или признаки изменения файла после создания/подписания: отметь их как риски и предложи проверить при анализе.'
+    );
+  }
   if (introLocale) {
     introLines.push(`Подсказка по языку/юрисдикции: ${introLocale}.`);
   }
@@ -1223,6 +1773,7 @@ export async function prepareAdaptivePrompt({ apiKey, document, settings = {}, o
           type: 'input_text',
           text: block
         },
+        ...(entityContext ? [{ type: 'input_text', text: entityContext }] : []),
         ...fileParts,
         ...imageParts
       ]
@@ -1234,7 +1785,10 @@ export async function prepareAdaptivePrompt({ apiKey, document, settings = {}, o
     input: messages,
     metadata: {
       purpose: 'adaptive-preanalysis',
-      documentName: sanitizeText(document?.name || document?.label || ''),
+      documentName: clampMetadataValue(
+        packageDocuments.map((item) => sanitizeText(item?.name || item?.label || '')).filter(Boolean).join(', '),
+        200
+      ) || '',
       localeHint: introLocale
     }
   };
@@ -1324,6 +1878,7 @@ export async function prepareAdaptivePrompt({ apiKey, document, settings = {}, o
 export async function prepareSummaryPreview({
   apiKey,
   document,
+  documents,
   triage = {},
   settings = {},
   onLog
@@ -1331,7 +1886,8 @@ export async function prepareSummaryPreview({
   if (!apiKey) {
     throw new Error('Укажите API-ключ OpenAI.');
   }
-  if (!document) {
+  const packageDocuments = collectDocuments({ document, documents });
+  if (!packageDocuments.length) {
     throw new Error('Документ не найден для предварительного резюме.');
   }
 
@@ -1364,15 +1920,22 @@ export async function prepareSummaryPreview({
   const summaryContext = triage?.summary && typeof triage.summary === 'object' ? triage.summary : {};
   const summaryLines = buildAdaptiveSummaryDirectives(summaryContext);
   const contextSections = [];
-  const safeName = sanitizeText(document?.name || document?.label || '');
-  if (safeName) {
-    contextSections.push(`Документ: ${safeName}`);
+  if (packageDocuments.length > 1) {
+    const names = packageDocuments.map(
+      (item, index) => `${resolveDocumentLabel(index)} — ${sanitizeText(resolveDocumentName(item))}`
+    );
+    contextSections.push(`Пакет документов:\n${formatAsBulletList(names)}`);
+  } else {
+    const safeName = sanitizeText(packageDocuments[0]?.name || packageDocuments[0]?.label || '');
+    if (safeName) {
+      contextSections.push(`Документ: ${safeName}`);
+    }
   }
   if (summaryLines.length) {
     contextSections.push(`Ключевые факты:\n${formatAsBulletList(summaryLines)}`);
   }
 
-  const { block, truncated, originalLength } = buildDocumentBlock(document);
+  const { block, truncated, originalLength } = buildDocumentsBlock(packageDocuments);
   const intro = contextSections.join('\n\n');
   const userSections = [];
   if (intro) {
@@ -1467,7 +2030,8 @@ async function formatReportWithLayoutModel({
   log,
   webSearchEnabled,
   webSearchDepth,
-  reasoningEffort
+  reasoningEffort,
+  inputLimit = MAX_LAYOUT_INPUT_CHARS
 }) {
   const cleanedReport = sanitizeText(reportText);
   if (!cleanedReport) {
@@ -1475,7 +2039,7 @@ async function formatReportWithLayoutModel({
   }
 
   const layoutModel = sanitizeText(model || '') || DEFAULT_LAYOUT_MODEL;
-  const truncated = truncateForLayoutModel(cleanedReport);
+  const truncated = truncateForLayoutModel(cleanedReport, inputLimit);
 
   if (typeof log === 'function' && truncated.truncated) {
     log({
@@ -1483,7 +2047,7 @@ async function formatReportWithLayoutModel({
       message: `Текст отчёта для макета обрезан до лимита модели ${layoutModel}`,
       scope: 'layout',
       originalLength: truncated.originalLength,
-      limit: MAX_LAYOUT_INPUT_CHARS
+      limit: inputLimit
     });
   }
 
@@ -1606,13 +2170,335 @@ async function formatReportWithLayoutModel({
   };
 }
 
+const CHUNK_MODES = new Set(['auto', 'always', 'off']);
+const MIN_CHUNK_CHARS = 8_000;
+const MAX_CHUNK_CONCURRENCY = 6;
+
+const CHUNK_PART_INSTRUCTION =
+  'This is one part of a long document that is analysed in parts; the other parts are analysed separately and all partial reports are merged afterwards. Analyze only this part strictly per the OUTPUT FORMAT, but skip the readiness estimate. List every risk, action, redline and question found in this part — do not drop items for brevity, duplicates are removed at the merge step. Cite quotes with clause/page references. If this part refers to clauses outside it, say so instead of guessing their content.';
+
+const resolveChunkSettings = (config) => {
+  const mode = CHUNK_MODES.has(config.chunkedAnalysisMode) ? config.chunkedAnalysisMode : 'auto';
+  const maxChars = Number(config.chunkMaxChars);
+  const concurrency = Number(config.chunkConcurrency);
+  return {
+    mode,
+    maxChars: Number.isFinite(maxChars) && maxChars > 0
+      ? Math.min(Math.max(Math.round(maxChars), MIN_CHUNK_CHARS), MAX_TEXT_CHARS)
+      : DEFAULT_ANALYSIS_SETTINGS.chunkMaxChars,
+    concurrency: Number.isFinite(concurrency) && concurrency > 0
+      ? Math.min(Math.round(concurrency), MAX_CHUNK_CONCURRENCY)
+      : DEFAULT_ANALYSIS_SETTINGS.chunkConcurrency
+  };
+};
+
+// auto — только когда текст иначе был бы обрезан, always — всё, что длиннее одной части
+const shouldUseChunkedAnalysis = (documents, chunkSettings) => {
+  if (chunkSettings.mode === 'off') return false;
+  const total = documents.reduce((sum, document) => sum + sanitizeText(resolveDocumentText(document)).length, 0);
+  return total > (chunkSettings.mode === 'always' ? chunkSettings.maxChars : MAX_TEXT_CHARS);
+};
+
+const matchSectionStart = (line, starts) => {
+  const trimmed = line.trim();
+  if (!trimmed) return null;
+  return starts.find((start) => trimmed.startsWith(start.prefix) && trimmed.includes(start.title)) || null;
+};
+
+// Делим текст документа на единицы «страница / раздел верхнего уровня»,
+// опираясь на дерево пунктов; без дерева единицей остаётся страница
+const splitDocumentIntoUnits = (document, documentIndex) => {
+  const meta = document?.meta || {};
+  const pages = Array.isArray(meta.pages) && meta.pages.length > 1 ? meta.pages : [resolveDocumentText(document)];
+  const multiPage = pages.length > 1;
+  const topLevel = (Array.isArray(meta.clauses) ? meta.clauses : []).filter((clause) => !clause.parentId);
+  const units = [];
+  pages.forEach((pageText, pageIndex) => {
+    const page = multiPage ? pageIndex + 1 : null;
+    const starts = topLevel
+      .filter((clause) => !multiPage || clause.page === page)
+      .map((clause) => ({
+        prefix: clause.kind === 'clause' ? clause.number : clause.title.slice(0, 40),
+        title: clause.title.slice(0, 40),
+        label: clause.kind === 'clause' ? `${clause.number}. ${clause.title}` : clause.title
+      }));
+    let current = null;
+    const flush = () => {
+      if (current && current.text.trim()) units.push(current);
+      current = null;
+    };
+    sanitizeText(pageText || '')
+      .split('\n')
+      .forEach((line) => {
+        const start = matchSectionStart(line, starts);
+        if (start) flush();
+        if (!current) {
+          current = { documentIndex, page, title: start?.label || '', sectionStart: Boolean(start), text: '' };
+        }
+        current.text += `${line}\n`;
+      });
+    flush();
+  });
+  return units;
+};
+
+const splitOversizedUnit = (unit, limit) => {
+  if (unit.text.length <= limit) return [unit];
+  const pieces = [];
+  let rest = unit.text;
+  while (rest.length > limit) {
+    const window = rest.slice(0, limit);
+    const cut = Math.max(window.lastIndexOf('\n'), window.lastIndexOf('. '));
+    const index = cut > limit * 0.5 ? cut + 1 : limit;
+    pieces.push(rest.slice(0, index));
+    rest = rest.slice(index);
+  }
+  if (rest.trim()) pieces.push(rest);
+  return pieces.map((text, index) => ({ ...unit, text, sectionStart: unit.sectionStart && index === 0 }));
+};
+
+const buildAnalysisChunks = (documents, limit) => {
+  const chunks = [];
+  documents.forEach((document, documentIndex) => {
+    let current = null;
+    const flush = () => {
+      if (current) chunks.push(current);
+      current = null;
+    };
+    splitDocumentIntoUnits(document, documentIndex)
+      .flatMap((unit) => splitOversizedUnit(unit, limit))
+      .forEach((unit) => {
+        const overflow = current && current.length + unit.text.length > limit;
+        // Новый раздел начинаем с новой части, если текущая заполнена больше чем наполовину
+        const sectionBreak = current && unit.sectionStart && current.length > limit * 0.5;
+        if (overflow || sectionBreak) flush();
+        if (!current) {
+          current = { documentIndex, pages: [], sections: [], parts: [], length: 0 };
+        }
+        const newPage = unit.page && !current.pages.includes(unit.page);
+        current.parts.push(newPage ? `<<<PAGE ${unit.page}>>>\n${unit.text.trim()}` : unit.text.trim());
+        current.length += unit.text.length;
+        if (newPage) current.pages.push(unit.page);
+        if (unit.title) current.sections.push(unit.title);
+      });
+    flush();
+  });
+  return chunks.map(({ parts, ...chunk }, index) => ({ ...chunk, index, text: parts.join('\n\n') }));
+};
+
+const describeChunk = (chunk, documents) => {
+  const document = documents[chunk.documentIndex];
+  const name = `«${resolveDocumentName(document)}»`;
+  const firstPage = chunk.pages[0];
+  const lastPage = chunk.pages[chunk.pages.length - 1];
+  return [
+    documents.length > 1 ? `${resolveDocumentLabel(chunk.documentIndex)} ${name}` : name,
+    firstPage ? (firstPage === lastPage ? `стр. ${firstPage}` : `стр. ${firstPage}–${lastPage}`) : null,
+    chunk.sections.length
+      ? `разделы: ${chunk.sections.slice(0, 6).join('; ')}${chunk.sections.length > 6 ? '; …' : ''}`
+      : null
+  ]
+    .filter(Boolean)
+    .join(', ');
+};
+
+const sumUsage = (usages) => {
+  const valid = usages.filter((usage) => usage && typeof usage === 'object');
+  if (!valid.length) return null;
+  return ['input_tokens', 'output_tokens', 'total_tokens'].reduce((totals, key) => {
+    totals[key] = valid.reduce((sum, usage) => sum + (Number(usage[key]) || 0), 0);
+    return totals;
+  }, {});
+};
+
+const buildChunkMessages = ({ chunk, total, documents, developerPromptText, universalPromptText, sharedContext }) => {
+  const document = documents[chunk.documentIndex];
+  const meta = document?.meta || {};
+  const label = documents.length > 1 ? resolveDocumentLabel(chunk.documentIndex) : '';
+  const outline = formatClauseOutline(meta.clauses, { prefix: label ? `${label}:` : '' });
+  const inChunk = (item) => !chunk.pages.length || chunk.pages.includes(item.page);
+  const reviewSection = buildReviewSection({
+    revisions: (meta.revisions || []).filter(inChunk),
+    comments: (meta.comments || []).filter(inChunk)
+  });
+  const chunkPages = chunk.pages.length ? chunk.pages : null;
+  const checksSection = describeDeterministicChecks(meta, { pages: chunkPages });
+  const universalText = sanitizeText(universalPromptText || '');
+  const body = [
+    universalText ? `[Универсальный формат отчёта — соблюдай структуру ниже]\n${universalText}` : null,
+    sharedContext || null,
+    `Document part ${chunk.index + 1} of ${total}: ${describeChunk(chunk, documents)}`,
+    outline ? `Clause outline of the whole document (ID, number, title, pages):\n${outline}` : null,
+    `Extracted text of this part:\n${chunk.text}`,
+    reviewSection || null,
+    checksSection || null
+  ]
+    .filter(Boolean)
+    .join('\n\n');
+  const instruction = [
+    CHUNK_PART_INSTRUCTION,
+    outline ? CLAUSE_REFERENCE_INSTRUCTION : null,
+    reviewSection ? REVIEW_MARKS_INSTRUCTION : null,
+    collectCheckFindings(meta, 'requisiteChecks', chunkPages).length ? REQUISITE_CHECK_INSTRUCTION : null,
+    collectCheckFindings(meta, 'amountChecks', chunkPages).length ? AMOUNT_CHECK_INSTRUCTION : null,
+    collectCheckFindings(meta, 'dateChecks', chunkPages).length ? DATE_CHECK_INSTRUCTION : null
+  ]
+    .filter(Boolean)
+    .join('\n\n');
+  return [
+    { role: 'developer', content: [{ type: 'input_text', text: developerPromptText || LEGAL_ANALYSIS_PROMPT }] },
+    { role: 'user', content: [{ type: 'input_text', text: instruction }] },
+    { role: 'user', content: [{ type: 'input_text', text: body }] }
+  ];
+};
+
+const runChunkedAnalysis = async ({
+  apiKey,
+  config,
+  chunkSettings,
+  documents,
+  developerPromptText,
+  universalPromptText,
+  sharedContext,
+  metadata,
+  log
+}) => {
+  const chunks = buildAnalysisChunks(documents, chunkSettings.maxChars);
+  const total = chunks.length;
+  log({
+    level: 'info',
+    message: `Длинный документ: анализ по частям (${total}), параллельно до ${chunkSettings.concurrency}`,
+    scope: 'analysis',
+    chunks: chunks.map((chunk) => ({
+      part: chunk.index + 1,
+      description: describeChunk(chunk, documents),
+      length: chunk.length
+    }))
+  });
+
+  const partResults = await runPool(chunks, async (chunk) => {
+    const payload = {
+      model: config.analysisModel,
+      input: buildChunkMessages({ chunk, total, documents, developerPromptText, universalPromptText, sharedContext }),
+      metadata: {
+        purpose: 'analysis-chunk',
+        chunk: `${chunk.index + 1}/${total}`,
+        documentName: clampMetadataValue(resolveDocumentName(documents[chunk.documentIndex]), 200) || ''
+      }
+    };
+    applyWebSearchSettings({
+      payload,
+      enabled: Boolean(config.analysisWebSearchEnabled),
+      depth: 'low',
+      log,
+      scope: 'analysis-chunk'
+    });
+    applyReasoningSettings(payload, config.analysisReasoningEffort || '', { log, scope: 'analysis-chunk' });
+    try {
+      const responseJson = await executeRequest(apiKey, payload);
+      const text = collectOutputText(responseJson);
+      log({
+        level: text ? 'info' : 'warn',
+        message: text
+          ? `Часть ${chunk.index + 1}/${total} проанализирована`
+          : `Часть ${chunk.index + 1}/${total}: пустой ответ модели`,
+        scope: 'analysis',
+        tokens: responseJson?.usage?.total_tokens || null
+      });
+      return { chunk, text, responseJson, ok: Boolean(text) };
+    } catch (error) {
+      log({
+        level: 'error',
+        message: `Ошибка анализа части ${chunk.index + 1}/${total}: ${error?.message || error}`,
+        scope: 'analysis'
+      });
+      return { chunk, text: '', responseJson: null, ok: false, error: error?.message || String(error) };
+    }
+  }, { size: chunkSettings.concurrency });
+
+  if (!partResults.some((result) => result.ok)) {
+    throw new Error('Не удалось проанализировать ни одну часть документа.');
+  }
+
+  const partReports = partResults
+    .map((result) => {
+      const header = `<<<ЧАСТЬ ${result.chunk.index + 1}/${total} — ${describeChunk(result.chunk, documents)}>>>`;
+      return result.ok
+        ? `${header}\n${result.text}\n<<<КОНЕЦ ЧАСТИ ${result.chunk.index + 1}>>>`
+        : `${header}\nЧасть не проанализирована: ${result.error || 'пустой ответ модели'}`;
+    })
+    .join('\n\n');
+  const universalText = sanitizeText(universalPromptText || '');
+  const consolidationPayload = {
+    model: config.consolidationModel,
+    input: [
+      { role: 'developer', content: [{ type: 'input_text', text: config.prompts.consolidation }] },
+      {
+        role: 'user',
+        content: [
+          {
+            type: 'input_text',
+            text: [
+              universalText ? `[Универсальный формат отчёта — соблюдай структуру ниже]\n${universalText}` : null,
+              sharedContext || null,
+              `Частичные отчёты (${total}):\n\n${partReports}`
+            ]
+              .filter(Boolean)
+              .join('\n\n')
+          }
+        ]
+      }
+    ],
+    metadata: { ...metadata, purpose: 'analysis-consolidation' }
+  };
+  applyWebSearchSettings({
+    payload: consolidationPayload,
+    enabled: Boolean(config.consolidationWebSearchEnabled),
+    depth: 'medium',
+    log,
+    scope: 'consolidation'
+  });
+  applyReasoningSettings(consolidationPayload, config.consolidationReasoningEffort || '', {
+    log,
+    scope: 'consolidation'
+  });
+  log({
+    level: 'info',
+    message: `Сводим ${partResults.filter((result) => result.ok).length} из ${total} частей в ${config.consolidationModel}`,
+    scope: 'analysis'
+  });
+  const responseJson = await executeRequest(apiKey, consolidationPayload);
+  const responses = [...partResults.map((result) => result.responseJson), responseJson].filter(Boolean);
+
+  return {
+    responseJson,
+    reportText: collectOutputText(responseJson),
+    sources: responses
+      .flatMap((response) => extractWebSources(response))
+      .filter((source, index, list) => list.findIndex((item) => item.url === source.url && item.title === source.title) === index)
+      .slice(0, 10),
+    usage: sumUsage(responses.map((response) => response.usage)),
+    chunked: {
+      chunkCount: total,
+      failedChunks: partResults.filter((result) => !result.ok).map((result) => result.chunk.index + 1),
+      chunks: partResults.map((result) => ({
+        part: result.chunk.index + 1,
+        description: describeChunk(result.chunk, documents),
+        length: result.chunk.length,
+        ok: result.ok
+      }))
+    }
+  };
+};
+
 export async function analyzeDocuments({
   apiKey,
   documents = [],
   settings = {},
   userPrompt = '',
   onLog,
-  adaptive = null
+  adaptive = null,
+  operatorContext = ''
 }) {
   if (!apiKey) {
     throw new Error('Укажите API-ключ OpenAI.');
@@ -1631,7 +2517,7 @@ export async function analyzeDocuments({
     }
   };
 
-  log('Запуск анализа документа', 'info');
+  log(documents.length > 1 ? `Запуск анализа пакета из ${documents.length} документов` : 'Запуск анализа документа', 'info');
 
   const config = {
     ...DEFAULT_ANALYSIS_SETTINGS,
@@ -1655,9 +2541,13 @@ export async function analyzeDocuments({
     config.analysisModel,
     DEFAULT_ANALYSIS_SETTINGS.analysisModel
   );
+  config.consolidationModel = resolveModelId(config.consolidationModel, config.analysisModel);
 
   const { localeHint } = config;
-  const [document] = documents;
+  const packageDocuments = documents.filter(Boolean);
+  const isPackage = packageDocuments.length > 1;
+  const chunkSettings = resolveChunkSettings(config);
+  const useChunks = shouldUseChunkedAnalysis(packageDocuments, chunkSettings);
   const baseAnalysisPrompt = resolveAnalysisPrompt(config);
   const model = config.analysisModel;
 
@@ -1683,6 +2573,10 @@ export async function analyzeDocuments({
     ? adaptiveInfo.answerInstructions.map((item) => sanitizeText(item)).filter(Boolean)
     : normalizeInstructionLines(adaptiveInfo.answerInstructions);
   const adaptiveAnswerText = adaptiveAnswerInstructions.join('\n');
+  const operatorContextText = sanitizeText(operatorContext || '');
+  if (operatorContextText) {
+    log({ level: 'info', message: 'Добавляем сопроводительное письмо как контекст анализа', scope: 'email' });
+  }
 
   if (adaptivePromptAddendum) {
     log({ level: 'info', message: 'Используем адаптивное дополнение к промту', scope: 'adaptive' });
@@ -1710,62 +2604,43 @@ export async function analyzeDocuments({
     log({ level: 'info', message: `Подсказка по оформлению: ${adaptiveLayoutBrief}`, scope: 'adaptive' });
   }
 
-  const imageParts = buildImageParts(document);
-  let originalFileUpload = null;
-
-  const attachmentsInfo = [];
-  const meta = document?.meta || {};
-  if (Array.isArray(meta.pageImages) && meta.pageImages.length) {
-    const pageNumbers = meta.pageImages
-      .map((img) => (Number.isFinite(Number(img?.page)) ? Number(img.page) : null))
-      .filter((page) => Number.isFinite(page))
-      .sort((a, b) => a - b);
-    if (pageNumbers.length) {
-      attachmentsInfo.push(
-        `Cloudinary page previews (${pageNumbers.length}): страницы ${pageNumbers.join(', ')}`
-      );
-    } else {
-      attachmentsInfo.push(`Cloudinary page previews: ${meta.pageImages.length} шт.`);
-    }
-  }
-  if (meta?.cloudinary?.fileUrl) {
-    attachmentsInfo.push(`Original file (Cloudinary): ${meta.cloudinary.fileUrl}`);
-  }
-  if (meta?.cloudinary?.archiveUrl) {
-    attachmentsInfo.push(`Archive with page images: ${meta.cloudinary.archiveUrl}`);
-  }
-
-  try {
-    originalFileUpload = await uploadOriginalDocument({ apiKey, document, log });
-  } catch (fileError) {
-    log({
-      level: 'error',
-      message: 'Ошибка загрузки исходного файла в OpenAI',
-      scope: 'openai',
-      error: fileError?.message || String(fileError)
-    });
-    originalFileUpload = null;
-  }
+  // В режиме по частям модель получает только текст своей части, поэтому
+  // изображения страниц и оригиналы файлов не передаём
+  const imageParts = useChunks ? [] : buildPackageImageParts(packageDocuments);
+  const attachmentsInfo = useChunks ? [] : buildPackageAttachmentsInfo(packageDocuments);
+
+  const originalFileUploads = useChunks
+    ? []
+    : await uploadPackageOriginals({
+        apiKey,
+        documents: packageDocuments,
+        log,
+        onError: (fileError) => {
+          log({
+            level: 'error',
+            message: 'Ошибка загрузки исходного файла в OpenAI',
+            scope: 'openai',
+            error: fileError?.message || String(fileError)
+          });
+        }
+      });
 
-  if (originalFileUpload?.fileId) {
-    const formattedSize = formatBytes(originalFileUpload.bytes);
-    const parts = [`file_id ${originalFileUpload.fileId}`];
+  originalFileUploads.forEach((upload) => {
+    const formattedSize = formatBytes(upload.bytes);
+    const parts = [`file_id ${upload.fileId}`];
     if (formattedSize) {
       parts.push(formattedSize);
     }
-    attachmentsInfo.push(`Original file uploaded to OpenAI — ${parts.join(', ')}`);
-  }
+    const prefix = upload.label ? `${upload.label}: ` : '';
+    attachmentsInfo.push(`${prefix}Original file uploaded to OpenAI — ${parts.join(', ')}`);
+  });
 
   const ragInfo = { used: false, context: '', references: [], queries: [], hits: [] };
 
-  const fileParts = originalFileUpload?.fileId
-    ? [
-        {
-          type: 'input_file',
-          file_id: originalFileUpload.fileId
-        }
-      ]
-    : [];
+  const fileParts = originalFileUploads.map((upload) => ({
+    type: 'input_file',
+    file_id: upload.fileId
+  }));
 
   const effectivePromptId = adaptiveDeveloperPrompt ? 'adaptive-developer' : 'analysis-base';
   const effectivePromptName = adaptiveDeveloperPrompt
@@ -1785,7 +2660,7 @@ export async function analyzeDocuments({
   });
 
   const { messages, summary } = buildInputMessages({
-    document,
+    documents: packageDocuments,
     userPrompt,
     localeHint: localeHint?.trim() || '',
     developerPromptText,
@@ -1796,7 +2671,8 @@ export async function analyzeDocuments({
     attachmentsInfo,
     adaptivePromptDisplay: adaptivePromptAddendum,
     adaptiveAnswerText,
-    adaptiveSummary
+    adaptiveSummary,
+    operatorContext: operatorContextText
   });
 
   if (attachmentsInfo.length) {
@@ -1809,15 +2685,11 @@ export async function analyzeDocuments({
           .join(', ')}`
       );
     }
-    if (imageParts.length) {
-      const pages = Array.isArray(document?.meta?.pageImages)
-        ? document.meta.pageImages
-            .map((img) => (Number.isFinite(Number(img?.page)) ? Number(img.page) : null))
-            .filter((page) => Number.isFinite(page))
-            .sort((a, b) => a - b)
-        : [];
-      const label = pages.length ? `pages ${pages.join(', ')}` : `${imageParts.length} шт.`;
-      partSummary.push(`input_image: ${imageParts.length} (${label})`);
+    const imageCount = imageParts.filter((part) => part.type === 'input_image').length;
+    if (imageCount) {
+      const { imagePages: pages } = describePackageImages(packageDocuments);
+      const label = pages.length ? `pages ${pages.join(', ')}` : `${imageCount} шт.`;
+      partSummary.push(`input_image: ${imageCount} (${label})`);
     }
 
     log({
@@ -1829,7 +2701,7 @@ export async function analyzeDocuments({
   } else {
     log({
       level: 'info',
-      message: 'Документ передан без дополнительных вложений',
+      message: isPackage ? 'Документы переданы без дополнительных вложений' : 'Документ передан без дополнительных вложений',
       scope: 'openai'
     });
   }
@@ -1856,6 +2728,11 @@ export async function analyzeDocuments({
       ragContextIncluded: summary.ragContextIncluded,
       userPromptIncluded: summary.userPromptIncluded,
       localeHintIncluded: summary.localeHintIncluded,
+      documentCount: summary.documentCount,
+      documents: summary.documents,
+      revisionCount: summary.revisionCount,
+      commentCount: summary.commentCount,
+      chunkedAnalysis: useChunks,
       ...textInfo,
       ...imageInfo,
       originalFileUploaded: summary.filePartsIncluded
@@ -1912,13 +2789,23 @@ export async function analyzeDocuments({
     setMetadata('attachments_detail', attachmentsInfo.join('\n'));
   }
   setMetadata('ragUsed', String(Boolean(ragInfo.used && ragInfo.context)));
-  setMetadata('originalFileUploaded', String(Boolean(originalFileUpload?.fileId)));
-  if (originalFileUpload?.fileId) {
-    setMetadata('originalFileId', originalFileUpload.fileId);
-    if (Number.isFinite(Number(originalFileUpload.bytes))) {
-      setMetadata('originalFileSize', String(originalFileUpload.bytes));
-    } else if (Number.isFinite(Number(meta?.originalSize))) {
-      setMetadata('originalFileSize', String(Number(meta.originalSize)));
+  setMetadata('originalFileUploaded', String(originalFileUploads.length > 0));
+  if (isPackage) {
+    setMetadata('documentCount', String(packageDocuments.length));
+  }
+  const reviewMarks = countReviewMarks(packageDocuments);
+  if (reviewMarks.revisions || reviewMarks.comments) {
+    setMetadata('revisionCount', String(reviewMarks.revisions));
+    setMetadata('commentCount', String(reviewMarks.comments));
+  }
+  if (originalFileUploads.length) {
+    setMetadata('originalFileId', originalFileUploads.map((upload) => upload.fileId).join(','));
+    const totalBytes = originalFileUploads.reduce((sum, upload) => {
+      const bytes = Number(upload.bytes);
+      return Number.isFinite(bytes) ? sum + bytes : sum;
+    }, 0);
+    if (totalBytes > 0) {
+      setMetadata('originalFileSize', String(totalBytes));
     }
   }
   if (adaptiveSummary?.documentType) {
@@ -1968,45 +2855,79 @@ export async function analyzeDocuments({
     });
   }
 
-  const payload = {
-    model,
-    input: messages,
-    metadata
-  };
+  let responseJson;
+  let reportText;
+  let sources;
+  let usage;
+  let chunkedInfo = null;
+
+  if (useChunks) {
+    setMetadata('chunkedAnalysis', 'true');
+    const sharedContext = [
+      userPrompt?.trim() ? `Additional instructions from operator:\n${userPrompt.trim()}` : null,
+      adaptiveAnswerText ? `Operator responses to adaptive questions:\n${adaptiveAnswerText}` : null,
+      operatorContextText ? formatOperatorContext(operatorContextText) : null,
+      localeHint?.trim() ? `Locale hint: ${localeHint.trim()}` : null,
+      formatAdaptiveSummary(adaptiveSummary) || null,
+      isPackage ? formatPackageManifest(packageDocuments) : null
+    ]
+      .filter(Boolean)
+      .join('\n\n');
+    const chunkedResult = await runChunkedAnalysis({
+      apiKey,
+      config,
+      chunkSettings,
+      documents: packageDocuments,
+      developerPromptText,
+      universalPromptText,
+      sharedContext,
+      metadata,
+      log
+    });
+    ({ responseJson, reportText, sources, usage } = chunkedResult);
+    chunkedInfo = chunkedResult.chunked;
+  } else {
+    const payload = {
+      model,
+      input: messages,
+      metadata
+    };
 
-  const webSearchApplied = applyWebSearchSettings({
-    payload,
-    enabled: analysisWebSearchEnabled,
-    depth: analysisWebSearchEnabled ? 'medium' : 'low',
-    log,
-    scope: 'analysis'
-  });
-  if (!webSearchApplied) {
-    log('Web search отключен для основного анализа', 'debug');
-  }
-  applyReasoningSettings(payload, analysisReasoningEffort, { log, scope: 'analysis' });
+    const webSearchApplied = applyWebSearchSettings({
+      payload,
+      enabled: analysisWebSearchEnabled,
+      depth: analysisWebSearchEnabled ? 'medium' : 'low',
+      log,
+      scope: 'analysis'
+    });
+    if (!webSearchApplied) {
+      log('Web search отключен для основного анализа', 'debug');
+    }
+    applyReasoningSettings(payload, analysisReasoningEffort, { log, scope: 'analysis' });
 
-  log({
-    level: 'info',
-    message: `Отправляем запрос в ${model}`,
-    scope: 'analysis',
-    model,
-    webSearch: Boolean(config.analysisWebSearchEnabled),
-    reasoning: analysisReasoningEffort || 'auto',
-    attachments: attachmentsInfo,
-    adaptivePrompt: Boolean(adaptiveDeveloperPrompt || adaptivePromptAddendum)
-  });
-  const responseJson = await executeRequest(apiKey, payload);
-  const reportText = collectOutputText(responseJson);
-  const sources = extractWebSources(responseJson);
+    log({
+      level: 'info',
+      message: `Отправляем запрос в ${model}`,
+      scope: 'analysis',
+      model,
+      webSearch: Boolean(config.analysisWebSearchEnabled),
+      reasoning: analysisReasoningEffort || 'auto',
+      attachments: attachmentsInfo,
+      adaptivePrompt: Boolean(adaptiveDeveloperPrompt || adaptivePromptAddendum)
+    });
+    responseJson = await executeRequest(apiKey, payload);
+    reportText = collectOutputText(responseJson);
+    sources = extractWebSources(responseJson);
+    usage = responseJson?.usage || null;
+  }
 
   const layoutResult = null;
 
   log({
     level: 'info',
-    message: `Ответ от ${model}`,
-    model,
-    tokens: responseJson?.usage?.total_tokens || null,
+    message: useChunks ? `Сводный отчёт от ${config.consolidationModel}` : `Ответ от ${model}`,
+    model: useChunks ? config.consolidationModel : model,
+    tokens: usage?.total_tokens || null,
     webSources: sources.length,
     ragUsed: Boolean(ragInfo.used),
     outputPreview: reportText ? reportText.slice(0, 200) : ''
@@ -2015,8 +2936,9 @@ export async function analyzeDocuments({
   return {
     reportText,
     model,
-    usage: responseJson?.usage || null,
+    usage,
     sources,
+    chunked: chunkedInfo,
     rag: ragInfo,
     prompt: {
       id: effectivePromptId,
@@ -2090,8 +3012,205 @@ export async function formatAnalysisLayout({
     log,
     webSearchEnabled: Boolean(config.layoutWebSearchEnabled),
     webSearchDepth: config.layoutWebSearchEnabled ? 'medium' : 'low',
-    reasoningEffort: config.layoutReasoningEffort
+    reasoningEffort: config.layoutReasoningEffort,
+    inputLimit: Math.max(MAX_LAYOUT_INPUT_CHARS, resolveChunkSettings(config).maxChars)
   });
 
   return result;
 }
+
+const MAX_BILINGUAL_INPUT_CHARS = 60_000;
+const MAX_BILINGUAL_DIVERGENCES = 30;
+const BILINGUAL_DIVERGENCE_TYPES = new Set(['amount', 'date', 'deadline', 'obligation', 'other']);
+const BILINGUAL_SEVERITIES = new Set(['high', 'medium', 'low']);
+const PRECHECK_TYPES = { amount: 'amount', percent: 'amount', date: 'date', deadline: 'deadline' };
+const PRECHECK_LABELS = { amount: 'суммы', percent: 'проценты', date: 'даты', deadline: 'сроки' };
+
+const clipQuote = (value, limit = 200) => {
+  const text = sanitizeText(value).replace(/\s+/g, ' ');
+  return text.length > limit ? `${text.slice(0, limit - 1)}…` : text;
+};
+
+// Без ответа модели показываем отметки предварительной сверки
+const buildPrecheckDivergences = (alignment) =>
+  alignment.pairs
+    .filter((pair) => pair.hints.length)
+    .slice(0, MAX_BILINGUAL_DIVERGENCES)
+    .map((pair) => ({
+      pair: pair.id,
+      ref: pair.ref,
+      type: PRECHECK_TYPES[pair.hints[0].type] || 'other',
+      severity: 'medium',
+      left: clipQuote(pair.left?.text),
+      right: clipQuote(pair.right?.text),
+      issue: pair.hints
+        .map(
+          (hint) =>
+            `${PRECHECK_LABELS[hint.type] || hint.type}: ${hint.left.join(', ') || '—'} против ${hint.right.join(', ') || '—'}`
+        )
+        .join('; ')
+    }));
+
+const normalizeBilingualDivergences = (value, alignment) => {
+  if (!Array.isArray(value)) return [];
+  return value
+    .map((item) => {
+      if (!item || typeof item !== 'object') return null;
+      const issue = sanitizeText(item.issue || item.description || '');
+      if (!issue) return null;
+      const pairId = sanitizeText(item.pair || '').toUpperCase();
+      const pair = alignment.pairs.find((entry) => entry.id === pairId);
+      const type = sanitizeText(item.type || '').toLowerCase();
+      const severity = sanitizeText(item.severity || '').toLowerCase();
+      return {
+        pair: pair ? pair.id : pairId,
+        ref: sanitizeText(item.ref || '') || pair?.ref || '',
+        type: BILINGUAL_DIVERGENCE_TYPES.has(type) ? type : 'other',
+        severity: BILINGUAL_SEVERITIES.has(severity) ? severity : 'medium',
+        left: clipQuote(item.left || pair?.left?.text),
+        right: clipQuote(item.right || pair?.right?.text),
+        issue
+      };
+    })
+    .filter(Boolean)
+    .slice(0, MAX_BILINGUAL_DIVERGENCES);
+};
+
+/**
+ * Отдельный проход по двуязычным документам: выравнивает пункты языковых
+ * версий (bilingual.js) и просит модель перечислить расхождения в суммах,
+ * датах, сроках и обязательствах. Возвращает null, если двуязычных
+ * документов нет или сверка отключена; иначе
+ * { model, usage, documents: [{ documentLabel, documentName, languages, source,
+ *   pairCount, checkedPairs, summary, divergences, checkedBy }] }.
+ */
+export async function checkBilingualDivergence({ apiKey, documents = [], settings = {}, onLog }) {
+  if (!apiKey) {
+    throw new Error('Укажите API-ключ OpenAI.');
+  }
+
+  const log = (message, level = 'info', extra = {}) => {
+    if (typeof onLog === 'function') {
+      const entry = typeof message === 'string' ? { message } : { ...message };
+      entry.level = entry.level || level;
+      entry.at = entry.at || new Date().toISOString();
+      entry.scope = entry.scope || 'bilingual';
+      Object.assign(entry, extra);
+      onLog(entry);
+    }
+  };
+
+  const config = {
+    ...DEFAULT_ANALYSIS_SETTINGS,
+    ...(settings || {})
+  };
+  config.prompts = mergePromptSettings(settings?.prompts);
+  config.bilingualModel = resolveModelId(config.bilingualModel, DEFAULT_ANALYSIS_SETTINGS.bilingualModel);
+
+  if (config.bilingualCheckMode === 'off') {
+    return null;
+  }
+
+  const targets = documents
+    .map((document, index) => ({ document, index, alignment: buildBilingualAlignment(document) }))
+    .filter((target) => target.alignment);
+  if (!targets.length) {
+    return null;
+  }
+
+  const usages = [];
+  const results = [];
+  for (const { document, index, alignment } of targets) {
+    const documentLabel = documents.length > 1 ? resolveDocumentLabel(index) : '';
+    const documentName = resolveDocumentName(document);
+    const { text, included, total } = formatAlignmentForModel(alignment, { charLimit: MAX_BILINGUAL_INPUT_CHARS });
+    const base = {
+      documentLabel,
+      documentName,
+      languages: alignment.languages,
+      source: alignment.source,
+      pairCount: total,
+      checkedPairs: included
+    };
+    log({
+      level: 'info',
+      message: `Сверяем языковые версии ${alignment.languages.join('/')}${documentLabel ? ` (${documentLabel})` : ''}: пар ${total}, отмечено предварительной сверкой ${alignment.flaggedCount}`,
+      model: config.bilingualModel
+    });
+
+    const payload = {
+      model: config.bilingualModel,
+      input: [
+        { role: 'developer', content: [{ type: 'input_text', text: config.prompts.bilingual }] },
+        {
+          role: 'user',
+          content: [
+            {
+              type: 'input_text',
+              text: [
+                `Document name: ${documentName}`,
+                `Language versions: ${alignment.languages.join(' | ')}`,
+                included < total ? `Note: ${included} of ${total} aligned pairs are included; flagged pairs go first.` : null,
+                `Aligned pairs:\n\n${text}`
+              ]
+                .filter(Boolean)
+                .join('\n')
+            }
+          ]
+        }
+      ],
+      metadata: {
+        purpose: 'bilingual-check',
+        documentName: clampMetadataValue(documentName, 200) || '',
+        languages: alignment.languages.join('/'),
+        pairs: String(total)
+      }
+    };
+    applyWebSearchSettings({
+      payload,
+      enabled: Boolean(config.bilingualWebSearchEnabled),
+      depth: 'low',
+      log,
+      scope: 'bilingual'
+    });
+    applyReasoningSettings(payload, config.bilingualReasoningEffort || '', { log, scope: 'bilingual' });
+
+    try {
+      const responseJson = await executeRequest(apiKey, payload);
+      usages.push(responseJson?.usage);
+      const parsed = extractFirstJsonObject(collectOutputText(responseJson));
+      if (!parsed) {
+        throw new Error('модель не вернула корректный JSON');
+      }
+      const divergences = normalizeBilingualDivergences(parsed.divergences, alignment);
+      log({
+        level: 'info',
+        message: `Расхождений языковых версий: ${divergences.length}`,
+        tokens: responseJson?.usage?.total_tokens || null
+      });
+      results.push({
+        ...base,
+        summary: sanitizeText(parsed.summary || ''),
+        divergences,
+        checkedBy: 'model'
+      });
+    } catch (error) {
+      log({
+        level: 'warn',
+        message: `Сверка языковых версий моделью не удалась: ${error?.message || error}. Показываем предварительную сверку`
+      });
+      results.push({
+        ...base,
+        summary: '',
+        divergences: buildPrecheckDivergences(alignment),
+        checkedBy: 'pre-check'
+      });
+    }
+  }
+
+  return {
+    model: config.bilingualModel,
+    usage: sumUsage(usages),
+    documents: results
+  };
+}
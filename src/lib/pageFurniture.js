@@ -0,0 +1,198 @@
+/*
+ * Колонтитулы и номера страниц
+ *
+ * Бегущие шапки («Договор № 15/2024, стр. 3 из 12»), подвалы с местом для
+ * инициалов и номера страниц повторяются на каждой странице, съедают бюджет
+ * текста и рвут пункты договора на границах страниц. Находим строки у верхнего
+ * и нижнего края, которые повторяются на нескольких страницах (цифры не
+ * учитываем, для OCR сравнение нечёткое), и убираем их из текста. Сами
+ * колонтитулы и счётчики страниц остаются в meta.pageFurniture.
+ */
+
+// Сколько строк у каждого края страницы проверяем
+const EDGE_LINES = 3;
+// Доля высоты страницы (или текста, если высота неизвестна), которую считаем краем
+const EDGE_ZONE = 0.15;
+const MIN_REPEAT_SHARE = 0.3;
+const MAX_FURNITURE_CHARS = 160;
+// Похожесть строк по биграммам: OCR читает один и тот же колонтитул с ошибками
+const MIN_SIMILARITY = 0.8;
+// Строка с номером пункта — начало текста договора, а не колонтитул
+const CLAUSE_START = /^\d+(?:\.\d+)*\.\s*\p{L}/u;
+
+const COUNTER_PATTERNS = [
+  /(?:^|[^\p{L}])(?:стр(?:аница)?|лист|page|p)\.?\s*(\d{1,4})(?:\s*(?:из|of|\/)\s*(\d{1,4}))?/iu,
+  /^[\s\-–—]*(\d{1,4})(?:\s*(?:из|of|\/)\s*(\d{1,4}))?[\s\-–—]*$/i
+];
+
+const normalizeKey = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .replace(/ё/g, 'е')
+    .replace(/\d+/g, '#')
+    .replace(/_+/g, '_')
+    .replace(/[^\p{L}#_]+/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const bigrams = (key) => {
+  const result = new Map();
+  for (let index = 0; index < key.length - 1; index += 1) {
+    const pair = key.slice(index, index + 2);
+    result.set(pair, (result.get(pair) || 0) + 1);
+  }
+  return result;
+};
+
+const similarity = (left, right) => {
+  if (left === right) return 1;
+  if (left.length < 2 || right.length < 2) return 0;
+  const a = bigrams(left);
+  const b = bigrams(right);
+  let shared = 0;
+  a.forEach((count, pair) => {
+    shared += Math.min(count, b.get(pair) || 0);
+  });
+  return (2 * shared) / (left.length - 1 + right.length - 1);
+};
+
+export const parsePageCounter = (text) => {
+  for (const pattern of COUNTER_PATTERNS) {
+    const match = String(text || '').match(pattern);
+    if (match) {
+      return { number: Number(match[1]), total: match[2] ? Number(match[2]) : null };
+    }
+  }
+  return null;
+};
+
+// Кандидаты — первые и последние строки страницы, лежащие в краевой зоне
+const collectCandidates = (page, pageIndex) => {
+  const lines = (page.lines || [])
+    .map((line, lineIndex) => ({ ...line, lineIndex, key: normalizeKey(line.text) }))
+    .filter(
+      (line) => line.key && !line.skip && line.text.length <= MAX_FURNITURE_CHARS && !CLAUSE_START.test(line.text.trim())
+    );
+  if (!lines.length) return [];
+  const sorted = [...lines].sort((a, b) => a.top - b.top);
+  const top = page.height ? 0 : sorted[0].top;
+  const bottom = page.height || Math.max(...lines.map((line) => line.bottom));
+  const zone = (bottom - top) * EDGE_ZONE;
+  const header = sorted.slice(0, EDGE_LINES).filter((line) => line.top <= top + zone);
+  const footer = sorted
+    .slice(-EDGE_LINES)
+    .filter((line) => line.bottom >= bottom - zone && !header.includes(line));
+  return [
+    ...header.map((line) => ({ ...line, pageIndex, zone: 'header' })),
+    ...footer.map((line) => ({ ...line, pageIndex, zone: 'footer' }))
+  ];
+};
+
+const groupCandidates = (candidates) => {
+  const groups = [];
+  candidates.forEach((candidate) => {
+    const group = groups.find(
+      (item) => item.zone === candidate.zone && similarity(item.key, candidate.key) >= MIN_SIMILARITY
+    );
+    if (group) {
+      group.members.push(candidate);
+    } else {
+      groups.push({ zone: candidate.zone, key: candidate.key, members: [candidate] });
+    }
+  });
+  return groups;
+};
+
+// Номера страниц по колонтитулам: сбитая нумерация или другое общее число страниц —
+// признак пропущенного или подменённого листа
+const collectCounters = (furnitureLines, pageCount) => {
+  const counters = [];
+  furnitureLines.forEach(({ page, text }) => {
+    if (counters.some((item) => item.page === page)) return;
+    const counter = parsePageCounter(text);
+    if (counter) counters.push({ page, ...counter });
+  });
+  counters.sort((a, b) => a.page - b.page);
+  const first = counters[0];
+  const mismatches = first
+    ? counters.filter((item) => item.number - first.number !== item.page - first.page).map((item) => item.page)
+    : [];
+  const totals = Array.from(new Set(counters.map((item) => item.total).filter(Boolean)));
+  return {
+    counters,
+    counterMismatches: mismatches,
+    declaredTotals: totals,
+    totalMismatch: totals.some((total) => total !== pageCount)
+  };
+};
+
+/**
+ * Находит колонтитулы. pages — [{ page, height, lines: [{ text, top, bottom, skip }] }],
+ * где page — номер страницы, height — высота страницы в тех же единицах, что и
+ * координаты строк (если неизвестна, край считается по крайним строкам текста),
+ * skip — строка не может быть колонтитулом (например, таблица).
+ * known — результат для других страниц того же документа: его колонтитулы
+ * убираются даже с одной страницы.
+ * @returns {{ removed: Array<Map<number, 'header'|'footer'>>, furniture: object|null }}
+ */
+export const detectPageFurniture = (pages, { known = null, pageCount = pages.length } = {}) => {
+  const removed = pages.map(() => new Map());
+  const candidates = pages.flatMap(collectCandidates);
+  if (!candidates.length) return { removed, furniture: known };
+
+  const knownKeys = known
+    ? [
+        ...(known.headers || []).map((item) => ({ zone: 'header', key: normalizeKey(item.text) })),
+        ...(known.footers || []).map((item) => ({ zone: 'footer', key: normalizeKey(item.text) }))
+      ]
+    : [];
+  const minPages = Math.max(2, Math.ceil(pages.length * MIN_REPEAT_SHARE));
+  const accepted = groupCandidates(candidates).filter((group) => {
+    const pageSet = new Set(group.members.map((member) => member.pageIndex));
+    return (
+      pageSet.size >= minPages
+      || knownKeys.some((item) => item.zone === group.zone && similarity(item.key, group.key) >= MIN_SIMILARITY)
+    );
+  });
+  if (!accepted.length) return { removed, furniture: known };
+
+  const furnitureLines = [];
+  const entries = { header: [], footer: [] };
+  accepted.forEach((group) => {
+    group.members.forEach((member) => {
+      removed[member.pageIndex].set(member.lineIndex, group.zone);
+      furnitureLines.push({ page: pages[member.pageIndex].page, text: member.text });
+    });
+    entries[group.zone].push({
+      text: group.members[0].text,
+      pages: Array.from(new Set(group.members.map((member) => pages[member.pageIndex].page))).sort((a, b) => a - b)
+    });
+  });
+
+  const merge = (previous = [], next = []) => {
+    const result = previous.map((item) => ({ ...item, pages: [...item.pages] }));
+    next.forEach((entry) => {
+      const match = result.find((item) => similarity(normalizeKey(item.text), normalizeKey(entry.text)) >= MIN_SIMILARITY);
+      if (match) {
+        match.pages = Array.from(new Set([...match.pages, ...entry.pages])).sort((a, b) => a - b);
+      } else {
+        result.push(entry);
+      }
+    });
+    return result;
+  };
+  const lines = [
+    ...(known?.lines || []).filter((line) => !furnitureLines.some((item) => item.page === line.page)),
+    ...furnitureLines
+  ];
+  return {
+    removed,
+    furniture: {
+      headers: merge(known?.headers, entries.header),
+      footers: merge(known?.footers, entries.footer),
+      lines,
+      ...collectCounters(lines, pageCount),
+      removedChars: lines.reduce((sum, line) => sum + line.text.length, 0)
+    }
+  };
+};
@@ -0,0 +1,191 @@
+/*
+ * Служебные данные PDF
+ *
+ * Кроме текста PDF хранит свойства документа (Info и XMP), поля формы AcroForm
+ * и аннотации. Юристам они нужны как сигналы: незаполненные поля формы, дата
+ * изменения позже даты создания, дописанные после подписи инкрементальные
+ * обновления, комментарии и пометки контрагента прямо в файле.
+ */
+
+const MAX_PDF_ANNOTATIONS = 200;
+const MAX_PDF_FIELDS = 300;
+const MAX_VALUE_CHARS = 200;
+// Расхождение дат меньше минуты — обычное сохранение при создании файла
+const MODIFICATION_TOLERANCE_MS = 60 * 1000;
+const SKIPPED_ANNOTATION_TYPES = new Set(['Link', 'Widget', 'Popup']);
+const INFO_FIELDS = ['Title', 'Author', 'Subject', 'Keywords', 'Creator', 'Producer'];
+const XMP_FIELDS = {
+  'dc:title': 'title',
+  'dc:creator': 'creator',
+  'xmp:creatortool': 'creatorTool',
+  'pdf:producer': 'producer',
+  'xmp:createdate': 'createdAt',
+  'xmp:modifydate': 'modifiedAt',
+  'xmp:metadatadate': 'metadataAt'
+};
+
+const clip = (value) => {
+  const text = String(value ?? '').replace(/\s+/g, ' ').trim();
+  return text.length > MAX_VALUE_CHARS ? `${text.slice(0, MAX_VALUE_CHARS)}…` : text;
+};
+
+// Дата PDF: D:YYYYMMDDHHmmSSOHH'mm' — всё после года необязательно
+export const parsePdfDate = (value) => {
+  if (typeof value !== 'string') return null;
+  const match = value
+    .trim()
+    .match(/^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?\s*([Zz+-])?(\d{2})?'?(\d{2})?'?/);
+  if (!match) {
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : new Date(parsed).toISOString();
+  }
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', sign, offsetHour = '00', offsetMinute = '00'] = match;
+  let time = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+  if (sign === '+' || sign === '-') {
+    const offset = (Number(offsetHour) * 60 + Number(offsetMinute)) * 60 * 1000;
+    time += sign === '+' ? -offset : offset;
+  }
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+};
+
+const toIsoDate = (value) => {
+  if (!value) return null;
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? parsePdfDate(value) : new Date(parsed).toISOString();
+};
+
+// Каждый %%EOF после первого — дописанная к файлу редакция; у линеаризованного
+// файла первый раздел с %%EOF служебный
+export const countIncrementalUpdates = (buffer) => {
+  if (!buffer || !buffer.byteLength) return 0;
+  const bytes = new Uint8Array(buffer);
+  const marker = [0x25, 0x25, 0x45, 0x4f, 0x46];
+  let count = 0;
+  for (let index = bytes.indexOf(0x25); index >= 0 && index <= bytes.length - marker.length; index = bytes.indexOf(0x25, index + 1)) {
+    if (marker.every((byte, offset) => bytes[index + offset] === byte)) count += 1;
+  }
+  const head = new TextDecoder('latin1').decode(bytes.subarray(0, 1024));
+  const sections = /\/Linearized\b/.test(head) ? count - 1 : count;
+  return Math.max(0, sections - 1);
+};
+
+const readXmp = (metadata) => {
+  if (!metadata) return null;
+  const all = typeof metadata.getAll === 'function' ? metadata.getAll() : {};
+  const entries = all instanceof Map ? Array.from(all.entries()) : Object.entries(all || {});
+  const xmp = {};
+  entries.forEach(([key, value]) => {
+    const field = XMP_FIELDS[String(key).toLowerCase()];
+    if (!field || value == null) return;
+    const text = clip(Array.isArray(value) ? value.join(', ') : value);
+    if (!text) return;
+    xmp[field] = field.endsWith('At') ? toIsoDate(text) || text : text;
+  });
+  return Object.keys(xmp).length ? xmp : null;
+};
+
+const isFieldFilled = (type, value) => {
+  if (Array.isArray(value)) return value.some((item) => String(item ?? '').trim());
+  if (type === 'checkbox' || type === 'radiobutton') return Boolean(value) && value !== 'Off';
+  return String(value ?? '').trim() !== '';
+};
+
+// Поля формы: у одного имени может быть несколько виджетов (группа переключателей)
+const readFormFields = (fieldObjects) => {
+  if (!fieldObjects || typeof fieldObjects !== 'object') return [];
+  return Object.entries(fieldObjects)
+    .map(([name, widgets]) => {
+      const list = (Array.isArray(widgets) ? widgets : [widgets]).filter((item) => item?.type);
+      if (!list.length) return null;
+      const { type } = list[0];
+      if (type === 'button' || list.every((item) => item.hidden)) return null;
+      const value = list.find((item) => isFieldFilled(type, item.value))?.value ?? list[0].value ?? null;
+      const pages = Array.from(
+        new Set(list.map((item) => (Number.isInteger(item.page) ? item.page + 1 : null)).filter(Boolean))
+      );
+      return {
+        name: clip(name),
+        type,
+        value: type === 'signature' ? null : clip(Array.isArray(value) ? value.join(', ') : value) || null,
+        // У подписи pdf.js не отдаёт значение — заполненность определяем по флагам документа
+        filled: type === 'signature' ? null : isFieldFilled(type, value),
+        readOnly: list.every((item) => item.editable === false),
+        pages
+      };
+    })
+    .filter(Boolean)
+    .slice(0, MAX_PDF_FIELDS);
+};
+
+const readAnnotations = (items, pageNumber) =>
+  (Array.isArray(items) ? items : [])
+    .filter((item) => item?.subtype && !SKIPPED_ANNOTATION_TYPES.has(item.subtype))
+    .map((item) => ({
+      page: pageNumber,
+      type: item.subtype,
+      author: clip(item.titleObj?.str ?? item.title) || null,
+      text: clip(item.contentsObj?.str ?? item.contents ?? item.richText?.str) || null,
+      modifiedAt: parsePdfDate(item.modificationDate),
+      createdAt: parsePdfDate(item.creationDate),
+      ...(item.inReplyTo ? { inReplyTo: item.inReplyTo } : {})
+    }));
+
+const buildSignals = ({ info, xmp, fields, incrementalUpdates }) => {
+  const createdAt = info.createdAt || xmp?.createdAt || null;
+  const modifiedAt = info.modifiedAt || xmp?.modifiedAt || null;
+  const created = createdAt ? Date.parse(createdAt) : NaN;
+  const modified = modifiedAt ? Date.parse(modifiedAt) : NaN;
+  const modifiedAfterCreation =
+    !Number.isNaN(created) && !Number.isNaN(modified) && modified - created > MODIFICATION_TOLERANCE_MS;
+  const signatureFields = fields.filter((field) => field.type === 'signature').length;
+  const signed = Boolean(info.signed);
+  return {
+    modifiedAfterCreation,
+    modificationGapDays: modifiedAfterCreation ? Math.round((modified - created) / (24 * 60 * 60 * 1000)) : 0,
+    emptyFields: fields.filter((field) => field.filled === false && !field.readOnly).map((field) => field.name),
+    signed,
+    signatureFields,
+    incrementalUpdates,
+    // Каждая подпись дописывает одну редакцию; редакций больше — файл менялся после подписания
+    updatedAfterSigning: signed && incrementalUpdates > Math.max(signatureFields, 1)
+  };
+};
+
+/**
+ * Свойства, поля формы и аннотации открытого в pdf.js документа.
+ * Ошибки отдельных частей не прерывают чтение: недоступная часть остаётся пустой.
+ * @returns {Promise<{ info, xmp, fields, annotations, signals }>}
+ */
+export const inspectPdfDocument = async (pdfDoc, { incrementalUpdates = 0, signal } = {}) => {
+  const metadata = await pdfDoc.getMetadata?.().catch(() => null);
+  const rawInfo = metadata?.info || {};
+  const info = {};
+  INFO_FIELDS.forEach((key) => {
+    const value = clip(rawInfo[key]);
+    if (value) info[key.charAt(0).toLowerCase() + key.slice(1)] = value;
+  });
+  info.createdAt = parsePdfDate(rawInfo.CreationDate);
+  info.modifiedAt = parsePdfDate(rawInfo.ModDate);
+  if (rawInfo.PDFFormatVersion) info.version = String(rawInfo.PDFFormatVersion);
+  info.hasForm = Boolean(rawInfo.IsAcroFormPresent);
+  info.signed = Boolean(rawInfo.IsSignaturesPresent);
+
+  const fields = readFormFields(await pdfDoc.getFieldObjects?.().catch(() => null));
+  const annotations = [];
+  for (let pageNumber = 1; pageNumber <= pdfDoc.numPages && annotations.length < MAX_PDF_ANNOTATIONS; pageNumber += 1) {
+    if (signal?.aborted) break;
+    const page = await pdfDoc.getPage(pageNumber);
+    const items = await page.getAnnotations?.({ intent: 'display' }).catch(() => []);
+    annotations.push(...readAnnotations(items, pageNumber));
+  }
+  annotations.splice(MAX_PDF_ANNOTATIONS);
+
+  const xmp = readXmp(metadata?.metadata);
+  return {
+    info,
+    xmp,
+    fields,
+    annotations,
+    signals: buildSignals({ info, xmp, fields, incrementalUpdates })
+  };
+};
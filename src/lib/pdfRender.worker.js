@@ -0,0 +1,99 @@
+/*
+ * Web Worker рендера страниц PDF (см. extractionPool.js)
+ *
+ * Сообщения: { id, type: 'open', buffer, password } → { id, pageCount };
+ * { id, type: 'render', page, scale, format } → { id, dataUrl, width, height }.
+ */
+import * as pdfjs from 'pdfjs-dist/legacy/build/pdf.mjs';
+import pdfWorkerSrc from 'pdfjs-dist/legacy/build/pdf.worker.mjs?url';
+
+pdfjs.GlobalWorkerOptions.workerSrc = pdfWorkerSrc;
+
+// В воркере нет document, поэтому вспомогательные холсты pdf.js создаём как OffscreenCanvas
+class OffscreenCanvasFactory {
+  create(width, height) {
+    const canvas = new OffscreenCanvas(width, height);
+    return { canvas, context: canvas.getContext('2d', { willReadFrequently: true }) };
+  }
+
+  reset(canvasAndContext, width, height) {
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  }
+
+  destroy(canvasAndContext) {
+    if (!canvasAndContext.canvas) return;
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+}
+
+// SVG-фильтры pdf.js требуют DOM; без них страница рисуется без цветовых преобразований
+class NoopFilterFactory {
+  addFilter() {
+    return 'none';
+  }
+
+  addHCMFilter() {
+    return 'none';
+  }
+
+  addAlphaFilter() {
+    return 'none';
+  }
+
+  addLuminosityFilter() {
+    return 'none';
+  }
+
+  addHighlightHCMFilter() {
+    return 'none';
+  }
+
+  destroy() {}
+}
+
+let pdfDocPromise = null;
+
+const openDocument = async (buffer, password) => {
+  pdfDocPromise = pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    ...(password ? { password } : {}),
+    CanvasFactory: OffscreenCanvasFactory,
+    FilterFactory: NoopFilterFactory,
+    disableFontFace: true,
+    isOffscreenCanvasSupported: true
+  }).promise;
+  const pdfDoc = await pdfDocPromise;
+  return { pageCount: pdfDoc.numPages };
+};
+
+const renderPage = async ({ page: pageNumber, scale = 1.6, format = 'image/png' }) => {
+  if (!pdfDocPromise) {
+    throw new Error('Документ не открыт');
+  }
+  const pdfDoc = await pdfDocPromise;
+  const page = await pdfDoc.getPage(pageNumber);
+  const viewport = page.getViewport({ scale });
+  const canvas = new OffscreenCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+  const context = canvas.getContext('2d');
+  await page.render({ canvasContext: context, viewport }).promise;
+  const blob = await canvas.convertToBlob({ type: format });
+  const dataUrl = new FileReaderSync().readAsDataURL(blob);
+  canvas.width = 0;
+  canvas.height = 0;
+  page.cleanup();
+  return { dataUrl, width: viewport.width, height: viewport.height };
+};
+
+self.onmessage = async ({ data }) => {
+  const { id, type } = data || {};
+  try {
+    const result = type === 'open' ? await openDocument(data.buffer, data.password) : await renderPage(data);
+    self.postMessage({ id, ...result });
+  } catch (error) {
+    self.postMessage({ id, error: error?.message || String(error) });
+  }
+};
@@ -0,0 +1,263 @@
+/*
+ * Съёмка документа на телефон
+ *
+ * Менеджеры фотографируют бумажный договор постранично. Каждое фото
+ * обрезается по четырём углам листа с исправлением перспективы (гомография
+ * квадрата углов на прямоугольник), при необходимости поворачивается и
+ * сжимается в JPEG. Страницы собираются в PDF из картинок — дальше он идёт
+ * тем же путём, что и скан: OCR страниц, превью, загрузка в Cloudinary.
+ */
+
+import { MAX_FILE_SIZE_BYTES } from './config.js';
+
+const MAX_PAGE_SIDE = 1800;
+const JPEG_QUALITY_STEPS = [0.82, 0.7, 0.55];
+const PDF_PAGE_WIDTH = 595;
+
+// Углы в долях ширины и высоты фото: левый верхний, правый верхний, правый нижний, левый нижний
+export const DEFAULT_CORNERS = [
+  [0, 0],
+  [1, 0],
+  [1, 1],
+  [0, 1]
+];
+
+const solveLinearSystem = (matrix, vector) => {
+  const size = vector.length;
+  const rows = matrix.map((row, index) => [...row, vector[index]]);
+  for (let column = 0; column < size; column += 1) {
+    let pivot = column;
+    for (let row = column + 1; row < size; row += 1) {
+      if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) pivot = row;
+    }
+    if (Math.abs(rows[pivot][column]) < 1e-12) {
+      throw new Error('Углы листа лежат на одной линии — обрежьте фото заново.');
+    }
+    [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+    for (let row = 0; row < size; row += 1) {
+      if (row === column) continue;
+      const factor = rows[row][column] / rows[column][column];
+      for (let index = column; index <= size; index += 1) rows[row][index] -= factor * rows[column][index];
+    }
+  }
+  return rows.map((row, index) => row[size] / row[index]);
+};
+
+/**
+ * Гомография, переводящая точки from в точки to (по четыре пары [x, y]).
+ * Возвращает функцию (x, y) → [x', y'].
+ */
+export const computeHomography = (from, to) => {
+  const matrix = [];
+  const vector = [];
+  from.forEach(([x, y], index) => {
+    const [u, v] = to[index];
+    matrix.push([x, y, 1, 0, 0, 0, -u * x, -u * y]);
+    vector.push(u);
+    matrix.push([0, 0, 0, x, y, 1, -v * x, -v * y]);
+    vector.push(v);
+  });
+  const [a, b, c, d, e, f, g, h] = solveLinearSystem(matrix, vector);
+  return (x, y) => {
+    const w = g * x + h * y + 1;
+    return [(a * x + b * y + c) / w, (d * x + e * y + f) / w];
+  };
+};
+
+const distance = ([x1, y1], [x2, y2]) => Math.hypot(x2 - x1, y2 - y1);
+
+// Размер выпрямленного листа — по длинным сторонам четырёхугольника
+export const resolveCropSize = (points, maxSide = MAX_PAGE_SIDE) => {
+  const [topLeft, topRight, bottomRight, bottomLeft] = points;
+  const width = Math.max(distance(topLeft, topRight), distance(bottomLeft, bottomRight));
+  const height = Math.max(distance(topLeft, bottomLeft), distance(topRight, bottomRight));
+  const scale = Math.min(1, maxSide / Math.max(width, height, 1));
+  return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+};
+
+/**
+ * Выпрямляет область фото по углам: для каждого пикселя результата берём
+ * точку исходника через обратную гомографию с билинейной интерполяцией.
+ * source и результат — { data, width, height } в формате ImageData.
+ */
+export const warpPerspective = (source, corners, maxSide = MAX_PAGE_SIDE) => {
+  const points = corners.map(([x, y]) => [x * (source.width - 1), y * (source.height - 1)]);
+  const { width, height } = resolveCropSize(points, maxSide);
+  const target = [
+    [0, 0],
+    [width - 1, 0],
+    [width - 1, height - 1],
+    [0, height - 1]
+  ];
+  const map = computeHomography(target, points);
+  const data = new Uint8ClampedArray(width * height * 4);
+  const { data: pixels, width: sourceWidth, height: sourceHeight } = source;
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const [sx, sy] = map(x, y);
+      const x0 = Math.min(sourceWidth - 1, Math.max(0, Math.floor(sx)));
+      const y0 = Math.min(sourceHeight - 1, Math.max(0, Math.floor(sy)));
+      const x1 = Math.min(sourceWidth - 1, x0 + 1);
+      const y1 = Math.min(sourceHeight - 1, y0 + 1);
+      const fx = Math.min(1, Math.max(0, sx - x0));
+      const fy = Math.min(1, Math.max(0, sy - y0));
+      const offset = (y * width + x) * 4;
+      for (let channel = 0; channel < 4; channel += 1) {
+        const top = pixels[(y0 * sourceWidth + x0) * 4 + channel] * (1 - fx) + pixels[(y0 * sourceWidth + x1) * 4 + channel] * fx;
+        const bottom = pixels[(y1 * sourceWidth + x0) * 4 + channel] * (1 - fx) + pixels[(y1 * sourceWidth + x1) * 4 + channel] * fx;
+        data[offset + channel] = top * (1 - fy) + bottom * fy;
+      }
+    }
+  }
+  return { data, width, height };
+};
+
+const isDefaultCrop = (corners) =>
+  corners.every(([x, y], index) => x === DEFAULT_CORNERS[index][0] && y === DEFAULT_CORNERS[index][1]);
+
+const createCanvas = (width, height) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+const canvasToJpeg = (canvas, quality) =>
+  new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => {
+        if (!blob) {
+          reject(new Error('Не удалось сжать страницу в JPEG.'));
+          return;
+        }
+        blob.arrayBuffer().then((buffer) => resolve(new Uint8Array(buffer)), reject);
+      },
+      'image/jpeg',
+      quality
+    );
+  });
+
+// Выпрямленная и повёрнутая страница на холсте; EXIF-поворот фото учитывает createImageBitmap
+const renderCapturedPage = async ({ file, corners = DEFAULT_CORNERS, rotation = 0 }) => {
+  const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+  const scale = Math.min(1, (MAX_PAGE_SIDE * 1.5) / Math.max(bitmap.width, bitmap.height));
+  const source = createCanvas(Math.round(bitmap.width * scale), Math.round(bitmap.height * scale));
+  const sourceContext = source.getContext('2d', { willReadFrequently: true });
+  sourceContext.drawImage(bitmap, 0, 0, source.width, source.height);
+  bitmap.close?.();
+
+  let page = source;
+  if (!isDefaultCrop(corners)) {
+    const warped = warpPerspective(sourceContext.getImageData(0, 0, source.width, source.height), corners);
+    page = createCanvas(warped.width, warped.height);
+    page.getContext('2d').putImageData(new ImageData(warped.data, warped.width, warped.height), 0, 0);
+  }
+  const fit = Math.min(1, MAX_PAGE_SIDE / Math.max(page.width, page.height));
+  const turned = rotation % 180 !== 0;
+  const width = Math.round((turned ? page.height : page.width) * fit);
+  const height = Math.round((turned ? page.width : page.height) * fit);
+  const result = createCanvas(width, height);
+  const context = result.getContext('2d');
+  context.fillStyle = '#fff';
+  context.fillRect(0, 0, width, height);
+  context.translate(width / 2, height / 2);
+  context.rotate((rotation * Math.PI) / 180);
+  context.drawImage(page, (-page.width * fit) / 2, (-page.height * fit) / 2, page.width * fit, page.height * fit);
+  return result;
+};
+
+const encodeLatin1 = (text) => Uint8Array.from(text, (char) => char.charCodeAt(0) & 0xff);
+
+/**
+ * PDF из JPEG-страниц: каждая страница — одно изображение (DCTDecode) во всю
+ * ширину листа A4, высота листа по пропорциям фото.
+ */
+export const buildImagePdf = (pages) => {
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+  const push = (part) => {
+    const bytes = typeof part === 'string' ? encodeLatin1(part) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const object = (id, body, stream) => {
+    offsets[id] = length;
+    push(`${id} 0 obj\n${body}\n`);
+    if (stream) {
+      push('stream\n');
+      push(stream);
+      push('\nendstream\n');
+    }
+    push('endobj\n');
+  };
+
+  push('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n');
+  const pageIds = pages.map((_, index) => 3 + index * 3);
+  object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+  object(2, `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+  pages.forEach(({ jpeg, width, height }, index) => {
+    const pageId = pageIds[index];
+    const pageWidth = PDF_PAGE_WIDTH;
+    const pageHeight = Math.round((PDF_PAGE_WIDTH * height) / width);
+    const content = `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Im0 Do Q`;
+    object(
+      pageId,
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /XObject << /Im0 ${pageId + 2} 0 R >> >> /Contents ${pageId + 1} 0 R >>`
+    );
+    object(pageId + 1, `<< /Length ${content.length} >>`, encodeLatin1(content));
+    object(
+      pageId + 2,
+      `<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>`,
+      jpeg
+    );
+  });
+  const objectCount = 3 + pages.length * 3;
+  const xrefOffset = length;
+  push(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+  for (let id = 1; id < objectCount; id += 1) {
+    push(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+  }
+  push(`trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  const result = new Uint8Array(length);
+  let position = 0;
+  chunks.forEach((chunk) => {
+    result.set(chunk, position);
+    position += chunk.length;
+  });
+  return result;
+};
+
+/**
+ * Собирает снятые страницы ({ file, corners, rotation }) в один PDF-файл.
+ * Качество JPEG снижается ступенями, пока документ не уложится в лимит файла.
+ */
+export const assembleCapturedPages = async (pages, { fileName = 'Фото документа.pdf', onProgress } = {}) => {
+  if (!pages.length) {
+    throw new Error('Добавьте хотя бы одну фотографию страницы.');
+  }
+  const canvases = [];
+  for (const [index, page] of pages.entries()) {
+    canvases.push(await renderCapturedPage(page));
+    onProgress?.({ stage: 'capture', page: index + 1, done: index + 1, total: pages.length });
+  }
+  let pdf = null;
+  for (const quality of JPEG_QUALITY_STEPS) {
+    const encoded = [];
+    for (const canvas of canvases) {
+      encoded.push({ jpeg: await canvasToJpeg(canvas, quality), width: canvas.width, height: canvas.height });
+    }
+    pdf = buildImagePdf(encoded);
+    if (pdf.length <= MAX_FILE_SIZE_BYTES) break;
+  }
+  canvases.forEach((canvas) => {
+    canvas.width = 0;
+  });
+  if (pdf.length > MAX_FILE_SIZE_BYTES) {
+    throw new Error(
+      `Документ из ${pages.length} фото не укладывается в лимит файла даже после сжатия. Разделите страницы на несколько документов.`
+    );
+  }
+  return new File([pdf], fileName, { type: 'application/pdf' });
+};
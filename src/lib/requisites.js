@@ -0,0 +1,330 @@
+/*
+ * Проверка реквизитов
+ *
+ * Ошибка в ИНН или расчётном счёте — классическая находка юриста при вычитке:
+ * платёж уходит не тому получателю или возвращается банком. Проверяем
+ * контрольные суммы ИНН и ОГРН/ОГРНИП, формат КПП и БИК, контрольный ключ
+ * расчётного и корреспондентского счёта по БИК и то, что у одной стороны по
+ * всему документу одни и те же реквизиты. Каждая ошибка хранит страницу,
+ * смещение в тексте страницы и строку, где реквизит найден.
+ */
+
+import { BANK_DETAIL_LABELS, findBankDetails, findPartyMentions, partyKey } from './entities.js';
+import { createMentionFinding, lineContext, resolvePageNumber, sortFindings } from './findings.js';
+
+const CHECKED_KINDS = new Set(['inn', 'kpp', 'ogrn', 'ogrnip', 'bik', 'account', 'corrAccount']);
+// Реквизиты стороны идут сразу за её названием или ролью («Поставщик:»)
+const MAX_ANCHOR_DISTANCE = 800;
+const MAX_BIK_DISTANCE = 400;
+// Двух ИНН или ОГРН у стороны быть не может; КПП (филиалы) и счетов бывает несколько
+const CONSISTENT_KINDS = { inn: 'error', ogrn: 'error', ogrnip: 'error', kpp: 'warning', account: 'warning' };
+const SHARED_KINDS = new Set(['inn', 'ogrn', 'ogrnip', 'account']);
+const RUSSIAN_ORGANIZATION_FORMS = new Set(['ООО', 'ПАО', 'НАО', 'ЗАО', 'ОАО', 'АО', 'ФГУП', 'ГУП', 'МУП', 'АНО']);
+
+const INN_10_WEIGHTS = [2, 4, 10, 3, 5, 9, 4, 6, 8];
+const INN_11_WEIGHTS = [7, 2, 4, 10, 3, 5, 9, 4, 6, 8];
+const INN_12_WEIGHTS = [3, 7, 2, 4, 10, 3, 5, 9, 4, 6, 8];
+const ACCOUNT_WEIGHTS = [7, 1, 3];
+// БИК расчётно-кассовых центров: ключ счёта считается как у корреспондентского
+const RKC_BIK_SUFFIXES = new Set(['000', '001', '002']);
+
+const digitsOf = (value) => Array.from(value, Number);
+
+const innControl = (digits, weights) => (weights.reduce((sum, weight, index) => sum + weight * digits[index], 0) % 11) % 10;
+
+export const isValidInn = (value) => {
+  if (!/^(?:\d{10}|\d{12})$/.test(value)) return false;
+  const digits = digitsOf(value);
+  if (digits.length === 10) return innControl(digits, INN_10_WEIGHTS) === digits[9];
+  return innControl(digits, INN_11_WEIGHTS) === digits[10] && innControl(digits, INN_12_WEIGHTS) === digits[11];
+};
+
+// ОГРН: остаток от деления первых 12 цифр на 11, ОГРНИП — первых 14 цифр на 13; контрольная — его последняя цифра
+const isValidRegistrationNumber = (value, length, divisor) => {
+  if (value.length !== length || !/^\d+$/.test(value)) return false;
+  const rest = Array.from(value.slice(0, -1)).reduce((result, digit) => (result * 10 + Number(digit)) % divisor, 0);
+  return rest % 10 === Number(value.at(-1));
+};
+
+export const isValidOgrn = (value) => isValidRegistrationNumber(value, 13, 11);
+
+export const isValidOgrnip = (value) => isValidRegistrationNumber(value, 15, 13);
+
+// КПП: код налогового органа, причина постановки на учёт (цифры или латиница), порядковый номер
+export const isValidKpp = (value) => /^\d{4}[\dA-Z]{2}\d{3}$/.test(value) && !value.startsWith('0000');
+
+export const isValidBik = (value) => /^04\d{7}$/.test(value);
+
+/**
+ * Контрольный ключ счёта по БИК: три цифры от БИК (последние три для
+ * расчётного счёта, «0» и 5–6 цифры для корреспондентского и счетов в РКЦ)
+ * и 20 цифр счёта с весами 7, 1, 3 дают сумму, кратную 10.
+ */
+export const isAccountMatchingBik = (account, bik, { corr = false } = {}) => {
+  if (!/^\d{20}$/.test(account) || !isValidBik(bik)) return false;
+  const prefix = corr || RKC_BIK_SUFFIXES.has(bik.slice(-3)) ? `0${bik.slice(4, 6)}` : bik.slice(-3);
+  const sum = digitsOf(`${prefix}${account}`).reduce(
+    (total, digit, index) => total + ((digit * ACCOUNT_WEIGHTS[index % 3]) % 10),
+    0
+  );
+  return sum % 10 === 0;
+};
+
+const escapePattern = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Ячейка markdown-таблицы (реквизиты сторон часто идут колонками): номер колонки и начало таблицы
+const tableCell = (text, offset) => {
+  const lineStart = text.lastIndexOf('\n', offset - 1) + 1;
+  if (!text.slice(lineStart, offset).trimStart().startsWith('|')) return null;
+  let tableStart = lineStart;
+  while (tableStart > 0) {
+    const previous = text.lastIndexOf('\n', tableStart - 2) + 1;
+    if (!text.slice(previous, tableStart).trimStart().startsWith('|')) break;
+    tableStart = previous;
+  }
+  return { column: (text.slice(lineStart, offset).match(/\|/g) || []).length, tableStart };
+};
+
+// Якоря сторон на странице: названия организаций и заголовки ролей («Поставщик:», «| Покупатель |»)
+const collectAnchors = (text, roles) => {
+  const anchors = findPartyMentions(text)
+    .filter((mention) => !mention.bank)
+    .map((mention) => ({
+      offset: mention.offset,
+      key: partyKey(mention),
+      label: mention.value,
+      form: mention.form
+    }));
+  roles.forEach((party, role) => {
+    const pattern = new RegExp(`(?:^|\\n|\\|)[ \\t]*(${escapePattern(role)})(?=[ \\t]*(?::|\\n|\\||$))`, 'giu');
+    for (const match of text.matchAll(pattern)) {
+      anchors.push({ offset: match.index + match[0].indexOf(match[1]), ...party });
+    }
+  });
+  return anchors
+    .map((anchor) => ({ ...anchor, cell: tableCell(text, anchor.offset) }))
+    .sort((a, b) => a.offset - b.offset);
+};
+
+const resolveParty = (mention, anchors, carried) => {
+  if (mention.cell) {
+    const column = anchors.filter(
+      (anchor) =>
+        anchor.cell?.column === mention.cell.column
+        && anchor.offset >= mention.cell.tableStart
+        && anchor.offset < mention.offset
+    );
+    return column.at(-1) || null;
+  }
+  const previous = anchors.filter((anchor) => anchor.offset < mention.offset && !anchor.cell).at(-1);
+  if (previous) return mention.offset - previous.offset <= MAX_ANCHOR_DISTANCE ? previous : null;
+  return carried && carried.tail + mention.offset <= MAX_ANCHOR_DISTANCE ? carried.anchor : null;
+};
+
+const collectMentions = (sources, parties, pageNumbers) => {
+  const roles = new Map();
+  parties.forEach((party) => {
+    if (party.role && !roles.has(party.role.toLowerCase())) {
+      roles.set(party.role.toLowerCase(), { key: partyKey(party), label: party.value, form: party.form });
+    }
+  });
+  const mentions = [];
+  let carried = null;
+  sources.forEach((source, index) => {
+    const text = typeof source === 'string' ? source : '';
+    if (!text.trim()) return;
+    const page = resolvePageNumber(pageNumbers, index);
+    const anchors = collectAnchors(text, roles);
+    const pageMentions = findBankDetails(text)
+      .filter((detail) => CHECKED_KINDS.has(detail.kind))
+      .map((detail) => ({ ...detail, page, cell: tableCell(text, detail.offset), context: lineContext(text, detail.offset) }));
+    pageMentions.forEach((mention) => {
+      // Два одинаковых реквизита в одной строке вне таблицы — колонки сторон слиплись, сторону не угадать
+      const lineStart = text.lastIndexOf('\n', mention.offset - 1) + 1;
+      const ambiguous =
+        !mention.cell
+        && pageMentions.some(
+          (other) =>
+            other !== mention
+            && other.kind === mention.kind
+            && text.lastIndexOf('\n', other.offset - 1) + 1 === lineStart
+        );
+      const party = ambiguous ? null : resolveParty(mention, anchors, carried);
+      mentions.push({ ...mention, party });
+    });
+    const last = anchors.filter((anchor) => !anchor.cell).at(-1);
+    carried = last ? { anchor: last, tail: text.length - last.offset } : carried && { ...carried, tail: carried.tail + text.length };
+  });
+  return mentions;
+};
+
+const label = (kind) => BANK_DETAIL_LABELS[kind] || kind;
+
+const formatPages = (items) => Array.from(new Set(items.map((item) => item.page))).join(', ');
+
+const createFinding = (type, severity, mention, message, occurrences = [mention]) =>
+  createMentionFinding(type, severity, message, mention, occurrences, {
+    kind: mention.kind,
+    value: mention.value,
+    party: mention.party?.label || null
+  });
+
+const groupBy = (items, keyOf) => {
+  const groups = new Map();
+  items.forEach((item) => {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  return groups;
+};
+
+// БИК к счёту: ближайший на той же странице, при равных — той же стороны
+const findBik = (mention, biks) => {
+  const candidates = biks
+    .filter((bik) => bik.page === mention.page && Math.abs(bik.offset - mention.offset) <= MAX_BIK_DISTANCE)
+    .sort(
+      (a, b) =>
+        Number(b.party?.key === mention.party?.key) - Number(a.party?.key === mention.party?.key)
+        || Math.abs(a.offset - mention.offset) - Math.abs(b.offset - mention.offset)
+    );
+  return candidates[0] || null;
+};
+
+const checkValues = (mentions) => {
+  const findings = [];
+  const biks = mentions.filter((mention) => mention.kind === 'bik' && isValidBik(mention.value));
+  groupBy(mentions, (mention) => `${mention.kind}:${mention.value}`).forEach((occurrences) => {
+    const [first] = occurrences;
+    const { kind, value } = first;
+    const push = (type, message, anchor = first, list = occurrences) =>
+      findings.push(createFinding(type, 'error', anchor, message, list));
+    if (kind === 'inn' && !isValidInn(value)) {
+      push('checksum', `ИНН ${value}: не сходится контрольное число — в номере ошибка.`);
+    } else if (kind === 'ogrn' && !isValidOgrn(value)) {
+      push('checksum', `ОГРН ${value}: не сходится контрольное число — в номере ошибка.`);
+    } else if (kind === 'ogrnip' && !isValidOgrnip(value)) {
+      push('checksum', `ОГРНИП ${value}: не сходится контрольное число — в номере ошибка.`);
+    } else if (kind === 'kpp' && !isValidKpp(value)) {
+      push('format', `КПП ${value}: неверный формат — код налогового органа не может быть 0000.`);
+    } else if (kind === 'bik' && !isValidBik(value)) {
+      push('format', `БИК ${value}: российский БИК начинается с 04 — проверьте номер.`);
+    } else if (kind === 'corrAccount' && !value.startsWith('30101')) {
+      push('format', `К/с ${value}: корреспондентский счёт банка начинается с 30101.`);
+    }
+    if (kind !== 'account' && kind !== 'corrAccount') return;
+    // Один счёт может стоять рядом с разными БИК — проверяем каждую пару
+    const corr = kind === 'corrAccount';
+    groupBy(
+      occurrences.map((mention) => ({ mention, bik: findBik(mention, biks) })).filter((item) => item.bik),
+      (item) => item.bik.value
+    ).forEach((pairs, bik) => {
+      const list = pairs.map((item) => item.mention);
+      if (corr && value.slice(-3) !== bik.slice(-3)) {
+        push('bikKey', `К/с ${value}: последние три цифры не совпадают с БИК ${bik} — счёт другого банка или ошибка.`, list[0], list);
+      } else if (!isAccountMatchingBik(value, bik, { corr })) {
+        push(
+          'bikKey',
+          `${label(kind)} ${value} не проходит проверку контрольного ключа с БИК ${bik} — ошибка в счёте или в БИК.`,
+          list[0],
+          list
+        );
+      }
+    });
+  });
+  return findings;
+};
+
+const checkParties = (mentions) => {
+  const findings = [];
+  const assigned = mentions.filter((mention) => mention.party);
+  groupBy(assigned, (mention) => mention.party.key).forEach((partyMentions) => {
+    const { label: partyLabel, form } = partyMentions[0].party;
+    Object.entries(CONSISTENT_KINDS).forEach(([kind, severity]) => {
+      const values = groupBy(
+        partyMentions.filter((mention) => mention.kind === kind),
+        (mention) => mention.value
+      );
+      if (values.size < 2) return;
+      const [, ...others] = Array.from(values.values());
+      const summary = Array.from(values.entries())
+        .map(([value, occurrences]) => `${value} (стр. ${formatPages(occurrences)})`)
+        .join(', ');
+      others.forEach((occurrences) =>
+        findings.push(
+          createFinding(
+            'inconsistent',
+            severity,
+            occurrences[0],
+            `${partyLabel}: в документе разные ${label(kind)} — ${summary}.`,
+            occurrences
+          )
+        )
+      );
+    });
+    partyMentions.forEach((mention) => {
+      const isEntrepreneur = form === 'ИП';
+      const isOrganization = RUSSIAN_ORGANIZATION_FORMS.has(form);
+      let message = null;
+      if (mention.kind === 'inn' && isEntrepreneur && mention.value.length === 10) {
+        message = `${partyLabel}: у ИП ИНН из 12 цифр, а указан 10-значный ИНН организации ${mention.value}.`;
+      } else if (mention.kind === 'inn' && isOrganization && mention.value.length === 12) {
+        message = `${partyLabel}: у организации ИНН из 10 цифр, а указан 12-значный ИНН физического лица ${mention.value}.`;
+      } else if (mention.kind === 'ogrn' && isEntrepreneur) {
+        message = `${partyLabel}: у ИП должен быть ОГРНИП из 15 цифр, а указан ОГРН ${mention.value}.`;
+      } else if (mention.kind === 'ogrnip' && isOrganization) {
+        message = `${partyLabel}: у организации должен быть ОГРН из 13 цифр, а указан ОГРНИП ${mention.value}.`;
+      }
+      if (message && !findings.some((finding) => finding.type === 'partyType' && finding.value === mention.value)) {
+        findings.push(createFinding('partyType', 'error', mention, message));
+      }
+    });
+  });
+  // Один ИНН или счёт у двух сторон — как правило, реквизиты скопированы из чужого блока
+  groupBy(
+    assigned.filter((mention) => SHARED_KINDS.has(mention.kind)),
+    (mention) => `${mention.kind}:${mention.value}`
+  ).forEach((occurrences) => {
+    const owners = Array.from(new Set(occurrences.map((mention) => mention.party.label)));
+    if (owners.length < 2) return;
+    const second = occurrences.find((mention) => mention.party.label !== occurrences[0].party.label);
+    findings.push(
+      createFinding(
+        'shared',
+        'error',
+        second,
+        `${label(second.kind)} ${second.value} указан у разных сторон: ${owners.join(' и ')} — вероятно, реквизиты скопированы.`,
+        occurrences
+      )
+    );
+  });
+  return findings;
+};
+
+/**
+ * Проверяет реквизиты в страницах документа (meta.pages) или в цельном тексте.
+ * parties — стороны из extractEntities: по их ролям находим заголовки блоков реквизитов.
+ * pageNumbers — физические номера страниц для meta.pages, иначе номер — индекс + 1.
+ * @returns {{ checked: number, findings: Array<{ type, severity, kind, value, party, message, page, offset, text, locations }> }}
+ */
+export const validateRequisites = ({ pages, text = '', parties = [], pageNumbers = [] } = {}) => {
+  const sources = Array.isArray(pages) && pages.some(Boolean) ? pages : [text];
+  const mentions = collectMentions(sources, Array.isArray(parties) ? parties : [], pageNumbers);
+  const checked = new Set(mentions.map((mention) => `${mention.kind}:${mention.value}`)).size;
+  const findings = sortFindings([...checkValues(mentions), ...checkParties(mentions)]);
+  return { checked, findings };
+};
+
+const REQUISITE_TYPE_LABELS = {
+  checksum: 'Контрольное число',
+  format: 'Формат',
+  bikKey: 'Счёт и БИК',
+  inconsistent: 'Разные реквизиты стороны',
+  partyType: 'Реквизит не того типа',
+  shared: 'Одинаковые реквизиты у разных сторон'
+};
+
+export const formatRequisiteFindingTitle = (finding) =>
+  [REQUISITE_TYPE_LABELS[finding.type] || finding.type, finding.party, finding.severity === 'error' ? 'ошибка' : 'проверить']
+    .filter(Boolean)
+    .join(' · ');
@@ -0,0 +1,604 @@
+/*
+ * Spreadsheet annexes: XLSX and CSV
+ *
+ * Price lists, delivery schedules and payment calendars arrive as Excel files.
+ * Every sheet becomes one page with a heading and a single table in the same
+ * block structure as parseDocxArchive, so the DOCX layout builder puts the
+ * grid into layout.pages[].tables and renders it as markdown for the model.
+ * Cell values are formatted the way Excel shows them: number formats from
+ * styles.xml give dates (dd.mm.yyyy), percentages and amounts with grouping
+ * and currency.  Merged cells keep their spans, defined names are listed with
+ * the values they point to.  Formulas are not recalculated: the cached result
+ * stored in the file is used.
+ */
+
+const MAX_SHEET_ROWS = 1000;
+const MAX_SHEET_COLUMNS = 50;
+const MAX_NAMED_RANGE_VALUES = 20;
+const NUMERIC_TEXT = /^[-+(]?[\d\s.,]*\d[\d\s.,]*\)?\s*%?$/;
+
+const BUILTIN_NUMBER_FORMATS = {
+  0: 'General',
+  1: '0',
+  2: '0.00',
+  3: '#,##0',
+  4: '#,##0.00',
+  9: '0%',
+  10: '0.00%',
+  11: '0.00E+00',
+  12: '# ?/?',
+  13: '# ??/??',
+  14: 'dd.mm.yyyy',
+  15: 'd-mmm-yy',
+  16: 'd-mmm',
+  17: 'mmm-yy',
+  18: 'h:mm AM/PM',
+  19: 'h:mm:ss AM/PM',
+  20: 'h:mm',
+  21: 'h:mm:ss',
+  22: 'dd.mm.yyyy h:mm',
+  37: '#,##0 ;(#,##0)',
+  38: '#,##0 ;[Red](#,##0)',
+  39: '#,##0.00;(#,##0.00)',
+  40: '#,##0.00;[Red](#,##0.00)',
+  45: 'mm:ss',
+  46: '[h]:mm:ss',
+  47: 'mm:ss.0',
+  48: '##0.0E+0',
+  49: '@'
+};
+
+const readXml = async (zip, path) => {
+  const file = zip.file(path);
+  if (!file) return null;
+  return new DOMParser().parseFromString(await file.async('text'), 'application/xml');
+};
+
+// В SpreadsheetML встречаются и префиксы (x:row), поэтому сравниваем локальные имена
+const localName = (node) => node.localName || String(node.nodeName).split(':').pop();
+
+const children = (node, name) =>
+  Array.from(node?.childNodes || []).filter((child) => child.nodeType === 1 && (!name || localName(child) === name));
+
+const firstChild = (node, name) => children(node, name)[0] || null;
+
+const descendants = (node, name) =>
+  Array.from(node?.getElementsByTagName('*') || []).filter((child) => localName(child) === name);
+
+const attr = (node, name) => (node && typeof node.getAttribute === 'function' ? node.getAttribute(name) : null);
+
+const relationshipId = (node) =>
+  attr(node, 'r:id') ||
+  Array.from(node.attributes || []).find((item) => item.name.endsWith(':id') || item.name === 'id')?.value ||
+  null;
+
+const columnIndex = (letters) =>
+  letters.toUpperCase().split('').reduce((sum, char) => sum * 26 + char.charCodeAt(0) - 64, 0) - 1;
+
+const columnLetters = (index) => {
+  let result = '';
+  for (let value = index + 1; value > 0; value = Math.floor((value - 1) / 26)) {
+    result = String.fromCharCode(65 + ((value - 1) % 26)) + result;
+  }
+  return result;
+};
+
+const parseCellRef = (ref) => {
+  const match = /^\$?([A-Za-z]{1,3})\$?(\d+)$/.exec(ref || '');
+  return match ? { col: columnIndex(match[1]), row: Number(match[2]) - 1 } : null;
+};
+
+const parseRangeRef = (ref) => {
+  const [start, end = start] = String(ref || '').split(':');
+  const from = parseCellRef(start);
+  const to = parseCellRef(end);
+  if (!from || !to) return null;
+  return {
+    startRow: Math.min(from.row, to.row),
+    endRow: Math.max(from.row, to.row),
+    startCol: Math.min(from.col, to.col),
+    endCol: Math.max(from.col, to.col)
+  };
+};
+
+const formatRange = (range) =>
+  `${columnLetters(range.startCol)}${range.startRow + 1}:${columnLetters(range.endCol)}${range.endRow + 1}`;
+
+// ---------------------------------------------------------------------------
+// Форматы чисел
+
+const splitFormatSections = (format) => {
+  const sections = [];
+  let current = '';
+  let quoted = false;
+  for (let index = 0; index < format.length; index += 1) {
+    const char = format[index];
+    if (char === '"') quoted = !quoted;
+    if (char === ';' && !quoted) {
+      sections.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  sections.push(current);
+  return sections;
+};
+
+// Литералы формата («руб.», [$₽-419]) отделяем от шаблона числа или даты
+const tokenizeFormat = (section) => {
+  const tokens = [];
+  const pattern = /"([^"]*)"|\\(.)|\[\$([^\]-]*)(?:-[^\]]*)?\]|\[[^\]]*\]|_.|\*.|([^"\\[_*]+)/g;
+  let match = pattern.exec(section);
+  while (match) {
+    const [, quoted, escaped, currency, plain] = match;
+    if (quoted !== undefined) tokens.push({ literal: quoted });
+    else if (escaped !== undefined) tokens.push({ literal: escaped });
+    else if (currency !== undefined) tokens.push({ literal: currency });
+    else if (plain !== undefined) tokens.push({ pattern: plain });
+    match = pattern.exec(section);
+  }
+  return tokens;
+};
+
+const isDateFormat = (format) => {
+  const patternText = tokenizeFormat(splitFormatSections(format)[0])
+    .map((token) => token.pattern || '')
+    .join('');
+  return /[dmyhs]/i.test(patternText.replace(/General/gi, '').replace(/E[+-]/g, ''));
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+const excelSerialToDate = (serial, date1904) => {
+  // В системе 1900 Excel считает существующим 29.02.1900, поэтому ранние даты сдвигаем на день
+  const days = date1904 ? serial + 1462 : serial < 60 ? serial + 1 : serial;
+  return new Date(Math.round((days - 25569) * 86400000));
+};
+
+const formatDateValue = (date, format) => {
+  const patternText = tokenizeFormat(splitFormatSections(format)[0])
+    .map((token) => token.pattern || '')
+    .join('')
+    .toLowerCase();
+  const hasDay = /d/.test(patternText);
+  const hasYear = /y/.test(patternText);
+  const hasTime = /h|s/.test(patternText);
+  const parts = [];
+  if (hasDay && hasYear) {
+    parts.push(`${pad(date.getUTCDate())}.${pad(date.getUTCMonth() + 1)}.${date.getUTCFullYear()}`);
+  } else if (hasDay) {
+    parts.push(`${pad(date.getUTCDate())}.${pad(date.getUTCMonth() + 1)}`);
+  } else if (hasYear) {
+    parts.push(`${pad(date.getUTCMonth() + 1)}.${date.getUTCFullYear()}`);
+  }
+  if (hasTime) {
+    const seconds = /s/.test(patternText) ? `:${pad(date.getUTCSeconds())}` : '';
+    parts.push(`${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}${seconds}`);
+  }
+  return parts.join(' ');
+};
+
+const formatNumber = (value, { minDigits = 0, maxDigits = 10, grouping = false } = {}) =>
+  new Intl.NumberFormat('ru-RU', {
+    minimumFractionDigits: minDigits,
+    maximumFractionDigits: Math.max(minDigits, maxDigits),
+    useGrouping: grouping
+  })
+    .format(value)
+    .replace(/[\u00a0\u202f]/g, ' ');
+
+const formatNumericValue = (value, format) => {
+  const sections = splitFormatSections(format);
+  const negativeSection = value < 0 && sections[1] !== undefined;
+  const section = negativeSection ? sections[1] : sections[0];
+  const tokens = tokenizeFormat(section);
+  const patternText = tokens.map((token) => token.pattern || '').join('');
+  if (!patternText.trim() || /general/i.test(patternText)) {
+    return formatNumber(value);
+  }
+  const numberMatch = /[#0?,]*[0#?](?:[.][0#?]*)?(?:E[+-]0+)?|[.][0#?]+/i.exec(patternText);
+  if (!numberMatch) return formatNumber(value);
+  const decimals = (numberMatch[0].split('.')[1] || '').replace(/E.*/i, '');
+  const minDigits = (decimals.match(/0/g) || []).length;
+  const maxDigits = decimals.length;
+  const percent = patternText.includes('%');
+  // Второй раздел формата сам задаёт знак: «(1 000)» вместо «-1 000»
+  const magnitude = negativeSection ? Math.abs(value) : value;
+  let number;
+  if (/E[+-]/i.test(numberMatch[0])) {
+    number = magnitude.toExponential(maxDigits).replace('.', ',').replace('e', 'E');
+  } else {
+    number = formatNumber(percent ? magnitude * 100 : magnitude, {
+      minDigits,
+      maxDigits,
+      grouping: numberMatch[0].includes(',')
+    });
+  }
+  let placed = false;
+  return tokens
+    .map((token) => {
+      if (token.literal !== undefined) return token.literal;
+      return token.pattern.replace(/[#0?,]*[0#?](?:[.][0#?]*)?(?:E[+-]0+)?|[.][0#?]+/i, (match) => {
+        if (placed) return '';
+        placed = true;
+        return number;
+      });
+    })
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+export const formatCellValue = (value, format = 'General', { date1904 = false } = {}) => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return String(value ?? '');
+  if (format === '@') return String(value);
+  if (isDateFormat(format)) {
+    return formatDateValue(excelSerialToDate(value, date1904), format);
+  }
+  return formatNumericValue(value, format);
+};
+
+// ---------------------------------------------------------------------------
+// XLSX
+
+const readWorkbookRelationships = async (zip) => {
+  const xml = await readXml(zip, 'xl/_rels/workbook.xml.rels');
+  const rels = new Map();
+  if (!xml) return rels;
+  descendants(xml, 'Relationship').forEach((node) => {
+    const target = attr(node, 'Target') || '';
+    const path = target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`;
+    rels.set(attr(node, 'Id'), path);
+  });
+  return rels;
+};
+
+// Текст строки без фонетических подсказок (rPh)
+const readStringItem = (node) =>
+  children(node)
+    .map((child) => {
+      const name = localName(child);
+      if (name === 't') return child.textContent || '';
+      if (name === 'r') return children(child, 't').map((text) => text.textContent || '').join('');
+      return '';
+    })
+    .join('');
+
+const readSharedStrings = async (zip) => {
+  const xml = await readXml(zip, 'xl/sharedStrings.xml');
+  return xml ? descendants(xml, 'si').map(readStringItem) : [];
+};
+
+const readCellFormats = async (zip) => {
+  const xml = await readXml(zip, 'xl/styles.xml');
+  if (!xml) return [];
+  const custom = new Map(
+    descendants(xml, 'numFmt').map((node) => [Number(attr(node, 'numFmtId')), attr(node, 'formatCode') || 'General'])
+  );
+  const cellXfs = descendants(xml, 'cellXfs')[0];
+  return children(cellXfs, 'xf').map((node) => {
+    const id = Number(attr(node, 'numFmtId') || 0);
+    return custom.get(id) || BUILTIN_NUMBER_FORMATS[id] || 'General';
+  });
+};
+
+const readCell = (node, { sharedStrings, formats, date1904 }) => {
+  const type = attr(node, 't') || 'n';
+  const raw = firstChild(node, 'v')?.textContent ?? '';
+  const format = formats[Number(attr(node, 's') || 0)] || 'General';
+  if (type === 's') return { text: sharedStrings[Number(raw)] ?? '', numeric: false };
+  if (type === 'inlineStr') return { text: readStringItem(firstChild(node, 'is')), numeric: false };
+  if (type === 'str' || type === 'e') return { text: raw, numeric: false };
+  if (type === 'b') return { text: raw === '1' ? 'ИСТИНА' : 'ЛОЖЬ', numeric: false };
+  if (type === 'd') {
+    const date = new Date(raw);
+    return {
+      text: Number.isNaN(date.getTime()) ? raw : formatDateValue(date, isDateFormat(format) ? format : 'dd.mm.yyyy'),
+      numeric: true
+    };
+  }
+  if (raw === '') return null;
+  const value = Number(raw);
+  return { text: Number.isFinite(value) ? formatCellValue(value, format, { date1904 }) : raw, numeric: true };
+};
+
+const readWorksheet = (xml, context) => {
+  const cells = new Map();
+  const bounds = { startRow: Infinity, endRow: -1, startCol: Infinity, endCol: -1 };
+  const sheetData = descendants(xml, 'sheetData')[0];
+  let nextRow = 0;
+  children(sheetData, 'row').forEach((rowNode) => {
+    const rowIndex = attr(rowNode, 'r') ? Number(attr(rowNode, 'r')) - 1 : nextRow;
+    nextRow = rowIndex + 1;
+    let nextCol = 0;
+    children(rowNode, 'c').forEach((cellNode) => {
+      const ref = parseCellRef(attr(cellNode, 'r'));
+      const col = ref ? ref.col : nextCol;
+      nextCol = col + 1;
+      const cell = readCell(cellNode, context);
+      if (!cell || !cell.text.trim()) return;
+      cells.set(`${rowIndex}:${col}`, cell);
+      bounds.startRow = Math.min(bounds.startRow, rowIndex);
+      bounds.endRow = Math.max(bounds.endRow, rowIndex);
+      bounds.startCol = Math.min(bounds.startCol, col);
+      bounds.endCol = Math.max(bounds.endCol, col);
+    });
+  });
+  const merges = descendants(xml, 'mergeCell')
+    .map((node) => parseRangeRef(attr(node, 'ref')))
+    .filter(Boolean);
+  return { cells, merges, bounds: bounds.endRow < 0 ? null : bounds };
+};
+
+// Сетка листа в виде строк таблицы DOCX; пустые строки пропускаются
+const buildSheetRows = ({ cells, merges, bounds }) => {
+  if (!bounds) return { rows: [], truncatedRows: 0, truncatedColumns: 0, range: '' };
+  const endCol = Math.min(bounds.endCol, bounds.startCol + MAX_SHEET_COLUMNS - 1);
+  const rowIndexes = [];
+  for (let row = bounds.startRow; row <= bounds.endRow; row += 1) {
+    for (let col = bounds.startCol; col <= endCol; col += 1) {
+      if (cells.has(`${row}:${col}`)) {
+        rowIndexes.push(row);
+        break;
+      }
+    }
+  }
+  const keptRows = rowIndexes.slice(0, MAX_SHEET_ROWS);
+  const mergeAt = new Map();
+  const covered = new Set();
+  merges.forEach((merge) => {
+    mergeAt.set(`${merge.startRow}:${merge.startCol}`, merge);
+    for (let row = merge.startRow; row <= merge.endRow; row += 1) {
+      for (let col = merge.startCol; col <= merge.endCol; col += 1) {
+        if (row !== merge.startRow || col !== merge.startCol) covered.add(`${row}:${col}`);
+      }
+    }
+  });
+  const rows = keptRows.map((rowIndex) => {
+    const rowCells = [];
+    for (let col = bounds.startCol; col <= endCol; col += 1) {
+      const key = `${rowIndex}:${col}`;
+      const merge = mergeAt.get(key);
+      if (covered.has(key)) {
+        // Ячейку под объединением по горизонтали уже покрыл colSpan
+        const origin = merges.find(
+          (item) => rowIndex >= item.startRow && rowIndex <= item.endRow && col >= item.startCol && col <= item.endCol
+        );
+        if (origin && origin.startRow !== rowIndex && col === origin.startCol) {
+          const colSpan = Math.min(origin.endCol, endCol) - col + 1;
+          rowCells.push({ text: '', originalText: '', colSpan, rowSpan: 1, gridIndex: col - bounds.startCol, merged: true });
+        }
+        continue;
+      }
+      const cell = cells.get(key);
+      const colSpan = merge ? Math.min(merge.endCol, endCol) - col + 1 : 1;
+      const rowSpan = merge ? keptRows.filter((row) => row >= merge.startRow && row <= merge.endRow).length : 1;
+      rowCells.push({
+        text: cell?.text || '',
+        originalText: cell?.text || '',
+        colSpan,
+        rowSpan: Math.max(rowSpan, 1),
+        gridIndex: col - bounds.startCol,
+        numeric: Boolean(cell?.numeric)
+      });
+    }
+    return { cells: rowCells, header: false, inserted: false, deleted: false, rowNumber: rowIndex + 1 };
+  });
+  // Шапка — первая строка из одних подписей, если под ней есть данные
+  const first = rows[0];
+  if (rows.length > 1 && first.cells.filter((cell) => cell.text).length >= 2 && first.cells.every((cell) => !cell.numeric)) {
+    first.header = true;
+  }
+  rows.forEach((row) => row.cells.forEach((cell) => delete cell.numeric));
+  return {
+    rows,
+    truncatedRows: rowIndexes.length - keptRows.length,
+    truncatedColumns: bounds.endCol - endCol,
+    range: formatRange(bounds)
+  };
+};
+
+const resolveDefinedName = (node, sheetsByName) => {
+  const name = attr(node, 'name') || '';
+  const ref = (node.textContent || '').trim();
+  const match = /^(?:'((?:[^']|'')+)'|([^!]+))!(\$?[A-Za-z]{1,3}\$?\d+(?::\$?[A-Za-z]{1,3}\$?\d+)?)$/.exec(ref);
+  const values = [];
+  if (match) {
+    const sheet = sheetsByName.get((match[1] || match[2]).replace(/''/g, "'"));
+    const range = parseRangeRef(match[3]);
+    if (sheet && range) {
+      for (let row = range.startRow; row <= range.endRow && values.length < MAX_NAMED_RANGE_VALUES; row += 1) {
+        for (let col = range.startCol; col <= range.endCol && values.length < MAX_NAMED_RANGE_VALUES; col += 1) {
+          const cell = sheet.cells.get(`${row}:${col}`);
+          if (cell) values.push(cell.text);
+        }
+      }
+    }
+  }
+  return { name, ref, values };
+};
+
+export const parseXlsxArchive = async (zip) => {
+  const workbook = await readXml(zip, 'xl/workbook.xml');
+  if (!workbook) return null;
+  const [rels, sharedStrings, formats] = await Promise.all([
+    readWorkbookRelationships(zip),
+    readSharedStrings(zip),
+    readCellFormats(zip)
+  ]);
+  const workbookPr = descendants(workbook, 'workbookPr')[0];
+  const date1904 = ['1', 'true'].includes(attr(workbookPr, 'date1904'));
+  const context = { sharedStrings, formats, date1904 };
+  const sheets = [];
+  const sheetsByName = new Map();
+  for (const node of descendants(workbook, 'sheet')) {
+    const path = rels.get(relationshipId(node));
+    const xml = path ? await readXml(zip, path) : null;
+    // Листы-диаграммы не содержат ячеек
+    if (!xml || !descendants(xml, 'sheetData').length) continue;
+    const worksheet = readWorksheet(xml, context);
+    const name = attr(node, 'name') || `Лист${sheets.length + 1}`;
+    sheetsByName.set(name, worksheet);
+    sheets.push({
+      name,
+      hidden: ['hidden', 'veryHidden'].includes(attr(node, 'state')),
+      ...buildSheetRows(worksheet)
+    });
+  }
+  const definedNames = descendants(workbook, 'definedName')
+    .filter((node) => attr(node, 'hidden') !== '1' && !(attr(node, 'name') || '').startsWith('_xlnm.'))
+    .map((node) => resolveDefinedName(node, sheetsByName));
+  return { sheets, definedNames };
+};
+
+// ---------------------------------------------------------------------------
+// CSV
+
+const CSV_DELIMITERS = [';', ',', '\t', '|'];
+
+const splitCsv = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && !field) {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// Разделитель — тот, что даёт одинаковое число колонок в первых строках
+const detectCsvDelimiter = (text) => {
+  const sample = text.split(/\r?\n/).slice(0, 20).join('\n');
+  let best = { delimiter: ';', score: -1 };
+  CSV_DELIMITERS.forEach((delimiter) => {
+    const counts = splitCsv(sample, delimiter)
+      .filter((row) => row.some((value) => value.trim()))
+      .map((row) => row.length);
+    if (!counts.length || counts[0] < 2) return;
+    const consistent = counts.filter((count) => count === counts[0]).length;
+    const score = consistent * 10 + counts[0];
+    if (score > best.score) best = { delimiter, score };
+  });
+  return best.delimiter;
+};
+
+export const parseCsv = (text, { name = 'CSV' } = {}) => {
+  const source = String(text || '').replace(/^\ufeff/, '');
+  const delimiter = detectCsvDelimiter(source);
+  const table = splitCsv(source, delimiter).filter((row) => row.some((value) => value.trim()));
+  const columnCount = Math.min(Math.max(0, ...table.map((row) => row.length)), MAX_SHEET_COLUMNS);
+  const rows = table.slice(0, MAX_SHEET_ROWS).map((values, rowIndex) => ({
+    cells: Array.from({ length: columnCount }, (_, col) => {
+      const value = (values[col] || '').trim();
+      return { text: value, originalText: value, colSpan: 1, rowSpan: 1, gridIndex: col };
+    }),
+    header: false,
+    inserted: false,
+    deleted: false,
+    rowNumber: rowIndex + 1
+  }));
+  const first = rows[0];
+  if (
+    rows.length > 1 &&
+    first.cells.filter((cell) => cell.text).length >= 2 &&
+    first.cells.every((cell) => !NUMERIC_TEXT.test(cell.text))
+  ) {
+    first.header = true;
+  }
+  return {
+    delimiter,
+    sheets: [
+      {
+        name,
+        hidden: false,
+        rows,
+        truncatedRows: Math.max(0, table.length - MAX_SHEET_ROWS),
+        truncatedColumns: Math.max(0, Math.max(0, ...table.map((row) => row.length)) - MAX_SHEET_COLUMNS),
+        range: rows.length ? formatRange({ startRow: 0, endRow: table.length - 1, startCol: 0, endCol: columnCount - 1 }) : ''
+      }
+    ],
+    definedNames: []
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Книга → блоки в формате parseDocxArchive: по странице на лист
+
+export const buildSpreadsheetDocument = (workbook) => {
+  const blocks = [];
+  const paragraph = (text, page, headingLevel = 0) =>
+    blocks.push({
+      type: 'paragraph',
+      text,
+      originalText: text,
+      number: '',
+      originalNumber: '',
+      bullet: false,
+      listLevel: null,
+      style: null,
+      headingLevel,
+      revisions: [],
+      commentIds: [],
+      page
+    });
+  workbook.sheets.forEach((sheet, page) => {
+    paragraph(`Лист «${sheet.name}»${sheet.hidden ? ' (скрытый)' : ''}${sheet.range ? `, диапазон ${sheet.range}` : ''}`, page, 1);
+    if (!sheet.rows.length) {
+      paragraph('Лист пуст.', page);
+      return;
+    }
+    blocks.push({ type: 'table', rows: sheet.rows, revisions: [], commentIds: [], page });
+    if (sheet.truncatedRows || sheet.truncatedColumns) {
+      paragraph(
+        `Показана часть листа: не вошло строк — ${sheet.truncatedRows}, колонок — ${sheet.truncatedColumns}.`,
+        page
+      );
+    }
+  });
+  const lastPage = Math.max(workbook.sheets.length - 1, 0);
+  if (workbook.definedNames.length) {
+    paragraph('Именованные диапазоны', lastPage, 2);
+    workbook.definedNames.forEach((item) =>
+      paragraph(`${item.name} = ${item.ref}${item.values.length ? `: ${item.values.join('; ')}` : ''}`, lastPage)
+    );
+  }
+  return {
+    blocks,
+    pageCount: Math.max(workbook.sheets.length, 1),
+    headers: [],
+    footers: [],
+    footnotes: [],
+    endnotes: [],
+    revisions: [],
+    comments: []
+  };
+};
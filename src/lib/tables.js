@@ -0,0 +1,370 @@
+/*
+ * Таблицы документа
+ *
+ * pdf.js отдаёт текст фрагментами с координатами, без разметки таблиц. Сетку
+ * восстанавливаем по выравниванию: строки с несколькими разнесёнными по
+ * горизонтали ячейками образуют таблицу, границы колонок — объединение
+ * интервалов ячеек, строки без значения в первой колонке с малым отступом —
+ * продолжение многострочных ячеек, шапка — первые строки без чисел.
+ * Таблицы PDF и DOCX имеют общий вид
+ * { id, columnCount, bbox, rows: [{ y, header, cells: [{ text, bbox, colSpan, rowSpan }] }] }
+ * и передаются модели как markdown, а пользователю — как CSV.
+ */
+
+const MIN_CELL_GAP = 6;
+const CELL_GAP_RATIO = 0.9;
+const MAX_ROW_GAP_RATIO = 2.2;
+const CONTINUATION_GAP_RATIO = 0.6;
+const LANE_TOLERANCE = 3;
+// Две колонки длинного текста — это двуязычный текст, а не таблица
+const MAX_TWO_LANE_CHARS = 18;
+const NUMERIC_CELL = /^[-–+(]?[\d\s.,]*\d[\d\s.,]*\)?\s*(%|₽|\$|€|₸|руб\.?|коп\.?|тг\.?|тенге|шт\.?|rub|usd|eur|kzt)?$/i;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const unionBox = (a, b) => [
+  Math.min(a[0], b[0]),
+  Math.min(a[1], b[1]),
+  Math.max(a[2], b[2]),
+  Math.max(a[3], b[3])
+];
+
+const lineHeight = (line) => Math.max(line.maxY - line.y, 1);
+
+const isNumericText = (text) => NUMERIC_CELL.test(String(text || '').trim());
+
+// Фрагменты строки, стоящие вплотную, — одна ячейка; широкий пробел — граница ячеек
+const splitLineIntoCells = (line) => {
+  const cells = [];
+  [...line.blocks]
+    .sort((a, b) => a.bbox[0] - b.bbox[0])
+    .forEach((block) => {
+      const last = cells[cells.length - 1];
+      const height = Math.max(block.bbox[3] - block.bbox[1], 1);
+      if (last && block.bbox[0] - last.bbox[2] < Math.max(MIN_CELL_GAP, height * CELL_GAP_RATIO)) {
+        last.text = `${last.text} ${block.text}`;
+        last.bbox = unionBox(last.bbox, block.bbox);
+        last.blocks.push(block);
+      } else {
+        cells.push({ text: block.text, bbox: [...block.bbox], blocks: [block] });
+      }
+    });
+  return cells;
+};
+
+// Подряд идущие строки с двумя и более ячейками плюс узкие строки-продолжения
+const findTableRegions = (lines) => {
+  const regions = [];
+  let current = [];
+  const flush = () => {
+    // Хвостовые однострочные продолжения без следующей строки таблицы не берём
+    while (current.length && current[current.length - 1].cells.length < 2) current.pop();
+    if (current.length >= 2) regions.push(current);
+    current = [];
+  };
+  lines.forEach((line) => {
+    const row = { line, cells: splitLineIntoCells(line) };
+    const previous = current[current.length - 1];
+    const gap = previous ? line.y - previous.line.maxY : 0;
+    if (previous && gap > lineHeight(line) * MAX_ROW_GAP_RATIO) flush();
+    if (row.cells.length >= 2) {
+      current.push(row);
+      return;
+    }
+    const left = current.length ? Math.min(...current.map((item) => item.line.x1)) : 0;
+    const right = current.length ? Math.max(...current.map((item) => item.line.x2)) : 0;
+    const cell = row.cells[0];
+    const narrow = cell && cell.bbox[2] - cell.bbox[0] <= (right - left) * 0.6;
+    if (current.length && narrow && cell.bbox[0] >= left - LANE_TOLERANCE && cell.bbox[2] <= right + LANE_TOLERANCE) {
+      current.push(row);
+      return;
+    }
+    flush();
+  });
+  flush();
+  return regions;
+};
+
+// Колонки — объединение интервалов ячеек из самых «полных» строк
+const buildLanes = (rows) => {
+  const maxCells = Math.max(...rows.map((row) => row.cells.length));
+  const intervals = rows
+    .filter((row) => row.cells.length === maxCells)
+    .flatMap((row) => row.cells.map((cell) => [cell.bbox[0], cell.bbox[2]]))
+    .sort((a, b) => a[0] - b[0]);
+  const lanes = [];
+  intervals.forEach(([start, end]) => {
+    const last = lanes[lanes.length - 1];
+    if (last && start <= last.end + LANE_TOLERANCE) {
+      last.end = Math.max(last.end, end);
+    } else {
+      lanes.push({ start, end });
+    }
+  });
+  return lanes;
+};
+
+const findLaneRange = (cell, lanes) => {
+  const [x1, , x2] = cell.bbox;
+  const overlapping = lanes
+    .map((lane, index) => ({ index, overlap: Math.min(x2, lane.end) - Math.max(x1, lane.start) }))
+    .filter((item) => item.overlap > 0)
+    .map((item) => item.index);
+  if (overlapping.length) {
+    return { first: overlapping[0], last: overlapping[overlapping.length - 1] };
+  }
+  // Ячейка в промежутке между колонками относится к ближайшей по центру
+  const center = (x1 + x2) / 2;
+  const nearest = lanes.reduce(
+    (best, lane, index) => {
+      const distance = Math.abs((lane.start + lane.end) / 2 - center);
+      return distance < best.distance ? { index, distance } : best;
+    },
+    { index: 0, distance: Infinity }
+  ).index;
+  return { first: nearest, last: nearest };
+};
+
+// Раскладывает ячейки строки по колонкам; ячейки, попавшие в одну колонку, склеиваются
+const placeCells = (row, lanes) => {
+  const slots = lanes.map(() => null);
+  row.cells.forEach((cell) => {
+    const { first, last } = findLaneRange(cell, lanes);
+    const slot = slots[first];
+    if (slot) {
+      slot.text = `${slot.text} ${cell.text}`;
+      slot.bbox = unionBox(slot.bbox, cell.bbox);
+      slot.colSpan = Math.max(slot.colSpan, last - first + 1);
+      slot.blocks.push(...cell.blocks);
+    } else {
+      slots[first] = { text: cell.text, bbox: [...cell.bbox], colSpan: last - first + 1, blocks: [...cell.blocks] };
+    }
+  });
+  return slots;
+};
+
+const appendToRow = (target, slots) => {
+  slots.forEach((slot, index) => {
+    if (!slot) return;
+    const existing = target.slots[index];
+    if (existing) {
+      existing.text = `${existing.text} ${slot.text}`;
+      existing.bbox = unionBox(existing.bbox, slot.bbox);
+      existing.blocks.push(...slot.blocks);
+    } else {
+      target.slots[index] = slot;
+    }
+  });
+  target.maxY = Math.max(target.maxY, ...slots.filter(Boolean).map((slot) => slot.bbox[3]));
+};
+
+// Колонка index закрыта объединённой ячейкой строки, начатой левее
+const coveredBySpan = (row, index) =>
+  row.slots.some((slot, start) => slot && start < index && start + slot.colSpan > index);
+
+const buildGridRows = (region, lanes) => {
+  const gridRows = [];
+  region.forEach((row) => {
+    const slots = placeCells(row, lanes);
+    const previous = gridRows[gridRows.length - 1];
+    const gap = previous ? row.line.y - previous.maxY : Infinity;
+    // Строка без первой колонки вплотную к предыдущей — перенос текста внутри
+    // ячеек; ячейки под объединённой ячейкой — подзаголовки, а не перенос
+    const continues =
+      previous &&
+      !slots[0] &&
+      gap <= lineHeight(row.line) * CONTINUATION_GAP_RATIO &&
+      !slots.some((slot, index) => slot && coveredBySpan(previous, index));
+    // Узкая строка под первой колонкой — перенос длинного наименования
+    const wrapsFirst =
+      previous &&
+      row.cells.length === 1 &&
+      slots[0] &&
+      slots[0].colSpan === 1 &&
+      gap <= lineHeight(row.line) * CONTINUATION_GAP_RATIO;
+    if (continues || wrapsFirst) {
+      appendToRow(previous, slots);
+      return;
+    }
+    gridRows.push({ y: row.line.y, maxY: row.line.maxY, slots });
+  });
+  return gridRows;
+};
+
+const countHeaderRows = (gridRows) => {
+  const numericRow = (row) => row.slots.some((slot) => slot && isNumericText(slot.text));
+  const [first, second] = gridRows;
+  if (numericRow(first)) return 0;
+  const body = gridRows.slice(1);
+  const numericBody = body.filter(numericRow).length;
+  const shortFirst = first.slots.every((slot) => !slot || slot.text.length <= 40);
+  if (!numericBody && !shortFirst) return 0;
+  // Двухуровневая шапка: объединённая ячейка над подзаголовками
+  const spanning = first.slots.some((slot) => slot && slot.colSpan > 1);
+  if (spanning && second && gridRows.length > 3 && !numericRow(second)) return 2;
+  return 1;
+};
+
+const filledCount = (row) => row.slots.filter(Boolean).length;
+
+const isPlausibleTable = (gridRows, lanes) => {
+  if (lanes.length < 2 || gridRows.length < 2) return false;
+  if (gridRows.filter((row) => filledCount(row) >= 2).length < 2) return false;
+  if (lanes.length === 2) {
+    const averages = [0, 1].map((index) => {
+      const texts = gridRows.map((row) => row.slots[index]?.text || '').filter(Boolean);
+      return texts.length ? texts.reduce((sum, text) => sum + text.length, 0) / texts.length : 0;
+    });
+    return Math.min(...averages) < MAX_TWO_LANE_CHARS;
+  }
+  return true;
+};
+
+const toTable = (id, gridRows, lanes) => {
+  const headerRows = countHeaderRows(gridRows);
+  const rows = gridRows.map((row, rowIndex) => {
+    const cells = [];
+    for (let index = 0; index < lanes.length; index += 1) {
+      const slot = row.slots[index];
+      if (slot) {
+        const colSpan = Math.min(slot.colSpan, lanes.length - index);
+        cells.push({
+          text: slot.text.replace(/\s+/g, ' ').trim(),
+          bbox: slot.bbox.map(round),
+          colSpan,
+          rowSpan: 1
+        });
+        index += colSpan - 1;
+      } else {
+        cells.push({
+          text: '',
+          bbox: [round(lanes[index].start), round(row.y), round(lanes[index].end), round(row.maxY)],
+          colSpan: 1,
+          rowSpan: 1
+        });
+      }
+    }
+    return { y: round(row.y), header: rowIndex < headerRows, cells };
+  });
+  const bbox = [
+    Math.min(...lanes.map((lane) => lane.start)),
+    gridRows[0].y,
+    Math.max(...lanes.map((lane) => lane.end)),
+    Math.max(...gridRows.map((row) => row.maxY))
+  ].map(round);
+  return { id, columnCount: lanes.length, bbox, rows };
+};
+
+/**
+ * Находит таблицы среди строк страницы (groupBlocksIntoLines в documents.js).
+ * Возвращает [{ table, blocks }], где blocks — фрагменты pdf.js, вошедшие в
+ * таблицу: документ выводит их markdown-таблицей вместо обычных строк.
+ */
+export const detectPdfTables = (lines, { startIndex = 0 } = {}) => {
+  const sorted = [...(Array.isArray(lines) ? lines : [])].sort((a, b) => a.y - b.y);
+  const found = [];
+  findTableRegions(sorted).forEach((region) => {
+    const lanes = buildLanes(region);
+    const gridRows = buildGridRows(region, lanes);
+    if (!isPlausibleTable(gridRows, lanes)) return;
+    const table = toTable(`table-${startIndex + found.length + 1}`, gridRows, lanes);
+    found.push({ table, blocks: region.flatMap((row) => row.line.blocks) });
+  });
+  return found;
+};
+
+// Значения строки по сетке колонок; fillSpans повторяет текст объединённой ячейки
+const expandRow = (row, columnCount, { fillSpans = false } = {}) => {
+  const values = [];
+  row.cells.forEach((cell) => {
+    const text = cell.merged ? '' : String(cell.text || '');
+    values.push(text);
+    for (let index = 1; index < (cell.colSpan || 1); index += 1) {
+      values.push(fillSpans ? text : '');
+    }
+  });
+  while (values.length < columnCount) values.push('');
+  return values.slice(0, columnCount);
+};
+
+const resolveColumnCount = (table) =>
+  table.columnCount ||
+  Math.max(1, ...table.rows.map((row) => row.cells.reduce((sum, cell) => sum + (cell.colSpan || 1), 0)));
+
+// Таблица как сетка строк: { header, values } с текстом каждой колонки, объединённые ячейки пустые
+export const expandTable = (table) => {
+  const rows = Array.isArray(table?.rows) ? table.rows : [];
+  const columnCount = rows.length ? resolveColumnCount(table) : 0;
+  return rows.map((row) => ({ header: Boolean(row.header), values: expandRow(row, columnCount) }));
+};
+
+const escapeMarkdownCell = (text) => text.replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|').trim();
+
+/**
+ * Markdown-таблица. Несколько строк шапки сводятся в одну («Сумма / с НДС»),
+ * без шапки заголовком служит первая строка.
+ */
+export const formatTableMarkdown = (table) => {
+  const rows = Array.isArray(table?.rows) ? table.rows : [];
+  if (!rows.length) return '';
+  const columnCount = resolveColumnCount(table);
+  let headerCount = 0;
+  while (headerCount < rows.length && rows[headerCount].header) headerCount += 1;
+  const headerRows = rows.slice(0, Math.max(headerCount, 1));
+  const header = Array.from({ length: columnCount }, (_, index) =>
+    headerRows
+      .map((row) => expandRow(row, columnCount, { fillSpans: true })[index])
+      .map((value) => escapeMarkdownCell(value))
+      .filter((value, position, list) => value && list.indexOf(value) === position)
+      .join(' / ')
+  );
+  const formatRow = (values) => `| ${values.join(' | ')} |`;
+  return [
+    formatRow(header),
+    formatRow(header.map(() => '---')),
+    ...rows
+      .slice(headerRows.length)
+      .map((row) => formatRow(expandRow(row, columnCount).map((value) => escapeMarkdownCell(value))))
+  ].join('\n');
+};
+
+// Ячейку из документа, начинающуюся с =, +, -, @, табуляции или CR, Excel и LibreOffice
+// выполнят как формулу — экранируем апострофом
+const FORMULA_START_PATTERN = /^[=+\-@\t\r]/;
+
+const escapeCsvCell = (value, delimiter) => {
+  const text = FORMULA_START_PATTERN.test(value) ? `'${value}` : value;
+  return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV с разделителем «;» — так его без настройки открывает русская локаль Excel
+export const formatTableCsv = (table, { delimiter = ';' } = {}) => {
+  const rows = Array.isArray(table?.rows) ? table.rows : [];
+  const columnCount = resolveColumnCount(table);
+  return rows
+    .map((row) =>
+      expandRow(row, columnCount)
+        .map((value) => escapeCsvCell(value, delimiter))
+        .join(delimiter)
+    )
+    .join('\r\n');
+};
+
+/**
+ * Все таблицы из meta.layout документа с номерами страниц — для списка
+ * таблиц и выгрузки в CSV. Возвращает [{ key, pageNumber, sheetName?, table, rowCount, columnCount }];
+ * sheetName есть у таблиц из листов XLSX и CSV.
+ */
+export const collectDocumentTables = (meta) =>
+  (Array.isArray(meta?.layout?.pages) ? meta.layout.pages : []).flatMap((page, pageIndex) =>
+    (Array.isArray(page.tables) ? page.tables : [])
+      .filter((table) => Array.isArray(table?.rows) && table.rows.length)
+      .map((table) => ({
+        key: `${page.pageNumber || pageIndex + 1}-${table.id}`,
+        pageNumber: Number(page.pageNumber) || pageIndex + 1,
+        ...(page.sheetName ? { sheetName: page.sheetName } : {}),
+        table,
+        rowCount: table.rows.length,
+        columnCount: resolveColumnCount(table)
+      }))
+  );
@@ -0,0 +1,14 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+import { formatTableCsv } from './tables.js';
+
+const row = (...texts) => ({ cells: texts.map((text) => ({ text })) });
+
+test('ячейки, похожие на формулы, выгружаются в CSV как текст', () => {
+  const table = { rows: [row('=HYPERLINK("http://x";"y")', '+1', '-5', '@SUM(A1)'), row('\tA', 'Итого; с НДС', 'текст')] };
+  assert.equal(
+    formatTableCsv(table),
+    `"'=HYPERLINK(""http://x"";""y"")";'+1;'-5;'@SUM(A1)\r\n'\tA;"Итого; с НДС";текст;`
+  );
+});
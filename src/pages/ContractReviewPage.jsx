@@ -1,17 +1,52 @@
 import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { AnimatePresence, motion } from 'framer-motion';
-import { ArrowRight, Check, Download, Loader2, Moon, Printer, Sun, UploadCloud } from 'lucide-react';
+import {
+  ArrowDown,
+  ArrowRight,
+  ArrowUp,
+  Camera,
+  Check,
+  Crop,
+  Download,
+  Loader2,
+  Moon,
+  Printer,
+  RotateCw,
+  Sun,
+  Trash2,
+  UploadCloud
+} from 'lucide-react';
 import { useApiKey } from '../hooks/useApiKey.js';
 import { useGptSettings } from '../hooks/useGptSettings.js';
 import { getThemeClass } from '../hooks/useTheme.js';
-import { readFileContent } from '../lib/documents.js';
+import { buildClauseIndex, describeClauseRef, resolveClauseRefs } from '../lib/clauses.js';
+import { formatAmountFindingTitle } from '../lib/amountChecks.js';
+import { formatChronologyFindingTitle } from '../lib/chronology.js';
+import { ENTITY_LABELS, ENTITY_TYPES, countEntities, formatEntity } from '../lib/entities.js';
+import { formatRequisiteFindingTitle } from '../lib/requisites.js';
+import {
+  createUnpackBudget,
+  detectDocumentKind,
+  findOcrModelIssue,
+  isPdfPasswordError,
+  isZipBundle,
+  readFileContent,
+  UNSUPPORTED_BUNDLE_KINDS,
+  unpackZipBundle
+} from '../lib/documents.js';
+import { expandEmailRecords } from '../lib/email.js';
+import { isAbortError } from '../lib/extractionPool.js';
+import { OCR_LANGUAGE_OPTIONS, findMissingOcrLanguages, formatMissingOcrLanguages } from '../lib/ocr.js';
+import { DEFAULT_CORNERS, assembleCapturedPages } from '../lib/photoCapture.js';
+import { collectDocumentTables, formatTableCsv } from '../lib/tables.js';
 import {
   analyzeDocuments,
+  checkBilingualDivergence,
   formatAnalysisLayout,
   prepareAdaptivePrompt,
   prepareSummaryPreview
 } from '../lib/openai.js';
-import { MAX_FILE_SIZE_BYTES } from '../lib/config.js';
+import { MAX_FILE_SIZE_BYTES, MAX_TOTAL_FILE_SIZE_BYTES } from '../lib/config.js';
 import { formatFileSize } from '../lib/telegram.js';
 
 const ACCENT_COLOR = '#C9A86A';
@@ -39,6 +74,15 @@ const formatDisplayFileName = (name, limit = 20) => {
   return ext ? `${shortened}... .${ext}` : `${shortened}...`;
 };
 
+const formatReviewMarks = (record) => {
+  const revisions = record?.meta?.revisions?.length || 0;
+  const comments = record?.meta?.comments?.length || 0;
+  if (!revisions && !comments) return '';
+  return [revisions ? `правок: ${revisions}` : null, comments ? `комментариев: ${comments}` : null]
+    .filter(Boolean)
+    .join(', ');
+};
+
 const formatDateTime = (date) =>
   new Date(date || Date.now()).toLocaleString('ru-RU', {
     day: '2-digit',
@@ -143,6 +187,41 @@ const LinkifiedText = ({ text }) => {
   return <>{parts}</>;
 };
 
+// Ссылки на пункты вида [cl-4.2] показываем с номером пункта и страницей
+const ClauseRefText = ({ text, clauseIndex }) => {
+  const parts = resolveClauseRefs(text, clauseIndex);
+  if (!parts.length) return null;
+  return (
+    <>
+      {parts.map((part, index) =>
+        part.ref ? (
+          <span key={index} className="negve-clause-ref" title={describeClauseRef(part.ref)}>
+            {part.text}
+            <span className="negve-clause-ref__page">стр. {part.ref.clause.page}</span>
+          </span>
+        ) : (
+          <React.Fragment key={index}>{part.text}</React.Fragment>
+        )
+      )}
+    </>
+  );
+};
+
+const ClauseRefList = ({ refs, clauseIndex }) =>
+  refs.map((ref, index) => (
+    <React.Fragment key={index}>
+      {index > 0 ? ', ' : ''}
+      <ClauseRefText text={ref} clauseIndex={clauseIndex} />
+    </React.Fragment>
+  ));
+
+const formatClauseRefsForHtml = (text, clauseIndex) =>
+  resolveClauseRefs(text, clauseIndex)
+    .map((part) =>
+      part.ref ? `${escapeHtml(part.text)} (${escapeHtml(describeClauseRef(part.ref))})` : escapeHtml(part.text)
+    )
+    .join('');
+
 const Step = ({ index, label, status }) => {
   const content = status === 'done' ? '✓' : index;
   return (
@@ -153,7 +232,105 @@ const Step = ({ index, label, status }) => {
   );
 };
 
+const CORNER_LABELS = ['левый верхний', 'правый верхний', 'правый нижний', 'левый нижний'];
+
+// Обрезка фото: четыре угла листа перетаскиваются по снимку, координаты — доли размеров фото
+const CropEditor = ({ page, onChange, onClose }) => {
+  const frameRef = useRef(null);
+  const [dragIndex, setDragIndex] = useState(null);
+
+  const moveCorner = (event) => {
+    if (dragIndex === null || !frameRef.current) return;
+    const rect = frameRef.current.getBoundingClientRect();
+    const x = Math.min(1, Math.max(0, (event.clientX - rect.left) / rect.width));
+    const y = Math.min(1, Math.max(0, (event.clientY - rect.top) / rect.height));
+    onChange(page.corners.map((corner, index) => (index === dragIndex ? [x, y] : corner)));
+  };
+
+  return (
+    <div className="negve-capture__editor">
+      <div
+        ref={frameRef}
+        className="negve-capture__frame"
+        onPointerMove={moveCorner}
+        onPointerUp={() => setDragIndex(null)}
+        onPointerCancel={() => setDragIndex(null)}
+      >
+        <img src={page.url} alt="Фото страницы" draggable={false} />
+        <svg className="negve-capture__outline" viewBox="0 0 1 1" preserveAspectRatio="none">
+          <polygon points={page.corners.map(([x, y]) => `${x},${y}`).join(' ')} />
+        </svg>
+        {page.corners.map(([x, y], index) => (
+          <button
+            key={CORNER_LABELS[index]}
+            type="button"
+            className="negve-capture__handle"
+            style={{ left: `${x * 100}%`, top: `${y * 100}%` }}
+            aria-label={`Угол: ${CORNER_LABELS[index]}`}
+            onPointerDown={(event) => {
+              event.currentTarget.setPointerCapture?.(event.pointerId);
+              setDragIndex(index);
+            }}
+          />
+        ))}
+      </div>
+      <div className="negve-capture__hint">
+        Перетащите углы к краям листа — перспектива выпрямится при сборке документа.
+      </div>
+      <div className="negve-bundle__actions">
+        <button type="button" className="negve-button negve-button--ghost" onClick={() => onChange(DEFAULT_CORNERS)}>
+          Сбросить
+        </button>
+        <button type="button" className="negve-button negve-button--primary" onClick={onClose}>
+          <Check className="negve-icon" /> Готово
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const READING_PROGRESS_LABELS = {
+  capture: 'Выпрямляем фото страниц',
+  text: 'Читаем текстовый слой',
+  'page-images': 'Готовим изображения страниц',
+  ocr: 'Распознаём страницы'
+};
+
+const formatReadingProgress = (progress) => {
+  const label = READING_PROGRESS_LABELS[progress.stage] || 'Обрабатываем страницы';
+  const fileName = progress.fileName ? ` «${progress.fileName}»` : '';
+  return `${label}${fileName}: ${progress.done} из ${progress.total}`;
+};
+
+const FILE_KIND_LABELS = {
+  pdf: 'PDF',
+  docx: 'DOCX',
+  doc: 'DOC',
+  rtf: 'RTF',
+  odt: 'ODT',
+  xlsx: 'Excel',
+  csv: 'CSV',
+  eml: 'Письмо EML',
+  msg: 'Письмо MSG',
+  image: 'Изображение',
+  text: 'Текст',
+  zip: 'Архив',
+  binary: 'Не поддерживается'
+};
+
 const STAGE_MESSAGES = {
+  assembling: {
+    icon: Loader2,
+    spinning: true,
+    title: 'Собираем документ из фотографий',
+    note: 'Выпрямляем страницы и сжимаем их в один PDF.'
+  },
+  unpacking: {
+    icon: Loader2,
+    spinning: true,
+    title: 'Распаковываем архив',
+    note: 'Определяем состав пакета документов.'
+  },
   reading: {
     icon: Loader2,
     spinning: true,
@@ -188,6 +365,10 @@ const STAGE_MESSAGES = {
 
 const STAGE_PROGRESS = {
   idle: 0,
+  capturing: 4,
+  assembling: 8,
+  unpacking: 6,
+  selecting: 10,
   reading: 18,
   triage: 38,
   'summary-ready': 56,
@@ -210,6 +391,90 @@ const RISK_LABELS = {
   R4: 'Низкий риск'
 };
 
+const DIVERGENCE_TYPE_LABELS = {
+  amount: 'Сумма',
+  date: 'Дата',
+  deadline: 'Срок',
+  obligation: 'Обязательство',
+  other: 'Иное'
+};
+
+const DIVERGENCE_SEVERITY_LABELS = {
+  high: 'высокая значимость',
+  medium: 'средняя значимость',
+  low: 'низкая значимость'
+};
+
+const formatLanguageName = (code) =>
+  OCR_LANGUAGE_OPTIONS.find((option) => option.language === code)?.label || String(code || '').toUpperCase();
+
+const formatDivergenceTitle = (item) =>
+  [DIVERGENCE_TYPE_LABELS[item.type] || DIVERGENCE_TYPE_LABELS.other, item.ref, DIVERGENCE_SEVERITY_LABELS[item.severity]]
+    .filter(Boolean)
+    .join(' · ');
+
+const formatBilingualSubtitle = (entry) =>
+  [
+    entry.documentLabel ? `${entry.documentLabel} · ${entry.documentName}` : null,
+    entry.languages.map(formatLanguageName).join(' / '),
+    `сопоставлено фрагментов: ${entry.pairCount}`,
+    entry.checkedBy === 'pre-check' ? 'только автоматическая сверка чисел и дат' : null
+  ]
+    .filter(Boolean)
+    .join(' · ');
+
+// Детерминированные проверки документа: находки показываются в отчёте рядом с выводами модели
+const DOCUMENT_CHECKS = [
+  {
+    key: 'requisiteChecks',
+    title: 'Проверка реквизитов',
+    countLabel: 'проверено реквизитов',
+    emptyText: 'Контрольные числа ИНН, ОГРН, ключи счетов по БИК и реквизиты сторон сходятся.',
+    formatTitle: formatRequisiteFindingTitle
+  },
+  {
+    key: 'amountChecks',
+    title: 'Проверка сумм',
+    countLabel: 'сверено сумм и итогов',
+    emptyText: 'Суммы цифрами и прописью, НДС и итоги таблиц сходятся.',
+    formatTitle: formatAmountFindingTitle
+  },
+  {
+    key: 'dateChecks',
+    title: 'Проверка дат и сроков',
+    countLabel: 'проверено дат и сроков',
+    emptyText: 'Даты и сроки идут в возможном порядке, доверенности действуют на дату договора.',
+    formatTitle: formatChronologyFindingTitle
+  }
+];
+
+const collectDocumentChecks = (documents = []) =>
+  DOCUMENT_CHECKS.flatMap((check) =>
+    documents
+      .map((record, index) => ({
+        check,
+        label: documents.length > 1 ? `D${index + 1} · ${record.meta?.originalName || record.name}` : '',
+        checked: record?.meta?.[check.key]?.checked || 0,
+        findings: record?.meta?.[check.key]?.findings || []
+      }))
+      .filter((entry) => entry.checked > 0)
+  );
+
+const formatCheckSubtitle = (entry) =>
+  [
+    entry.label || null,
+    `${entry.check.countLabel}: ${entry.checked}`,
+    entry.findings.length ? `замечаний: ${entry.findings.length}` : 'расхождений не найдено'
+  ]
+    .filter(Boolean)
+    .join(' · ');
+
+const formatFindingLocation = (finding) => {
+  const pages = Array.from(new Set((finding.locations || []).map((item) => item.page)));
+  const where = pages.length > 1 ? `стр. ${pages.join(', ')}` : `стр. ${finding.page}`;
+  return finding.text ? `${where}: «${finding.text}»` : where;
+};
+
 const SummaryPreview = ({ summaryPoints = [], questions = [], answers, onAnswer, freeText, onFreeText, freeTextMeta }) => (
   <div className="negve-card negve-card--result">
     <div className="negve-card__header">
@@ -276,6 +541,63 @@ const SummaryPreview = ({ summaryPoints = [], questions = [], answers, onAnswer,
   </div>
 );
 
+const MAX_PANEL_ENTITIES = 20;
+
+const ExtractedDataPanel = ({ documents = [] }) => {
+  const items = documents
+    .map((record, index) => ({ record, index, entities: record?.meta?.entities }))
+    .filter((item) => countEntities(item.entities));
+  if (!items.length) return null;
+  return (
+    <div className="negve-card negve-card--result">
+      <div className="negve-card__header">
+        <div>
+          <div className="negve-card__title">Извлечённые данные</div>
+          <div className="negve-card__subtitle">
+            Найдено автоматически по тексту — сверяйте с документом на указанной странице
+          </div>
+        </div>
+      </div>
+      {items.map(({ record, index, entities }) => (
+        <div key={index} className="negve-card__block">
+          {documents.length > 1 && (
+            <div className="negve-section-heading">
+              D{index + 1} · {record.meta?.originalName || record.name}
+            </div>
+          )}
+          <div className="negve-entities">
+            {ENTITY_TYPES.filter((type) => entities[type]?.length).map((type) => (
+              <div key={type} className="negve-entities__group">
+                <div className="negve-entities__label">
+                  {ENTITY_LABELS[type]} <span className="negve-entities__count">{entities[type].length}</span>
+                </div>
+                <ul className="negve-entities__list">
+                  {entities[type].slice(0, MAX_PANEL_ENTITIES).map((entity, entityIndex) => (
+                    <li
+                      key={`${entity.page}-${entity.offset}-${entityIndex}`}
+                      className={`negve-entities__item ${entity.blank ? 'negve-entities__item--warn' : ''}`}
+                      title={entity.context || entity.text}
+                    >
+                      <span className="negve-entities__value">{formatEntity(type, entity)}</span>
+                      <span className="negve-entities__anchor">
+                        стр. {entity.page}
+                        {entity.mentions > 1 ? ` · ×${entity.mentions}` : ''}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+                {entities[type].length > MAX_PANEL_ENTITIES && (
+                  <div className="negve-entities__more">и ещё {entities[type].length - MAX_PANEL_ENTITIES}</div>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
 const normalizePriorityLabel = (priority, index) => {
   const raw = typeof priority === 'string' ? priority.trim() : '';
   if (!raw) {
@@ -300,12 +622,14 @@ const normalizeRiskLabel = (title, level, index) => {
   return raw;
 };
 
-const LayoutReport = ({ layout, fallbackHint, sources }) => {
+const LayoutReport = ({ layout, fallbackHint, sources, clauseIndex, bilingual, checks }) => {
   if (!layout) return null;
   const meta = layout.meta || {};
   const sections = layout.sections || {};
   const tone = layout.layout?.tone || 'balanced';
   const safeSources = Array.isArray(sources) ? sources.filter(Boolean) : [];
+  const bilingualEntries = Array.isArray(bilingual?.documents) ? bilingual.documents : [];
+  const checkEntries = Array.isArray(checks) ? checks : [];
 
   const safeArray = (value) => (Array.isArray(value) ? value.filter(Boolean) : []);
   const displayDocumentName = formatDisplayFileName(meta.documentName || '—');
@@ -373,7 +697,9 @@ const LayoutReport = ({ layout, fallbackHint, sources }) => {
           <div className="negve-card__block negve-card__block--grid">
             {safeArray(sections.quotes).map((quote, index) => (
               <div key={index} className="negve-quote">
-                <div className="negve-quote__ref">{quote.ref || `#${index + 1}`}</div>
+                <div className="negve-quote__ref">
+                  {quote.ref ? <ClauseRefText text={quote.ref} clauseIndex={clauseIndex} /> : `#${index + 1}`}
+                </div>
                 <div className="negve-quote__text">{quote.text}</div>
               </div>
             ))}
@@ -400,7 +726,9 @@ const LayoutReport = ({ layout, fallbackHint, sources }) => {
                       <div className="negve-action__label">Почему</div>
                       <div className="negve-action__value"><LinkifiedText text={item.why} /></div>
                       {safeArray(item.refs).length > 0 && (
-                        <div className="negve-action__refs">Ссылки: {item.refs.join(', ')}</div>
+                        <div className="negve-action__refs">
+                          Ссылки: <ClauseRefList refs={item.refs} clauseIndex={clauseIndex} />
+                        </div>
                       )}
                     </div>
                   ))}
@@ -427,7 +755,9 @@ const LayoutReport = ({ layout, fallbackHint, sources }) => {
                   <span>Как исправить:</span> <LinkifiedText text={risk.fix} />
                 </div>
                 {safeArray(risk.refs).length > 0 && (
-                  <div className="negve-risk__refs">Ссылки: {risk.refs.join(', ')}</div>
+                  <div className="negve-risk__refs">
+                    Ссылки: <ClauseRefList refs={risk.refs} clauseIndex={clauseIndex} />
+                  </div>
                 )}
               </div>
             ))}
@@ -435,6 +765,67 @@ const LayoutReport = ({ layout, fallbackHint, sources }) => {
         </div>
       )}
 
+      {checkEntries.map((entry, entryIndex) => (
+        <div key={`${entry.check.key}-${entryIndex}`} className="negve-card negve-card--result">
+          <div className="negve-card__header negve-card__header--compact">
+            <div>
+              <div className="negve-card__title">{entry.check.title}</div>
+              <div className="negve-card__subtitle">{formatCheckSubtitle(entry)}</div>
+            </div>
+          </div>
+          <div className="negve-card__block negve-card__block--stack">
+            {entry.findings.length ? (
+              entry.findings.map((finding, index) => (
+                <div
+                  key={`${finding.page}-${finding.offset}-${index}`}
+                  className={`negve-redline negve-divergence negve-divergence--${finding.severity === 'error' ? 'high' : 'medium'}`}
+                >
+                  <div className="negve-divergence__title">{entry.check.formatTitle(finding)}</div>
+                  <div className="negve-redline__value">{finding.message}</div>
+                  <div className="negve-redline__goal">{formatFindingLocation(finding)}</div>
+                </div>
+              ))
+            ) : (
+              <p className="negve-text-muted">{entry.check.emptyText}</p>
+            )}
+          </div>
+        </div>
+      ))}
+
+      {bilingualEntries.map((entry, entryIndex) => (
+        <div key={`bilingual-${entryIndex}`} className="negve-card negve-card--result">
+          <div className="negve-card__header negve-card__header--compact">
+            <div>
+              <div className="negve-card__title">Расхождения языковых версий</div>
+              <div className="negve-card__subtitle">{formatBilingualSubtitle(entry)}</div>
+            </div>
+          </div>
+          {entry.summary && (
+            <div className="negve-card__block">
+              <LinkifiedText text={entry.summary} />
+            </div>
+          )}
+          <div className="negve-card__block negve-card__block--stack">
+            {entry.divergences.length ? (
+              entry.divergences.map((item, index) => (
+                <div key={index} className={`negve-redline negve-divergence negve-divergence--${item.severity}`}>
+                  <div className="negve-divergence__title">{formatDivergenceTitle(item)}</div>
+                  <div className="negve-redline__label">{formatLanguageName(entry.languages[0])}</div>
+                  <div className="negve-redline__value">{item.left || '—'}</div>
+                  <div className="negve-redline__label">{formatLanguageName(entry.languages[1])}</div>
+                  <div className="negve-redline__value">{item.right || '—'}</div>
+                  <div className="negve-redline__goal">
+                    <LinkifiedText text={item.issue} />
+                  </div>
+                </div>
+              ))
+            ) : (
+              <p className="negve-text-muted">Расхождений между языковыми версиями не найдено.</p>
+            )}
+          </div>
+        </div>
+      ))}
+
       {safeArray(sections.redlines).length > 0 && (
         <div className="negve-card negve-card--result">
           <div className="negve-card__header negve-card__header--compact">
@@ -554,7 +945,50 @@ const escapeHtml = (value) => {
     .replace(/'/g, '&#39;');
 };
 
-const buildLayoutHtml = (layout, fallbackHint, sources = []) => {
+const buildBilingualHtml = (bilingual) =>
+  (Array.isArray(bilingual?.documents) ? bilingual.documents : [])
+    .map(
+      (entry) => `<div class="block"><h2>Расхождения языковых версий</h2><p class="source-meta">${escapeHtml(
+        formatBilingualSubtitle(entry)
+      )}</p>${entry.summary ? `<p>${escapeHtml(entry.summary)}</p>` : ''}${
+        entry.divergences.length
+          ? entry.divergences
+              .map(
+                (item) => `<div class="action avoid-break">
+        <div><strong>${escapeHtml(formatDivergenceTitle(item))}</strong></div>
+        <div><strong>${escapeHtml(formatLanguageName(entry.languages[0]))}:</strong> ${escapeHtml(item.left || '—')}</div>
+        <div><strong>${escapeHtml(formatLanguageName(entry.languages[1]))}:</strong> ${escapeHtml(item.right || '—')}</div>
+        <div><strong>Суть:</strong> ${escapeHtml(item.issue)}</div>
+      </div>`
+              )
+              .join('')
+          : '<p>Расхождений между языковыми версиями не найдено.</p>'
+      }</div>`
+    )
+    .join('');
+
+const buildChecksHtml = (checks) =>
+  (Array.isArray(checks) ? checks : [])
+    .map(
+      (entry) => `<div class="block"><h2>${escapeHtml(entry.check.title)}</h2><p class="source-meta">${escapeHtml(
+        formatCheckSubtitle(entry)
+      )}</p>${
+        entry.findings.length
+          ? entry.findings
+              .map(
+                (finding) => `<div class="action avoid-break">
+        <div><strong>${escapeHtml(entry.check.formatTitle(finding))}</strong></div>
+        <div>${escapeHtml(finding.message)}</div>
+        <div><strong>Где:</strong> ${escapeHtml(formatFindingLocation(finding))}</div>
+      </div>`
+              )
+              .join('')
+          : `<p>${escapeHtml(entry.check.emptyText)}</p>`
+      }</div>`
+    )
+    .join('');
+
+const buildLayoutHtml = (layout, fallbackHint, sources = [], clauseIndex = null, bilingual = null, checks = []) => {
   if (!layout) return '';
   const summary = layout.sections?.summary || '';
   const docName = layout.meta?.documentName || 'Документ';
@@ -599,7 +1033,7 @@ const buildLayoutHtml = (layout, fallbackHint, sources = []) => {
     .map((item) => `<div>${item}</div>`)
     .join('')}</div></div>` : ''}
   ${layout.sections?.quotes?.length ? `<div class="block"><h2>Ключевые цитаты</h2>${layout.sections.quotes
-    .map((quote) => `<div class="quote"><strong>${quote.ref || ''}</strong><div>${quote.text}</div></div>`)
+    .map((quote) => `<div class="quote"><strong>${formatClauseRefsForHtml(quote.ref || '', clauseIndex)}</strong><div>${quote.text}</div></div>`)
     .join('')}</div>` : ''}
   ${layout.sections?.actions?.length ? `<div class="block"><h2>Действия</h2>${layout.sections.actions
     .map(
@@ -609,7 +1043,7 @@ const buildLayoutHtml = (layout, fallbackHint, sources = []) => {
               <div><strong>Проблема:</strong> ${item.problem || ''}</div>
               <div><strong>Действие:</strong> ${item.action || ''}</div>
               <div><strong>Почему:</strong> ${item.why || ''}</div>
-              ${item.refs?.length ? `<div><strong>Ссылки:</strong> ${item.refs.join(', ')}</div>` : ''}
+              ${item.refs?.length ? `<div><strong>Ссылки:</strong> ${item.refs.map((ref) => formatClauseRefsForHtml(ref, clauseIndex)).join(', ')}</div>` : ''}
             </div>`
         )
         .join('')}`
@@ -621,10 +1055,12 @@ const buildLayoutHtml = (layout, fallbackHint, sources = []) => {
         <div><strong>${escapeHtml(normalizeRiskLabel(risk.title, risk.level, index))}</strong></div>
         <div><strong>Последствие:</strong> ${risk.consequence || ''}</div>
         <div><strong>Как исправить:</strong> ${risk.fix || ''}</div>
-        ${risk.refs?.length ? `<div><strong>Ссылки:</strong> ${risk.refs.join(', ')}</div>` : ''}
+        ${risk.refs?.length ? `<div><strong>Ссылки:</strong> ${risk.refs.map((ref) => formatClauseRefsForHtml(ref, clauseIndex)).join(', ')}</div>` : ''}
       </div>`
     )
     .join('')}</div>` : ''}
+  ${buildChecksHtml(checks)}
+  ${buildBilingualHtml(bilingual)}
   ${layout.sections?.redlines?.length ? `<div class="block"><h2>Редлайны</h2>${layout.sections.redlines
     .map(
       (red) => `<div class="action avoid-break">
@@ -662,32 +1098,80 @@ const buildLayoutHtml = (layout, fallbackHint, sources = []) => {
 const ContractReviewPage = ({ theme, onToggleTheme }) => {
   const { apiKey } = useApiKey();
   const { gptSettings } = useGptSettings();
-  const [fileInfo, setFileInfo] = useState(null);
-  const [documentRecord, setDocumentRecord] = useState(null);
+  const [filesInfo, setFilesInfo] = useState([]);
+  const [skippedAttachments, setSkippedAttachments] = useState([]);
+  const [documentRecords, setDocumentRecords] = useState([]);
+  const [emailContext, setEmailContext] = useState('');
+  const [bundleEntries, setBundleEntries] = useState([]);
   const [triageResult, setTriageResult] = useState(null);
   const [summaryPreview, setSummaryPreview] = useState(null);
   const [answers, setAnswers] = useState({});
   const [freeText, setFreeText] = useState('');
   const [analysisResult, setAnalysisResult] = useState(null);
   const [layoutResult, setLayoutResult] = useState(null);
+  const [bilingualResult, setBilingualResult] = useState(null);
   const [stage, setStage] = useState('idle');
   const [error, setError] = useState('');
   const [isDragging, setIsDragging] = useState(false);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [progressPercent, setProgressPercent] = useState(0);
+  const [readingProgress, setReadingProgress] = useState(null);
+  const [passwordRequest, setPasswordRequest] = useState(null);
+  const [passwordValue, setPasswordValue] = useState('');
+  const [capturePages, setCapturePages] = useState([]);
+  const [cropPageId, setCropPageId] = useState(null);
   const fileInputRef = useRef(null);
+  const captureInputRef = useRef(null);
+  const captureIdRef = useRef(0);
+  const readAbortRef = useRef(null);
+  // Ожидающий ввода пароля processFiles: resolve('') — файл пропускается
+  const passwordResolverRef = useRef(null);
 
   const cloudinaryConfig = gptSettings.analysis?.cloudinary || {};
+  const ocrConfig = gptSettings.analysis?.ocr || {};
+  const missingOcrLanguages = useMemo(() => findMissingOcrLanguages(ocrConfig), [ocrConfig]);
+  const extractionPoolSize = gptSettings.analysis?.extractionPoolSize;
+
+  const clauseIndex = useMemo(() => buildClauseIndex(documentRecords), [documentRecords]);
+  const documentChecks = useMemo(() => collectDocumentChecks(documentRecords), [documentRecords]);
+
+  const packageName = useMemo(() => {
+    const names = filesInfo.map((file) => file.name).filter(Boolean);
+    if (!names.length) {
+      return documentRecords[0]?.meta?.originalName || '';
+    }
+    if (names.length === 1) {
+      return names[0];
+    }
+    return `${names[0]} + ещё ${names.length - 1}`;
+  }, [documentRecords, filesInfo]);
 
   const resetState = useCallback(() => {
-    setDocumentRecord(null);
+    // Останавливаем чтение файлов, если оно ещё идёт
+    readAbortRef.current?.abort();
+    readAbortRef.current = null;
+    passwordResolverRef.current?.('');
+    passwordResolverRef.current = null;
+    setPasswordRequest(null);
+    setPasswordValue('');
+    setCapturePages((pages) => {
+      pages.forEach((page) => URL.revokeObjectURL(page.url));
+      return [];
+    });
+    setCropPageId(null);
+    setReadingProgress(null);
+    setDocumentRecords([]);
+    setEmailContext('');
+    setBundleEntries([]);
     setTriageResult(null);
     setSummaryPreview(null);
     setAnswers({});
     setFreeText('');
     setAnalysisResult(null);
     setLayoutResult(null);
-    setFileInfo(null);
+    setBilingualResult(null);
+    setFilesInfo([]);
+    setSkippedAttachments([]);
     setStage('idle');
     setError('');
     setIsAnalyzing(false);
@@ -700,52 +1184,279 @@ const ContractReviewPage = ({ theme, onToggleTheme }) => {
     }
   }, []);
 
-  const handleFileChange = useCallback(
-    (event) => {
-      const file = event.target.files?.[0];
-      if (file) {
-        event.target.value = '';
-        resetState();
-        void processFile(file);
-      }
-    },
-    [resetState]
+  const requestPdfPassword = useCallback(
+    (fileName, incorrect) =>
+      new Promise((resolve) => {
+        passwordResolverRef.current = resolve;
+        setPasswordValue('');
+        setPasswordRequest({ fileName, incorrect });
+      }),
+    []
   );
 
-  const processFile = useCallback(
-    async (file) => {
-      if (!file) return;
-      if (file.size > MAX_FILE_SIZE_BYTES) {
-        setError(`Файл слишком большой (${prettyBytes(file.size)}). Лимит: ${prettyBytes(MAX_FILE_SIZE_BYTES)}.`);
+  const handlePasswordAnswer = useCallback((password) => {
+    const resolve = passwordResolverRef.current;
+    passwordResolverRef.current = null;
+    setPasswordRequest(null);
+    setPasswordValue('');
+    resolve?.(password);
+  }, []);
+
+  const processFiles = useCallback(
+    async (files) => {
+      const list = Array.from(files || []).filter(Boolean);
+      if (!list.length) return;
+      const oversized = list.find((file) => file.size > MAX_FILE_SIZE_BYTES);
+      if (oversized) {
+        setError(
+          `Файл «${oversized.name}» слишком большой (${prettyBytes(oversized.size)}). Лимит: ${prettyBytes(MAX_FILE_SIZE_BYTES)}.`
+        );
         appendLogEntry({ level: 'error', scope: 'upload', message: 'Файл превышает лимит размера' });
         return;
       }
+      const totalSize = list.reduce((sum, file) => sum + (file.size || 0), 0);
+      if (totalSize > MAX_TOTAL_FILE_SIZE_BYTES) {
+        setError(
+          `Общий размер файлов ${prettyBytes(totalSize)} превышает лимит пакета ${prettyBytes(MAX_TOTAL_FILE_SIZE_BYTES)}.`
+        );
+        appendLogEntry({ level: 'error', scope: 'upload', message: 'Пакет превышает лимит общего размера' });
+        setStage('idle');
+        return;
+      }
       setError('');
       setStage('reading');
-      setFileInfo({
-        name: file.name,
-        size: file.size,
-        type: file.type
-      });
+      setFilesInfo(
+        list.map((file) => ({
+          name: file.name,
+          size: file.size,
+          type: file.type
+        }))
+      );
+      const controller = new AbortController();
+      readAbortRef.current = controller;
       try {
-        appendLogEntry({ level: 'info', scope: 'upload', message: `Загружаем файл ${file.name}` });
-        const record = await readFileContent(file, {
-          cloudinary: cloudinaryConfig,
-          onLog: appendLogEntry
+        const records = [];
+        for (const file of list) {
+          appendLogEntry({ level: 'info', scope: 'upload', message: `Загружаем файл ${file.name}` });
+          let password = '';
+          let record = null;
+          while (!record) {
+            try {
+              record = await readFileContent(file, {
+                cloudinary: cloudinaryConfig,
+                ocr: ocrConfig,
+                poolSize: extractionPoolSize,
+                signal: controller.signal,
+                password,
+                requestPassword: requestPdfPassword,
+                onProgress: setReadingProgress,
+                onLog: appendLogEntry
+              });
+            } catch (fileError) {
+              if (!isPdfPasswordError(fileError)) throw fileError;
+              password = await requestPdfPassword(file.name, fileError.incorrect);
+              if (controller.signal.aborted) return;
+              if (!password) break;
+              appendLogEntry({ level: 'info', scope: 'upload', message: `Повторное чтение ${file.name} с паролем` });
+            }
+          }
+          if (record) {
+            records.push(record);
+          } else {
+            appendLogEntry({ level: 'warn', scope: 'upload', message: `Файл ${file.name} пропущен: пароль не введён` });
+          }
+        }
+        if (controller.signal.aborted) return;
+        if (!records.length) {
+          throw new Error('Ни один файл не прочитан: для защищённых PDF нужен пароль.');
+        }
+        readAbortRef.current = null;
+        setReadingProgress(null);
+        // Из писем в анализ идут вложения, а текст письма — как контекст оператора
+        const { documents, emails, context } = expandEmailRecords(records);
+        emails.forEach((email) => {
+          appendLogEntry({
+            level: 'info',
+            scope: 'email',
+            message: `Письмо ${email.fileName}: вложений прочитано ${email.usedCount}, не прочитано ${email.skipped.length}`
+          });
+          email.skipped.forEach((item) =>
+            appendLogEntry({ level: 'warn', scope: 'email', message: `Вложение ${item.name} не прочитано: ${item.error}` })
+          );
         });
-        setDocumentRecord(record);
+        setSkippedAttachments(emails.flatMap((email) => email.skipped));
+        setFilesInfo(
+          documents.map((record) => ({
+            name: record.meta.originalName,
+            size: record.meta.originalSize,
+            type: record.meta.originalType
+          }))
+        );
+        setDocumentRecords(documents);
+        setEmailContext(context);
         setStage('triage');
       } catch (readError) {
+        if (isAbortError(readError) || controller.signal.aborted) {
+          appendLogEntry({ level: 'info', scope: 'upload', message: 'Обработка файлов отменена' });
+          return;
+        }
+        readAbortRef.current = null;
+        setReadingProgress(null);
         setError(readError?.message || 'Не удалось обработать файл.');
         appendLogEntry({ level: 'error', scope: 'upload', message: readError?.message || String(readError) });
         setStage('idle');
       }
     },
-    [cloudinaryConfig]
+    [cloudinaryConfig, extractionPoolSize, ocrConfig, requestPdfPassword]
+  );
+
+  // ZIP-архив сначала распаковываем и показываем состав пакета: пользователь снимает лишние файлы
+  const handleIncomingFiles = useCallback(
+    async (files) => {
+      const list = Array.from(files || []).filter(Boolean);
+      if (!list.some(isZipBundle)) {
+        await processFiles(list);
+        return;
+      }
+      setError('');
+      setStage('unpacking');
+      try {
+        const entries = [];
+        // Все архивы пакета распаковываются в один общий лимит
+        const budget = createUnpackBudget();
+        for (const file of list) {
+          if (isZipBundle(file)) {
+            appendLogEntry({ level: 'info', scope: 'bundle', message: `Распаковываем архив ${file.name}` });
+            const unpacked = await unpackZipBundle(file, { onLog: appendLogEntry, budget });
+            unpacked.forEach((entry) => entries.push({ ...entry, path: `${file.name}/${entry.path}` }));
+          } else {
+            entries.push({ path: file.name, name: file.name, size: file.size, kind: await detectDocumentKind(file), file });
+          }
+        }
+        if (!entries.length) {
+          throw new Error('В архиве нет файлов.');
+        }
+        setBundleEntries(
+          entries.map((entry, index) => {
+            const supported = !UNSUPPORTED_BUNDLE_KINDS.includes(entry.kind);
+            const oversized = entry.size > MAX_FILE_SIZE_BYTES;
+            return { ...entry, id: index, supported, oversized, selected: supported && !oversized };
+          })
+        );
+        setStage('selecting');
+      } catch (bundleError) {
+        setError(bundleError?.message || 'Не удалось распаковать архив.');
+        appendLogEntry({ level: 'error', scope: 'bundle', message: bundleError?.message || String(bundleError) });
+        setStage('idle');
+      }
+    },
+    [processFiles]
+  );
+
+  const handleToggleBundleEntry = useCallback((id) => {
+    setBundleEntries((entries) =>
+      entries.map((entry) => (entry.id === id ? { ...entry, selected: !entry.selected } : entry))
+    );
+  }, []);
+
+  const handleSubmitBundle = useCallback(() => {
+    const files = bundleEntries.filter((entry) => entry.selected).map((entry) => entry.file);
+    if (!files.length) return;
+    appendLogEntry({ level: 'info', scope: 'bundle', message: `Выбрано файлов из пакета: ${files.length}` });
+    setBundleEntries([]);
+    void processFiles(files);
+  }, [bundleEntries, processFiles]);
+
+  // Съёмка документа: фото страниц копятся в списке, пока пользователь не соберёт документ
+  const handleCaptureBrowse = useCallback(() => {
+    captureInputRef.current?.click();
+  }, []);
+
+  const handleCaptureFiles = useCallback(
+    (event) => {
+      const files = Array.from(event.target.files || []).filter((file) => /^image\//.test(file.type));
+      event.target.value = '';
+      if (!files.length) return;
+      if (stage !== 'capturing') {
+        resetState();
+      }
+      const added = files.map((file) => {
+        captureIdRef.current += 1;
+        return { id: captureIdRef.current, file, url: URL.createObjectURL(file), corners: DEFAULT_CORNERS, rotation: 0 };
+      });
+      setCapturePages((pages) => [...pages, ...added]);
+      setStage('capturing');
+    },
+    [resetState, stage]
+  );
+
+  const updateCapturePage = useCallback((id, patch) => {
+    setCapturePages((pages) => pages.map((page) => (page.id === id ? { ...page, ...patch } : page)));
+  }, []);
+
+  const handleMoveCapturePage = useCallback((id, delta) => {
+    setCapturePages((pages) => {
+      const index = pages.findIndex((page) => page.id === id);
+      const target = index + delta;
+      if (index < 0 || target < 0 || target >= pages.length) return pages;
+      const next = [...pages];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  }, []);
+
+  const handleRemoveCapturePage = useCallback((id) => {
+    setCropPageId((current) => (current === id ? null : current));
+    setCapturePages((pages) => {
+      const removed = pages.find((page) => page.id === id);
+      if (removed) URL.revokeObjectURL(removed.url);
+      const next = pages.filter((page) => page.id !== id);
+      if (!next.length) setStage('idle');
+      return next;
+    });
+  }, []);
+
+  const handleAssembleCapture = useCallback(async () => {
+    if (!capturePages.length) return;
+    setError('');
+    setCropPageId(null);
+    setStage('assembling');
+    try {
+      const file = await assembleCapturedPages(capturePages, {
+        fileName: `Фото документа ${new Date().toLocaleDateString('ru-RU')}.pdf`,
+        onProgress: setReadingProgress
+      });
+      appendLogEntry({
+        level: 'info',
+        scope: 'capture',
+        message: `Документ собран из фото: ${capturePages.length} стр., ${prettyBytes(file.size)}`
+      });
+      setReadingProgress(null);
+      capturePages.forEach((page) => URL.revokeObjectURL(page.url));
+      setCapturePages([]);
+      await processFiles([file]);
+    } catch (captureError) {
+      setReadingProgress(null);
+      setError(captureError?.message || 'Не удалось собрать документ из фотографий.');
+      appendLogEntry({ level: 'error', scope: 'capture', message: captureError?.message || String(captureError) });
+      setStage('capturing');
+    }
+  }, [capturePages, processFiles]);
+
+  const handleFileChange = useCallback(
+    (event) => {
+      const files = Array.from(event.target.files || []);
+      if (files.length) {
+        event.target.value = '';
+        resetState();
+        void handleIncomingFiles(files);
+      }
+    },
+    [handleIncomingFiles, resetState]
   );
 
   useEffect(() => {
-    if (!documentRecord) return;
+    if (!documentRecords.length) return;
     if (!apiKey) {
       setError('Укажите API-ключ OpenAI в настройках администратора.');
       setStage('idle');
@@ -758,7 +1469,7 @@ const ContractReviewPage = ({ theme, onToggleTheme }) => {
         appendLogEntry({ level: 'info', scope: 'adaptive', message: 'Запуск адаптивного анализа документа' });
         const triage = await prepareAdaptivePrompt({
           apiKey,
-          document: documentRecord,
+          documents: documentRecords,
           settings: gptSettings.analysis,
           onLog: appendLogEntry
         });
@@ -772,7 +1483,7 @@ const ContractReviewPage = ({ theme, onToggleTheme }) => {
         });
         const summary = await prepareSummaryPreview({
           apiKey,
-          document: documentRecord,
+          documents: documentRecords,
           triage,
           settings: gptSettings.analysis,
           onLog: appendLogEntry
@@ -794,19 +1505,19 @@ const ContractReviewPage = ({ theme, onToggleTheme }) => {
     return () => {
       cancelled = true;
     };
-  }, [apiKey, documentRecord, gptSettings.analysis]);
+  }, [apiKey, documentRecords, gptSettings.analysis]);
 
   const handleDrop = useCallback(
     (event) => {
       event.preventDefault();
       setIsDragging(false);
-      const file = event.dataTransfer.files?.[0];
-      if (file) {
+      const files = Array.from(event.dataTransfer.files || []);
+      if (files.length) {
         resetState();
-        void processFile(file);
+        void handleIncomingFiles(files);
       }
     },
-    [processFile, resetState]
+    [handleIncomingFiles, resetState]
   );
 
   const handleDragOver = useCallback((event) => {
@@ -832,7 +1543,7 @@ const ContractReviewPage = ({ theme, onToggleTheme }) => {
       appendLogEntry({ level: 'error', scope: 'analysis', message: 'API-ключ отсутствует' });
       return;
     }
-    if (!documentRecord || !triageResult) {
+    if (!documentRecords.length || !triageResult) {
       setError('Сначала загрузите документ и дождитесь предварительного анализа.');
       return;
     }
@@ -852,11 +1563,26 @@ const ContractReviewPage = ({ theme, onToggleTheme }) => {
     setIsAnalyzing(true);
     setStage('analyzing');
     setError('');
+    setBilingualResult(null);
     try {
+      // Сверка языковых версий не зависит от основного отчёта и идёт параллельно с ним
+      const bilingualPromise = checkBilingualDivergence({
+        apiKey,
+        documents: documentRecords,
+        settings: gptSettings.analysis,
+        onLog: appendLogEntry
+      }).catch((bilingualError) => {
+        appendLogEntry({
+          level: 'error',
+          scope: 'bilingual',
+          message: bilingualError?.message || 'Ошибка сверки языковых версий'
+        });
+        return null;
+      });
       appendLogEntry({ level: 'info', scope: 'analysis', message: 'Отправляем запрос на основной анализ' });
       const result = await analyzeDocuments({
         apiKey,
-        documents: [documentRecord],
+        documents: documentRecords,
         settings: gptSettings.analysis,
         adaptive: {
           developerPrompt: triageResult.developerPrompt,
@@ -867,6 +1593,7 @@ const ContractReviewPage = ({ theme, onToggleTheme }) => {
           answerInstructions: answerLines,
           questions: triageResult.questions
         },
+        operatorContext: emailContext,
         onLog: appendLogEntry
       });
       setAnalysisResult(result);
@@ -877,7 +1604,7 @@ const ContractReviewPage = ({ theme, onToggleTheme }) => {
           const layout = await formatAnalysisLayout({
             apiKey,
             reportText: result.reportText,
-            documentName: fileInfo?.name || documentRecord?.meta?.originalName || 'Документ',
+            documentName: packageName || 'Документ',
             layoutBrief: triageResult.layoutBrief,
             summary: triageResult.summary,
             settings: gptSettings.analysis,
@@ -894,6 +1621,7 @@ const ContractReviewPage = ({ theme, onToggleTheme }) => {
         }
       }
 
+      setBilingualResult(await bilingualPromise);
       setStage('done');
     } catch (analysisError) {
       setError(analysisError?.message || 'Не удалось выполнить анализ.');
@@ -905,10 +1633,11 @@ const ContractReviewPage = ({ theme, onToggleTheme }) => {
   }, [
     answers,
     apiKey,
-    documentRecord,
-    fileInfo?.name,
+    documentRecords,
+    emailContext,
     freeText,
     gptSettings.analysis,
+    packageName,
     summaryPreview?.questions,
     triageResult
   ]);
@@ -918,24 +1647,49 @@ const ContractReviewPage = ({ theme, onToggleTheme }) => {
     const html = buildLayoutHtml(
       layoutResult.layout,
       layoutResult?.layout?.layout?.hint || '',
-      analysisResult?.sources || []
+      analysisResult?.sources || [],
+      clauseIndex,
+      bilingualResult,
+      documentChecks
     );
     const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
     const url = URL.createObjectURL(blob);
     const link = document.createElement('a');
     link.href = url;
-    link.download = `${(fileInfo?.name || 'report').replace(/\.[^.]+$/, '')}-layout.html`;
+    link.download = `${(filesInfo[0]?.name || 'report').replace(/\.[^.]+$/, '')}-layout.html`;
     link.click();
     URL.revokeObjectURL(url);
     appendLogEntry({ level: 'info', scope: 'layout', message: 'Скачан оформленный отчёт' });
-  }, [analysisResult?.sources, fileInfo?.name, layoutResult?.layout]);
+  }, [analysisResult?.sources, bilingualResult, clauseIndex, filesInfo, layoutResult?.layout, documentChecks]);
+
+  const handleDownloadTable = useCallback(
+    (fileName, entry) => {
+      // BOM нужен Excel, чтобы распознать UTF-8
+      const blob = new Blob(['\ufeff', formatTableCsv(entry.table)], { type: 'text/csv;charset=utf-8' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${(fileName || 'document').replace(/\.[^.]+$/, '')}-p${entry.pageNumber}-${entry.table.id}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+      appendLogEntry({
+        level: 'info',
+        scope: 'tables',
+        message: `Скачана таблица ${entry.table.id} (стр. ${entry.pageNumber}) в CSV`
+      });
+    },
+    []
+  );
 
   const handlePrintLayout = useCallback(() => {
     if (!layoutResult?.layout) return;
     const html = buildLayoutHtml(
       layoutResult.layout,
       layoutResult?.layout?.layout?.hint || '',
-      analysisResult?.sources || []
+      analysisResult?.sources || [],
+      clauseIndex,
+      bilingualResult,
+      documentChecks
     );
     const win = window.open('', '_blank');
     if (win) {
@@ -944,7 +1698,7 @@ const ContractReviewPage = ({ theme, onToggleTheme }) => {
       win.focus();
       win.print();
     }
-  }, [analysisResult?.sources, layoutResult?.layout]);
+  }, [analysisResult?.sources, bilingualResult, clauseIndex, layoutResult?.layout, documentChecks]);
 
   const handleResetWorkflow = useCallback(() => {
     resetState();
@@ -956,6 +1710,9 @@ const ContractReviewPage = ({ theme, onToggleTheme }) => {
   const themeClass = getThemeClass(theme);
   const summaryReady = stage === 'summary-ready';
   const showUploadCard = stage === 'idle';
+  const selectedBundleEntries = bundleEntries.filter((entry) => entry.selected);
+  const selectedBundleSize = selectedBundleEntries.reduce((sum, entry) => sum + entry.size, 0);
+  const bundleOverLimit = selectedBundleSize > MAX_TOTAL_FILE_SIZE_BYTES;
   const stageInfo = STAGE_MESSAGES[stage] || null;
   const StageIcon = stageInfo?.icon || null;
   const targetProgress = useMemo(() => STAGE_PROGRESS[stage] ?? 0, [stage]);
@@ -997,8 +1754,6 @@ const ContractReviewPage = ({ theme, onToggleTheme }) => {
     return () => window.clearTimeout(timeout);
   }, [progressPercent, stage, targetProgress]);
 
-  const currentFileName = fileInfo?.name || documentRecord?.meta?.originalName || '';
-  const displayFileName = formatDisplayFileName(currentFileName);
   const webSources = analysisResult?.sources || [];
 
   const stepStatus = useCallback(
@@ -1006,7 +1761,7 @@ const ContractReviewPage = ({ theme, onToggleTheme }) => {
       switch (step) {
         case 1:
           if (stage === 'idle') return 'todo';
-          if (stage === 'reading') return 'active';
+          if (['capturing', 'assembling', 'unpacking', 'selecting', 'reading'].includes(stage)) return 'active';
           return 'done';
         case 2:
           if (stage === 'triage') return 'active';
@@ -1101,19 +1856,24 @@ const ContractReviewPage = ({ theme, onToggleTheme }) => {
                     <UploadCloud className="negve-upload-card__icon-svg" />
                   </div>
                   <div className="negve-upload-card__content">
-                    <div className="negve-upload-card__title">Загрузите документ</div>
+                    <div className="negve-upload-card__title">Загрузите документ или пакет документов</div>
                     <p className="negve-upload-card__subtitle">
-                      Перетащите файл или нажмите «Выбрать файл». Поддерживаем PDF, DOCX, PNG и JPG размером до
-                      {` ${prettyBytes(MAX_FILE_SIZE_BYTES)}.`}
+                      Перетащите файлы или ZIP-архив с пакетом или нажмите «Выбрать файлы». Договор, приложения,
+                      спецификации и допсоглашения анализируются вместе. Поддерживаем PDF, DOCX, PNG и JPG размером до
+                      {` ${prettyBytes(MAX_FILE_SIZE_BYTES)}`}, весь пакет — до {prettyBytes(MAX_TOTAL_FILE_SIZE_BYTES)}.
+                      Бумажный договор можно сфотографировать постранично — страницы соберутся в один документ.
                     </p>
                     <div className="negve-upload-card__actions">
                       <button type="button" className="negve-button" onClick={handleBrowse}>
-                        Выбрать файл
+                        Выбрать файлы
+                      </button>
+                      <button type="button" className="negve-button negve-button--ghost" onClick={handleCaptureBrowse}>
+                        <Camera className="negve-icon" /> Сфотографировать страницы
                       </button>
-                      <span className="negve-upload-card__hint">или отпустите его в этой области</span>
+                      <span className="negve-upload-card__hint">или отпустите их в этой области</span>
                     </div>
                     <div className="negve-upload-card__meta">
-                      <span>PDF / DOCX / PNG / JPG</span>
+                      <span>PDF / DOCX / PNG / JPG / ZIP</span>
                       <span>До {prettyBytes(MAX_FILE_SIZE_BYTES)}</span>
                       <span>Шифрование при загрузке</span>
                     </div>
@@ -1123,7 +1883,8 @@ const ContractReviewPage = ({ theme, onToggleTheme }) => {
                   ref={fileInputRef}
                   type="file"
                   className="negve-upload__input"
-                  accept=".pdf,.doc,.docx,.png,.jpg,.jpeg"
+                  accept=".pdf,.doc,.docx,.rtf,.odt,.xlsx,.xlsm,.csv,.eml,.msg,.zip,.png,.jpg,.jpeg"
+                  multiple
                   onChange={handleFileChange}
                 />
                 {error && <div className="negve-alert negve-alert--error">{error}</div>}
@@ -1132,13 +1893,252 @@ const ContractReviewPage = ({ theme, onToggleTheme }) => {
                     API-ключ не задан. Откройте административную панель, чтобы указать OPENAI_API_KEY.
                   </div>
                 )}
+                {missingOcrLanguages.length > 0 && (
+                  <div className="negve-alert negve-alert--error">{formatMissingOcrLanguages(missingOcrLanguages)}</div>
+                )}
               </div>
             </motion.section>
           )}
         </AnimatePresence>
 
         <AnimatePresence>
-          {stage !== 'idle' && stage !== 'done' && (
+          {stage === 'selecting' && (
+            <motion.section
+              className="negve-bundle"
+              initial={{ opacity: 0, y: 16 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: -10 }}
+            >
+              <div className="negve-card">
+                <div className="negve-card__header negve-card__header--compact">
+                  <div>
+                    <div className="negve-card__title">Состав пакета</div>
+                    <div className="negve-card__subtitle">
+                      Отметьте файлы для анализа. Выбрано {selectedBundleEntries.length} из {bundleEntries.length},{' '}
+                      {formatFileSize(selectedBundleSize)} из {formatFileSize(MAX_TOTAL_FILE_SIZE_BYTES)}
+                    </div>
+                  </div>
+                </div>
+                <div className="negve-bundle__list">
+                  {bundleEntries.map((entry) => (
+                    <label
+                      key={entry.id}
+                      className={`negve-bundle__file ${entry.selected ? '' : 'negve-bundle__file--off'}`}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={entry.selected}
+                        disabled={!entry.supported || entry.oversized}
+                        onChange={() => handleToggleBundleEntry(entry.id)}
+                      />
+                      <span className="negve-bundle__file-name" title={entry.path}>
+                        {entry.path}
+                      </span>
+                      <span className="negve-bundle__file-kind">
+                        {entry.oversized ? 'Больше лимита' : FILE_KIND_LABELS[entry.kind] || entry.kind}
+                      </span>
+                      <span className="negve-status__file-size">{formatFileSize(entry.size)}</span>
+                    </label>
+                  ))}
+                </div>
+                {bundleOverLimit && (
+                  <div className="negve-alert negve-alert--error">
+                    Выбранные файлы превышают лимит пакета {prettyBytes(MAX_TOTAL_FILE_SIZE_BYTES)}. Снимите отметку с
+                    части файлов.
+                  </div>
+                )}
+                <div className="negve-bundle__actions">
+                  <button type="button" className="negve-button negve-button--ghost" onClick={handleResetWorkflow}>
+                    Отмена
+                  </button>
+                  <button
+                    type="button"
+                    className="negve-button negve-button--primary"
+                    onClick={handleSubmitBundle}
+                    disabled={!selectedBundleEntries.length || bundleOverLimit}
+                  >
+                    <ArrowRight className="negve-icon" /> Анализировать выбранные
+                  </button>
+                </div>
+              </div>
+            </motion.section>
+          )}
+        </AnimatePresence>
+
+        <input
+          ref={captureInputRef}
+          type="file"
+          className="negve-upload__input"
+          accept="image/*"
+          capture="environment"
+          multiple
+          onChange={handleCaptureFiles}
+        />
+
+        <AnimatePresence>
+          {stage === 'capturing' && (
+            <motion.section
+              className="negve-bundle"
+              initial={{ opacity: 0, y: 16 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: -10 }}
+            >
+              <div className="negve-card">
+                <div className="negve-card__header negve-card__header--compact">
+                  <div>
+                    <div className="negve-card__title">Страницы с камеры</div>
+                    <div className="negve-card__subtitle">
+                      Расставьте фото в порядке страниц, обрежьте по краям листа и поверните при необходимости.
+                      Документ соберётся в PDF и будет распознан как скан.
+                    </div>
+                  </div>
+                </div>
+                {cropPageId !== null && capturePages.some((page) => page.id === cropPageId) ? (
+                  <CropEditor
+                    page={capturePages.find((page) => page.id === cropPageId)}
+                    onChange={(corners) => updateCapturePage(cropPageId, { corners })}
+                    onClose={() => setCropPageId(null)}
+                  />
+                ) : (
+                  <ol className="negve-capture__list">
+                    {capturePages.map((page, index) => (
+                      <li key={page.id} className="negve-capture__page">
+                        <div className="negve-capture__thumb">
+                          <img src={page.url} alt={`Страница ${index + 1}`} style={{ transform: `rotate(${page.rotation}deg)` }} />
+                        </div>
+                        <div className="negve-capture__info">
+                          <span className="negve-capture__number">Страница {index + 1}</span>
+                          <span className="negve-capture__meta">
+                            {page.file.name} · {formatFileSize(page.file.size)}
+                            {page.corners !== DEFAULT_CORNERS ? ' · обрезано' : ''}
+                          </span>
+                        </div>
+                        <div className="negve-capture__tools">
+                          <button
+                            type="button"
+                            className="negve-button negve-button--ghost negve-button--icon"
+                            onClick={() => handleMoveCapturePage(page.id, -1)}
+                            disabled={index === 0}
+                            aria-label="Выше"
+                          >
+                            <ArrowUp className="negve-icon" />
+                          </button>
+                          <button
+                            type="button"
+                            className="negve-button negve-button--ghost negve-button--icon"
+                            onClick={() => handleMoveCapturePage(page.id, 1)}
+                            disabled={index === capturePages.length - 1}
+                            aria-label="Ниже"
+                          >
+                            <ArrowDown className="negve-icon" />
+                          </button>
+                          <button
+                            type="button"
+                            className="negve-button negve-button--ghost negve-button--icon"
+                            onClick={() => setCropPageId(page.id)}
+                            aria-label="Обрезать"
+                          >
+                            <Crop className="negve-icon" />
+                          </button>
+                          <button
+                            type="button"
+                            className="negve-button negve-button--ghost negve-button--icon"
+                            onClick={() => updateCapturePage(page.id, { rotation: (page.rotation + 90) % 360 })}
+                            aria-label="Повернуть"
+                          >
+                            <RotateCw className="negve-icon" />
+                          </button>
+                          <button
+                            type="button"
+                            className="negve-button negve-button--ghost negve-button--icon"
+                            onClick={() => handleRemoveCapturePage(page.id)}
+                            aria-label="Удалить"
+                          >
+                            <Trash2 className="negve-icon" />
+                          </button>
+                        </div>
+                      </li>
+                    ))}
+                  </ol>
+                )}
+                {error && <div className="negve-alert negve-alert--error">{error}</div>}
+                {cropPageId === null && (
+                  <div className="negve-bundle__actions">
+                    <button type="button" className="negve-button negve-button--ghost" onClick={handleResetWorkflow}>
+                      Отмена
+                    </button>
+                    <button type="button" className="negve-button negve-button--ghost" onClick={handleCaptureBrowse}>
+                      <Camera className="negve-icon" /> Добавить фото
+                    </button>
+                    <button
+                      type="button"
+                      className="negve-button negve-button--primary"
+                      onClick={handleAssembleCapture}
+                      disabled={!capturePages.length}
+                    >
+                      <ArrowRight className="negve-icon" /> Собрать документ ({capturePages.length} стр.)
+                    </button>
+                  </div>
+                )}
+              </div>
+            </motion.section>
+          )}
+        </AnimatePresence>
+
+        <AnimatePresence>
+          {passwordRequest && (
+            <motion.section
+              className="negve-bundle"
+              initial={{ opacity: 0, y: 16 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: -10 }}
+            >
+              <form
+                className="negve-card"
+                onSubmit={(event) => {
+                  event.preventDefault();
+                  if (passwordValue) handlePasswordAnswer(passwordValue);
+                }}
+              >
+                <div className="negve-card__header negve-card__header--compact">
+                  <div>
+                    <div className="negve-card__title">PDF защищён паролем</div>
+                    <div className="negve-card__subtitle">
+                      Введите пароль для файла «{passwordRequest.fileName}». Пароль используется только для чтения
+                      файла в браузере и нигде не сохраняется.
+                    </div>
+                  </div>
+                </div>
+                <input
+                  type="password"
+                  className="negve-input negve-bundle__password"
+                  autoComplete="off"
+                  autoFocus
+                  value={passwordValue}
+                  onChange={(event) => setPasswordValue(event.target.value)}
+                />
+                {passwordRequest.incorrect && (
+                  <div className="negve-alert negve-alert--error">Пароль не подошёл. Попробуйте ещё раз.</div>
+                )}
+                <div className="negve-bundle__actions">
+                  <button
+                    type="button"
+                    className="negve-button negve-button--ghost"
+                    onClick={() => handlePasswordAnswer('')}
+                  >
+                    Пропустить файл
+                  </button>
+                  <button type="submit" className="negve-button negve-button--primary" disabled={!passwordValue}>
+                    <ArrowRight className="negve-icon" /> Открыть
+                  </button>
+                </div>
+              </form>
+            </motion.section>
+          )}
+        </AnimatePresence>
+
+        <AnimatePresence>
+          {stage !== 'idle' && stage !== 'selecting' && stage !== 'capturing' && stage !== 'done' && (
             <motion.section
               className="negve-status"
               initial={{ opacity: 0, y: 12 }}
@@ -1171,14 +2171,59 @@ const ContractReviewPage = ({ theme, onToggleTheme }) => {
                   <Step index={3} label="Глубокий анализ" status={stepStatus(3)} />
                   <Step index={4} label="Оформление" status={stepStatus(4)} />
                 </div>
-                {fileInfo && (
-                  <div className="negve-status__file">
-                    <span className="negve-status__file-name" title={fileInfo.name}>
-                      {displayFileName || fileInfo.name}
+                {filesInfo.map((file, index) => (
+                  <div key={`${file.name}-${index}`} className="negve-status__file">
+                    <span className="negve-status__file-name" title={file.name}>
+                      {filesInfo.length > 1 ? `D${index + 1} · ` : ''}
+                      {formatDisplayFileName(file.name) || file.name}
                     </span>
-                    <span className="negve-status__file-size">{formatFileSize(fileInfo.size)}</span>
+                    {formatReviewMarks(documentRecords[index]) && (
+                      <span className="negve-status__file-size">{formatReviewMarks(documentRecords[index])}</span>
+                    )}
+                    <span className="negve-status__file-size">{formatFileSize(file.size)}</span>
+                  </div>
+                ))}
+                {skippedAttachments.length > 0 && (
+                  <div className="negve-alert negve-alert--warning">
+                    Вложения писем не попали в анализ:{' '}
+                    {skippedAttachments
+                      .map((item) => `${item.name} — ${item.needsPassword ? 'нужен пароль' : item.error}`)
+                      .join('; ')}
                   </div>
                 )}
+                {filesInfo.map((file, index) => {
+                  const issue = findOcrModelIssue(documentRecords[index]);
+                  if (!issue) return null;
+                  return (
+                    <div key={`ocr-${file.name}-${index}`} className="negve-alert negve-alert--error">
+                      {filesInfo.length > 1 ? `D${index + 1}: ` : ''}
+                      {issue}
+                    </div>
+                  );
+                })}
+                {filesInfo.map((file, index) => {
+                  const tables = collectDocumentTables(documentRecords[index]?.meta);
+                  if (!tables.length) return null;
+                  return (
+                    <div key={`tables-${file.name}-${index}`} className="negve-status__tables">
+                      <div className="negve-status__tables-title">
+                        Таблицы{filesInfo.length > 1 ? ` D${index + 1}` : ''}: {tables.length}
+                      </div>
+                      {tables.map((entry, position) => (
+                        <button
+                          key={entry.key}
+                          type="button"
+                          className="negve-button negve-button--ghost negve-status__table"
+                          onClick={() => handleDownloadTable(file.name, entry)}
+                        >
+                          <Download className="negve-icon" /> Таблица {position + 1} ·{' '}
+                          {entry.sheetName ? `лист «${entry.sheetName}»` : `стр. ${entry.pageNumber}`} ·{' '}
+                          {entry.rowCount}×{entry.columnCount} · CSV
+                        </button>
+                      ))}
+                    </div>
+                  );
+                })}
                 {stageInfo && StageIcon && (
                   <div className="negve-status__hint">
                     <StageIcon
@@ -1186,8 +2231,21 @@ const ContractReviewPage = ({ theme, onToggleTheme }) => {
                     />
                     <div>
                       <div className="negve-status__hint-title">{stageInfo.title}</div>
-                      <div className="negve-status__hint-note">{stageInfo.note}</div>
+                      <div className="negve-status__hint-note">
+                        {stage === 'reading' && readingProgress
+                          ? formatReadingProgress(readingProgress)
+                          : stageInfo.note}
+                      </div>
                     </div>
+                    {stage === 'reading' && (
+                      <button
+                        type="button"
+                        className="negve-button negve-button--ghost negve-status__hint-action"
+                        onClick={handleResetWorkflow}
+                      >
+                        Отменить
+                      </button>
+                    )}
                   </div>
                 )}
               </div>
@@ -1207,6 +2265,8 @@ const ContractReviewPage = ({ theme, onToggleTheme }) => {
           />
         )}
 
+        {summaryReady && <ExtractedDataPanel documents={documentRecords} />}
+
         {summaryReady && (
           <div className="negve-card negve-card--actions">
             <div className="negve-card__header negve-card__header--compact">
@@ -1296,6 +2356,9 @@ const ContractReviewPage = ({ theme, onToggleTheme }) => {
                     layout={layoutResult.layout}
                     fallbackHint={triageResult?.layoutBrief || ''}
                     sources={webSources}
+                    clauseIndex={clauseIndex}
+                    bilingual={bilingualResult}
+                    checks={documentChecks}
                   />
                 ) : (
                   <div className="negve-placeholder">Не удалось сформировать макет отчёта.</div>
@@ -1303,6 +2366,8 @@ const ContractReviewPage = ({ theme, onToggleTheme }) => {
               </div>
             </div>
 
+            <ExtractedDataPanel documents={documentRecords} />
+
             <div className="negve-results__footer">
               <button type="button" className="negve-button negve-button--ghost" onClick={handleResetWorkflow}>
                 <ArrowRight className="negve-icon" /> Новый анализ
@@ -1,9 +1,15 @@
 import React, { useEffect, useMemo, useState } from 'react';
 import { motion } from 'framer-motion';
-import { BookOpenCheck, Cloud, FileText, LogOut, RefreshCw, Save, ScrollText, Shield, Trash2 } from 'lucide-react';
+import { BookOpenCheck, Cloud, FileText, LogOut, RefreshCw, Save, ScanText, ScrollText, Shield, Trash2 } from 'lucide-react';
 import { useApiKey } from '../hooks/useApiKey.js';
 import { useGptSettings } from '../hooks/useGptSettings.js';
 import { getThemeClass } from '../hooks/useTheme.js';
+import {
+  BUNDLED_OCR_LANGUAGES,
+  OCR_LANGUAGE_OPTIONS,
+  findMissingOcrLanguages,
+  formatMissingOcrLanguages
+} from '../lib/ocr.js';
 
 const LOG_STORAGE_KEY = 'dokneg-optima:analysis-log';
 const REASONING_OPTIONS = [
@@ -12,13 +18,22 @@ const REASONING_OPTIONS = [
   { value: 'medium', label: 'Среднее' },
   { value: 'high', label: 'Максимальное' }
 ];
+const CHUNK_MODE_OPTIONS = [
+  { value: 'auto', label: 'Авто — только если текст не помещается' },
+  { value: 'always', label: 'Всегда делить на части' },
+  { value: 'off', label: 'Отключено — обрезать текст' }
+];
+const BILINGUAL_MODE_OPTIONS = [
+  { value: 'auto', label: 'Авто — для двуязычных документов' },
+  { value: 'off', label: 'Отключено' }
+];
 
 const TABS = [
   {
     id: 'general',
     icon: Cloud,
     title: 'Подключения',
-    description: 'API-ключ и Cloudinary'
+    description: 'API-ключ, Cloudinary и OCR'
   },
   {
     id: 'prompts',
@@ -118,6 +133,18 @@ const DocumentAnalysisAdminPage = ({ theme, onToggleTheme }) => {
     updateDraft(path, event.target.value);
   };
 
+  const missingOcrLanguages = findMissingOcrLanguages(draft.ocr);
+
+  const handleOcrLanguage = (code) => (event) => {
+    const current = Array.isArray(draft.ocr?.languages) ? draft.ocr.languages : [];
+    const next = event.target.checked ? [...current, code] : current.filter((item) => item !== code);
+    // Порядок моделей tesseract держим таким же, как в списке
+    updateDraft(
+      'ocr.languages',
+      OCR_LANGUAGE_OPTIONS.map((option) => option.code).filter((item) => next.includes(item))
+    );
+  };
+
   const handleSave = () => {
     setStatus('saving');
     setGptSettings((prev) => ({
@@ -175,6 +202,26 @@ const DocumentAnalysisAdminPage = ({ theme, onToggleTheme }) => {
         promptPath: 'prompts.analysis',
         developerToggle: 'developerPromptFromTriage'
       },
+      {
+        title: 'Шаг 3б — Сведение частей',
+        description:
+          'Для длинных документов: части анализируются параллельно моделью шага 3, затем отчёты сводятся в единый без повторов.',
+        modelPath: 'consolidationModel',
+        webSearchPath: 'consolidationWebSearchEnabled',
+        reasoningPath: 'consolidationReasoningEffort',
+        promptPath: 'prompts.consolidation',
+        chunkSettings: true
+      },
+      {
+        title: 'Шаг 3в — Сверка языковых версий',
+        description:
+          'Для двуязычных договоров: пункты версий сопоставляются по колонкам, страницам или абзацам, модель ищет расхождения в суммах, датах, сроках и обязательствах.',
+        modelPath: 'bilingualModel',
+        webSearchPath: 'bilingualWebSearchEnabled',
+        reasoningPath: 'bilingualReasoningEffort',
+        promptPath: 'prompts.bilingual',
+        bilingualSettings: true
+      },
       {
         title: 'Шаг 4 — Оформление отчёта',
         description: 'Преобразование текста в карточный макет с акцентами.',
@@ -261,6 +308,89 @@ const DocumentAnalysisAdminPage = ({ theme, onToggleTheme }) => {
           </div>
         </div>
       </div>
+
+      <div className="admin-card">
+        <div className="admin-card__header">
+          <div className="admin-card__icon admin-card__icon--neutral">
+            <ScanText size={18} />
+          </div>
+          <div>
+            <h2>Распознавание (OCR)</h2>
+            <p>Tesseract работает в браузере, модели языков раздаются самим приложением из каталога /ocr.</p>
+          </div>
+        </div>
+        <div className="admin-card__body admin-card__body--grid">
+          {OCR_LANGUAGE_OPTIONS.map((option) => (
+            <div className="admin-field admin-field--toggle" key={option.code}>
+              <span>
+                {option.label} ({option.code})
+                {BUNDLED_OCR_LANGUAGES && !BUNDLED_OCR_LANGUAGES.includes(option.code) ? ' — нет модели в сборке' : ''}
+              </span>
+              <label className="admin-toggle">
+                <input
+                  type="checkbox"
+                  checked={Array.isArray(draft.ocr?.languages) && draft.ocr.languages.includes(option.code)}
+                  onChange={handleOcrLanguage(option.code)}
+                />
+                <span />
+              </label>
+            </div>
+          ))}
+          {missingOcrLanguages.length > 0 && (
+            <div className="admin-status admin-status--error">{formatMissingOcrLanguages(missingOcrLanguages)}</div>
+          )}
+          <div className="admin-field admin-field--toggle">
+            <span>Определять язык страницы</span>
+            <label className="admin-toggle">
+              <input
+                type="checkbox"
+                checked={draft.ocr?.autoDetectLanguage !== false}
+                onChange={handleToggle('ocr.autoDetectLanguage')}
+              />
+              <span />
+            </label>
+            <small>Язык выбирается по текстовому слою PDF или по первому проходу OCR; иначе используются все отмеченные.</small>
+          </div>
+          <div className="admin-field admin-field--toggle">
+            <span>Предобработка сканов</span>
+            <label className="admin-toggle">
+              <input
+                type="checkbox"
+                checked={draft.ocr?.preprocess !== false}
+                onChange={handleToggle('ocr.preprocess')}
+              />
+              <span />
+            </label>
+            <small>
+              Выравнивание наклона и поворота, бинаризация и удаление шума. Страница распознаётся в обоих вариантах,
+              в текст идёт лучший.
+            </small>
+          </div>
+          <div className="admin-field">
+            <span>Каталог ресурсов OCR</span>
+            <input
+              value={draft.ocr?.assetsPath || ''}
+              placeholder="/ocr"
+              onChange={handleInput('ocr.assetsPath')}
+            />
+            <small>
+              Воркер, ядро и файлы *.traineddata.gz. Модели, которых нет в пакетах, кладутся в public/ocr/lang до
+              сборки. Для своего каталога наличие моделей не проверяется.
+            </small>
+          </div>
+          <div className="admin-field admin-field--number">
+            <span>Страниц параллельно</span>
+            <input
+              type="number"
+              min={1}
+              max={6}
+              value={draft.extractionPoolSize ?? ''}
+              onChange={handleInput('extractionPoolSize')}
+            />
+            <small>Число Web Worker'ов для рендера и OCR страниц. Каждый воркер tesseract занимает 50–100 МБ памяти.</small>
+          </div>
+        </div>
+      </div>
     </div>
   );
 
@@ -322,6 +452,52 @@ const DocumentAnalysisAdminPage = ({ theme, onToggleTheme }) => {
                   <small>При включении текст ниже будет заблокирован, а GPT возьмёт persona из предварительного анализа.</small>
                 </div>
               )}
+              {card.chunkSettings && (
+                <>
+                  <div className="admin-field">
+                    <span>Анализ по частям</span>
+                    <select value={draft.chunkedAnalysisMode || 'auto'} onChange={handleInput('chunkedAnalysisMode')}>
+                      {CHUNK_MODE_OPTIONS.map((option) => (
+                        <option key={option.value} value={option.value}>
+                          {option.label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="admin-field">
+                    <span>Размер части, символов</span>
+                    <input
+                      type="number"
+                      min={8000}
+                      step={5000}
+                      value={draft.chunkMaxChars ?? ''}
+                      onChange={handleInput('chunkMaxChars')}
+                    />
+                  </div>
+                  <div className="admin-field">
+                    <span>Параллельных запросов</span>
+                    <input
+                      type="number"
+                      min={1}
+                      max={6}
+                      value={draft.chunkConcurrency ?? ''}
+                      onChange={handleInput('chunkConcurrency')}
+                    />
+                  </div>
+                </>
+              )}
+              {card.bilingualSettings && (
+                <div className="admin-field">
+                  <span>Сверка версий</span>
+                  <select value={draft.bilingualCheckMode || 'auto'} onChange={handleInput('bilingualCheckMode')}>
+                    {BILINGUAL_MODE_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
             </div>
             <div className="admin-card__body admin-card__body--stack">
               <div className="admin-field" aria-disabled={card.developerToggle && developerToggleChecked}>
@@ -1,8 +1,83 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { createRequire } from 'node:module';
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 
+const require = createRequire(import.meta.url);
+const OCR_BASE = 'ocr';
+const OCR_LANG_VARIANT = '4.0.0_best_int';
+
+// Ресурсы tesseract.js (воркер, LSTM-ядро, модели из установленных
+// пакетов @tesseract.js-data/*), которые приложение раздаёт из /ocr
+const collectOcrAssets = () => {
+  const assets = new Map();
+  const addFile = (target, source) => {
+    if (fs.existsSync(source)) assets.set(`${OCR_BASE}/${target}`, source);
+  };
+  try {
+    addFile('worker.min.js', path.join(path.dirname(require.resolve('tesseract.js/package.json')), 'dist/worker.min.js'));
+    const coreDir = path.dirname(require.resolve('tesseract.js-core/package.json'));
+    ['tesseract-core-lstm.wasm.js', 'tesseract-core-simd-lstm.wasm.js'].forEach((file) =>
+      addFile(`core/${file}`, path.join(coreDir, file))
+    );
+  } catch (error) {
+    console.warn('[ocr-assets] tesseract.js не установлен', error.message);
+  }
+  const dataRoot = path.resolve('node_modules/@tesseract.js-data');
+  if (fs.existsSync(dataRoot)) {
+    fs.readdirSync(dataRoot).forEach((lang) =>
+      addFile(`lang/${lang}.traineddata.gz`, path.join(dataRoot, lang, OCR_LANG_VARIANT, `${lang}.traineddata.gz`))
+    );
+  }
+  return assets;
+};
+
+// Коды моделей, которые приложение раздаёт из /ocr/lang: из пакетов и из public/ocr/lang.
+// Список попадает в клиент (__OCR_LANGUAGES__), чтобы язык по умолчанию был из имеющихся
+const listOcrLanguages = () => {
+  const codes = Array.from(collectOcrAssets().keys()).map((key) => key.match(/^ocr\/lang\/([a-z_]+)\.traineddata\.gz$/)?.[1]);
+  const publicDir = path.resolve('public', OCR_BASE, 'lang');
+  if (fs.existsSync(publicDir)) {
+    codes.push(...fs.readdirSync(publicDir).map((file) => file.match(/^([a-z_]+)\.traineddata\.gz$/)?.[1]));
+  }
+  return Array.from(new Set(codes.filter(Boolean))).sort();
+};
+
+const ocrAssetsPlugin = () => {
+  let assets = new Map();
+  return {
+    name: 'ocr-assets',
+    buildStart() {
+      assets = collectOcrAssets();
+    },
+    configureServer(server) {
+      assets = collectOcrAssets();
+      server.middlewares.use((req, res, next) => {
+        const key = decodeURIComponent((req.url || '').split('?')[0]).replace(/^\/+/, '');
+        const source = assets.get(key);
+        if (!source) return next();
+        res.setHeader('Content-Type', key.endsWith('.js') ? 'text/javascript' : 'application/octet-stream');
+        fs.createReadStream(source).pipe(res);
+      });
+    },
+    generateBundle() {
+      assets.forEach((source, fileName) => {
+        this.emitFile({ type: 'asset', fileName, source: fs.readFileSync(source) });
+      });
+    }
+  };
+};
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), ocrAssetsPlugin()],
+  define: {
+    __OCR_LANGUAGES__: JSON.stringify(listOcrLanguages())
+  },
+  // Воркер рендера PDF импортирует pdf.js, которому нужен ES-формат
+  worker: {
+    format: 'es'
+  },
   server: {
     host: '0.0.0.0',
     port: 5173